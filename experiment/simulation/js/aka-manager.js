@@ -0,0 +1,952 @@
+/**
+ * ============================================
+ * AKA MANAGER
+ * ============================================
+ * Runs 5G-AKA primary authentication (TS 33.501 6.1.3.2) between
+ * UE, AMF (SEAF), AUSF and UDM, then activates NAS and AS security
+ *
+ * Responsibilities:
+ * - Generate 5G HE authentication vectors in the UDM with MILENAGE
+ * - Derive RES* / XRES*, HXRES*, KAUSF and KSEAF (TS 33.501 Annex A)
+ * - Verify AUTN in the UE and RES* in the AMF and AUSF
+ * - Resynchronise SQN after a UE synch failure
+ * - Derive KAMF, NAS keys, KgNB and AS keys and run the NAS / AS
+ *   Security Mode Command procedures
+ * - Animate the Nausf/Nudm/N1 authentication messages and tag N1/RRC
+ *   messages with the security context protecting them
+ */
+
+class AKAManager {
+    constructor() {
+        this.milenage = new Milenage();
+
+        // AMF field of AUTN with the separation bit set (TS 33.102 Annex H)
+        this.AMF_FIELD = '8000';
+
+        // 5GMM causes of Authentication Failure (TS 24.501 9.11.3.2)
+        this.FAILURE_CAUSES = {
+            MAC_FAILURE: { code: 20, name: 'MAC failure' },
+            SYNCH_FAILURE: { code: 21, name: 'Synch failure' },
+            NON_5G_AUTHENTICATION_UNACCEPTABLE: { code: 26, name: 'Non-5G authentication unacceptable' }
+        };
+
+        // SQN kept by the UDM per subscriber: imsi -> SQN_HE
+        this.sqnHE = new Map();
+
+        // Highest SQN accepted by each UE: ueId -> SQN_MS
+        this.sqnMS = new Map();
+
+        // NR security algorithms in the network's order of preference (TS 33.501 5.11.1)
+        this.ALGORITHM_PREFERENCE = {
+            ciphering: ['128-NEA2', '128-NEA1', '128-NEA3', 'NEA0'],
+            integrity: ['128-NIA2', '128-NIA1', '128-NIA3']
+        };
+
+        // Algorithm identities (4-bit values used as KDF input)
+        this.ALGORITHM_IDS = {
+            'NEA0': 0, '128-NEA1': 1, '128-NEA2': 2, '128-NEA3': 3,
+            'NIA0': 0, '128-NIA1': 1, '128-NIA2': 2, '128-NIA3': 3
+        };
+
+        // Algorithm type distinguishers (TS 33.501 A.8)
+        this.ALGORITHM_TYPES = {
+            NAS_ENC: 0x01, NAS_INT: 0x02,
+            RRC_ENC: 0x03, RRC_INT: 0x04,
+            UP_ENC: 0x05, UP_INT: 0x06
+        };
+
+        // Security capabilities advertised by simulated UEs
+        this.UE_SECURITY_CAPABILITIES = {
+            ciphering: ['NEA0', '128-NEA1', '128-NEA2', '128-NEA3'],
+            integrity: ['128-NIA1', '128-NIA2', '128-NIA3']
+        };
+
+        console.log('✅ AKAManager initialized');
+    }
+
+    // ==========================================
+    // Hash and key derivation (TS 33.220 Annex B)
+    // ==========================================
+
+    /**
+     * SHA-256 of a byte array
+     * @param {Uint8Array} data - Input bytes
+     * @returns {Uint8Array} 32-byte digest
+     */
+    sha256(data) {
+        const K = this.SHA256_K || (this.SHA256_K = this.buildSha256Constants());
+        const H = [0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a, 0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19];
+
+        // Pad to a multiple of 64 bytes with the message length in bits
+        const length = Math.ceil((data.length + 9) / 64) * 64;
+        const padded = new Uint8Array(length);
+        padded.set(data);
+        padded[data.length] = 0x80;
+        const view = new DataView(padded.buffer);
+        view.setUint32(length - 8, Math.floor(data.length / 0x20000000));
+        view.setUint32(length - 4, (data.length * 8) >>> 0);
+
+        const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+        const w = new Array(64);
+
+        for (let offset = 0; offset < length; offset += 64) {
+            for (let i = 0; i < 16; i++) {
+                w[i] = view.getUint32(offset + i * 4);
+            }
+            for (let i = 16; i < 64; i++) {
+                const s0 = rotr(w[i - 15], 7) ^ rotr(w[i - 15], 18) ^ (w[i - 15] >>> 3);
+                const s1 = rotr(w[i - 2], 17) ^ rotr(w[i - 2], 19) ^ (w[i - 2] >>> 10);
+                w[i] = (w[i - 16] + s0 + w[i - 7] + s1) | 0;
+            }
+
+            let [a, b, c, d, e, f, g, h] = H;
+            for (let i = 0; i < 64; i++) {
+                const t1 = (h + (rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25)) + ((e & f) ^ (~e & g)) + K[i] + w[i]) | 0;
+                const t2 = ((rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22)) + ((a & b) ^ (a & c) ^ (b & c))) | 0;
+                [h, g, f, e, d, c, b, a] = [g, f, e, (d + t1) | 0, c, b, a, (t1 + t2) | 0];
+            }
+            [a, b, c, d, e, f, g, h].forEach((value, i) => { H[i] = (H[i] + value) | 0; });
+        }
+
+        const digest = new Uint8Array(32);
+        const out = new DataView(digest.buffer);
+        H.forEach((value, i) => out.setUint32(i * 4, value >>> 0));
+        return digest;
+    }
+
+    /**
+     * SHA-256 round constants: fractional parts of the cube roots of the first 64 primes
+     * @returns {Array<number>} Round constants
+     */
+    buildSha256Constants() {
+        const constants = [];
+        for (let n = 2; constants.length < 64; n++) {
+            if (!this.isPrime(n)) continue;
+            const root = Math.cbrt(n);
+            constants.push(((root - Math.floor(root)) * 0x100000000) >>> 0);
+        }
+        return constants;
+    }
+
+    /**
+     * Primality test for the small constant table above
+     * @param {number} n - Candidate
+     * @returns {boolean} True if prime
+     */
+    isPrime(n) {
+        for (let i = 2; i * i <= n; i++) {
+            if (n % i === 0) return false;
+        }
+        return n > 1;
+    }
+
+    /**
+     * HMAC-SHA-256
+     * @param {Uint8Array} key - Key
+     * @param {Uint8Array} data - Message
+     * @returns {Uint8Array} 32-byte MAC
+     */
+    hmacSha256(key, data) {
+        const block = new Uint8Array(64);
+        block.set(key.length > 64 ? this.sha256(key) : key);
+
+        const inner = new Uint8Array(64 + data.length);
+        const outer = new Uint8Array(64 + 32);
+        for (let i = 0; i < 64; i++) {
+            inner[i] = block[i] ^ 0x36;
+            outer[i] = block[i] ^ 0x5c;
+        }
+        inner.set(data, 64);
+        outer.set(this.sha256(inner), 64);
+        return this.sha256(outer);
+    }
+
+    /**
+     * Generic 3GPP KDF: HMAC-SHA-256(Key, FC || P0 || L0 || P1 || L1 ...)
+     * @param {Uint8Array} key - Input key
+     * @param {number} fc - Function code
+     * @param {Array<Uint8Array>} params - P0..Pn
+     * @returns {Uint8Array} 32-byte derived key
+     */
+    kdf(key, fc, params) {
+        const length = 1 + params.reduce((sum, p) => sum + p.length + 2, 0);
+        const s = new Uint8Array(length);
+        s[0] = fc;
+
+        let offset = 1;
+        params.forEach(p => {
+            s.set(p, offset);
+            s[offset + p.length] = p.length >> 8;
+            s[offset + p.length + 1] = p.length & 0xff;
+            offset += p.length + 2;
+        });
+        return this.hmacSha256(key, s);
+    }
+
+    /**
+     * Serving network name used as KDF input (TS 24.501 9.12.1)
+     * @param {Object} amf - Serving AMF
+     * @returns {string} e.g. 5G:mnc001.mcc001.3gppnetwork.org
+     */
+    getServingNetworkName(amf) {
+        const plmn = window.mobilityManager?.getPLMN(amf) || { mcc: '001', mnc: '01' };
+        return `5G:mnc${plmn.mnc.padStart(3, '0')}.mcc${plmn.mcc}.3gppnetwork.org`;
+    }
+
+    /**
+     * RES* / XRES* = 128 least significant bits of KDF(CK||IK, 0x6B, SNN, RAND, RES)
+     * @param {string} ck - Cipher key
+     * @param {string} ik - Integrity key
+     * @param {string} snn - Serving network name
+     * @param {string} rand - RAND
+     * @param {string} res - RES / XRES from f2
+     * @returns {string} RES* / XRES* hex
+     */
+    deriveResStar(ck, ik, snn, rand, res) {
+        const m = this.milenage;
+        const out = this.kdf(m.hexToBytes(ck + ik), 0x6B,
+            [new TextEncoder().encode(snn), m.hexToBytes(rand), m.hexToBytes(res)]);
+        return m.bytesToHex(out.subarray(16));
+    }
+
+    /**
+     * HRES* / HXRES* = 128 least significant bits of SHA-256(RAND || RES*)
+     * @param {string} rand - RAND
+     * @param {string} resStar - RES* / XRES*
+     * @returns {string} HRES* / HXRES* hex
+     */
+    deriveHResStar(rand, resStar) {
+        const m = this.milenage;
+        return m.bytesToHex(this.sha256(m.hexToBytes(rand + resStar)).subarray(16));
+    }
+
+    /**
+     * KSEAF = KDF(KAUSF, 0x6C, SNN) (TS 33.501 A.6)
+     * @param {string} kausf - KAUSF
+     * @param {string} snn - Serving network name
+     * @returns {string} KSEAF hex
+     */
+    deriveKSEAF(kausf, snn) {
+        const m = this.milenage;
+        return m.bytesToHex(this.kdf(m.hexToBytes(kausf), 0x6C, [new TextEncoder().encode(snn)]));
+    }
+
+    /**
+     * KAMF = KDF(KSEAF, 0x6D, SUPI, ABBA) (TS 33.501 A.7)
+     * @param {string} kseaf - KSEAF
+     * @param {string} imsi - IMSI digits of the SUPI
+     * @param {string} abba - ABBA parameter
+     * @returns {string} KAMF hex
+     */
+    deriveKAMF(kseaf, imsi, abba) {
+        const m = this.milenage;
+        return m.bytesToHex(this.kdf(m.hexToBytes(kseaf), 0x6D, [new TextEncoder().encode(imsi), m.hexToBytes(abba)]));
+    }
+
+    /**
+     * Algorithm key = 128 least significant bits of KDF(key, 0x69, type distinguisher, algorithm id) (TS 33.501 A.8)
+     * @param {string} key - KAMF (NAS keys) or KgNB (AS keys)
+     * @param {number} typeDistinguisher - One of ALGORITHM_TYPES
+     * @param {string} algorithm - e.g. 128-NEA2
+     * @returns {string} 128-bit key hex
+     */
+    deriveAlgorithmKey(key, typeDistinguisher, algorithm) {
+        const m = this.milenage;
+        const out = this.kdf(m.hexToBytes(key), 0x69,
+            [new Uint8Array([typeDistinguisher]), new Uint8Array([this.ALGORITHM_IDS[algorithm]])]);
+        return m.bytesToHex(out.subarray(16));
+    }
+
+    /**
+     * KgNB = KDF(KAMF, 0x6E, uplink NAS COUNT, access type distinguisher) (TS 33.501 A.9)
+     * @param {string} kamf - KAMF
+     * @param {number} uplinkNasCount - Uplink NAS COUNT
+     * @returns {string} KgNB hex
+     */
+    deriveKgNB(kamf, uplinkNasCount) {
+        const m = this.milenage;
+        const count = new Uint8Array(4);
+        new DataView(count.buffer).setUint32(0, uplinkNasCount);
+        return m.bytesToHex(this.kdf(m.hexToBytes(kamf), 0x6E, [count, new Uint8Array([0x01])]));
+    }
+
+    /**
+     * Short identifier of a key for display (its first 32 bits)
+     * @param {string} key - Key hex
+     * @returns {string|null} Key identifier
+     */
+    keyId(key) {
+        return key ? `${key.substring(0, 8)}…` : null;
+    }
+
+    // ==========================================
+    // UDM / AUSF / UE procedures
+    // ==========================================
+
+    /**
+     * UDM (ARPF): generate a 5G HE AKA vector for a subscriber
+     * @param {Object} subscriber - UDR record {imsi, key, opc}
+     * @param {string} snn - Serving network name
+     * @returns {Object} {rand, autn, xresStar, kausf, sqn}
+     */
+    generateAuthVector(subscriber, snn) {
+        const m = this.milenage;
+        const sqnValue = (this.sqnHE.get(subscriber.imsi) || 0) + 1;
+        this.sqnHE.set(subscriber.imsi, sqnValue);
+
+        const sqn = sqnValue.toString(16).padStart(12, '0');
+        const rand = m.bytesToHex(crypto.getRandomValues(new Uint8Array(16)));
+        const { macA } = m.f1(subscriber.key, subscriber.opc, rand, sqn, this.AMF_FIELD);
+        const { res, ck, ik, ak } = m.f2345(subscriber.key, subscriber.opc, rand);
+
+        const sqnXorAk = m.bytesToHex(m.xor(m.hexToBytes(sqn), m.hexToBytes(ak)));
+        const kausf = m.bytesToHex(this.kdf(m.hexToBytes(ck + ik), 0x6A,
+            [new TextEncoder().encode(snn), m.hexToBytes(sqnXorAk)]));
+
+        return {
+            rand,
+            autn: sqnXorAk + this.AMF_FIELD + macA,
+            xresStar: this.deriveResStar(ck, ik, snn, rand, res),
+            kausf,
+            sqn
+        };
+    }
+
+    /**
+     * UDM: re-synchronise SQN_HE from the AUTS sent by the UE (TS 33.102 6.3.5)
+     * @param {Object} subscriber - UDR record
+     * @param {string} rand - RAND of the rejected challenge
+     * @param {string} auts - SQN_MS XOR AK* || MAC-S
+     * @returns {boolean} True if MAC-S verified and SQN_HE was reset
+     */
+    resynchronise(subscriber, rand, auts) {
+        const m = this.milenage;
+        const { akStar } = m.f2345(subscriber.key, subscriber.opc, rand);
+        const sqnMS = m.bytesToHex(m.xor(m.hexToBytes(auts.slice(0, 12)), m.hexToBytes(akStar)));
+        const { macS } = m.f1(subscriber.key, subscriber.opc, rand, sqnMS, '0000');
+
+        if (macS !== auts.slice(12)) return false;
+
+        this.sqnHE.set(subscriber.imsi, parseInt(sqnMS, 16));
+        return true;
+    }
+
+    /**
+     * UE (USIM): verify AUTN and compute RES* (TS 33.501 6.1.3.2 step 7)
+     * @param {Object} ue - UE NF with subscriberKey/subscriberOpc
+     * @param {string} rand - RAND
+     * @param {string} autn - AUTN
+     * @param {string} snn - Serving network name
+     * @returns {Object} {result: 'OK'|'MAC_FAILURE'|'SYNCH_FAILURE'|'NON_5G_AUTHENTICATION_UNACCEPTABLE', resStar, kausf, auts}
+     */
+    computeUEResponse(ue, rand, autn, snn) {
+        const m = this.milenage;
+        const key = ue.config.subscriberKey;
+        const opc = ue.config.subscriberOpc;
+
+        let vectors;
+        try {
+            vectors = m.f2345(key, opc, rand);
+        } catch (error) {
+            return { result: 'MAC_FAILURE' };
+        }
+
+        const sqn = m.bytesToHex(m.xor(m.hexToBytes(autn.slice(0, 12)), m.hexToBytes(vectors.ak)));
+        const amfField = autn.slice(12, 16);
+        const { macA } = m.f1(key, opc, rand, sqn, amfField);
+
+        if (macA !== autn.slice(16)) {
+            return { result: 'MAC_FAILURE' };
+        }
+
+        if (!(parseInt(amfField, 16) & 0x8000)) {
+            return { result: 'NON_5G_AUTHENTICATION_UNACCEPTABLE' };
+        }
+
+        const sqnValue = parseInt(sqn, 16);
+        const sqnMS = this.sqnMS.get(ue.id) || 0;
+        if (sqnValue <= sqnMS) {
+            const sqnMSHex = sqnMS.toString(16).padStart(12, '0');
+            const { macS } = m.f1(key, opc, rand, sqnMSHex, '0000');
+            const concealed = m.bytesToHex(m.xor(m.hexToBytes(sqnMSHex), m.hexToBytes(vectors.akStar)));
+            return { result: 'SYNCH_FAILURE', auts: concealed + macS };
+        }
+
+        this.sqnMS.set(ue.id, sqnValue);
+        return {
+            result: 'OK',
+            resStar: this.deriveResStar(vectors.ck, vectors.ik, snn, rand, vectors.res),
+            kausf: m.bytesToHex(this.kdf(m.hexToBytes(vectors.ck + vectors.ik), 0x6A,
+                [new TextEncoder().encode(snn), m.hexToBytes(autn.slice(0, 12))]))
+        };
+    }
+
+    /**
+     * SUPI for the identity received by the UDM, de-concealing a SUCI in the SIDF
+     * @param {string} supiOrSuci - SUPI or SUCI
+     * @param {Object} udm - UDM NF
+     * @returns {string} SUPI
+     * @throws {Error} If the SUCI cannot be de-concealed
+     */
+    resolveSUPI(supiOrSuci, udm) {
+        if (!supiOrSuci.startsWith('suci-') || !window.suciManager) {
+            return supiOrSuci;
+        }
+
+        const { supi, scheme } = window.suciManager.deconceal(supiOrSuci, udm);
+        if (window.logEngine) {
+            window.logEngine.addLog(udm.id, 'INFO', `SIDF: SUCI de-concealed (${window.suciManager.PROTECTION_SCHEMES[scheme].name})`, {
+                suci: supiOrSuci,
+                supi
+            });
+        }
+        return supi;
+    }
+
+    /**
+     * Find a stable NF of a type in the UE's subnet
+     * @param {Object} ue - UE NF
+     * @param {string} type - NF type
+     * @returns {Object|null} NF
+     */
+    findNF(ue, type) {
+        const ueNetwork = window.sessionManager?.getNetworkFromIP(ue.config.ipAddress);
+        return (window.dataStore?.getAllNFs() || []).find(nf =>
+            nf.type === type &&
+            nf.status === 'stable' &&
+            window.sessionManager.getNetworkFromIP(nf.config.ipAddress) === ueNetwork
+        ) || null;
+    }
+
+    // ==========================================
+    // 5G-AKA message flow
+    // ==========================================
+
+    /**
+     * Run 5G-AKA for a registering UE
+     * @param {Object} ue - UE NF
+     * @param {Object} amf - Serving AMF (SEAF)
+     * @returns {Promise<Object>} {success, cause, kseaf}
+     */
+    async authenticate(ue, amf) {
+        try {
+            return await this.runAuthentication(ue, amf);
+        } catch (error) {
+            // An SBI request of the flow was refused (e.g. access token rejected by the AUSF/UDM)
+            console.error(`❌ 5G-AKA failed for ${ue.name}: ${error.message}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(amf.id, 'ERROR', `5G-AKA failed for ${ue.name}: ${error.message}`);
+            }
+            return { success: false, cause: error.message, kseaf: null };
+        }
+    }
+
+    /**
+     * 5G-AKA message flow between the AMF, AUSF, UDM and the UE
+     * @param {Object} ue - UE NF
+     * @param {Object} amf - Serving AMF (SEAF)
+     * @returns {Promise<Object>} {success, cause, kseaf}
+     */
+    async runAuthentication(ue, amf) {
+        const sessionManager = window.sessionManager;
+
+        const fail = (cause, level = 'ERROR') => {
+            console.error(`❌ 5G-AKA failed for ${ue.name}: ${cause}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(amf.id, level, `5G-AKA failed for ${ue.name}: ${cause}`);
+            }
+            return { success: false, cause, kseaf: null };
+        };
+
+        // AMF discovers the AUSF, the AUSF discovers the UDM (Nnrf_NFDiscovery)
+        const ausfDiscovery = window.nrfManager.discover(amf, { targetNfType: 'AUSF' });
+        const ausf = ausfDiscovery.nfs[0];
+        if (!ausf) return fail(`AUSF discovery failed: ${ausfDiscovery.reason}`);
+        const udmDiscovery = window.nrfManager.discover(ausf, { targetNfType: 'UDM' });
+        const udm = udmDiscovery.nfs[0];
+        if (!udm) return fail(`UDM discovery failed: ${udmDiscovery.reason}`);
+
+        // SUCI from the Registration Request unless the AMF resolved a 5G-GUTI to the SUPI
+        const context = sessionManager.getUEContext(ue.id);
+        const supiOrSuci = context.supi || context.suci || `imsi-${ue.config.subscriberImsi}`;
+        const snn = this.getServingNetworkName(amf);
+        const ngKSI = ((context.security?.ngKSI ?? -1) + 1) % 7;
+
+        console.log(`🔐 Starting 5G-AKA for ${ue.name}`);
+
+        // Step 1: AMF → AUSF: Nausf_UEAuthentication_Authenticate Request
+        await sessionManager.sendSignal(amf, ausf, 'Nausf_UEAuthentication', 'request',
+            'Nausf_UEAuthentication_Authenticate (HTTP/2 POST)', {
+            endpoint: '/nausf-auth/v1/ue-authentications',
+            supiOrSuci: supiOrSuci,
+            servingNetworkName: snn
+        }, 'HTTP/2', 'POST');
+
+        let resynchronisationInfo = null;
+
+        for (let attempt = 1; attempt <= 2; attempt++) {
+            // Step 2: AUSF → UDM: Nudm_UEAuthentication_Get
+            await sessionManager.sendSignal(ausf, udm, 'Nudm_UEAuthentication', 'request',
+                'Nudm_UEAuthentication_Get (HTTP/2 POST)', {
+                endpoint: `/nudm-ueau/v1/${supiOrSuci}/security-information/generate-auth-data`,
+                servingNetworkName: snn,
+                ausfInstanceId: ausf.id,
+                ...(resynchronisationInfo && { resynchronizationInfo: resynchronisationInfo })
+            }, 'HTTP/2', 'POST');
+
+            // UDM/SIDF de-conceals the SUCI before looking up the subscription
+            let supi;
+            try {
+                supi = this.resolveSUPI(supiOrSuci, udm);
+            } catch (error) {
+                await sessionManager.sendSignal(udm, ausf, 'Nudm_UEAuthentication', 'response',
+                    'Nudm_UEAuthentication_Get Response (403 Forbidden)', {
+                    status: 403,
+                    cause: 'AUTHENTICATION_REJECTED',
+                    detail: `SUCI de-concealment failed: ${error.message}`
+                }, 'HTTP/2');
+                await sessionManager.sendSignal(ausf, amf, 'Nausf_UEAuthentication', 'response',
+                    'Nausf_UEAuthentication_Authenticate Response (403 Forbidden)', {
+                    status: 403,
+                    cause: 'AUTHENTICATION_REJECTED'
+                }, 'HTTP/2');
+                return fail(`SIDF could not de-conceal SUCI: ${error.message}`);
+            }
+
+            const subscriber = (window.dataStore?.getSubscribers() || []).find(s => `imsi-${s.imsi}` === supi);
+            if (!subscriber) {
+                await sessionManager.sendSignal(udm, ausf, 'Nudm_UEAuthentication', 'response',
+                    'Nudm_UEAuthentication_Get Response (404 Not Found)', {
+                    status: 404,
+                    cause: 'USER_NOT_FOUND'
+                }, 'HTTP/2');
+                await sessionManager.sendSignal(ausf, amf, 'Nausf_UEAuthentication', 'response',
+                    'Nausf_UEAuthentication_Authenticate Response (403 Forbidden)', {
+                    status: 403,
+                    cause: 'USER_NOT_FOUND'
+                }, 'HTTP/2');
+                return fail(`Subscriber ${supi} unknown in UDM (USER_NOT_FOUND)`);
+            }
+
+            if (resynchronisationInfo && !this.resynchronise(subscriber, resynchronisationInfo.rand, resynchronisationInfo.auts)) {
+                return fail('AUTS verification failed in UDM - SQN not re-synchronised');
+            }
+
+            // Step 3: UDM/ARPF generates the 5G HE AV with MILENAGE
+            const av = this.generateAuthVector(subscriber, snn);
+            if (window.logEngine) {
+                window.logEngine.addLog(udm.id, 'INFO', `5G HE AV generated for ${supi} (MILENAGE)`, {
+                    sqn: av.sqn,
+                    amf: this.AMF_FIELD,
+                    rand: av.rand
+                });
+            }
+
+            await sessionManager.sendSignal(udm, ausf, 'Nudm_UEAuthentication', 'response',
+                'Nudm_UEAuthentication_Get Response (200 OK)', {
+                authType: '5G_AKA',
+                authenticationVector: { avType: '5G_HE_AKA', rand: av.rand, autn: av.autn, xresStar: av.xresStar, kausf: av.kausf },
+                supi: supi
+            }, 'HTTP/2');
+
+            // Step 4: AUSF stores XRES*, hands the SE AV (HXRES*) to the AMF
+            const hxresStar = this.deriveHResStar(av.rand, av.xresStar);
+            await sessionManager.sendSignal(ausf, amf, 'Nausf_UEAuthentication', 'response',
+                'Nausf_UEAuthentication_Authenticate Response (201 Created)', {
+                authType: '5G_AKA',
+                '5gAuthData': { rand: av.rand, autn: av.autn, hxresStar: hxresStar },
+                _links: { '5g-aka': { href: `/nausf-auth/v1/ue-authentications/${supi}/5g-aka-confirmation` } }
+            }, 'HTTP/2');
+
+            // Step 5: AMF → UE: Authentication Request
+            await sessionManager.sendSignal(amf, ue, 'N1', 'request', 'N1: Authentication Request', {
+                messageType: 'AUTHENTICATION_REQUEST',
+                ngKSI: ngKSI,
+                abba: '0000',
+                rand: av.rand,
+                autn: av.autn
+            });
+
+            // Step 6: UE verifies AUTN and computes RES*
+            const response = this.computeUEResponse(ue, av.rand, av.autn, snn);
+
+            if (response.result === 'SYNCH_FAILURE' && attempt === 1) {
+                const cause = this.FAILURE_CAUSES.SYNCH_FAILURE;
+                await sessionManager.sendSignal(ue, amf, 'N1', 'response', 'N1: Authentication Failure (Synch failure)', {
+                    messageType: 'AUTHENTICATION_FAILURE',
+                    '5gmmCause': cause.code,
+                    authenticationFailureParameter: response.auts
+                });
+
+                // AMF asks the AUSF/UDM for a fresh vector with the resynchronisation info
+                resynchronisationInfo = { rand: av.rand, auts: response.auts };
+                await sessionManager.sendSignal(amf, ausf, 'Nausf_UEAuthentication', 'request',
+                    'Nausf_UEAuthentication_Authenticate (HTTP/2 POST, resynchronisation)', {
+                    supiOrSuci: supiOrSuci,
+                    servingNetworkName: snn,
+                    resynchronizationInfo: resynchronisationInfo
+                }, 'HTTP/2', 'POST');
+                continue;
+            }
+
+            if (response.result !== 'OK') {
+                const cause = this.FAILURE_CAUSES[response.result];
+                await sessionManager.sendSignal(ue, amf, 'N1', 'response', `N1: Authentication Failure (${cause.name})`, {
+                    messageType: 'AUTHENTICATION_FAILURE',
+                    '5gmmCause': cause.code,
+                    ...(response.auts && { authenticationFailureParameter: response.auts })
+                });
+                await this.sendAuthenticationReject(amf, ue, `#${cause.code} ${cause.name}`);
+                return fail(`Authentication Failure #${cause.code} (${cause.name}) - UE key/OPc do not match the subscription`);
+            }
+
+            await sessionManager.sendSignal(ue, amf, 'N1', 'response', 'N1: Authentication Response', {
+                messageType: 'AUTHENTICATION_RESPONSE',
+                authenticationResponseParameter: response.resStar
+            });
+
+            // Step 7: AMF/SEAF compares HRES* with HXRES*
+            const hresStar = this.deriveHResStar(av.rand, response.resStar);
+            if (hresStar !== hxresStar) {
+                await this.sendAuthenticationReject(amf, ue, 'HRES* does not match HXRES*');
+                return fail('HRES* does not match HXRES*');
+            }
+
+            if (window.logEngine) {
+                window.logEngine.addLog(amf.id, 'SUCCESS', 'SEAF: HRES* matches HXRES*', { hresStar });
+            }
+
+            // Step 8: AMF → AUSF: 5G-AKA confirmation with RES*
+            await sessionManager.sendSignal(amf, ausf, 'Nausf_UEAuthentication', 'request',
+                'Nausf_UEAuthentication_Authenticate (HTTP/2 PUT 5g-aka-confirmation)', {
+                endpoint: `/nausf-auth/v1/ue-authentications/${supi}/5g-aka-confirmation`,
+                resStar: response.resStar
+            }, 'HTTP/2', 'PUT');
+
+            // Step 9: AUSF compares RES* with XRES* and derives KSEAF
+            if (response.resStar !== av.xresStar) {
+                await sessionManager.sendSignal(ausf, amf, 'Nausf_UEAuthentication', 'response',
+                    'Nausf_UEAuthentication_Authenticate Response (200 OK)', {
+                    authResult: 'AUTHENTICATION_FAILURE'
+                }, 'HTTP/2');
+                await this.sendAuthenticationReject(amf, ue, 'RES* does not match XRES*');
+                return fail('RES* does not match XRES* in AUSF');
+            }
+
+            const kseaf = this.deriveKSEAF(av.kausf, snn);
+
+            await sessionManager.sendSignal(ausf, amf, 'Nausf_UEAuthentication', 'response',
+                'Nausf_UEAuthentication_Authenticate Response (200 OK)', {
+                authResult: 'AUTHENTICATION_SUCCESS',
+                supi: supi,
+                kseaf: kseaf
+            }, 'HTTP/2');
+
+            // New partial native security contexts in the AMF and the UE; the AMF now knows the SUPI
+            context.supi = supi;
+            context.security = { ngKSI, abba: '0000', servingNetworkName: snn, kseaf };
+            ue.config.securityContext = {
+                ngKSI,
+                abba: '0000',
+                servingNetworkName: snn,
+                kausf: response.kausf,
+                kseaf: this.deriveKSEAF(response.kausf, snn)
+            };
+            window.dataStore?.updateNF(ue.id, ue);
+
+            console.log(`✅ 5G-AKA succeeded for ${ue.name}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(ausf.id, 'SUCCESS', `5G-AKA successful for ${supi}`, {
+                    resStar: response.resStar,
+                    kseaf: kseaf.substring(0, 16) + '...'
+                });
+            }
+
+            return { success: true, cause: null, kseaf };
+        }
+
+        await this.sendAuthenticationReject(amf, ue, 'SQN re-synchronisation failed');
+        return fail('SQN re-synchronisation failed');
+    }
+
+    async sendAuthenticationReject(amf, ue, reason) {
+        await window.sessionManager.sendSignal(amf, ue, 'N1', 'response', 'N1: Authentication Reject', {
+            messageType: 'AUTHENTICATION_REJECT',
+            reason: reason
+        });
+    }
+
+    // ==========================================
+    // Security mode control (TS 33.501 6.7)
+    // ==========================================
+
+    /**
+     * Pick the most preferred algorithms the UE supports
+     * @param {Object} capabilities - { ciphering: [], integrity: [] }
+     * @returns {Object} { ciphering, integrity }
+     */
+    selectAlgorithms(capabilities) {
+        return {
+            ciphering: this.ALGORITHM_PREFERENCE.ciphering.find(a => capabilities.ciphering.includes(a)) || 'NEA0',
+            integrity: this.ALGORITHM_PREFERENCE.integrity.find(a => capabilities.integrity.includes(a)) || 'NIA0'
+        };
+    }
+
+    /**
+     * KSEAF → KAMF → KNASenc / KNASint
+     * @param {Object} context - Security context holding kseaf and abba
+     * @param {string} imsi - IMSI digits
+     * @param {Object} algorithms - Selected NAS algorithms
+     */
+    deriveNASKeys(context, imsi, algorithms) {
+        context.kamf = this.deriveKAMF(context.kseaf, imsi, context.abba);
+        context.knasEnc = this.deriveAlgorithmKey(context.kamf, this.ALGORITHM_TYPES.NAS_ENC, algorithms.ciphering);
+        context.knasInt = this.deriveAlgorithmKey(context.kamf, this.ALGORITHM_TYPES.NAS_INT, algorithms.integrity);
+        context.nasAlgorithms = { ...algorithms };
+        context.uplinkNasCount = 0;
+    }
+
+    /**
+     * KAMF → KgNB → KRRCenc / KRRCint / KUPenc / KUPint
+     * @param {Object} context - Security context holding kamf and uplinkNasCount
+     * @param {Object} algorithms - Selected AS algorithms
+     */
+    deriveASKeys(context, algorithms) {
+        context.kgnb = this.deriveKgNB(context.kamf, context.uplinkNasCount);
+        context.krrcEnc = this.deriveAlgorithmKey(context.kgnb, this.ALGORITHM_TYPES.RRC_ENC, algorithms.ciphering);
+        context.krrcInt = this.deriveAlgorithmKey(context.kgnb, this.ALGORITHM_TYPES.RRC_INT, algorithms.integrity);
+        context.kupEnc = this.deriveAlgorithmKey(context.kgnb, this.ALGORITHM_TYPES.UP_ENC, algorithms.ciphering);
+        context.kupInt = this.deriveAlgorithmKey(context.kgnb, this.ALGORITHM_TYPES.UP_INT, algorithms.integrity);
+        context.asAlgorithms = { ...algorithms };
+    }
+
+    /**
+     * NAS Security Mode Command / Complete after 5G-AKA, followed by AS
+     * security activation on the serving gNB
+     * @param {Object} ue - UE NF
+     * @param {Object} amf - Serving AMF
+     * @returns {Promise<Object>} {success, cause}
+     */
+    async performSecurityModeControl(ue, amf) {
+        const sessionManager = window.sessionManager;
+        const amfContext = sessionManager.getUEContext(ue.id).security;
+        const ueContext = ue.config.securityContext;
+
+        const fail = (cause) => {
+            console.error(`❌ Security mode control failed for ${ue.name}: ${cause}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(amf.id, 'ERROR', `NAS Security Mode Control failed for ${ue.name}: ${cause}`);
+            }
+            return { success: false, cause };
+        };
+
+        if (!amfContext?.kseaf || !ueContext?.kseaf) {
+            return fail('No KSEAF - UE has not been authenticated');
+        }
+
+        const imsi = ue.config.subscriberImsi;
+        const capabilities = this.UE_SECURITY_CAPABILITIES;
+
+        // Step 1: AMF selects NAS algorithms and derives KAMF, KNASenc, KNASint
+        const algorithms = this.selectAlgorithms(capabilities);
+        this.deriveNASKeys(amfContext, imsi, algorithms);
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf.id, 'INFO', 'Key hierarchy: KSEAF → KAMF → KNASenc / KNASint', {
+                ngKSI: amfContext.ngKSI,
+                KSEAF: this.keyId(amfContext.kseaf),
+                KAMF: this.keyId(amfContext.kamf),
+                KNASenc: this.keyId(amfContext.knasEnc),
+                KNASint: this.keyId(amfContext.knasInt)
+            });
+        }
+
+        // Step 2: AMF → UE: Security Mode Command (integrity protected, not ciphered)
+        await sessionManager.sendSignal(amf, ue, 'N1', 'request', 'N1: Security Mode Command', {
+            messageType: 'SECURITY_MODE_COMMAND',
+            selectedNASSecurityAlgorithms: algorithms,
+            ngKSI: amfContext.ngKSI,
+            abba: amfContext.abba,
+            replayedUESecurityCapabilities: capabilities,
+            securityHeader: { type: 'INTEGRITY_PROTECTED_WITH_NEW_5G_NAS_SECURITY_CONTEXT', integrity: algorithms.integrity, key: `KNASint ${this.keyId(amfContext.knasInt)}` }
+        });
+
+        // Step 3: UE derives the same keys from its own KSEAF and checks the MAC
+        this.deriveNASKeys(ueContext, imsi, algorithms);
+        window.dataStore?.updateNF(ue.id, ue);
+
+        if (ueContext.knasInt !== amfContext.knasInt) {
+            await sessionManager.sendSignal(ue, amf, 'N1', 'response', 'N1: Security Mode Reject', {
+                messageType: 'SECURITY_MODE_REJECT',
+                '5gmmCause': 24
+            });
+            return fail('Security Mode Reject #24 (security mode rejected, unspecified)');
+        }
+
+        // Step 4: UE → AMF: Security Mode Complete (ciphered and integrity protected)
+        await sessionManager.sendSignal(ue, amf, 'N1', 'response', 'N1: Security Mode Complete', {
+            messageType: 'SECURITY_MODE_COMPLETE',
+            nasMessageContainer: { messageType: 'REGISTRATION_REQUEST' },
+            securityHeader: { type: 'INTEGRITY_PROTECTED_AND_CIPHERED_WITH_NEW_5G_NAS_SECURITY_CONTEXT', ...algorithms }
+        });
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf.id, 'SUCCESS', `NAS security context established for ${ue.name}`, {
+                ciphering: algorithms.ciphering,
+                integrity: algorithms.integrity,
+                ngKSI: amfContext.ngKSI
+            });
+        }
+
+        // Step 5: AS security on the serving gNB (UE attached to the AMF directly has none)
+        const gnb = sessionManager.getServingGNB(ue.id);
+        if (gnb) {
+            await this.activateASSecurity(amf, gnb, ue);
+        } else if (window.logEngine) {
+            window.logEngine.addLog(ue.id, 'INFO', 'No serving gNB - AS security not activated');
+        }
+
+        return { success: true, cause: null };
+    }
+
+    /**
+     * AS security mode: AMF hands KgNB to the gNB in Initial Context Setup,
+     * gNB runs the RRC Security Mode Command (TS 33.501 6.7.4)
+     * @param {Object} amf - Serving AMF
+     * @param {Object} gnb - Serving gNB
+     * @param {Object} ue - UE NF
+     */
+    async activateASSecurity(amf, gnb, ue) {
+        const sessionManager = window.sessionManager;
+        const context = sessionManager.getUEContext(ue.id);
+        const ueContext = ue.config.securityContext;
+
+        // AMF derives KgNB; the gNB derives the AS keys from it
+        context.security.kgnb = this.deriveKgNB(context.security.kamf, context.security.uplinkNasCount);
+        const algorithms = this.selectAlgorithms(this.UE_SECURITY_CAPABILITIES);
+        context.asSecurity = { kamf: context.security.kamf, uplinkNasCount: context.security.uplinkNasCount };
+        this.deriveASKeys(context.asSecurity, algorithms);
+
+        await sessionManager.sendSignal(amf, gnb, 'N2', 'request', 'N2: Initial Context Setup Request (security)', {
+            messageType: 'INITIAL_CONTEXT_SETUP_REQUEST',
+            ueSecurityCapabilities: this.UE_SECURITY_CAPABILITIES,
+            securityKey: `KgNB ${this.keyId(context.security.kgnb)}`
+        }, 'NGAP');
+
+        if (window.logEngine) {
+            window.logEngine.addLog(gnb.id, 'INFO', 'Key hierarchy: KgNB → KRRCenc / KRRCint / KUPenc / KUPint', {
+                KgNB: this.keyId(context.asSecurity.kgnb),
+                KRRCenc: this.keyId(context.asSecurity.krrcEnc),
+                KRRCint: this.keyId(context.asSecurity.krrcInt),
+                KUPenc: this.keyId(context.asSecurity.kupEnc),
+                KUPint: this.keyId(context.asSecurity.kupInt)
+            });
+        }
+
+        await sessionManager.sendSignal(gnb, ue, 'RRC', 'request', 'RRC: Security Mode Command', {
+            rrcMessage: 'SecurityModeCommand',
+            securityAlgorithmConfig: { cipheringAlgorithm: algorithms.ciphering, integrityProtAlgorithm: algorithms.integrity },
+            integrityProtectedWith: `KRRCint ${this.keyId(context.asSecurity.krrcInt)}`
+        });
+
+        // UE derives KgNB and the AS keys from its own KAMF
+        this.deriveASKeys(ueContext, algorithms);
+        window.dataStore?.updateNF(ue.id, ue);
+
+        await sessionManager.sendSignal(ue, gnb, 'RRC', 'response', 'RRC: Security Mode Complete', {
+            rrcMessage: 'SecurityModeComplete',
+            integrityProtectedWith: `KRRCint ${this.keyId(ueContext.krrcInt)}`
+        });
+
+        await sessionManager.sendSignal(gnb, amf, 'N2', 'response', 'N2: Initial Context Setup Response', {
+            messageType: 'INITIAL_CONTEXT_SETUP_RESPONSE'
+        }, 'NGAP');
+
+        if (window.logEngine) {
+            window.logEngine.addLog(gnb.id, 'SUCCESS', `AS security activated for ${ue.name}`, {
+                ciphering: algorithms.ciphering,
+                integrity: algorithms.integrity
+            });
+        }
+    }
+
+    /**
+     * Derive a fresh KgNB and AS keys when the UE sets up a new RRC
+     * connection (the uplink NAS COUNT of the Service Request has moved on)
+     * @param {Object} ue - UE NF
+     * @returns {string|null} Identifier of the new KgNB
+     */
+    refreshKgNB(ue) {
+        const context = window.sessionManager?.getUEContext(ue.id);
+        const ueContext = ue.config.securityContext;
+        if (!context?.security?.kamf || !ueContext?.kamf) return null;
+
+        context.security.uplinkNasCount++;
+        ueContext.uplinkNasCount = context.security.uplinkNasCount;
+
+        const algorithms = context.asSecurity?.asAlgorithms || this.selectAlgorithms(this.UE_SECURITY_CAPABILITIES);
+        context.asSecurity = { kamf: context.security.kamf, uplinkNasCount: context.security.uplinkNasCount };
+        this.deriveASKeys(context.asSecurity, algorithms);
+        this.deriveASKeys(ueContext, algorithms);
+        context.security.kgnb = context.asSecurity.kgnb;
+
+        return `KgNB ${this.keyId(context.security.kgnb)}`;
+    }
+
+    /**
+     * Security protecting a UE message, for the message inspector
+     * @param {string} sourceId - Sending NF ID
+     * @param {string} targetId - Receiving NF ID
+     * @param {string} interfaceName - Interface of the message
+     * @returns {Object|null} { layer, ngKSI, ciphering, integrity, keys }
+     */
+    getMessageSecurity(sourceId, targetId, interfaceName) {
+        const ue = [sourceId, targetId].map(id => window.dataStore?.getNFById(id)).find(nf => nf?.type === 'UE');
+        if (!ue) return null;
+
+        // Network side keys (AMF / gNB) are in place before the UE derives its own
+        const context = window.sessionManager?.getUEContext(ue.id);
+        const nas = context?.security?.nasAlgorithms ? context.security : ue.config.securityContext;
+        const as = context?.asSecurity || ue.config.securityContext;
+
+        if (interfaceName === 'N1' && nas?.nasAlgorithms) {
+            return {
+                layer: 'NAS',
+                ngKSI: nas.ngKSI,
+                ...nas.nasAlgorithms,
+                keys: { KAMF: this.keyId(nas.kamf), KNASenc: this.keyId(nas.knasEnc), KNASint: this.keyId(nas.knasInt) }
+            };
+        }
+
+        if (interfaceName === 'RRC' && as?.asAlgorithms) {
+            return {
+                layer: 'AS (RRC)',
+                ngKSI: nas?.ngKSI,
+                ...as.asAlgorithms,
+                keys: { KgNB: this.keyId(as.kgnb), KRRCenc: this.keyId(as.krrcEnc), KRRCint: this.keyId(as.krrcInt) }
+            };
+        }
+
+        if (interfaceName === 'Radio' && as?.asAlgorithms) {
+            return {
+                layer: 'AS (UP)',
+                ngKSI: nas?.ngKSI,
+                ...as.asAlgorithms,
+                keys: { KgNB: this.keyId(as.kgnb), KUPenc: this.keyId(as.kupEnc), KUPint: this.keyId(as.kupInt) }
+            };
+        }
+
+        return null;
+    }
+
+    /**
+     * Forget authentication state of a removed UE
+     * @param {string} ueId - UE ID
+     */
+    removeUE(ueId) {
+        this.sqnMS.delete(ueId);
+    }
+}
+
+// Export for global access
+window.AKAManager = AKAManager;
@@ -93,6 +93,36 @@ async function initializeApp() {
         // Session Manager
         window.sessionManager = new SessionManager();
         
+        // Mobility Manager (tracking areas, registration areas)
+        window.mobilityManager = new MobilityManager();
+        
+        // NAS Timer Manager (T3512, mobile reachable, implicit deregistration)
+        window.nasTimerManager = new NASTimerManager();
+        
+        // AKA Manager (5G-AKA primary authentication with MILENAGE)
+        window.akaManager = new AKAManager();
+        
+        // SUCI Manager (SUPI concealment, SIDF and 5G-GUTI allocation)
+        window.suciManager = new SUCIManager();
+        
+        // QoS Manager (QoS flows, Session-AMBR, PDU Session Modification)
+        window.qosManager = new QoSManager();
+        
+        // PFCP Manager (UPF session table: PDR/FAR/QER/URR)
+        window.pfcpManager = new PFCPManager();
+        
+        // User Plane Manager (UPF chain of PDU sessions: N9, I-UPF, UL-CL)
+        window.userPlaneManager = new UserPlaneManager();
+        
+        // Slice Manager (NSSF selection, allowed/rejected NSSAI, slice-aware SMFs)
+        window.sliceManager = new SliceManager();
+        
+        // NRF Manager (NF profile registry, discovery, status subscriptions)
+        window.nrfManager = new NRFManager();
+        
+        // Exposure Manager (NEF monitoring events and AF sessions with QoS)
+        window.exposureManager = new ExposureManager();
+        
         // Packet Animator
         window.packetAnimator = new PacketAnimator();
         window.packetAnimator.init();
@@ -216,6 +246,16 @@ function getDefaultNFDefinitions() {
             color: '#95a5a6',
             description: 'Exposes network capabilities'
         },
+        'NEF': {
+            name: 'Network Exposure Function',
+            color: '#3f51b5',
+            description: 'Exposes network events and QoS to AFs'
+        },
+        'AF': {
+            name: 'Application Function',
+            color: '#795548',
+            description: 'External application using the NEF APIs'
+        },
         'gNB': {
             name: 'Next Generation NodeB (5G Base Station)',
             color: '#8e44ad',
@@ -319,6 +319,7 @@ class BusManager {
             'NRF': 'Nnrf',
             'NSSF': 'Nnssf',
             'NEF': 'Nnef',
+            'AF': 'Naf',
             'MySQL': 'Ndb'
         };
 
@@ -497,6 +498,7 @@ class BusManager {
             'AUSF': ['UDM'],                       // AUSF needs UDM
             'UDM': ['UDR'],                        // UDM connects to UDR for subscriber profiles
             'UDR': ['MySQL'],                      // UDR connects to MySQL database
+            'NEF': ['AMF', 'PCF'],                 // NEF exposes AMF events and PCF policy authorization
         };
 
         if (smartRules[nf.type]) {
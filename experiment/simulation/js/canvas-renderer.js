@@ -22,6 +22,7 @@ class CanvasRenderer {
         this.draggedNF = null;
         this.draggedBus = null;
         this.dragOffset = { x: 0, y: 0 };
+        this.sliceView = false;
 
         this.init();
     }
@@ -116,6 +117,13 @@ class CanvasRenderer {
             })));
         }
 
+        // Draw gNB coverage areas (behind buses and connections)
+        allNFs.forEach(nf => {
+            if (nf.type === 'gNB') {
+                this.drawGNBCoverage(nf);
+            }
+        });
+
         // Draw buses first (behind everything)
         if (allBuses.length > 0) {
             console.log('🚌 Drawing buses:', allBuses);
@@ -129,13 +137,26 @@ class CanvasRenderer {
         // Draw NFs on top
         allNFs.forEach(nf => this.drawNF(nf));
 
+        // Slice view: colour NFs by the slices they serve
+        if (this.sliceView && window.sliceManager) {
+            allNFs.forEach(nf => this.drawSliceBar(nf));
+            this.drawSliceLegend(allNFs);
+        }
+
         // Draw UE IP labels for active PDU sessions
         allNFs.forEach(nf => {
-            if (nf.type === 'UE' && nf.config?.pduSession?.assignedIP) {
+            if (nf.type === 'UE' && window.sessionManager?.getPDUSessions(nf).length > 0) {
                 this.drawUEIPLabel(nf);
             }
         });
 
+        // Draw UE CM/RM state badges
+        allNFs.forEach(nf => {
+            if (nf.type === 'UE') {
+                this.drawUEStateBadge(nf);
+            }
+        });
+
         // Draw animated packets (from PacketAnimator)
         if (window.packetAnimator && window.packetAnimator.getPackets().length > 0) {
             window.packetAnimator.drawPackets(this.ctx);
@@ -145,41 +166,185 @@ class CanvasRenderer {
     }
 
     /**
-     * Draw UE IP label when PDU session is active
+     * Draw UE IP labels when PDU sessions are active (one row per session
+     * address: dual-stack sessions get an IPv4 and an IPv6 row, Ethernet
+     * sessions show their MAC, Unstructured sessions a single row)
      * @param {Object} nf - UE Network Function
      */
     drawUEIPLabel(nf) {
         const x = nf.position.x;
         const y = nf.position.y;
-        const ip = nf.config.pduSession.assignedIP;
+        const pduSessions = window.sessionManager.getPDUSessions(nf);
 
-        // Draw IP label below the NF name
+        // Draw IP labels below the NF name
         this.ctx.save();
         
-        // Background
-        this.ctx.fillStyle = 'rgba(155, 89, 182, 0.9)';
+        // Border and text style shared by all rows
         this.ctx.strokeStyle = '#8e44ad';
         this.ctx.lineWidth = 1;
-        
-        const labelText = `📶 ${ip}`;
         this.ctx.font = 'bold 10px Arial';
-        const labelWidth = this.ctx.measureText(labelText).width + 10;
-        const labelHeight = 16;
-        const labelX = x + 20 - labelWidth / 2;
-        const labelY = y + 56;
+        this.ctx.textAlign = 'center';
+        this.ctx.textBaseline = 'middle';
+        
+        const rows = pduSessions.flatMap(pduSession => [
+            pduSession.pduSessionType !== 'IPV6' && pduSession.assignedIP,
+            pduSession.ipv6Address,
+            !window.sessionManager.isIPSessionType(pduSession.pduSessionType) && window.sessionManager.describePDUAddress(pduSession)
+        ].filter(Boolean).map(address => ({ pduSession, address })));
+
+        rows.forEach(({ pduSession, address }, i) => {
+            // Several sessions are told apart by their DNN; SSC mode 2/3 sessions
+            // show their mode, an SSC mode 3 session being replaced is marked old
+            const relocating = pduSession.status === 'relocating';
+            const tags = [
+                pduSessions.length > 1 && pduSession.dnn,
+                pduSession.sscMode > 1 && `SSC${pduSession.sscMode}`,
+                relocating && 'old'
+            ].filter(Boolean);
+            const labelText = tags.length > 0
+                ? `📶 ${address} (${tags.join(', ')})`
+                : `📶 ${address}`;
+            const labelWidth = this.ctx.measureText(labelText).width + 10;
+            const labelHeight = 16;
+            const labelX = x + 20 - labelWidth / 2;
+            const labelY = y + 56 + i * (labelHeight + 2);
+            
+            // Draw rounded rectangle background
+            this.ctx.fillStyle = relocating ? 'rgba(155, 89, 182, 0.45)' : 'rgba(155, 89, 182, 0.9)';
+            this.ctx.beginPath();
+            this.ctx.roundRect(labelX, labelY, labelWidth, labelHeight, 4);
+            this.ctx.fill();
+            this.ctx.stroke();
+            
+            // Draw text
+            this.ctx.fillStyle = '#ffffff';
+            this.ctx.fillText(labelText, x + 20, labelY + labelHeight / 2);
+        });
         
-        // Draw rounded rectangle
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw the slice bar under an NF in slice view: one segment per slice it
+     * serves, grey when the NF is shared by all slices
+     * @param {Object} nf - Network Function
+     */
+    drawSliceBar(nf) {
+        const colors = window.sliceManager.getNFSliceColors(nf);
+        if (colors.length === 0) return;
+
+        const width = 40;
+        const segmentWidth = width / colors.length;
+
+        this.ctx.save();
+        colors.forEach((color, i) => {
+            this.ctx.fillStyle = color;
+            this.ctx.fillRect(nf.position.x + i * segmentWidth, nf.position.y + 41, segmentWidth, 4);
+        });
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw the slice view legend in the top-left corner of the canvas
+     * @param {Array<Object>} nfs - Network Functions on the canvas
+     */
+    drawSliceLegend(nfs) {
+        const entries = window.sliceManager.getSlicesInUse(nfs).map(sst => ({
+            label: window.sliceManager.describeSlice(sst),
+            color: window.sliceManager.getSliceColor(sst)
+        }));
+        entries.push({ label: 'Shared (all slices)', color: window.sliceManager.SHARED_SLICE_COLOR });
+
+        const rowHeight = 16;
+
+        this.ctx.save();
+        this.ctx.fillStyle = 'rgba(44, 62, 80, 0.85)';
+        this.ctx.fillRect(10, 10, 150, entries.length * rowHeight + 10);
+
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'left';
+        this.ctx.textBaseline = 'middle';
+        entries.forEach(({ label, color }, i) => {
+            const y = 15 + i * rowHeight;
+            this.ctx.fillStyle = color;
+            this.ctx.fillRect(18, y + 3, 14, 8);
+            this.ctx.fillStyle = '#ecf0f1';
+            this.ctx.fillText(label, 38, y + 7);
+        });
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw CM/RM state badge to the right of a UE
+     * @param {Object} nf - UE Network Function
+     */
+    drawUEStateBadge(nf) {
+        const context = window.sessionManager?.peekUEContext(nf.id);
+        if (!context) return;
+
+        const x = nf.position.x + 46;
+        const y = nf.position.y;
+        const registered = context.rmState === 'RM-REGISTERED';
+        const connected = context.cmState === 'CM-CONNECTED';
+
+        this.ctx.save();
+
+        this.ctx.font = 'bold 9px Arial';
+        const badgeWidth = Math.max(
+            this.ctx.measureText(context.cmState).width,
+            this.ctx.measureText(context.rmState).width
+        ) + 10;
+        const rowHeight = 14;
+
+        // CM state row (green when connected, grey when idle)
+        this.ctx.fillStyle = connected ? 'rgba(39, 174, 96, 0.9)' : 'rgba(127, 140, 141, 0.9)';
         this.ctx.beginPath();
-        this.ctx.roundRect(labelX, labelY, labelWidth, labelHeight, 4);
+        this.ctx.roundRect(x, y, badgeWidth, rowHeight, 4);
         this.ctx.fill();
-        this.ctx.stroke();
-        
-        // Draw text
+
+        // RM state row (blue when registered, red when deregistered)
+        this.ctx.fillStyle = registered ? 'rgba(41, 128, 185, 0.9)' : 'rgba(192, 57, 43, 0.9)';
+        this.ctx.beginPath();
+        this.ctx.roundRect(x, y + rowHeight + 2, badgeWidth, rowHeight, 4);
+        this.ctx.fill();
+
         this.ctx.fillStyle = '#ffffff';
-        this.ctx.textAlign = 'center';
+        this.ctx.textAlign = 'left';
         this.ctx.textBaseline = 'middle';
-        this.ctx.fillText(labelText, x + 20, labelY + labelHeight / 2);
-        
+        this.ctx.fillText(context.cmState, x + 5, y + rowHeight / 2);
+        this.ctx.fillText(context.rmState, x + 5, y + rowHeight + 2 + rowHeight / 2);
+
+        this.ctx.restore();
+    }
+
+    /**
+     * Draw the radio coverage circle of a gNB with its TAC
+     * @param {Object} nf - gNB Network Function
+     */
+    drawGNBCoverage(nf) {
+        if (!window.mobilityManager) return;
+
+        const center = window.mobilityManager.getCenter(nf);
+        const radius = window.mobilityManager.getCoverageRadius(nf);
+        const tai = window.mobilityManager.getGNBTAI(nf);
+
+        this.ctx.save();
+
+        this.ctx.fillStyle = 'rgba(142, 68, 173, 0.06)';
+        this.ctx.strokeStyle = 'rgba(142, 68, 173, 0.45)';
+        this.ctx.lineWidth = 1;
+        this.ctx.setLineDash([6, 4]);
+        this.ctx.beginPath();
+        this.ctx.arc(center.x, center.y, radius, 0, Math.PI * 2);
+        this.ctx.fill();
+        this.ctx.stroke();
+
+        this.ctx.setLineDash([]);
+        this.ctx.fillStyle = 'rgba(142, 68, 173, 0.8)';
+        this.ctx.font = '10px Arial';
+        this.ctx.textAlign = 'center';
+        this.ctx.fillText(`TAC ${tai.tac}`, center.x, center.y - radius + 12);
+
         this.ctx.restore();
     }
 
@@ -280,7 +445,7 @@ class CanvasRenderer {
         // HTTP Protocol Badge removed for cleaner visual - protocol info available in logs only
 
         // Enhanced status indicator with better visibility
-        const statusColor = window.nfManager?.getStatusColor(nf.status) || '#95a5a6';
+        const statusColor = window.nfManager?.getStatusColor(nf.status, window.nrfManager?.getProfile(nf.id)?.nfStatus) || '#95a5a6';
         
         // Draw status indicator with glow effect
         this.ctx.shadowColor = statusColor;
@@ -463,7 +628,7 @@ class CanvasRenderer {
 
             // Different colors for different interface types
             let bgColor, borderColor;
-            if (['N1', 'N2', 'N3', 'N4'].includes(conn.interfaceName)) {
+            if (['N1', 'N2', 'N3', 'N4', 'N9'].includes(conn.interfaceName)) {
                 // Special highlighting for core 5G interfaces
                 bgColor = 'rgba(231, 76, 60, 0.95)';  // Red for core interfaces
                 borderColor = '#c0392b';
@@ -648,6 +813,11 @@ class CanvasRenderer {
          */
     handleMouseUp(e) {
         if (this.isDragging) {
+            // A dropped UE may now be in another gNB's coverage
+            if (this.draggedNF?.type === 'UE' && window.mobilityManager) {
+                window.mobilityManager.onUEMoved(this.draggedNF.id);
+            }
+
             this.isDragging = false;
             this.draggedNF = null;
             this.draggedBus = null;
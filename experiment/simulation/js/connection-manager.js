@@ -28,16 +28,16 @@ class ConnectionManager {
     initializeValidConnections() {
         return {
             // NRF can connect to all NFs (for registration)
-            'NRF': ['AMF', 'SMF', 'UPF', 'AUSF', 'UDM', 'PCF', 'NSSF', 'UDR'],
+            'NRF': ['AMF', 'SMF', 'UPF', 'AUSF', 'UDM', 'PCF', 'NSSF', 'UDR', 'NEF'],
 
             // AMF connections
-            'AMF': ['NRF', 'SMF', 'AUSF', 'UDM', 'PCF', 'NSSF', 'gNB', 'UE'],
+            'AMF': ['NRF', 'SMF', 'AUSF', 'UDM', 'PCF', 'NSSF', 'NEF', 'gNB', 'UE'],
 
             // SMF connections
             'SMF': ['NRF', 'AMF', 'UPF', 'PCF', 'UDM', 'UDR'],
 
             // UPF connections
-            'UPF': ['NRF', 'SMF', 'gNB'],
+            'UPF': ['NRF', 'SMF', 'gNB', 'UPF'],
 
             // AUSF connections
             'AUSF': ['NRF', 'AMF', 'UDM'],
@@ -46,7 +46,7 @@ class ConnectionManager {
             'UDM': ['NRF', 'AMF', 'SMF', 'AUSF', 'PCF', 'UDR'],
 
             // PCF connections
-            'PCF': ['NRF', 'AMF', 'SMF', 'UDM'],
+            'PCF': ['NRF', 'AMF', 'SMF', 'UDM', 'NEF'],
 
             // NSSF connections
             'NSSF': ['NRF', 'AMF'],
@@ -54,8 +54,12 @@ class ConnectionManager {
             // UDR connections
             'UDR': ['NRF', 'SMF', 'UDM', 'MySQL'],
 
+            // NEF connections (northbound N33 toward the AF)
+            'NEF': ['NRF', 'AMF', 'PCF', 'AF'],
+            'AF': ['NEF'],
+
             // NEW CONNECTIONS
-            'gNB': ['AMF', 'UPF', 'UE'],
+            'gNB': ['AMF', 'UPF', 'UE', 'gNB'],
             'UE': ['gNB', 'AMF'],
             'MySQL': ['UDR'],
             'ext-dn': ['UPF']
@@ -157,57 +161,34 @@ class ConnectionManager {
             window.logEngine.onConnectionCreated(connection);
         }
 
-        // NEW: Create tun0 interface when UPF connects to ext-dn
+        // NEW: Create the UE address pools (tun interfaces) when UPF connects to ext-dn
         if ((sourceNF.type === 'UPF' && targetNF.type === 'ext-dn') || 
             (sourceNF.type === 'ext-dn' && targetNF.type === 'UPF')) {
             
             const upf = sourceNF.type === 'UPF' ? sourceNF : targetNF;
             
-            console.log('🌐 UPF-ext-dn connection detected, creating tun0 interface...');
+            console.log('🌐 UPF-ext-dn connection detected, creating tun interfaces...');
             
-            // Create or update tun0 interface configuration
-            if (!upf.config.tun0Interface) {
-                upf.config.tun0Interface = {
-                    name: 'tun0',
-                    ipAddress: '10.0.0.1',
-                    netmask: '255.255.255.0',
-                    network: '10.0.0.0/24',
-                    gatewayIP: '10.0.0.1',
-                    assignedIPs: [], // Track IPs assigned to UEs
-                    nextAvailableIP: 2, // Next IP to assign (10.0.0.2)
-                    createdAt: Date.now()
-                };
-            } else {
-                // Update existing interface to ensure it has all required properties
-                if (!upf.config.tun0Interface.assignedIPs) {
-                    upf.config.tun0Interface.assignedIPs = [];
-                }
-                if (!upf.config.tun0Interface.nextAvailableIP) {
-                    upf.config.tun0Interface.nextAvailableIP = 2;
-                }
-                if (!upf.config.tun0Interface.name) {
-                    upf.config.tun0Interface.name = 'tun0';
-                }
-                if (!upf.config.tun0Interface.ipAddress) {
-                    upf.config.tun0Interface.ipAddress = '10.0.0.1';
-                }
-                if (!upf.config.tun0Interface.netmask) {
-                    upf.config.tun0Interface.netmask = '255.255.255.0';
-                }
+            // Create the default per-DNN pools unless the UPF already has some
+            if (window.sessionManager.getIPPools(upf).length === 0) {
+                upf.config.ipPools = window.sessionManager.createDefaultIPPools();
             }
             
             window.dataStore.updateNF(upf.id, upf);
             
-            console.log('✅ tun0 interface ready on UPF:', upf.config.tun0Interface);
+            console.log('✅ tun interfaces ready on UPF:', upf.config.ipPools);
             
             // Log interface creation
             if (window.logEngine) {
-                window.logEngine.addLog(upf.id, 'SUCCESS',
-                    'Network interface tun0 created', {
-                    interface: 'tun0',
-                    ipAddress: '10.0.0.1',
-                    netmask: '255.255.255.0',
-                    network: '10.0.0.0/24',
+                upf.config.ipPools.forEach(pool => {
+                    window.logEngine.addLog(upf.id, 'SUCCESS',
+                        `Network interface ${pool.interfaceName} created`, {
+                        interface: pool.interfaceName,
+                        dnn: pool.dnn,
+                        ipAddress: pool.gatewayIP,
+                        netmask: window.sessionManager.getPoolNetmask(pool),
+                        network: pool.network,
+                    });
                 });
             }
         }
@@ -299,6 +280,7 @@ class ConnectionManager {
             'PCF-NRF': 'Nnrf_NFManagement',
             'NSSF-NRF': 'Nnrf_NFManagement',
             'UDR-NRF': 'Nnrf_NFManagement',
+            'NEF-NRF': 'Nnrf_NFManagement',
 
             // AMF interfaces
             'AMF-SMF': 'Namf_Communication',
@@ -320,12 +302,19 @@ class ConnectionManager {
             // PCF interfaces
             'PCF-UDM': 'Nudm_PolicyControl',
 
+            // NEF interfaces
+            'NEF-AMF': 'Namf_EventExposure',
+            'NEF-PCF': 'Npcf_PolicyAuthorization',
+            'AF-NEF': 'N33',
+
             // NEW INTERFACES
             'gNB-AMF': 'N2',
             'gNB-UPF': 'N3',
             'gNB-UE': 'Radio',
             'UE-gNB': 'Radio',
             'UE-AMF': 'N1',  // UE to AMF (reverse direction)
+            'gNB-gNB': 'Xn',
+            'UPF-UPF': 'N9',
 
             'UDM-UDR': 'Nudr_DataRepository',
             'UDR-UDM': 'Nudr_DataRepository',
@@ -146,6 +146,20 @@ class DataStore {
         );
     }
 
+    /**
+     * Update an existing connection
+     * @param {string} id - Connection ID
+     * @param {Object} updates - Properties to update
+     */
+    updateConnection(id, updates) {
+        const conn = this.getConnectionById(id);
+        if (conn) {
+            Object.assign(conn, updates);
+            this.notifyListeners('connection-updated', conn);
+            console.log('📦 DataStore: Connection updated:', conn.id);
+        }
+    }
+
     /**
      * Remove a connection
      * @param {string} id - Connection ID
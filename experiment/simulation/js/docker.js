@@ -576,6 +576,9 @@ class DockerTerminal {
                     // Auto-connect to bus if available
                     this.autoConnectNFToBus(updatedNF);
 
+                    // NFRegister with the NRF
+                    window.nrfManager?.registerNF(updatedNF);
+
                     if (window.canvasRenderer) {
                         window.canvasRenderer.render();
                     }
@@ -915,7 +918,7 @@ class DockerTerminal {
 
         // Remove gNB
         if (window.nfManager) {
-            window.nfManager.deleteNetworkFunction(gnb.id);
+            await window.nfManager.deleteNetworkFunction(gnb.id);
         } else if (window.dataStore) {
             window.dataStore.removeNF(gnb.id);
         }
@@ -946,9 +949,9 @@ class DockerTerminal {
             this.addTerminalLine(output, `✔ Container oai-ue${i + 1} Removed${' '.repeat(20)}${randomDelay}s`, 'success');
             await this.delay(parseFloat(randomDelay) * 1000);
 
-            // Remove UE
+            // Remove UE (bulk teardown - containers stop without NAS signalling)
             if (window.nfManager) {
-                window.nfManager.deleteNetworkFunction(ue.id);
+                await window.nfManager.deleteNetworkFunction(ue.id, true);
             } else if (window.dataStore) {
                 window.dataStore.removeNF(ue.id);
             }
@@ -1185,7 +1188,7 @@ class DockerTerminal {
 
             // Actually remove the NF (this also removes connections)
             if (window.nfManager) {
-                window.nfManager.deleteNetworkFunction(nfInfo.id);
+                await window.nfManager.deleteNetworkFunction(nfInfo.id);
             } else if (window.dataStore) {
                 window.dataStore.removeNF(nfInfo.id);
             }
@@ -1331,6 +1334,9 @@ class DockerTerminal {
                 // Auto-connect to bus if available
                 this.autoConnectNFToBus(updated);
 
+                // NFRegister with the NRF
+                window.nrfManager?.registerNF(updated);
+
                 if (window.canvasRenderer) window.canvasRenderer.render();
             }
         }, 5000);
@@ -1374,7 +1380,7 @@ class DockerTerminal {
 
         // Remove NF
         if (window.nfManager) {
-            window.nfManager.deleteNetworkFunction(nf.id);
+            await window.nfManager.deleteNetworkFunction(nf.id);
         } else if (window.dataStore) {
             window.dataStore.removeNF(nf.id);
         }
@@ -1417,6 +1423,10 @@ class DockerTerminal {
                 nf.status = 'stable';
                 nf.statusTimestamp = Date.now();
                 window.dataStore.updateNF(nf.id, nf);
+                window.nrfManager?.registerNF(nf);
+                if (nf.type === 'UE') {
+                    window.nasTimerManager?.onUEPoweredOn(nf.id);
+                }
                 if (window.canvasRenderer) {
                     window.canvasRenderer.render();
                 }
@@ -1462,6 +1472,14 @@ class DockerTerminal {
         nf.statusTimestamp = Date.now();
         window.dataStore.updateNF(nf.id, nf);
 
+        // The NRF suspends the profile so consumers stop selecting the NF
+        window.nrfManager?.suspendNF(nf);
+
+        // A stopped UE is switched off without deregistering
+        if (nf.type === 'UE') {
+            window.nasTimerManager?.onUEPoweredOff(nf.id);
+        }
+
         this.addTerminalLine(output, `✅ ${nf.name} stopped`, 'success');
 
         if (window.canvasRenderer) {
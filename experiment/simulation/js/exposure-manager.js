@@ -0,0 +1,708 @@
+/**
+ * ============================================
+ * EXPOSURE MANAGER
+ * ============================================
+ * Network exposure to Application Functions through the NEF
+ * (TS 23.502 4.15, northbound APIs of TS 29.122 / TS 29.522)
+ *
+ * Responsibilities:
+ * - Let an AF subscribe over N33 to UE reachability and location events;
+ *   the NEF subscribes to the serving AMF (Namf_EventExposure) and relays
+ *   each AMF notification to the AF
+ * - Report a subscribed event whenever the UE's RM state, reachability or
+ *   serving cell changes
+ * - Let an AF request QoS for one of its flows (AF session with QoS); the
+ *   NEF creates an app session at the PCF (Npcf_PolicyAuthorization), which
+ *   adds a QoS flow to the UE's PDU session and reports the outcome
+ * - Drop subscriptions and AF sessions whose NFs or PDU session are gone
+ */
+
+class ExposureManager {
+    constructor() {
+        // Monitoring types of the AF and the AMF event behind each (TS 29.122 5.3, TS 29.518 6.2.6.3.3)
+        this.MONITORING_TYPES = {
+            UE_REACHABILITY: { amfEvent: 'REACHABILITY_REPORT', label: 'UE reachability' },
+            LOCATION_REPORTING: { amfEvent: 'LOCATION_REPORT', label: 'UE location' }
+        };
+
+        // QoS references the AF may ask for, mapped by the PCF to a 5QI and bitrates (Mbps)
+        this.QOS_REFERENCES = {
+            'conversational-voice': { label: 'Conversational voice', fiveQi: 1, gfbr: { uplink: 1, downlink: 1 }, mfbr: { uplink: 2, downlink: 2 } },
+            'live-video': { label: 'Live video streaming', fiveQi: 2, gfbr: { uplink: 10, downlink: 10 }, mfbr: { uplink: 20, downlink: 20 } },
+            'real-time-gaming': { label: 'Real-time gaming', fiveQi: 3, gfbr: { uplink: 5, downlink: 5 }, mfbr: { uplink: 10, downlink: 10 } },
+            'low-latency-embb': { label: 'Low-latency eMBB (Non-GBR)', fiveQi: 80, gfbr: null, mfbr: null }
+        };
+
+        // Domain of the external identifiers the AF uses for UEs
+        this.EXTERNAL_ID_DOMAIN = '5g-lab.net';
+
+        // subscriptionId -> {subscriptionId, afId, nefId, amfId, ueId, monitoringType, amfSubscriptionId, lastValue, reports}
+        this.subscriptions = new Map();
+
+        // transactionId -> {transactionId, afId, nefId, pcfId, ueId, pduSessionId, qfi, qosReference, packetFilter, appSessionId}
+        this.qosSessions = new Map();
+
+        this.nextId = 1;
+
+        // Follow the UE events the AMF reports
+        if (window.sessionManager) {
+            window.sessionManager.subscribe((event, data) => {
+                if (event === 'cmStateChange' || event === 'rmStateChange' || event === 'locationChange') {
+                    this.onUEStateChange(data.ueId);
+                } else if (event === 'stateChange' && data.state === window.sessionManager.STATES.RELEASED) {
+                    this.onPDUSessionReleased(data.ueId, data.pduSessionId);
+                }
+            });
+        }
+
+        // Drop state of NFs that leave the topology
+        window.dataStore?.subscribe((event, data) => {
+            if (event === 'nf-removed') {
+                this.subscriptions.forEach((subscription, id) => {
+                    if ([subscription.afId, subscription.nefId, subscription.amfId, subscription.ueId].includes(data?.id)) this.subscriptions.delete(id);
+                });
+                this.qosSessions.forEach((session, id) => {
+                    if ([session.afId, session.nefId, session.pcfId, session.ueId].includes(data?.id)) this.qosSessions.delete(id);
+                });
+            } else if (event === 'data-cleared') {
+                this.subscriptions.clear();
+                this.qosSessions.clear();
+            }
+        });
+
+        console.log('✅ ExposureManager initialized');
+    }
+
+    // ==========================================
+    // Helpers
+    // ==========================================
+
+    /**
+     * Stable NEF the AF reaches over N33 (direct connection or shared bus)
+     * @param {Object} af - AF
+     * @returns {Object|null} NEF
+     */
+    findNEF(af) {
+        return (window.dataStore?.getAllNFs() || []).find(nf =>
+            nf.type === 'NEF' &&
+            nf.status === 'stable' &&
+            window.sessionManager.areNFsConnected(af.id, nf.id)
+        ) || null;
+    }
+
+    /**
+     * External identifier the AF knows a UE by; the NEF maps it to the SUPI
+     * @param {Object} ue - UE
+     * @returns {string} e.g. 'ue-1@5g-lab.net'
+     */
+    getExternalId(ue) {
+        return `${ue.name.toLowerCase()}@${this.EXTERNAL_ID_DOMAIN}`;
+    }
+
+    /**
+     * Reachability of a UE as the AMF sees it
+     * @param {string} ueId - UE ID
+     * @returns {string} 'REACHABLE' or 'UNREACHABLE'
+     */
+    getReachability(ueId) {
+        const sessionManager = window.sessionManager;
+        const registered = sessionManager.getRMState(ueId) === sessionManager.RM_STATES.REGISTERED;
+        return registered && !window.nasTimerManager?.isUnreachable(ueId) ? 'REACHABLE' : 'UNREACHABLE';
+    }
+
+    /**
+     * Last known location of a registered UE
+     * @param {string} ueId - UE ID
+     * @returns {Object|null} {tai, nrCgi}, null when the AMF has no location
+     */
+    getLocation(ueId) {
+        const sessionManager = window.sessionManager;
+        const gnb = sessionManager.getServingGNB(ueId);
+        if (!gnb || sessionManager.getRMState(ueId) !== sessionManager.RM_STATES.REGISTERED) return null;
+        return { tai: window.mobilityManager.formatTAI(window.mobilityManager.getGNBTAI(gnb)), nrCgi: gnb.name };
+    }
+
+    /**
+     * Current value of the event a subscription monitors
+     * @param {Object} subscription - Monitoring subscription
+     * @returns {string|Object|null} Reachability or location
+     */
+    getEventValue(subscription) {
+        return subscription.monitoringType === 'UE_REACHABILITY'
+            ? this.getReachability(subscription.ueId)
+            : this.getLocation(subscription.ueId);
+    }
+
+    /**
+     * AMF event report (TS 29.518 6.2.6.2.5)
+     * @param {Object} subscription - Monitoring subscription
+     * @param {string|Object} value - Reachability or location
+     * @returns {Object} AmfEventReport
+     */
+    buildAMFReport(subscription, value) {
+        const ue = window.dataStore.getNFById(subscription.ueId);
+        return {
+            type: this.MONITORING_TYPES[subscription.monitoringType].amfEvent,
+            state: { active: true },
+            timeStamp: new Date().toISOString(),
+            supi: `imsi-${ue.config.subscriberImsi}`,
+            ...(subscription.monitoringType === 'UE_REACHABILITY'
+                ? { reachability: value }
+                : { location: { nrLocation: { tai: value.tai, ncgi: value.nrCgi } } })
+        };
+    }
+
+    /**
+     * Monitoring event report the NEF sends to the AF (TS 29.122 5.3.2.1.5)
+     * @param {Object} subscription - Monitoring subscription
+     * @param {string|Object} value - Reachability or location
+     * @returns {Object} MonitoringEventReport
+     */
+    buildMonitoringReport(subscription, value) {
+        const ue = window.dataStore.getNFById(subscription.ueId);
+        return {
+            externalId: this.getExternalId(ue),
+            monitoringType: subscription.monitoringType,
+            eventTime: new Date().toISOString(),
+            ...(subscription.monitoringType === 'UE_REACHABILITY'
+                ? { reachabilityType: 'DATA', reachability: value }
+                : { locationInfo: { cellId: value.nrCgi, trackingAreaId: value.tai } })
+        };
+    }
+
+    /**
+     * Display form of an event value
+     * @param {string|Object|null} value - Reachability or location
+     * @returns {string} e.g. 'REACHABLE' or 'gNB-1 (TAI 00101-1)'
+     */
+    formatEventValue(value) {
+        if (!value) return 'unknown';
+        return typeof value === 'string' ? value : `${value.nrCgi} (TAI ${value.tai})`;
+    }
+
+    /**
+     * One-line description of a monitoring subscription
+     * @param {Object} subscription - Monitoring subscription
+     * @returns {string} e.g. 'sub-1 UE reachability of UE-1: REACHABLE (2 reports)'
+     */
+    describeSubscription(subscription) {
+        const ue = window.dataStore?.getNFById(subscription.ueId);
+        return `${subscription.subscriptionId} ${this.MONITORING_TYPES[subscription.monitoringType].label} of ${ue?.name || subscription.ueId}: ` +
+            `${this.formatEventValue(subscription.lastValue)} (${subscription.reports} report${subscription.reports === 1 ? '' : 's'})`;
+    }
+
+    /**
+     * One-line description of an AF session with QoS
+     * @param {Object} session - AF session with QoS
+     * @returns {string} e.g. 'qos-2 UE-1 PSI 1 QFI 2 live-video · TCP 192.168.1.30:5201'
+     */
+    describeQoSSession(session) {
+        const ue = window.dataStore?.getNFById(session.ueId);
+        return `${session.transactionId} ${ue?.name || session.ueId} PSI ${session.pduSessionId} QFI ${session.qfi} ` +
+            `${session.qosReference} · ${window.qosManager.formatPacketFilter(session.packetFilter)}`;
+    }
+
+    /**
+     * Monitoring subscriptions an NF takes part in (AF, NEF, AMF or UE)
+     * @param {string} nfId - NF ID
+     * @returns {Array} Subscriptions
+     */
+    getSubscriptions(nfId) {
+        return Array.from(this.subscriptions.values()).filter(subscription =>
+            [subscription.afId, subscription.nefId, subscription.amfId, subscription.ueId].includes(nfId));
+    }
+
+    /**
+     * AF sessions with QoS an NF takes part in (AF, NEF, PCF or UE)
+     * @param {string} nfId - NF ID
+     * @returns {Array} Sessions
+     */
+    getQoSSessions(nfId) {
+        return Array.from(this.qosSessions.values()).filter(session =>
+            [session.afId, session.nefId, session.pcfId, session.ueId].includes(nfId));
+    }
+
+    // ==========================================
+    // Monitoring events (TS 23.502 4.15.3.2)
+    // ==========================================
+
+    /**
+     * AF subscribes to a monitoring event of a UE: AF → NEF over N33, then
+     * NEF → AMF Namf_EventExposure_Subscribe with an immediate report
+     * @param {string} afId - AF ID
+     * @param {string} ueId - UE ID
+     * @param {string} monitoringType - 'UE_REACHABILITY' or 'LOCATION_REPORTING'
+     * @returns {Promise<Object>} {success, subscription, error}
+     */
+    async subscribeEvent(afId, ueId, monitoringType) {
+        const sessionManager = window.sessionManager;
+        const af = window.dataStore?.getNFById(afId);
+        const ue = window.dataStore?.getNFById(ueId);
+        const type = this.MONITORING_TYPES[monitoringType];
+        if (!af || !ue || !type) {
+            return { success: false, subscription: null, error: 'AF, UE or monitoring type not found' };
+        }
+
+        const fail = (error) => {
+            console.error(`❌ ${type.label} subscription of ${af.name} failed: ${error}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(afId, 'ERROR', `${type.label} subscription for ${ue.name} failed: ${error}`, { monitoringType });
+            }
+            return { success: false, subscription: null, error };
+        };
+
+        const nef = this.findNEF(af);
+        if (!nef) {
+            return fail('no N33 connection to a stable NEF');
+        }
+        const existing = Array.from(this.subscriptions.values()).find(subscription =>
+            subscription.afId === afId && subscription.ueId === ueId && subscription.monitoringType === monitoringType);
+        if (existing) {
+            return fail(`already subscribed (${existing.subscriptionId})`);
+        }
+
+        const subscriptionId = `sub-${this.nextId++}`;
+        const self = `/3gpp-monitoring-event/v1/${af.name}/subscriptions/${subscriptionId}`;
+
+        console.log(`📡 ${af.name} subscribes to ${type.label} of ${ue.name} via ${nef.name}`);
+
+        try {
+            // Step 1: AF → NEF: Monitoring Event subscription
+            await sessionManager.sendSignal(af, nef, 'N33', 'request', 'Nnef_EventExposure_Subscribe: Monitoring Event (HTTP POST)', {
+                endpoint: `/3gpp-monitoring-event/v1/${af.name}/subscriptions`,
+                externalId: this.getExternalId(ue),
+                monitoringType,
+                notificationDestination: `http://${af.config.ipAddress}:${af.config.port}/monitoring/${subscriptionId}`
+            }, 'HTTP/2', 'POST');
+
+            // Step 2: NEF maps the external ID and subscribes at the serving AMF
+            const servingAmf = window.mobilityManager?.getServingAMF(ue);
+            const discovery = window.nrfManager.discover(nef, { targetNfType: 'AMF' });
+            const amf = discovery.nfs.find(nf => nf.id === servingAmf?.id) || null;
+            if (!amf) {
+                const detail = servingAmf ? `${servingAmf.name} not discovered (${discovery.reason || 'not allowed for NEF'})` : `${ue.name} has no serving AMF`;
+                await sessionManager.sendSignal(nef, af, 'N33', 'response', 'Monitoring Event subscription Response (404 Not Found)', {
+                    status: 404,
+                    cause: 'UE_NOT_FOUND',
+                    detail
+                }, 'HTTP/2', null, { error: true, method: '404 Not Found' });
+                return fail(detail);
+            }
+
+            const subscription = {
+                subscriptionId,
+                afId,
+                nefId: nef.id,
+                amfId: amf.id,
+                ueId,
+                monitoringType,
+                amfSubscriptionId: null,
+                lastValue: null,
+                reports: 0
+            };
+
+            await sessionManager.sendSignal(nef, amf, 'Namf_EventExposure', 'request', 'Namf_EventExposure_Subscribe (HTTP/2 POST)', {
+                endpoint: '/namf-evts/v1/subscriptions',
+                subscription: {
+                    eventList: [{ type: type.amfEvent, immediateFlag: true }],
+                    eventNotifyUri: `/nnef-callback/v1/amf-events/${subscriptionId}`,
+                    notifyCorrelationId: subscriptionId,
+                    nfId: nef.id,
+                    supi: `imsi-${ue.config.subscriberImsi}`,
+                    options: { trigger: 'CONTINUOUS' }
+                }
+            }, 'HTTP/2', 'POST');
+
+            // Step 3: AMF → NEF: 201 Created with the current value
+            const value = this.getEventValue(subscription);
+            subscription.amfSubscriptionId = `amf-evts-${subscriptionId}`;
+            subscription.lastValue = value;
+            await sessionManager.sendSignal(amf, nef, 'Namf_EventExposure', 'response', 'Namf_EventExposure_Subscribe Response (201 Created)', {
+                status: 201,
+                location: `/namf-evts/v1/subscriptions/${subscription.amfSubscriptionId}`,
+                ...(value && { reportList: [this.buildAMFReport(subscription, value)] })
+            }, 'HTTP/2');
+
+            // Step 4: NEF → AF: 201 Created
+            await sessionManager.sendSignal(nef, af, 'N33', 'response', 'Monitoring Event subscription Response (201 Created)', {
+                status: 201,
+                self,
+                monitoringType,
+                ...(value && { monitoringEventReport: this.buildMonitoringReport(subscription, value) })
+            }, 'HTTP/2');
+
+            this.subscriptions.set(subscriptionId, subscription);
+
+            console.log(`✅ ${af.name} subscribed to ${type.label} of ${ue.name}: ${this.formatEventValue(value)}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(nef.id, 'INFO', `${type.label} subscription ${subscriptionId} for ${af.name} relayed to ${amf.name}`, {
+                    externalId: this.getExternalId(ue),
+                    supi: `imsi-${ue.config.subscriberImsi}`,
+                    amfEvent: type.amfEvent
+                });
+                window.logEngine.addLog(afId, 'SUCCESS', `Subscribed to ${type.label} of ${ue.name}: ${this.formatEventValue(value)}`, {
+                    subscriptionId,
+                    self
+                });
+            }
+
+            return { success: true, subscription, error: null };
+
+        } catch (error) {
+            return fail(error.message);
+        }
+    }
+
+    /**
+     * AF cancels a monitoring subscription; the NEF unsubscribes at the AMF
+     * @param {string} subscriptionId - Subscription ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async unsubscribeEvent(subscriptionId) {
+        const sessionManager = window.sessionManager;
+        const subscription = this.subscriptions.get(subscriptionId);
+        if (!subscription) return false;
+        this.subscriptions.delete(subscriptionId);
+
+        const af = window.dataStore?.getNFById(subscription.afId);
+        const nef = window.dataStore?.getNFById(subscription.nefId);
+        const amf = window.dataStore?.getNFById(subscription.amfId);
+        if (!af || !nef) return false;
+
+        try {
+            await sessionManager.sendSignal(af, nef, 'N33', 'request', 'Monitoring Event subscription Delete (HTTP DELETE)', {
+                endpoint: `/3gpp-monitoring-event/v1/${af.name}/subscriptions/${subscriptionId}`
+            }, 'HTTP/2', 'DELETE');
+
+            if (amf) {
+                await sessionManager.sendSignal(nef, amf, 'Namf_EventExposure', 'request', 'Namf_EventExposure_Unsubscribe (HTTP/2 DELETE)', {
+                    endpoint: `/namf-evts/v1/subscriptions/${subscription.amfSubscriptionId}`
+                }, 'HTTP/2', 'DELETE');
+                await sessionManager.sendSignal(amf, nef, 'Namf_EventExposure', 'response', 'Namf_EventExposure_Unsubscribe Response (204 No Content)', {
+                    status: 204
+                }, 'HTTP/2');
+            }
+
+            await sessionManager.sendSignal(nef, af, 'N33', 'response', 'Monitoring Event subscription Delete Response (204 No Content)', {
+                status: 204
+            }, 'HTTP/2');
+
+            window.logEngine?.addLog(af.id, 'INFO', `Monitoring subscription ${subscriptionId} cancelled`, {
+                monitoringType: subscription.monitoringType,
+                reportsReceived: subscription.reports
+            });
+            return true;
+
+        } catch (error) {
+            window.logEngine?.addLog(af.id, 'ERROR', `Cancelling monitoring subscription ${subscriptionId} failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * Re-evaluate the subscriptions of a UE after an RM/CM transition, a
+     * reachability change or a new serving cell; changed values are reported
+     * @param {string} ueId - UE ID
+     */
+    onUEStateChange(ueId) {
+        this.subscriptions.forEach(subscription => {
+            if (subscription.ueId !== ueId || !window.dataStore?.getNFById(ueId)) return;
+
+            const value = this.getEventValue(subscription);
+            if (!value || JSON.stringify(value) === JSON.stringify(subscription.lastValue)) return;
+            subscription.lastValue = value;
+
+            this.sendEventReport(subscription, value).catch(error => {
+                window.logEngine?.addLog(subscription.nefId, 'WARNING', `Event report of ${subscription.subscriptionId} not delivered: ${error.message}`);
+            });
+        });
+    }
+
+    /**
+     * AMF → NEF: Namf_EventExposure_Notify, then NEF → AF: monitoring notification
+     * @param {Object} subscription - Monitoring subscription
+     * @param {string|Object} value - Reachability or location
+     */
+    async sendEventReport(subscription, value) {
+        const sessionManager = window.sessionManager;
+        const af = window.dataStore?.getNFById(subscription.afId);
+        const nef = window.dataStore?.getNFById(subscription.nefId);
+        const amf = window.dataStore?.getNFById(subscription.amfId);
+        const ue = window.dataStore?.getNFById(subscription.ueId);
+        if (!af || !nef || !amf || !ue) return;
+
+        await sessionManager.sendSignal(amf, nef, 'Namf_EventExposure', 'request', 'Namf_EventExposure_Notify (HTTP/2 POST)', {
+            endpoint: `/nnef-callback/v1/amf-events/${subscription.subscriptionId}`,
+            notifyCorrelationId: subscription.subscriptionId,
+            reportList: [this.buildAMFReport(subscription, value)]
+        }, 'HTTP/2', 'POST');
+        await sessionManager.sendSignal(nef, amf, 'Namf_EventExposure', 'response', 'Namf_EventExposure_Notify Response (204 No Content)', {
+            status: 204
+        }, 'HTTP/2');
+
+        await sessionManager.sendSignal(nef, af, 'N33', 'request', 'Monitoring Event Notification (HTTP POST)', {
+            endpoint: `/monitoring/${subscription.subscriptionId}`,
+            subscription: `/3gpp-monitoring-event/v1/${af.name}/subscriptions/${subscription.subscriptionId}`,
+            monitoringEventReports: [this.buildMonitoringReport(subscription, value)]
+        }, 'HTTP/2', 'POST');
+        await sessionManager.sendSignal(af, nef, 'N33', 'response', 'Monitoring Event Notification Response (204 No Content)', {
+            status: 204
+        }, 'HTTP/2');
+
+        subscription.reports++;
+        window.logEngine?.addLog(af.id, 'INFO', `${this.MONITORING_TYPES[subscription.monitoringType].label} of ${ue.name}: ${this.formatEventValue(value)}`, {
+            subscriptionId: subscription.subscriptionId,
+            reports: subscription.reports
+        });
+    }
+
+    // ==========================================
+    // AF session with QoS (TS 23.502 4.15.6.6)
+    // ==========================================
+
+    /**
+     * AF asks for QoS on a flow between itself and a UE: AF → NEF over N33,
+     * NEF → PCF Npcf_PolicyAuthorization_Create, then the PCF installs the
+     * QoS flow (network-initiated PDU Session Modification) and notifies the
+     * outcome back through the NEF
+     * @param {string} afId - AF ID
+     * @param {string} ueId - UE ID
+     * @param {Object} flow - {protocol: 'TCP'|'UDP', remotePort: AF port}
+     * @param {string} qosReference - Key of QOS_REFERENCES
+     * @returns {Promise<Object>} {success, session, error}
+     */
+    async requestQoS(afId, ueId, flow, qosReference) {
+        const sessionManager = window.sessionManager;
+        const qosManager = window.qosManager;
+        const af = window.dataStore?.getNFById(afId);
+        const ue = window.dataStore?.getNFById(ueId);
+        const reference = this.QOS_REFERENCES[qosReference];
+        if (!af || !ue || !reference || !qosManager) {
+            return { success: false, session: null, error: 'AF, UE or QoS reference not found' };
+        }
+
+        const fail = (error) => {
+            console.error(`❌ AF session with QoS of ${af.name} failed: ${error}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(afId, 'ERROR', `QoS request (${qosReference}) for ${ue.name} failed: ${error}`, { flow });
+            }
+            return { success: false, session: null, error };
+        };
+
+        const nef = this.findNEF(af);
+        if (!nef) {
+            return fail('no N33 connection to a stable NEF');
+        }
+        const pduSession = sessionManager.getPDUSessions(ue).find(session => session.assignedIP);
+        if (!pduSession) {
+            return fail(`${ue.name} has no PDU session with an IPv4 address`);
+        }
+
+        // The flow runs between the AF and the UE address of the PDU session
+        const packetFilter = {
+            protocol: flow.protocol,
+            remoteAddress: af.config.ipAddress,
+            remotePort: flow.remotePort,
+            direction: 'BIDIRECTIONAL'
+        };
+        const filterError = qosManager.validatePacketFilter(packetFilter);
+        if (filterError) {
+            return fail(filterError);
+        }
+
+        const transactionId = `qos-${this.nextId++}`;
+        const self = `/3gpp-as-session-with-qos/v1/${af.name}/subscriptions/${transactionId}`;
+        const flowDescription = `permit out ${flow.protocol.toLowerCase()} from ${af.config.ipAddress} ${flow.remotePort} to ${pduSession.assignedIP}`;
+
+        console.log(`📡 ${af.name} requests ${qosReference} for ${ue.name} (${flowDescription})`);
+
+        try {
+            // Step 1: AF → NEF: AS session with QoS
+            await sessionManager.sendSignal(af, nef, 'N33', 'request', 'Nnef_AFsessionWithQoS_Create (HTTP POST)', {
+                endpoint: `/3gpp-as-session-with-qos/v1/${af.name}/subscriptions`,
+                ueIpv4Addr: pduSession.assignedIP,
+                flowInfo: [{ flowId: 1, flowDescriptions: [flowDescription] }],
+                qosReference,
+                notificationDestination: `http://${af.config.ipAddress}:${af.config.port}/qos/${transactionId}`
+            }, 'HTTP/2', 'POST');
+
+            // Step 2: NEF → PCF of the UE: Npcf_PolicyAuthorization_Create
+            const servingPcf = qosManager.findNF(ue, 'PCF');
+            const discovery = window.nrfManager.discover(nef, { targetNfType: 'PCF' });
+            const pcf = discovery.nfs.find(nf => nf.id === servingPcf?.id) || null;
+            if (!pcf) {
+                const detail = servingPcf ? `${servingPcf.name} not discovered (${discovery.reason || 'not allowed for NEF'})` : `no stable PCF serves ${ue.name}`;
+                await sessionManager.sendSignal(nef, af, 'N33', 'response', 'Nnef_AFsessionWithQoS_Create Response (500 Internal Server Error)', {
+                    status: 500,
+                    cause: 'PCF_NOT_AVAILABLE',
+                    detail
+                }, 'HTTP/2', null, { error: true, method: '500 Internal Server Error' });
+                return fail(detail);
+            }
+
+            const appSessionId = `app-${transactionId}`;
+            await sessionManager.sendSignal(nef, pcf, 'Npcf_PolicyAuthorization', 'request', 'Npcf_PolicyAuthorization_Create (HTTP/2 POST)', {
+                endpoint: '/npcf-policyauthorization/v1/app-sessions',
+                ascReqData: {
+                    afAppId: af.name,
+                    ueIpv4: pduSession.assignedIP,
+                    notifUri: `/nnef-callback/v1/app-sessions/${transactionId}`,
+                    medComponents: {
+                        1: { medCompN: 1, qosReference, fStatus: 'ENABLED', medSubComps: { 1: { fNum: 1, fDescs: [flowDescription] } } }
+                    },
+                    evSubsc: { events: [{ event: 'SUCCESSFUL_RESOURCES_ALLOCATION' }, { event: 'FAILED_RESOURCES_ALLOCATION' }] }
+                }
+            }, 'HTTP/2', 'POST');
+
+            // Step 3: PCF → NEF → AF: 201 Created
+            await sessionManager.sendSignal(pcf, nef, 'Npcf_PolicyAuthorization', 'response', 'Npcf_PolicyAuthorization_Create Response (201 Created)', {
+                status: 201,
+                location: `/npcf-policyauthorization/v1/app-sessions/${appSessionId}`
+            }, 'HTTP/2');
+            await sessionManager.sendSignal(nef, af, 'N33', 'response', 'Nnef_AFsessionWithQoS_Create Response (201 Created)', {
+                status: 201,
+                self,
+                qosReference
+            }, 'HTTP/2');
+
+            // Step 4: PCF → SMF: new PCC rule, the QoS flow is added to the PDU session
+            const allocated = await qosManager.modifyPDUSession(ue.id, pduSession.sessionId, {
+                operation: qosManager.OPERATIONS.CREATE,
+                fiveQi: reference.fiveQi,
+                ...(reference.gfbr && { gfbr: { ...reference.gfbr }, mfbr: { ...reference.mfbr } }),
+                packetFilter
+            }, 'PCF');
+            const event = allocated ? 'SUCCESSFUL_RESOURCES_ALLOCATION' : 'FAILED_RESOURCES_ALLOCATION';
+
+            // Step 5: PCF → NEF → AF: outcome of the resource allocation
+            await sessionManager.sendSignal(pcf, nef, 'Npcf_PolicyAuthorization', 'request', 'Npcf_PolicyAuthorization_Notify (HTTP/2 POST)', {
+                endpoint: `/nnef-callback/v1/app-sessions/${transactionId}/notify`,
+                evNotifs: [{ event, flows: [{ medCompN: 1 }] }]
+            }, 'HTTP/2', 'POST');
+            await sessionManager.sendSignal(nef, pcf, 'Npcf_PolicyAuthorization', 'response', 'Npcf_PolicyAuthorization_Notify Response (204 No Content)', {
+                status: 204
+            }, 'HTTP/2');
+
+            await sessionManager.sendSignal(nef, af, 'N33', 'request', 'User Plane Notification (HTTP POST)', {
+                endpoint: `/qos/${transactionId}`,
+                transaction: self,
+                eventReports: [{ event, flowIds: [1] }]
+            }, 'HTTP/2', 'POST');
+            await sessionManager.sendSignal(af, nef, 'N33', 'response', 'User Plane Notification Response (204 No Content)', {
+                status: 204
+            }, 'HTTP/2');
+
+            if (!allocated) {
+                return fail('PCF reported FAILED_RESOURCES_ALLOCATION');
+            }
+
+            const filterText = qosManager.formatPacketFilter(packetFilter);
+            const qosFlow = qosManager.getQoSFlows(pduSession).find(qosFlow =>
+                qosFlow.packetFilters.some(filter => qosManager.formatPacketFilter(filter) === filterText));
+            const session = {
+                transactionId,
+                afId,
+                nefId: nef.id,
+                pcfId: pcf.id,
+                ueId,
+                pduSessionId: pduSession.sessionId,
+                qfi: qosFlow ? qosFlow.qfi : null,
+                qosReference,
+                packetFilter,
+                appSessionId
+            };
+            this.qosSessions.set(transactionId, session);
+
+            console.log(`✅ ${af.name} got ${qosReference} for ${ue.name} (QFI ${session.qfi})`);
+            if (window.logEngine) {
+                window.logEngine.addLog(afId, 'SUCCESS', `QoS ${reference.label} granted for ${ue.name}: ${filterText}`, {
+                    transactionId,
+                    fiveQi: reference.fiveQi,
+                    qfi: session.qfi,
+                    appSessionId
+                });
+            }
+
+            return { success: true, session, error: null };
+
+        } catch (error) {
+            return fail(error.message);
+        }
+    }
+
+    /**
+     * AF ends an AF session with QoS: the NEF deletes the app session at
+     * the PCF, which removes the QoS flow from the PDU session
+     * @param {string} transactionId - AF session ID
+     * @returns {Promise<boolean>} Success status
+     */
+    async releaseQoS(transactionId) {
+        const sessionManager = window.sessionManager;
+        const qosManager = window.qosManager;
+        const session = this.qosSessions.get(transactionId);
+        if (!session) return false;
+        this.qosSessions.delete(transactionId);
+
+        const af = window.dataStore?.getNFById(session.afId);
+        const nef = window.dataStore?.getNFById(session.nefId);
+        const pcf = window.dataStore?.getNFById(session.pcfId);
+        const ue = window.dataStore?.getNFById(session.ueId);
+        if (!af || !nef || !pcf || !ue) return false;
+
+        try {
+            await sessionManager.sendSignal(af, nef, 'N33', 'request', 'Nnef_AFsessionWithQoS_Delete (HTTP DELETE)', {
+                endpoint: `/3gpp-as-session-with-qos/v1/${af.name}/subscriptions/${transactionId}`
+            }, 'HTTP/2', 'DELETE');
+
+            await sessionManager.sendSignal(nef, pcf, 'Npcf_PolicyAuthorization', 'request', 'Npcf_PolicyAuthorization_Delete (HTTP/2 POST)', {
+                endpoint: `/npcf-policyauthorization/v1/app-sessions/${session.appSessionId}/delete`
+            }, 'HTTP/2', 'POST');
+            await sessionManager.sendSignal(pcf, nef, 'Npcf_PolicyAuthorization', 'response', 'Npcf_PolicyAuthorization_Delete Response (204 No Content)', {
+                status: 204
+            }, 'HTTP/2');
+
+            await sessionManager.sendSignal(nef, af, 'N33', 'response', 'Nnef_AFsessionWithQoS_Delete Response (204 No Content)', {
+                status: 204
+            }, 'HTTP/2');
+
+            // The PCF removes the PCC rule, the SMF the QoS flow
+            const pduSession = sessionManager.getPDUSession(ue, session.pduSessionId);
+            if (pduSession && session.qfi !== null && qosManager.getQoSFlow(pduSession, session.qfi)) {
+                await qosManager.modifyPDUSession(ue.id, session.pduSessionId, {
+                    operation: qosManager.OPERATIONS.DELETE,
+                    qfi: session.qfi
+                }, 'PCF');
+            }
+
+            window.logEngine?.addLog(af.id, 'INFO', `AF session with QoS ${transactionId} released`, {
+                ue: ue.name,
+                qosReference: session.qosReference
+            });
+            return true;
+
+        } catch (error) {
+            window.logEngine?.addLog(af.id, 'ERROR', `Releasing AF session with QoS ${transactionId} failed: ${error.message}`);
+            return false;
+        }
+    }
+
+    /**
+     * A released PDU session takes its AF sessions with QoS with it
+     * @param {string} ueId - UE ID
+     * @param {number} pduSessionId - PDU session ID
+     */
+    onPDUSessionReleased(ueId, pduSessionId) {
+        this.qosSessions.forEach((session, transactionId) => {
+            if (session.ueId !== ueId || session.pduSessionId !== pduSessionId) return;
+            this.qosSessions.delete(transactionId);
+
+            window.logEngine?.addLog(session.nefId, 'INFO', `AF session with QoS ${transactionId} ended: PDU session ${pduSessionId} released`, {
+                appSessionId: session.appSessionId,
+                qosReference: session.qosReference
+            });
+        });
+    }
+}
+
+// Export for global access
+window.ExposureManager = ExposureManager;
@@ -58,6 +58,8 @@ class LogEngine {
             'PCF': { required: ['NRF'], optional: [] },
             'NSSF': { required: ['NRF'], optional: [] },
             'UDR': { required: ['NRF'], optional: [] },
+            'NEF': { required: ['NRF'], optional: ['AMF', 'PCF'] },
+            'AF': { required: ['NEF'], optional: [] },
             'gNB': { required: ['AMF', 'UPF'], optional: [] },
             'UE': { required: ['gNB'], optional: [] },
             'MySQL': { required: [], optional: ['UDM'] }
@@ -154,6 +156,8 @@ class LogEngine {
             'PCF': '/npcf-am-policy/v1',
             'NSSF': '/nnssf-nsselection/v1',
             'UDR': '/nudr-dr/v1',
+            'NEF': '/nnef-eventexposure/v1',
+            'AF': '/af/v1',
             'gNB': '/gnb-mgmt/v1',
             'UE': '/ue-mgmt/v1',
             'MySQL': '', // MySQL uses different format
@@ -385,6 +389,14 @@ class LogEngine {
             return; // Skip default logs
         }
 
+        // ========================================
+        // SPECIAL CASE: gNB-gNB Xn Connection
+        // ========================================
+        if (sourceNF.type === 'gNB' && targetNF.type === 'gNB') {
+            this.simulateXnSetup(sourceNF, targetNF);
+            return; // Skip default logs
+        }
+
         // Check if we have custom scenario
         const hasCustom = this.logScenarios &&
             this.logScenarios[sourceNF.type] &&
@@ -503,6 +515,9 @@ class LogEngine {
 
         console.log('Simulating NGAP Setup between', gnb.name, 'and', amf.name);
 
+        // Tracking area broadcast by the gNB
+        const tai = window.mobilityManager?.getGNBTAI(gnb) || { mcc: '001', mnc: '01', tac: 1 };
+
         // Generate unique IDs for this NGAP session
         const globalGNBId = `0x${Math.random().toString(16).substr(2, 8).toUpperCase()}`;
         const ranUENGAPId = Math.floor(Math.random() * 90000) + 10000;
@@ -523,7 +538,7 @@ class LogEngine {
                 `Received NGAP Setup Request from ${gnb.name}`, {
                 messageType: 'NGSetupRequest',
                 sourceIP: gnb.config.ipAddress, sourcePort: gnb.config.port,
-                supportedTAList: ['1']
+                supportedTAList: [{ tac: tai.tac, broadcastPLMNList: [`${tai.mcc}${tai.mnc}`] }]
             });
         }, 400);
 
@@ -535,12 +550,14 @@ class LogEngine {
             });
         }, 700);
 
-        // Step 4: AMF sends NGAP Setup Response
+        // Step 4: AMF sends NGAP Setup Response and starts serving the gNB's TAI
         setTimeout(() => {
+            const servedTAIs = window.mobilityManager?.syncServedTAIs(amf) || [];
             this.addLog(amf.id, 'SUCCESS',
                 `Sending NGAP Setup Response to ${gnb.name}`, {
                 messageType: 'NGSetupResponse',
-                result: 'SUCCESS'
+                result: 'SUCCESS',
+                servedTAIs: servedTAIs.map(t => window.mobilityManager.formatTAI(t))
             });
         }, 1000);
 
@@ -592,6 +609,54 @@ class LogEngine {
         }, 2000);
     }
 
+    /**
+     * Simulate Xn Setup between two neighbouring gNBs
+     * @param {Object} gnb1 - gNB initiating the Xn Setup
+     * @param {Object} gnb2 - Neighbour gNB
+     */
+    simulateXnSetup(gnb1, gnb2) {
+        console.log('Simulating Xn Setup between', gnb1.name, 'and', gnb2.name);
+
+        const tai1 = window.mobilityManager?.getGNBTAI(gnb1) || { mcc: '001', mnc: '01', tac: 1 };
+        const tai2 = window.mobilityManager?.getGNBTAI(gnb2) || { mcc: '001', mnc: '01', tac: 1 };
+
+        // Step 1: gNB initiates Xn Setup Request
+        setTimeout(() => {
+            this.addLog(gnb1.id, 'INFO',
+                `Initiating Xn Setup Request to ${gnb2.name}...`, {
+                messageType: 'XnSetupRequest',
+                protocol: 'XnAP',
+                targetIP: gnb2.config.ipAddress,
+                tai: `${tai1.mcc}${tai1.mnc}-${tai1.tac}`
+            });
+        }, 200);
+
+        // Step 2: neighbour gNB answers with its own served cell
+        setTimeout(() => {
+            this.addLog(gnb2.id, 'SUCCESS',
+                `Sending Xn Setup Response to ${gnb1.name}`, {
+                messageType: 'XnSetupResponse',
+                tai: `${tai2.mcc}${tai2.mnc}-${tai2.tac}`
+            });
+        }, 600);
+
+        // Step 3: Xn connection established (neighbours for handover)
+        setTimeout(() => {
+            this.addLog(gnb1.id, 'SUCCESS',
+                `Xn connection established with ${gnb2.name} ✓`, {
+                interface: 'Xn',
+                protocol: 'XnAP',
+                capabilities: 'Xn Handover, Data Forwarding'
+            });
+
+            this.addLog(gnb2.id, 'SUCCESS',
+                `Xn connection active with ${gnb1.name} ✓`, {
+                interface: 'Xn',
+                protocol: 'XnAP'
+            });
+        }, 1000);
+    }
+
     // -------------------------
     // NGAP Simulation (gNB <-> AMF)
     // -------------------------
@@ -729,7 +794,7 @@ class LogEngine {
     }
 
     /**
-     * Simulate NAS Registration over N1 (UE <-> AMF) including SUCI exchange
+     * Simulate NAS Registration over N1 (UE <-> AMF) including SUCI / 5G-GUTI exchange
      * @param {Object} ue - UE NF object
      * @param {Object} amf - AMF NF object
      * @param {Object} params - { imsi, dnn, nssai_sst }
@@ -738,9 +803,13 @@ class LogEngine {
         if (!ue || !amf) return;
 
         const imsi = params.imsi || '001010000000101';
-        const suci = `suci-0-001-01-${imsi.slice(-6)}`;
+        // UE conceals its SUPI unless it still holds a 5G-GUTI from an earlier registration
+        const identity = window.suciManager?.getRegistrationIdentity(ue)
+            || { type: 'SUCI', value: `suci-0-${imsi.slice(0, 3)}-${imsi.slice(3, 5)}-0-0-0-${imsi.slice(5)}` };
+        const mobileIdentity = identity.type === 'SUCI' ? { suci: identity.value } : { guti: identity.value };
         const dnn = params.dnn || '5G-Lab';
         const sst = params.nssai_sst ?? 1;
+        const requestedNSSAI = window.sliceManager ? window.sliceManager.toSnssais(window.sliceManager.getRequestedSlices(ue)) : [{ sst }];
 
         // Preconditions
         this.addLog(ue.id, 'INFO', 'Starting NAS Registration over N1', {
@@ -748,113 +817,110 @@ class LogEngine {
             registrationType: 'Initial Registration'
         });
 
-        // 1) Registration Request (UE -> AMF) with SUCI
+        // 1) Registration Request (UE -> AMF) with SUCI or 5G-GUTI
         setTimeout(() => {
-            this.addLog(ue.id, 'INFO', 'NAS: Registration Request sent', {
+            this.addLog(ue.id, 'INFO', `NAS: Registration Request sent (${identity.type})`, {
                 interface: 'N1',
-                suci: suci,
+                ...mobileIdentity,
                 dnn: dnn,
-                requestedSST: sst
+                requestedNSSAI: requestedNSSAI
             });
             this.addLog(amf.id, 'INFO', 'NAS: Registration Request received from UE', {
                 interface: 'N1',
-                suci: suci,
+                ...mobileIdentity,
                 dnn: dnn,
-                requestedSST: sst
+                requestedNSSAI: requestedNSSAI
             });
         }, 200);
 
-        // 2) Authentication Request (AMF -> UE)
-        setTimeout(() => {
-            this.addLog(amf.id, 'INFO', 'NAS: Authentication Request', {
-                method: '5G-AKA',
-                rand: `0x${Math.random().toString(16).substr(2, 8)}`
-            });
-            this.addLog(ue.id, 'INFO', 'NAS: Authentication Request received', {
-                method: '5G-AKA'
-            });
+        // 2-3) 5G-AKA: AMF -> AUSF -> UDM vector generation, RAND/AUTN to the UE,
+        // RES* checked at AMF and AUSF; the rest of the registration waits for it
+        setTimeout(async () => {
+            if (window.suciManager) {
+                await window.suciManager.identifyUE(ue, amf, identity);
+            }
+
+            const auth = window.akaManager
+                ? await window.akaManager.authenticate(ue, amf)
+                : { success: true, cause: null };
+
+            if (!auth.success) {
+                this.addLog(ue.id, 'ERROR', 'NAS: Registration failed - UE not authenticated', {
+                    cause: auth.cause,
+                    status: 'DEREGISTERED'
+                });
+                return;
+            }
+
+            this.completeNASRegistration(ue, amf, { dnn, sst });
         }, 600);
+    }
 
-        // 3) Authentication Response (UE -> AMF)
-        setTimeout(() => {
-            this.addLog(ue.id, 'SUCCESS', 'NAS: Authentication Response (RES*)', {
-                resStar: `0x${Math.random().toString(16).substr(2, 8)}`
-            });
-            this.addLog(amf.id, 'SUCCESS', 'NAS: Authentication verified', {
-                result: 'SUCCESS'
-            });
-        }, 1000);
+    /**
+     * Remaining NAS Registration steps after successful authentication
+     * @param {Object} ue - UE NF object
+     * @param {Object} amf - AMF NF object
+     * @param {Object} params - { dnn, sst }
+     */
+    async completeNASRegistration(ue, amf, { dnn, sst }) {
+        // 4) Security Mode Command/Complete: KAMF/NAS keys, then KgNB/AS keys on the gNB
+        if (window.akaManager) {
+            const smc = await window.akaManager.performSecurityModeControl(ue, amf);
+            if (!smc.success) {
+                this.addLog(ue.id, 'ERROR', 'NAS: Registration failed - security mode control rejected', {
+                    cause: smc.cause,
+                    status: 'DEREGISTERED'
+                });
+                return;
+            }
+        }
 
-        // 4) Security Mode Command/Complete
-        setTimeout(() => {
-            this.addLog(amf.id, 'INFO', 'NAS: Security Mode Command', {
-                ciphering: '128-NEA2',
-                integrity: '128-NIA2'
-            });
-            this.addLog(ue.id, 'SUCCESS', 'NAS: Security Mode Complete', {
-                selectedAlgorithms: { ciphering: 'NEA2', integrity: 'NIA2' }
-            });
-        }, 1400);
+        // 5) Network slice selection (Nnssf_NSSelection); no allowed S-NSSAI rejects the registration
+        if (window.sliceManager) {
+            const slices = await window.sliceManager.selectNetworkSlices(ue, amf);
+            if (!slices.success) {
+                await window.sliceManager.sendRegistrationReject(ue, amf, slices);
+                return;
+            }
+        }
 
-        // 5) Registration Accept / Complete
+        // 6) Registration Accept / Complete
         setTimeout(() => {
-            const guti = `5g-guti-${Math.random().toString(36).substr(2, 6)}`;
+            const guti = window.suciManager?.allocateGUTI(ue, amf) || `5g-guti-${Math.random().toString(36).substr(2, 6)}`;
+            const taiList = window.mobilityManager?.assignRegistrationArea(ue.id, amf) || [];
             this.addLog(amf.id, 'SUCCESS', 'NAS: Registration Accept', {
                 guti: guti,
-                allowedNSSAI: [{ sst }],
-                dnn: dnn
+                ...(window.sliceManager ? window.sliceManager.buildRegistrationNSSAI(ue) : { allowedNSSAI: [{ sst }] }),
+                dnn: dnn,
+                taiList: taiList.map(t => window.mobilityManager.formatTAI(t)),
+                t3512: window.nasTimerManager?.formatDuration(window.nasTimerManager.getT3512(amf))
             });
             this.addLog(ue.id, 'SUCCESS', 'NAS: Registration Complete', {
                 guti: guti,
                 status: 'REGISTERED'
             });
-        }, 1800);
 
-        // 6) Trigger PDU Session Establishment path (delegated to NFManager)
+            if (window.sessionManager) {
+                window.sessionManager.onRegistrationAccept(ue.id);
+            }
+        }, 600);
+
+        // 7) Trigger PDU Session Establishment path (delegated to NFManager)
         setTimeout(() => {
             if (window.nfManager) {
                 window.nfManager.registerUEAndEstablishPDU(ue.id);
             }
-        }, 2200);
+        }, 1000);
     }
 
     /**
-     * Simulate NRF registration
+     * Simulate NRF registration once an NF is connected to the NRF (the NRF
+     * registry skips NFs that already registered when they became stable)
      */
     simulateNRFRegistration(nf, nrfNF) {
         setTimeout(() => {
-            this.addLog(nf.id, 'INFO',
-                'Sending NF registration request to NRF...', {
-                method: 'PUT',
-                endpoint: '/nnrf-nfm/v1/nf-instances/' + nf.id,
-                payload: 'NF Profile'
-            });
+            window.nrfManager?.registerNF(window.dataStore?.getNFById(nf.id));
         }, 500);
-    
-        setTimeout(() => {
-            const profileId = `profile-${Math.random().toString(36).substr(2, 9)}`;
-
-            this.addLog(nrfNF.id, 'INFO',
-                `Processing registration from ${nf.name}`, {
-                nfType: nf.type,
-                nfInstanceId: nf.id
-            });
-
-            this.addLog(nrfNF.id, 'SUCCESS',
-                `${nf.name} registered successfully`, {
-                profileId: profileId,
-                validity: '3600 seconds',
-                status: 'REGISTERED'
-            });
-
-            this.addLog(nf.id, 'SUCCESS',
-                'Successfully registered with NRF', {
-                profileId: profileId,
-                nrfAddress: nrfNF.config.ipAddress,
-                heartbeatInterval: '60 seconds'
-            });
-
-        }, 1200);
     }
 
     /**
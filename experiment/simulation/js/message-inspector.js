@@ -129,6 +129,8 @@ class MessageInspector {
             protocol: packet.protocol,
             payload: packet.payload,
             messageId: packet.messageId,
+            security: packet.security,
+            accessToken: packet.accessToken,
             timestamp: new Date(packet.createdAt).toLocaleTimeString()
         };
 
@@ -238,6 +240,53 @@ class MessageInspector {
             payloadHtml = `<pre class="json-payload">${this.formatJSON(msg.payload)}</pre>`;
         }
 
+        // NAS / AS security protecting the message (algorithms and key identifiers)
+        let securityHtml = '';
+        if (msg.security) {
+            const rows = [
+                ['Ciphering', msg.security.ciphering],
+                ['Integrity', msg.security.integrity],
+                ['ngKSI', msg.security.ngKSI],
+                ...Object.entries(msg.security.keys || {})
+            ];
+            securityHtml = `
+                <div class="message-security">
+                    <h4>🔐 Security (${msg.security.layer})</h4>
+                    <div class="message-meta">
+                        ${rows.map(([label, value]) => `
+                        <div class="meta-row">
+                            <span class="meta-label">${label}:</span>
+                            <span class="meta-value mono">${value}</span>
+                        </div>`).join('')}
+                    </div>
+                </div>
+            `;
+        }
+
+        // OAuth2 access token carried by an SBI request (claims granted by the NRF)
+        let accessTokenHtml = '';
+        if (msg.accessToken) {
+            const rows = [
+                ['Issuer (NRF)', msg.accessToken.iss],
+                ['Subject (consumer)', msg.accessToken.sub],
+                ['Audience', msg.accessToken.aud],
+                ['Scope', msg.accessToken.scope],
+                ['Expires', `${new Date(msg.accessToken.exp * 1000).toLocaleTimeString()}${msg.accessToken.exp * 1000 <= Date.now() ? ' (expired)' : ''}`]
+            ];
+            accessTokenHtml = `
+                <div class="message-security">
+                    <h4>🔑 Access Token (Bearer)</h4>
+                    <div class="message-meta">
+                        ${rows.map(([label, value]) => `
+                        <div class="meta-row">
+                            <span class="meta-label">${label}:</span>
+                            <span class="meta-value mono">${value}</span>
+                        </div>`).join('')}
+                    </div>
+                </div>
+            `;
+        }
+
         content.innerHTML = `
             <div class="inspector-message">
                 <div class="message-header ${directionClass}">
@@ -272,7 +321,8 @@ class MessageInspector {
                     </div>
                     ` : ''}
                 </div>
-
+                ${securityHtml}
+                ${accessTokenHtml}
                 <div class="message-payload">
                     <h4>${msg.direction === 'request' ? 'Request' : 'Response'} Payload (JSON)</h4>
                     ${payloadHtml}
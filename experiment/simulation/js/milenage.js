@@ -0,0 +1,255 @@
+/**
+ * ============================================
+ * MILENAGE
+ * ============================================
+ * MILENAGE authentication and key generation functions (TS 35.206)
+ * on top of a plain JavaScript AES-128 block cipher
+ *
+ * Responsibilities:
+ * - Encrypt single 128-bit blocks with AES-128 (the MILENAGE kernel)
+ * - Compute f1/f1* (MAC-A / MAC-S) and f2-f5/f5* (RES, CK, IK, AK, AK*)
+ * - Convert between hex strings and byte arrays
+ */
+
+class Milenage {
+    constructor() {
+        // Rotation (in bytes) and constants c1..c5 of TS 35.206 4.1
+        this.ROTATIONS = { r1: 8, r2: 0, r3: 4, r4: 8, r5: 12 };
+        this.CONSTANTS = { c1: 0, c2: 1, c3: 2, c4: 4, c5: 8 };
+
+        // AES S-box and round constants
+        this.SBOX = this.buildSBox();
+        this.RCON = [0x01, 0x02, 0x04, 0x08, 0x10, 0x20, 0x40, 0x80, 0x1b, 0x36];
+    }
+
+    // ==========================================
+    // Byte helpers
+    // ==========================================
+
+    /**
+     * Parse a hex string into bytes
+     * @param {string} hex - Hex string (even length)
+     * @returns {Uint8Array} Bytes
+     */
+    hexToBytes(hex) {
+        const clean = String(hex || '').replace(/\s+/g, '');
+        if (clean.length % 2 !== 0 || !/^[0-9a-fA-F]*$/.test(clean)) {
+            throw new Error(`Invalid hex string: ${hex}`);
+        }
+
+        const bytes = new Uint8Array(clean.length / 2);
+        for (let i = 0; i < bytes.length; i++) {
+            bytes[i] = parseInt(clean.substr(i * 2, 2), 16);
+        }
+        return bytes;
+    }
+
+    /**
+     * Format bytes as a lowercase hex string
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {string} Hex string
+     */
+    bytesToHex(bytes) {
+        return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    }
+
+    /**
+     * XOR two byte arrays of the same length
+     * @param {Uint8Array} a - First operand
+     * @param {Uint8Array} b - Second operand
+     * @returns {Uint8Array} a XOR b
+     */
+    xor(a, b) {
+        return a.map((byte, i) => byte ^ b[i]);
+    }
+
+    /**
+     * Cyclic left rotation of a 128-bit block by a whole number of bytes
+     * @param {Uint8Array} block - 16-byte block
+     * @param {number} bytes - Rotation in bytes
+     * @returns {Uint8Array} Rotated block
+     */
+    rotate(block, bytes) {
+        return block.map((_, i) => block[(i + bytes) % 16]);
+    }
+
+    // ==========================================
+    // AES-128
+    // ==========================================
+
+    /**
+     * Build the AES S-box from the GF(2^8) multiplicative inverse
+     * @returns {Uint8Array} S-box
+     */
+    buildSBox() {
+        const sbox = new Uint8Array(256);
+        let p = 1;
+        let q = 1;
+
+        do {
+            // p * 3, q / 3 walk all non-zero field elements
+            p = p ^ ((p << 1) & 0xff) ^ (p & 0x80 ? 0x1b : 0);
+            q ^= q << 1;
+            q ^= q << 2;
+            q ^= q << 4;
+            q &= 0xff;
+            if (q & 0x80) q ^= 0x09;
+
+            const rotl = (x, s) => ((x << s) | (x >> (8 - s))) & 0xff;
+            sbox[p] = q ^ rotl(q, 1) ^ rotl(q, 2) ^ rotl(q, 3) ^ rotl(q, 4) ^ 0x63;
+        } while (p !== 1);
+
+        sbox[0] = 0x63;
+        return sbox;
+    }
+
+    /**
+     * Expand a 128-bit key into the 11 round keys
+     * @param {Uint8Array} key - 16-byte key
+     * @returns {Uint8Array} 176 bytes of round keys
+     */
+    expandKey(key) {
+        const roundKeys = new Uint8Array(176);
+        roundKeys.set(key);
+
+        for (let i = 16, round = 0; i < 176; i += 4) {
+            let word = roundKeys.slice(i - 4, i);
+            if (i % 16 === 0) {
+                word = new Uint8Array([
+                    this.SBOX[word[1]] ^ this.RCON[round++],
+                    this.SBOX[word[2]],
+                    this.SBOX[word[3]],
+                    this.SBOX[word[0]]
+                ]);
+            }
+            for (let j = 0; j < 4; j++) {
+                roundKeys[i + j] = roundKeys[i - 16 + j] ^ word[j];
+            }
+        }
+        return roundKeys;
+    }
+
+    /**
+     * Encrypt one 128-bit block with AES-128
+     * @param {Uint8Array} key - 16-byte key
+     * @param {Uint8Array} block - 16-byte plaintext
+     * @returns {Uint8Array} 16-byte ciphertext
+     */
+    encrypt(key, block) {
+        const roundKeys = this.expandKey(key);
+        const xtime = (b) => ((b << 1) ^ (b & 0x80 ? 0x1b : 0)) & 0xff;
+        let state = this.xor(block, roundKeys.subarray(0, 16));
+
+        for (let round = 1; round <= 10; round++) {
+            // SubBytes + ShiftRows (state is column-major)
+            const shifted = new Uint8Array(16);
+            for (let i = 0; i < 16; i++) {
+                shifted[i] = this.SBOX[state[(i + 4 * (i % 4)) % 16]];
+            }
+
+            // MixColumns (skipped in the last round)
+            if (round < 10) {
+                for (let c = 0; c < 16; c += 4) {
+                    const [a0, a1, a2, a3] = shifted.subarray(c, c + 4);
+                    const all = a0 ^ a1 ^ a2 ^ a3;
+                    shifted[c] = a0 ^ all ^ xtime(a0 ^ a1);
+                    shifted[c + 1] = a1 ^ all ^ xtime(a1 ^ a2);
+                    shifted[c + 2] = a2 ^ all ^ xtime(a2 ^ a3);
+                    shifted[c + 3] = a3 ^ all ^ xtime(a3 ^ a0);
+                }
+            }
+
+            state = this.xor(shifted, roundKeys.subarray(round * 16, round * 16 + 16));
+        }
+        return state;
+    }
+
+    // ==========================================
+    // MILENAGE functions (TS 35.206 4.1)
+    // ==========================================
+
+    /**
+     * OUT_i = E_K(rot(TEMP XOR OPc, r_i) XOR c_i) XOR OPc
+     * @param {Uint8Array} k - Subscriber key K
+     * @param {Uint8Array} opc - OPc
+     * @param {Uint8Array} input - TEMP XOR OPc
+     * @param {number} rotation - r_i in bytes
+     * @param {number} constant - Last byte of c_i
+     * @returns {Uint8Array} OUT_i
+     */
+    output(k, opc, input, rotation, constant) {
+        const block = this.rotate(input, rotation);
+        block[15] ^= constant;
+        return this.xor(this.encrypt(k, block), opc);
+    }
+
+    /**
+     * TEMP = E_K(RAND XOR OPc)
+     * @param {Uint8Array} k - Subscriber key K
+     * @param {Uint8Array} opc - OPc
+     * @param {Uint8Array} rand - RAND
+     * @returns {Uint8Array} TEMP
+     */
+    temp(k, opc, rand) {
+        return this.encrypt(k, this.xor(rand, opc));
+    }
+
+    /**
+     * f1 / f1*: network and resynchronisation authentication codes
+     * @param {string} kHex - Subscriber key K
+     * @param {string} opcHex - OPc
+     * @param {string} randHex - RAND
+     * @param {string} sqnHex - SQN (48 bits)
+     * @param {string} amfHex - AMF field (16 bits)
+     * @returns {Object} {macA, macS} hex strings
+     */
+    f1(kHex, opcHex, randHex, sqnHex, amfHex) {
+        const k = this.hexToBytes(kHex);
+        const opc = this.hexToBytes(opcHex);
+        const temp = this.temp(k, opc, this.hexToBytes(randHex));
+
+        // IN1 = SQN || AMF || SQN || AMF
+        const sqnAmf = this.hexToBytes(sqnHex + amfHex);
+        const in1 = new Uint8Array(16);
+        in1.set(sqnAmf, 0);
+        in1.set(sqnAmf, 8);
+
+        const block = this.xor(this.rotate(this.xor(in1, opc), this.ROTATIONS.r1), temp);
+        block[15] ^= this.CONSTANTS.c1;
+        const out1 = this.xor(this.encrypt(k, block), opc);
+
+        return {
+            macA: this.bytesToHex(out1.subarray(0, 8)),
+            macS: this.bytesToHex(out1.subarray(8, 16))
+        };
+    }
+
+    /**
+     * f2-f5 and f5*: response, cipher/integrity keys and anonymity keys
+     * @param {string} kHex - Subscriber key K
+     * @param {string} opcHex - OPc
+     * @param {string} randHex - RAND
+     * @returns {Object} {res, ck, ik, ak, akStar} hex strings
+     */
+    f2345(kHex, opcHex, randHex) {
+        const k = this.hexToBytes(kHex);
+        const opc = this.hexToBytes(opcHex);
+        const input = this.xor(this.temp(k, opc, this.hexToBytes(randHex)), opc);
+
+        const out2 = this.output(k, opc, input, this.ROTATIONS.r2, this.CONSTANTS.c2);
+        const out3 = this.output(k, opc, input, this.ROTATIONS.r3, this.CONSTANTS.c3);
+        const out4 = this.output(k, opc, input, this.ROTATIONS.r4, this.CONSTANTS.c4);
+        const out5 = this.output(k, opc, input, this.ROTATIONS.r5, this.CONSTANTS.c5);
+
+        return {
+            res: this.bytesToHex(out2.subarray(8, 16)),
+            ck: this.bytesToHex(out3),
+            ik: this.bytesToHex(out4),
+            ak: this.bytesToHex(out2.subarray(0, 6)),
+            akStar: this.bytesToHex(out5.subarray(0, 6))
+        };
+    }
+}
+
+// Export for global access
+window.Milenage = Milenage;
@@ -0,0 +1,420 @@
+/**
+ * ============================================
+ * MOBILITY MANAGER
+ * ============================================
+ * Manages tracking areas and UE registration areas
+ *
+ * Responsibilities:
+ * - Provide PLMN/TAC identities for gNBs and AMFs
+ * - Keep the AMF's list of served TAIs in sync with its gNBs
+ * - Assign a registration area (TAI list) to UEs at registration
+ * - Resolve which gNBs belong to a UE's registration area
+ * - Derive gNB radio coverage and trigger mobility procedures when a UE moves
+ *   (cell reselection, Mobility Registration Update, handover)
+ */
+
+class MobilityManager {
+    constructor() {
+        // Default PLMN used by the lab (MCC 001, MNC 01)
+        this.DEFAULT_PLMN = { mcc: '001', mnc: '01' };
+
+        // Registration area policies supported by the AMF
+        this.REGISTRATION_AREA_POLICIES = {
+            TRACKING_AREA: 'tracking-area',   // Only the TAI the UE registered in
+            ALL_SERVED: 'all-served'          // Every TAI served by the AMF
+        };
+
+        // Default gNB coverage radius on the canvas (px);
+        // overridable per gNB via config.coverageRadius
+        this.DEFAULT_COVERAGE_RADIUS = 180;
+
+        // Half of the NF icon size, used to find icon centres
+        this.NF_HALF_SIZE = 20;
+
+        console.log('✅ MobilityManager initialized');
+    }
+
+    // ==========================================
+    // TAI helpers
+    // ==========================================
+
+    /**
+     * Get PLMN of an NF (falls back to the default PLMN)
+     * @param {Object} nf - Network Function
+     * @returns {Object} {mcc, mnc}
+     */
+    getPLMN(nf) {
+        return nf?.config?.plmn || { ...this.DEFAULT_PLMN };
+    }
+
+    /**
+     * Get the TAI broadcast by a gNB
+     * @param {Object} gnb - gNB Network Function
+     * @returns {Object} {mcc, mnc, tac}
+     */
+    getGNBTAI(gnb) {
+        const plmn = this.getPLMN(gnb);
+        return { mcc: plmn.mcc, mnc: plmn.mnc, tac: gnb?.config?.tac ?? 1 };
+    }
+
+    /**
+     * Format TAI for display (e.g. "00101-1")
+     * @param {Object} tai - {mcc, mnc, tac}
+     * @returns {string} Formatted TAI
+     */
+    formatTAI(tai) {
+        return `${tai.mcc}${tai.mnc}-${tai.tac}`;
+    }
+
+    /**
+     * Compare two TAIs
+     * @param {Object} a - First TAI
+     * @param {Object} b - Second TAI
+     * @returns {boolean} True if equal
+     */
+    isSameTAI(a, b) {
+        return !!a && !!b && a.mcc === b.mcc && a.mnc === b.mnc && Number(a.tac) === Number(b.tac);
+    }
+
+    /**
+     * Validate PLMN and TAC values entered in the config panel
+     * @param {string} mcc - Mobile Country Code
+     * @param {string} mnc - Mobile Network Code
+     * @param {number|null} tac - Tracking Area Code (null to skip)
+     * @returns {string|null} Error message, or null if valid
+     */
+    validateIdentity(mcc, mnc, tac = null) {
+        if (!/^\d{3}$/.test(mcc)) {
+            return 'MCC must be exactly 3 digits.';
+        }
+        if (!/^\d{2,3}$/.test(mnc)) {
+            return 'MNC must be 2 or 3 digits.';
+        }
+        if (tac !== null && (!Number.isInteger(tac) || tac < 1 || tac > 16777215)) {
+            return 'TAC must be a number between 1 and 16777215 (24 bits).';
+        }
+        return null;
+    }
+
+    // ==========================================
+    // AMF served TAIs
+    // ==========================================
+
+    /**
+     * Get gNBs with an N2 association to an AMF
+     * @param {Object} amf - AMF Network Function
+     * @returns {Array} gNB NFs
+     */
+    getConnectedGNBs(amf) {
+        const allNFs = window.dataStore?.getAllNFs() || [];
+        return allNFs.filter(nf =>
+            nf.type === 'gNB' &&
+            (window.dataStore?.getConnectionsForNF(nf.id) || []).some(conn =>
+                conn.sourceId === amf.id || conn.targetId === amf.id
+            )
+        );
+    }
+
+    /**
+     * Rebuild the AMF's served TAI list from the gNBs connected to it.
+     * gNBs from a foreign PLMN are not served.
+     * @param {Object} amf - AMF Network Function
+     * @returns {Array} Served TAIs
+     */
+    syncServedTAIs(amf) {
+        if (!amf || amf.type !== 'AMF') return [];
+
+        const amfPlmn = this.getPLMN(amf);
+        const served = [];
+
+        this.getConnectedGNBs(amf).forEach(gnb => {
+            const tai = this.getGNBTAI(gnb);
+            if (tai.mcc !== amfPlmn.mcc || tai.mnc !== amfPlmn.mnc) return;
+            if (!served.some(t => this.isSameTAI(t, tai))) {
+                served.push(tai);
+            }
+        });
+
+        amf.config.plmn = amfPlmn;
+        amf.config.servedTAIs = served;
+        window.dataStore?.updateNF(amf.id, amf);
+        window.nrfManager?.updateProfile(amf);
+
+        return served;
+    }
+
+    /**
+     * Resync served TAIs of every AMF a gNB is connected to
+     * @param {Object} gnb - gNB Network Function
+     */
+    syncAMFsForGNB(gnb) {
+        const connections = window.dataStore?.getConnectionsForNF(gnb.id) || [];
+        connections.forEach(conn => {
+            const other = window.dataStore?.getNFById(conn.sourceId === gnb.id ? conn.targetId : conn.sourceId);
+            if (other?.type === 'AMF') {
+                this.syncServedTAIs(other);
+            }
+        });
+    }
+
+    // ==========================================
+    // UE registration area
+    // ==========================================
+
+    /**
+     * Find the gNB a UE is camped on
+     * @param {string} ueId - UE ID
+     * @returns {Object|null} gNB NF
+     */
+    getServingGNB(ueId) {
+        const connections = window.dataStore?.getConnectionsForNF(ueId) || [];
+        for (const conn of connections) {
+            const other = window.dataStore?.getNFById(conn.sourceId === ueId ? conn.targetId : conn.sourceId);
+            if (other?.type === 'gNB') {
+                return other;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * Find the AMF serving a UE (stable AMF in the UE's subnet)
+     * @param {Object} ue - UE Network Function
+     * @returns {Object|null} AMF NF
+     */
+    getServingAMF(ue) {
+        const ueNetwork = this.getNetworkFromIP(ue.config.ipAddress);
+        const allNFs = window.dataStore?.getAllNFs() || [];
+        return allNFs.find(nf =>
+            nf.type === 'AMF' &&
+            nf.status === 'stable' &&
+            this.getNetworkFromIP(nf.config.ipAddress) === ueNetwork
+        ) || null;
+    }
+
+    /**
+     * Assign a registration area (TAI list) to a UE at registration time
+     * @param {string} ueId - UE ID
+     * @param {Object|null} amf - Serving AMF (resolved automatically if omitted)
+     * @returns {Array} Assigned TAI list
+     */
+    assignRegistrationArea(ueId, amf = null) {
+        const ue = window.dataStore?.getNFById(ueId);
+        if (!ue || ue.type !== 'UE') return [];
+
+        amf = amf || this.getServingAMF(ue);
+        const gnb = this.getServingGNB(ueId);
+
+        const servedTAIs = amf ? this.syncServedTAIs(amf) : [];
+        const currentTAI = gnb ? this.getGNBTAI(gnb) : null;
+        const policy = amf?.config?.registrationAreaPolicy || this.REGISTRATION_AREA_POLICIES.TRACKING_AREA;
+
+        let taiList = [];
+        if (policy === this.REGISTRATION_AREA_POLICIES.ALL_SERVED && servedTAIs.length > 0) {
+            taiList = servedTAIs.map(tai => ({ ...tai }));
+        } else if (currentTAI) {
+            taiList = [currentTAI];
+        }
+
+        ue.config.registrationArea = taiList;
+        ue.config.lastVisitedTAI = currentTAI;
+        window.dataStore?.updateNF(ueId, ue);
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf?.id || ueId, 'INFO', `Registration area assigned to ${ue.name}`, {
+                taiList: taiList.map(tai => this.formatTAI(tai)),
+                policy: policy,
+                currentTAI: currentTAI ? this.formatTAI(currentTAI) : 'unknown'
+            });
+        }
+
+        return taiList;
+    }
+
+    /**
+     * Check if a TAI is part of the UE's registration area
+     * @param {Object} ue - UE Network Function
+     * @param {Object} tai - TAI to check
+     * @returns {boolean} True if inside the registration area
+     */
+    isInRegistrationArea(ue, tai) {
+        return (ue?.config?.registrationArea || []).some(t => this.isSameTAI(t, tai));
+    }
+
+    /**
+     * Get the gNBs covering a UE's registration area (used for paging).
+     * Falls back to every gNB of the AMF when no area has been assigned yet.
+     * @param {Object} ue - UE Network Function
+     * @param {Object} amf - Serving AMF
+     * @returns {Array} gNB NFs
+     */
+    getRegistrationAreaGNBs(ue, amf) {
+        const gnbs = this.getConnectedGNBs(amf).filter(gnb => gnb.status === 'stable');
+        if (!ue?.config?.registrationArea?.length) {
+            return gnbs;
+        }
+        return gnbs.filter(gnb => this.isInRegistrationArea(ue, this.getGNBTAI(gnb)));
+    }
+
+    // ==========================================
+    // Radio coverage
+    // ==========================================
+
+    /**
+     * Get the centre point of an NF icon on the canvas
+     * @param {Object} nf - Network Function
+     * @returns {Object} {x, y}
+     */
+    getCenter(nf) {
+        return {
+            x: nf.position.x + this.NF_HALF_SIZE,
+            y: nf.position.y + this.NF_HALF_SIZE
+        };
+    }
+
+    /**
+     * Get the coverage radius of a gNB
+     * @param {Object} gnb - gNB Network Function
+     * @returns {number} Radius in canvas pixels
+     */
+    getCoverageRadius(gnb) {
+        return gnb?.config?.coverageRadius || this.DEFAULT_COVERAGE_RADIUS;
+    }
+
+    /**
+     * Distance between a UE and a gNB on the canvas
+     * @param {Object} ue - UE Network Function
+     * @param {Object} gnb - gNB Network Function
+     * @returns {number} Distance in canvas pixels
+     */
+    getDistance(ue, gnb) {
+        const a = this.getCenter(ue);
+        const b = this.getCenter(gnb);
+        return Math.hypot(a.x - b.x, a.y - b.y);
+    }
+
+    /**
+     * Check if a UE is inside a gNB's coverage
+     * @param {Object} ue - UE Network Function
+     * @param {Object} gnb - gNB Network Function
+     * @returns {boolean} True if covered
+     */
+    isInCoverage(ue, gnb) {
+        return this.getDistance(ue, gnb) <= this.getCoverageRadius(gnb);
+    }
+
+    /**
+     * Find the best cell for a UE: the nearest stable gNB in the UE's subnet
+     * whose coverage contains the UE
+     * @param {Object} ue - UE Network Function
+     * @returns {Object|null} gNB NF
+     */
+    findBestGNB(ue) {
+        const ueNetwork = this.getNetworkFromIP(ue.config.ipAddress);
+        const candidates = (window.dataStore?.getAllNFs() || []).filter(nf =>
+            nf.type === 'gNB' &&
+            nf.status === 'stable' &&
+            this.getNetworkFromIP(nf.config.ipAddress) === ueNetwork &&
+            this.isInCoverage(ue, nf)
+        );
+
+        candidates.sort((a, b) => this.getDistance(ue, a) - this.getDistance(ue, b));
+        return candidates[0] || null;
+    }
+
+    /**
+     * Move the UE's radio link to another gNB (cell reselection)
+     * @param {Object} ue - UE Network Function
+     * @param {Object} oldGnb - Previous serving gNB
+     * @param {Object} newGnb - New serving gNB
+     */
+    campOn(ue, oldGnb, newGnb) {
+        const radioConn = (window.dataStore?.getConnectionsForNF(ue.id) || []).find(conn =>
+            conn.sourceId === oldGnb.id || conn.targetId === oldGnb.id
+        );
+        if (!radioConn) return;
+
+        window.dataStore.updateConnection(radioConn.id, {
+            sourceId: ue.id,
+            targetId: newGnb.id
+        });
+
+        if (window.canvasRenderer) {
+            window.canvasRenderer.render();
+        }
+    }
+
+    /**
+     * React to a UE being dropped at a new position on the canvas.
+     * The UE reselects the best covering gNB; a Mobility Registration Update
+     * is only needed when the new cell's TAI is outside the registration area.
+     * @param {string} ueId - UE ID
+     */
+    onUEMoved(ueId) {
+        const ue = window.dataStore?.getNFById(ueId);
+        if (!ue || ue.type !== 'UE') return;
+
+        // Only UEs with a radio link to a gNB take part in mobility
+        const oldGnb = this.getServingGNB(ueId);
+        if (!oldGnb) return;
+
+        const newGnb = this.findBestGNB(ue);
+
+        if (!newGnb) {
+            if (!this.isInCoverage(ue, oldGnb) && window.logEngine) {
+                window.logEngine.addLog(ueId, 'WARNING', `${ue.name} is outside gNB coverage`, {
+                    lastCell: oldGnb.name,
+                    distance: `${Math.round(this.getDistance(ue, oldGnb))}px`,
+                    coverageRadius: `${this.getCoverageRadius(oldGnb)}px`
+                });
+            }
+            return;
+        }
+
+        if (oldGnb.id === newGnb.id) return;
+
+        const newTAI = this.getGNBTAI(newGnb);
+        const sessionManager = window.sessionManager;
+
+        // A connected UE with an active user plane is handed over instead
+        if (sessionManager?.getCMState(ueId) === sessionManager?.CM_STATES.CONNECTED &&
+            sessionManager.isUserPlaneActive(ueId)) {
+            sessionManager.performHandover(ueId, newGnb);
+            return;
+        }
+        const registered = sessionManager?.getRMState(ueId) === sessionManager?.RM_STATES.REGISTERED;
+        const inArea = this.isInRegistrationArea(ue, newTAI);
+
+        this.campOn(ue, oldGnb, newGnb);
+
+        if (window.logEngine) {
+            window.logEngine.addLog(ueId, 'INFO', `Cell reselection: ${oldGnb.name} → ${newGnb.name}`, {
+                tai: this.formatTAI(newTAI),
+                cmState: sessionManager?.getCMState(ueId),
+                registrationArea: (ue.config.registrationArea || []).map(tai => this.formatTAI(tai)),
+                inRegistrationArea: inArea
+            });
+        }
+
+        // Deregistered UEs just camp on the new cell; inside the registration
+        // area an idle UE stays silent and remains reachable by paging
+        if (!registered || inArea) return;
+
+        sessionManager.performMobilityRegistrationUpdate(ueId);
+    }
+
+    /**
+     * Get network from IP address
+     * @param {string} ip - IP address
+     * @returns {string} Network prefix (e.g., "192.168.1")
+     */
+    getNetworkFromIP(ip) {
+        if (!ip) return '';
+        const parts = ip.split('.');
+        if (parts.length !== 4) return '';
+        return `${parts[0]}.${parts[1]}.${parts[2]}`;
+    }
+}
+
+// Export for global access
+window.MobilityManager = MobilityManager;
@@ -0,0 +1,384 @@
+/**
+ * ============================================
+ * NAS TIMER MANAGER
+ * ============================================
+ * Runs the registration supervision timers on a simulated clock
+ *
+ * Responsibilities:
+ * - Keep a simulated clock that can run faster than real time
+ * - Run T3512 (periodic registration update) in the UE
+ * - Run the mobile-reachable and implicit-deregistration timers in the AMF
+ * - Implicitly deregister UEs that were powered off while idle
+ */
+
+class NASTimerManager {
+    constructor() {
+        // Timer names
+        this.TIMERS = {
+            T3512: 'T3512',
+            MOBILE_REACHABLE: 'Mobile reachable',
+            IMPLICIT_DEREGISTRATION: 'Implicit de-registration'
+        };
+
+        // Default timer values in simulated ms (TS 24.501 10.2)
+        this.DEFAULT_T3512 = 54 * 60 * 1000;              // 54 minutes
+        this.MOBILE_REACHABLE_MARGIN = 4 * 60 * 1000;     // T3512 + 4 minutes
+        this.IMPLICIT_DEREGISTRATION_TIMER = 4 * 60 * 1000;
+
+        // Clock speed-up factors offered in the UI
+        this.CLOCK_SPEEDS = [1, 10, 60, 600];
+
+        // Simulated clock
+        this.clockSpeed = 1;
+        this.simulatedTime = 0;
+        this.lastTickAt = Date.now();
+        this.tickInterval = 250;
+        this.ticker = null;
+
+        // Running timers: `${ueId}:${name}` -> timer
+        this.timers = new Map();
+
+        // UEs that are switched off (removed or stopped)
+        this.poweredOff = new Set();
+
+        // Follow CM/RM transitions of every UE
+        if (window.sessionManager) {
+            window.sessionManager.subscribe((event, data) => {
+                if (event === 'cmStateChange' || event === 'rmStateChange') {
+                    this.onUEStateChange(data.ueId);
+                }
+            });
+        }
+
+        console.log('✅ NASTimerManager initialized');
+    }
+
+    // ==========================================
+    // Simulated clock
+    // ==========================================
+
+    /**
+     * Current simulated time
+     * @returns {number} Simulated ms since start
+     */
+    now() {
+        return this.simulatedTime + (Date.now() - this.lastTickAt) * this.clockSpeed;
+    }
+
+    /**
+     * Change how fast simulated time runs
+     * @param {number} speed - Speed-up factor (1 = real time)
+     */
+    setClockSpeed(speed) {
+        if (!this.CLOCK_SPEEDS.includes(speed) || speed === this.clockSpeed) return;
+
+        // Bank the time elapsed at the old speed first
+        this.tick();
+        this.clockSpeed = speed;
+
+        console.log(`⏱️ NAS timer clock speed: ${speed}x`);
+
+        if (window.logEngine) {
+            window.logEngine.addLog('system', 'INFO', `NAS timer clock set to ${speed}x real time`, {
+                runningTimers: this.timers.size
+            });
+        }
+    }
+
+    /**
+     * Advance the simulated clock and fire expired timers
+     */
+    tick() {
+        const realNow = Date.now();
+        this.simulatedTime += (realNow - this.lastTickAt) * this.clockSpeed;
+        this.lastTickAt = realNow;
+
+        const expired = [...this.timers.values()].filter(timer => timer.expiresAt <= this.simulatedTime);
+        expired.forEach(timer => {
+            this.timers.delete(this.getKey(timer.ueId, timer.name));
+            this.onTimerExpired(timer);
+        });
+
+        if (this.timers.size === 0) {
+            this.stopTicker();
+        }
+    }
+
+    startTicker() {
+        if (this.ticker) return;
+        this.lastTickAt = Date.now();
+        this.ticker = setInterval(() => this.tick(), this.tickInterval);
+    }
+
+    stopTicker() {
+        if (this.ticker) {
+            clearInterval(this.ticker);
+            this.ticker = null;
+        }
+    }
+
+    /**
+     * Format a simulated duration for logs (e.g. "54 min", "30 s")
+     * @param {number} ms - Duration in ms
+     * @returns {string} Formatted duration
+     */
+    formatDuration(ms) {
+        if (ms >= 60000 && ms % 60000 === 0) {
+            return `${ms / 60000} min`;
+        }
+        return `${Math.round(ms / 1000)} s`;
+    }
+
+    // ==========================================
+    // Timer management
+    // ==========================================
+
+    getKey(ueId, name) {
+        return `${ueId}:${name}`;
+    }
+
+    /**
+     * Get T3512 configured at an AMF
+     * @param {Object|null} amf - AMF Network Function
+     * @returns {number} T3512 in simulated ms
+     */
+    getT3512(amf) {
+        const minutes = parseInt(amf?.config?.t3512);
+        return minutes > 0 ? minutes * 60 * 1000 : this.DEFAULT_T3512;
+    }
+
+    /**
+     * Start (or restart) a timer
+     * @param {Object} ue - UE Network Function
+     * @param {Object|null} amf - Serving AMF
+     * @param {string} name - Timer name
+     * @param {number} duration - Duration in simulated ms
+     */
+    startTimer(ue, amf, name, duration) {
+        const timer = {
+            ueId: ue.id,
+            ueName: ue.name,
+            amfId: amf?.id || null,
+            name: name,
+            duration: duration,
+            expiresAt: this.now() + duration
+        };
+
+        this.timers.set(this.getKey(ue.id, name), timer);
+        this.startTicker();
+
+        if (window.logEngine) {
+            window.logEngine.addLog(name === this.TIMERS.T3512 ? ue.id : (amf?.id || ue.id), 'INFO',
+                `${name} timer started for ${ue.name}`, {
+                duration: this.formatDuration(duration),
+                clockSpeed: `${this.clockSpeed}x`
+            });
+        }
+    }
+
+    /**
+     * Stop a timer if it is running
+     * @param {string} ueId - UE ID
+     * @param {string} name - Timer name
+     * @returns {boolean} True if a timer was stopped
+     */
+    stopTimer(ueId, name) {
+        return this.timers.delete(this.getKey(ueId, name));
+    }
+
+    /**
+     * Stop all timers of a UE
+     * @param {string} ueId - UE ID
+     */
+    stopAllTimers(ueId) {
+        Object.values(this.TIMERS).forEach(name => this.stopTimer(ueId, name));
+    }
+
+    /**
+     * Remaining simulated time of a timer
+     * @param {string} ueId - UE ID
+     * @param {string} name - Timer name
+     * @returns {number|null} Remaining ms, or null if not running
+     */
+    getRemaining(ueId, name) {
+        const timer = this.timers.get(this.getKey(ueId, name));
+        return timer ? Math.max(0, timer.expiresAt - this.now()) : null;
+    }
+
+    // ==========================================
+    // UE lifecycle
+    // ==========================================
+
+    /**
+     * Re-evaluate timers after a CM/RM transition
+     * (TS 24.501 5.3.7: started on entering 5GMM-IDLE, stopped on 5GMM-CONNECTED)
+     * @param {string} ueId - UE ID
+     */
+    onUEStateChange(ueId) {
+        const ue = window.dataStore?.getNFById(ueId);
+        const sessionManager = window.sessionManager;
+        if (!ue || !sessionManager) return;
+
+        const registered = sessionManager.getRMState(ueId) === sessionManager.RM_STATES.REGISTERED;
+        const idle = sessionManager.getCMState(ueId) === sessionManager.CM_STATES.IDLE;
+
+        if (!registered || !idle) {
+            const wasUnreachable = this.isUnreachable(ueId);
+            this.stopAllTimers(ueId);
+            if (registered && wasUnreachable && window.logEngine) {
+                window.logEngine.addLog(ueId, 'SUCCESS', `${ue.name} reachable again`, {
+                    stoppedTimer: this.TIMERS.IMPLICIT_DEREGISTRATION
+                });
+            }
+            return;
+        }
+
+        const amf = window.mobilityManager?.getServingAMF(ue);
+        const t3512 = this.getT3512(amf);
+
+        // UE side: only a powered UE can send periodic updates
+        if (!this.poweredOff.has(ueId) && ue.status !== 'stopped') {
+            this.startTimer(ue, amf, this.TIMERS.T3512, t3512);
+        }
+
+        // AMF side: supervise reachability
+        if (!this.isUnreachable(ueId)) {
+            this.startTimer(ue, amf, this.TIMERS.MOBILE_REACHABLE, t3512 + this.MOBILE_REACHABLE_MARGIN);
+        }
+    }
+
+    /**
+     * Check if the AMF considers a UE unreachable (mobile reachable timer expired)
+     * @param {string} ueId - UE ID
+     * @returns {boolean} True while the implicit de-registration timer runs
+     */
+    isUnreachable(ueId) {
+        return this.timers.has(this.getKey(ueId, this.TIMERS.IMPLICIT_DEREGISTRATION));
+    }
+
+    /**
+     * UE switched off without deregistering (removed or `docker stop`).
+     * A connected UE loses its radio link first; the AMF then only notices
+     * the UE is gone when its reachability timers run out.
+     * @param {string} ueId - UE ID
+     * @param {boolean} removed - True if the UE is being deleted from the topology
+     */
+    async onUEPoweredOff(ueId, removed = false) {
+        const ue = window.dataStore?.getNFById(ueId);
+        const sessionManager = window.sessionManager;
+        if (!ue || !sessionManager) return;
+
+        this.poweredOff.add(ueId);
+        this.stopTimer(ueId, this.TIMERS.T3512);
+
+        if (sessionManager.getRMState(ueId) !== sessionManager.RM_STATES.REGISTERED) return;
+
+        if (window.logEngine) {
+            window.logEngine.addLog(ueId, 'WARNING', `${ue.name} powered off without deregistration`, {
+                cmState: sessionManager.getCMState(ueId),
+                note: 'AMF keeps the UE context until its timers expire'
+            });
+        }
+
+        if (sessionManager.getCMState(ueId) !== sessionManager.CM_STATES.CONNECTED) return;
+
+        if (removed) {
+            // No UE left to signal with: the gNB drops the context locally
+            sessionManager.deactivateUserPlane(ueId);
+            sessionManager.onANRelease(ueId);
+        } else {
+            await sessionManager.performANRelease(ueId, 'RADIO_CONNECTION_WITH_UE_LOST');
+        }
+    }
+
+    /**
+     * UE powered on again (docker start / restart)
+     * @param {string} ueId - UE ID
+     */
+    onUEPoweredOn(ueId) {
+        if (this.poweredOff.delete(ueId)) {
+            this.onUEStateChange(ueId);
+        }
+    }
+
+    /**
+     * Handle a timer expiry
+     * @param {Object} timer - Expired timer
+     */
+    onTimerExpired(timer) {
+        console.log(`⏰ ${timer.name} expired for ${timer.ueName}`);
+
+        if (timer.name === this.TIMERS.T3512) {
+            this.onT3512Expired(timer);
+        } else if (timer.name === this.TIMERS.MOBILE_REACHABLE) {
+            this.onMobileReachableExpired(timer);
+        } else if (timer.name === this.TIMERS.IMPLICIT_DEREGISTRATION) {
+            this.onImplicitDeregistrationExpired(timer);
+        }
+    }
+
+    /**
+     * T3512 expiry in the UE: send a Periodic Registration Update
+     * @param {Object} timer - Expired timer
+     */
+    onT3512Expired(timer) {
+        const ue = window.dataStore?.getNFById(timer.ueId);
+        if (!ue || this.poweredOff.has(timer.ueId)) return;
+
+        if (window.logEngine) {
+            window.logEngine.addLog(timer.ueId, 'INFO', `T3512 expired - starting Periodic Registration Update`, {
+                duration: this.formatDuration(timer.duration)
+            });
+        }
+
+        window.sessionManager?.performPeriodicRegistrationUpdate(timer.ueId).then(result => {
+            // Without a path to the AMF the UE retries after another T3512 period
+            if (!result.success) {
+                this.onUEStateChange(timer.ueId);
+            }
+        });
+    }
+
+    /**
+     * Mobile reachable timer expiry in the AMF: UE is considered unreachable
+     * and the implicit de-registration timer starts
+     * @param {Object} timer - Expired timer
+     */
+    onMobileReachableExpired(timer) {
+        const ue = window.dataStore?.getNFById(timer.ueId) || { id: timer.ueId, name: timer.ueName };
+        const amf = timer.amfId ? window.dataStore?.getNFById(timer.amfId) : null;
+
+        if (window.logEngine) {
+            window.logEngine.addLog(timer.amfId || timer.ueId, 'WARNING',
+                `Mobile reachable timer expired - ${timer.ueName} marked unreachable`, {
+                paging: 'suppressed',
+                nextStep: `Implicit de-registration in ${this.formatDuration(this.IMPLICIT_DEREGISTRATION_TIMER)}`
+            });
+        }
+
+        this.startTimer(ue, amf, this.TIMERS.IMPLICIT_DEREGISTRATION, this.IMPLICIT_DEREGISTRATION_TIMER);
+
+        // AFs subscribed to UE reachability learn the UE became unreachable
+        window.exposureManager?.onUEStateChange(timer.ueId);
+    }
+
+    /**
+     * Implicit de-registration timer expiry in the AMF
+     * @param {Object} timer - Expired timer
+     */
+    onImplicitDeregistrationExpired(timer) {
+        if (window.logEngine) {
+            window.logEngine.addLog(timer.amfId || timer.ueId, 'WARNING',
+                `Implicit de-registration timer expired - ${timer.ueName} implicitly deregistered`, {
+                rmState: 'RM-DEREGISTERED',
+                pduSessions: 'released locally (no NAS signalling)'
+            });
+        }
+
+        window.sessionManager?.onImplicitDeregistration(timer.ueId);
+        this.poweredOff.delete(timer.ueId);
+    }
+}
+
+// Export for global access
+window.NASTimerManager = NASTimerManager;
@@ -25,12 +25,17 @@ class NFManager {
             'PCF': 0,
             'NSSF': 0,
             'UDR': 0,
+            'NEF': 0,
+            'AF': 0,
             'gNB': 0,
             'UE': 0,
             'MySQL': 0,
             'ext-dn': 0
         };
 
+        // UEs whose switch-off Deregistration is in flight before removal
+        this.deletingUEs = new Set();
+
         console.log('✅ NFManager initialized');
     }
 
@@ -93,17 +98,39 @@ class NFManager {
             }
         };
 
-        // SPECIAL CASE: UPF gets additional tun0 network interface
+        // SPECIAL CASE: UPF gets one UE address pool (tun interface) per DNN
         if (type === 'UPF') {
-            nf.config.tun0Interface = {
-                interfaceName: 'tun0',
-                network: '10.0.0.0/28',
-                gatewayIP: '10.0.0.1',
-                assignedIPs: [], // Track IPs assigned to UEs
-                nextAvailableIP: 2 // Next IP to assign (10.0.0.2)
-            };
+            nf.config.ipPools = window.sessionManager?.createDefaultIPPools() || [];
             
-            console.log(`🌐 UPF ${nf.name} created with tun0 interface: ${nf.config.tun0Interface.gatewayIP} (${nf.config.tun0Interface.network})`);
+            console.log(`🌐 UPF ${nf.name} created with UE IP pools: ${nf.config.ipPools.map(pool => `${pool.dnn} ${pool.network}`).join(', ')}`);
+        }
+
+        // SPECIAL CASE: External DN is also reachable over IPv6 from IPv6 PDU sessions
+        if (type === 'ext-dn') {
+            nf.config.ipv6Address = this.generateUniqueIPv6Address();
+        }
+
+        // SPECIAL CASE: gNB broadcasts a PLMN and Tracking Area Code (one TA per gNB by default)
+        if (type === 'gNB') {
+            nf.config.plmn = { mcc: '001', mnc: '01' };
+            nf.config.tac = count;
+
+            console.log(`📡 gNB ${nf.name} created with TAI ${nf.config.plmn.mcc}${nf.config.plmn.mnc}-${nf.config.tac}`);
+        }
+
+        // SPECIAL CASE: AMF holds the TAIs it serves (filled at NG Setup)
+        if (type === 'AMF') {
+            nf.config.plmn = { mcc: '001', mnc: '01' };
+            nf.config.servedTAIs = [];
+            nf.config.registrationAreaPolicy = 'tracking-area';
+            nf.config.t3512 = 54; // minutes
+            nf.config.guami = { amfRegionId: 1, amfSetId: 1, amfPointer: count % 64 };
+        }
+
+        // SPECIAL CASE: UDM conceals SUPIs with an ECIES home network key (SIDF)
+        if (type === 'UDM') {
+            nf.config.suciProtectionScheme = 'profile-a';
+            nf.config.hnPublicKeyId = 1;
         }
 
         // SPECIAL CASE: UE gets default subscriber configuration
@@ -249,15 +276,19 @@ class NFManager {
         if (window.logEngine) {
             window.logEngine.onNFAdded(nf);
             
-            // Special logging for UPF tun0 interface
-            if (nf.type === 'UPF' && nf.config.tun0Interface) {
-                window.logEngine.addLog(nf.id, 'INFO',
-                    `tun0 network interface created: ${nf.config.tun0Interface.network}`, {
-                    interfaceName: nf.config.tun0Interface.interfaceName,
-                    network: nf.config.tun0Interface.network,
-                    gatewayIP: nf.config.tun0Interface.gatewayIP,
-                    availableIPs: '10.0.0.2 - 10.0.0.14 (13 IPs for UEs)',
-                    purpose: 'User plane data network for UE PDU sessions'
+            // Special logging for UPF tun interfaces (one per DNN pool)
+            if (nf.type === 'UPF') {
+                (nf.config.ipPools || []).forEach(pool => {
+                    const range = window.sessionManager.getPoolHostRange(pool);
+                    window.logEngine.addLog(nf.id, 'INFO',
+                        `${pool.interfaceName} network interface created: ${pool.network}`, {
+                        interfaceName: pool.interfaceName,
+                        dnn: pool.dnn,
+                        network: pool.network,
+                        gatewayIP: pool.gatewayIP,
+                        availableIPs: `${window.sessionManager.intToIP(range.first)} - ${window.sessionManager.intToIP(range.last)} (${range.size} IPs for UEs)`,
+                        purpose: `User plane data network for ${pool.dnn} PDU sessions`
+                    });
                 });
             }
         }
@@ -481,6 +512,25 @@ class NFManager {
         return fallbackIP;
     }
 
+    /**
+     * Generate unique IPv6 address for a data network server (outside the
+     * 2001:db8::/48 and 2001:db8:1::/48 UE prefixes)
+     * @returns {string} Unique IPv6 address
+     */
+    generateUniqueIPv6Address() {
+        const allNFs = window.dataStore?.getAllNFs() || [];
+        const usedIPs = new Set(allNFs.map(nf => nf.config.ipv6Address).filter(Boolean));
+
+        for (let host = 0x10; host <= 0xffff; host++) {
+            const ip = `2001:db8:ffff::${host.toString(16)}`;
+            if (!usedIPs.has(ip)) {
+                console.log(`🌐 Generated unique IPv6: ${ip}`);
+                return ip;
+            }
+        }
+        return null;
+    }
+
     /**
      * Generate unique port number to prevent conflicts (UPDATED for real-time availability)
      * @returns {number} Unique port number
@@ -644,6 +694,8 @@ class NFManager {
             'PCF': { color: '#e91e63', icon: null, name: 'Policy Control Function' },
             'NSSF': { color: '#ffc107', icon: null, name: 'Network Slice Selection' },
             'UDR': { color: '#009688', icon: null, name: 'Unified Data Repository' },
+            'NEF': { color: '#3f51b5', icon: null, name: 'Network Exposure Function' },
+            'AF': { color: '#795548', icon: null, name: 'Application Function' },
             'gNB': { color: '#8e44ad', icon: null, name: 'gNodeB (5G Base Station)' },
             'UE': { color: '#16a085', icon: null, name: 'User Equipment' },
             'MySQL': { color: '#d35400', icon: null, name: 'MySQL Database' },
@@ -656,8 +708,11 @@ class NFManager {
     /**
      * Delete a Network Function
      * @param {string} nfId - ID of NF to delete
+     * @param {boolean} skipDeregistration - UE already sent its switch-off Deregistration
+     *                                       (or is torn down without signalling)
+     * @returns {Promise<void>} Resolves once the NF has been removed
      */
-    deleteNetworkFunction(nfId) {
+    async deleteNetworkFunction(nfId, skipDeregistration = false) {
         const nf = window.dataStore.getNFById(nfId);
 
         if (!nf) {
@@ -665,6 +720,25 @@ class NFManager {
             return;
         }
 
+        // Deregistration already running for this UE - it is removed when that finishes
+        if (this.deletingUEs.has(nfId) && !skipDeregistration) {
+            console.log('⏳ UE already being deleted:', nf.name);
+            return;
+        }
+
+        // A registered, running UE signals a switch-off Deregistration before it disappears
+        const sessionManager = window.sessionManager;
+        if (nf.type === 'UE' && !skipDeregistration && nf.status === 'stable' &&
+            sessionManager?.getRMState(nfId) === sessionManager?.RM_STATES.REGISTERED) {
+            this.deletingUEs.add(nfId);
+            try {
+                await sessionManager.performDeregistration(nfId, true);
+            } finally {
+                this.deletingUEs.delete(nfId);
+            }
+            return this.deleteNetworkFunction(nfId, true);
+        }
+
         console.log('🗑️ Deleting NF:', nf.name);
 
         // SPECIAL CASE: When UDR is deleted, auto-delete MySQL in same subnet
@@ -677,6 +751,16 @@ class NFManager {
             this.autoDeleteExtDNForUPF(nf);
         }
 
+        // Drop UE NAS/session state held by SessionManager; if the switch-off
+        // Deregistration failed the AMF keeps supervising the UE until it is
+        // implicitly deregistered
+        if (nf.type === 'UE' && window.sessionManager) {
+            window.nasTimerManager?.onUEPoweredOff(nfId, true);
+            window.sessionManager.removeUE(nfId);
+            window.akaManager?.removeUE(nfId);
+            window.suciManager?.removeUE(nfId);
+        }
+
         // Trigger log engine before deletion
         if (window.logEngine) {
             window.logEngine.onNFRemoved(nf);
@@ -920,6 +1004,9 @@ class NFManager {
                     });
                 }
 
+                // NFRegister with the NRF (an NRF picks up the NFs waiting for it)
+                window.nrfManager?.registerNF(nf);
+
                 // Re-render canvas to show green status
                 if (window.canvasRenderer) {
                     window.canvasRenderer.render();
@@ -1306,6 +1393,8 @@ class NFManager {
             'PCF': ['NRF'],
             'NSSF': ['NRF'],
             'UDR': ['NRF', 'UDM'],  // UDR connects to UDM and MySQL
+            'NEF': ['NRF', 'AMF', 'PCF'],  // NEF exposes AMF events and PCF policy authorization
+            'AF': ['NEF'],   // AF reaches the core only through the NEF (N33)
             'gNB': ['AMF', 'UPF'],  // gNB connects to AMF and UPF when available
             'UE': ['gNB', 'AMF'], // UE connects to gNB and AMF when available (no direct UPF connection)
             'MySQL': ['UDR'], // MySQL connects to UDR (database backend)
@@ -1314,11 +1403,16 @@ class NFManager {
     }
 
     /**
-     * Get service status color
+     * Get service status color; a running NF takes the colour of its NRF
+     * profile status once it has one
      * @param {string} status - Service status
+     * @param {string|null} nrfStatus - NF status in the NRF (REGISTERED, SUSPENDED, UNDISCOVERABLE)
      * @returns {string} Color code
      */
-    getStatusColor(status) {
+    getStatusColor(status, nrfStatus = null) {
+        if (status === 'stable' && nrfStatus === 'SUSPENDED') return '#f1c40f';      // Yellow
+        if (status === 'stable' && nrfStatus === 'UNDISCOVERABLE') return '#9b59b6'; // Purple
+
         switch (status) {
             case 'starting': return '#e74c3c'; // Red
             case 'stable': return '#2ecc71';   // Green
@@ -1441,151 +1535,94 @@ class NFManager {
             return false;
         }
 
+        const sessionManager = window.sessionManager;
+        const dnn = ue.config.subscriberDnn || '5G-Lab';
+        const sst = ue.config.subscriberSst || 1;
+
+        // Check if UE already has a PDU session to its subscribed DNN
+        const existing = sessionManager.getPDUSessions(ue).find(pduSession => pduSession.dnn === dnn && pduSession.sst === sst);
+        if (existing) {
+            console.log(`ℹ️ UE ${ue.name} already has PDU session with IP: ${existing.assignedIP}`);
+            return true;
+        }
+
         // Find UPF if not provided
         let upf = null;
         if (upfId) {
             upf = window.dataStore?.getNFById(upfId);
         } else {
-            // Find UPF in same subnet as UE
+            // SMF in the UE's subnet picks the anchor by DNN, slice, location and load
             const allNFs = window.dataStore?.getAllNFs() || [];
             const ueNetwork = this.getNetworkFromIP(ue.config.ipAddress);
-            upf = allNFs.find(nf => 
-                nf.type === 'UPF' && 
+            const smf = allNFs.find(nf => 
+                nf.type === 'SMF' && 
                 nf.status === 'stable' &&
                 this.getNetworkFromIP(nf.config.ipAddress) === ueNetwork
             );
+            upf = window.userPlaneManager.selectUPF(ue, dnn, sst, smf).upf;
         }
 
-       
-
-        // Check if UE already has PDU session
-        if (ue.config.pduSession) {
-            console.log(`ℹ️ UE ${ue.name} already has PDU session with IP: ${ue.config.pduSession.assignedIP}`);
-            return true;
+        if (!upf) {
+            console.error('❌ No UPF can anchor the PDU session of UE:', ue.name);
+            return false;
         }
 
-        // Assign IP from tun0 network
-        const assignedIP = this.assigntun0IPToUE(upf, ue);
+        // Assign IP from the UPF pool of the DNN
+        const pool = sessionManager.getIPPool(upf, dnn);
+        const sessionId = sessionManager.allocatePDUSessionId(ue);
+        const assignedIP = pool && sessionId ? sessionManager.allocateUEIP(upf, ue, dnn, sessionId) : null;
         if (!assignedIP) {
-            console.error('❌ Failed to assign tun0 IP to UE:', ue.name);
+            const cause = pool ? sessionManager.SM_CAUSES.INSUFFICIENT_RESOURCES : sessionManager.SM_CAUSES.MISSING_OR_UNKNOWN_DNN;
+            console.error(`❌ Failed to assign ${dnn} IP to UE: ${ue.name}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(ue.id, 'ERROR',
+                    `PDU session establishment rejected: #${cause.code} ${cause.name}`, {
+                    dnn: dnn,
+                    upfName: upf.name,
+                    ipPool: pool ? `${pool.network} exhausted` : `no pool for DNN ${dnn}`
+                });
+            }
             return false;
         }
 
-        // Create PDU session
-        ue.config.pduSession = {
-            sessionId: this.generateUniqueId('pdu'),
-            upfId: upf.id,
-            assignedIP: assignedIP,
-            status: 'established',
-            establishedAt: Date.now()
-        };
-
-        // Create tun_ue interface for UE (e.g., tun_ue1, tun_ue2)
-        const ueNum = ue.name.match(/\d+/)?.[0] || '1';
-        const ueInterfaceName = `tun_ue${ueNum}`;
-        const gatewayIP = upf.config.tun0Interface?.gatewayIP || '10.0.0.1';
-        ue.config.tunInterface = {
-            name: ueInterfaceName,
-            ipAddress: assignedIP,
-            netmask: '255.255.255.0',
-            destination: assignedIP,
-            gateway: gatewayIP,
-            mtu: 1500,
-            flags: 'UP,POINTOPOINT,RUNNING,NOARP,MULTICAST',
-            ipv6: `fe80::${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}`,
-            createdAt: Date.now()
-        };
-
-        // Update UE in data store
-        window.dataStore.updateNF(ueId, ue);
+        // Create PDU session and its tun_ue interface (e.g., tun_ue1_1, tun_ue2_1)
+        const pduSession = sessionManager.addUEPDUSession(ue, upf, { sessionId, dnn, sst, assignedIP });
+        const tun = pduSession.tunInterface;
 
         console.log(`✅ PDU session established for ${ue.name}: IP ${assignedIP} via ${upf.name}`);
-        console.log(`✅ TUN interface ${ueInterfaceName} created with IP ${assignedIP}`);
+        console.log(`✅ TUN interface ${tun.name} created with IP ${assignedIP}`);
 
         // Log PDU session establishment
         if (window.logEngine) {
             window.logEngine.addLog(ueId, 'SUCCESS',
                 `PDU session established`, {
-                sessionId: ue.config.pduSession.sessionId,
+                sessionId: pduSession.sessionId,
+                dnn: dnn,
                 upfName: upf.name,
                 upfId: upf.id,
                 assignedIP: assignedIP,
-                tun0Network: upf.config.tun0Interface.network,
-                upfGateway: upf.config.tun0Interface.gatewayIP,
+                ipPool: `${pool.interfaceName} ${pool.network}`,
+                upfGateway: pool.gatewayIP,
                 sessionStatus: 'established'
             });
 
             // Log TUN interface creation
             window.logEngine.addLog(ueId, 'SUCCESS',
-                `Network interface ${ueInterfaceName} created`, {
-                interface: ueInterfaceName,
+                `Network interface ${tun.name} created`, {
+                interface: tun.name,
                 ipAddress: assignedIP,
-                netmask: '255.255.255.0',
-                gateway: upf.config.tun0Interface.gatewayIP,
-                network: '10.0.0.0/24',
-                mtu: 1500,
+                netmask: tun.netmask,
+                gateway: pool.gatewayIP,
+                network: pool.network,
+                mtu: tun.mtu,
                 purpose: 'User plane data connection to UPF',
-                note: `Can ping gateway ${upf.config.tun0Interface.gatewayIP} and access internet via UPF`
+                note: `Can ping gateway ${pool.gatewayIP} and access ${dnn} via UPF`
             });
         }
 
         return true;
     }
 
-    /**
-     * Assign tun0 IP to UE from UPF's tun0 interface
-     * @param {Object} upf - UPF network function
-     * @param {Object} ue - UE network function
-     * @returns {string|null} Assigned IP or null if failed
-     */
-    assigntun0IPToUE(upf, ue) {
-        if (!upf.config.tun0Interface) {
-            console.error('❌ UPF does not have tun0 interface:', upf.name);
-            return null;
-        }
-
-        const tun0 = upf.config.tun0Interface;
-        
-        // Check if UE already has an IP assigned
-        const existingAssignment = tun0.assignedIPs.find(assignment => assignment.ueId === ue.id);
-        if (existingAssignment) {
-            console.log(`ℹ️ UE ${ue.name} already has tun0 IP: ${existingAssignment.ip}`);
-            return existingAssignment.ip;
-        }
-
-        // Generate next available IP (10.0.0.2, 10.0.0.3, etc.)
-        // Network 10.0.0.0/28 has IPs 10.0.0.1-10.0.0.14 (10.0.0.1 is gateway)
-        while (tun0.nextAvailableIP <= 14) {
-            const candidateIP = `10.0.0.${tun0.nextAvailableIP}`;
-            
-            // Check if IP is already assigned
-            const isAssigned = tun0.assignedIPs.some(assignment => assignment.ip === candidateIP);
-            
-            if (!isAssigned) {
-                // Assign IP to UE
-                tun0.assignedIPs.push({
-                    ueId: ue.id,
-                    ueName: ue.name,
-                    ip: candidateIP,
-                    assignedAt: Date.now()
-                });
-                
-                tun0.nextAvailableIP++;
-                
-                // Update UPF in data store
-                window.dataStore.updateNF(upf.id, upf);
-                
-                console.log(`🌐 Assigned tun0 IP ${candidateIP} to UE ${ue.name} via UPF ${upf.name}`);
-                return candidateIP;
-            }
-            
-            tun0.nextAvailableIP++;
-        }
-
-        console.error('❌ No more tun0 IPs available in network 10.0.0.0/28');
-        return null;
-    }
-
     /**
      * Simulate UE registration process (called automatically after UE becomes stable)
      * @param {Object} ue - UE network function
@@ -1605,7 +1642,7 @@ class NFManager {
         // Simulate registration delay (15-20 seconds after UE becomes stable)
         const registrationDelay = 15000 + Math.random() * 5000;
         
-        setTimeout(() => {
+        setTimeout(async () => {
             if (!window.dataStore?.getNFById(ue.id)) {
                 console.log(`⚠️ UE ${ue.name} was deleted before registration completed`);
                 return;
@@ -1618,6 +1655,47 @@ class NFManager {
                 return;
             }
 
+            // 5G-AKA with the serving AMF before the UE counts as registered
+            if (window.akaManager) {
+                const amf = window.mobilityManager?.getServingAMF(currentUE);
+
+                // Registration Request identity: 5G-GUTI if the UE has one, else a SUCI
+                if (amf && window.suciManager) {
+                    await window.suciManager.identifyUE(currentUE, amf, window.suciManager.getRegistrationIdentity(currentUE));
+                }
+
+                let auth = amf
+                    ? await window.akaManager.authenticate(currentUE, amf)
+                    : { success: false, cause: 'No stable AMF found in same subnet' };
+
+                // NAS (and AS) security mode control on top of the new KSEAF
+                if (auth.success) {
+                    auth = await window.akaManager.performSecurityModeControl(currentUE, amf);
+                }
+
+                if (!auth.success) {
+                    if (window.logEngine) {
+                        window.logEngine.addLog(ue.id, 'ERROR', `UE ${ue.name} registration failed - not authenticated`, {
+                            cause: auth.cause,
+                            status: 'DEREGISTERED'
+                        });
+                    }
+                    return;
+                }
+
+                // NSSF turns the requested NSSAI into the allowed NSSAI; none allowed rejects the registration
+                if (window.sliceManager) {
+                    const slices = await window.sliceManager.selectNetworkSlices(currentUE, amf);
+                    if (!slices.success) {
+                        await window.sliceManager.sendRegistrationReject(currentUE, amf, slices);
+                        return;
+                    }
+                }
+
+                // Registration Accept carries a new 5G-GUTI
+                window.suciManager?.allocateGUTI(currentUE, amf);
+            }
+
             // NOTE: Auto PDU session disabled to enable manual triggering with visual packet animation
             // Users should click "Establish PDU Session" button to see animated packet flow
             // The old auto-PDU bypasses SessionManager which provides visual feedback
@@ -1627,6 +1705,7 @@ class NFManager {
                 window.logEngine.addLog(ue.id, 'SUCCESS', 
                     `UE ${ue.name} registered successfully. Ready for PDU Session Establishment.`, {
                     instruction: 'Click on UE and use "Establish PDU Session" button to see animated packet flow',
+                    ...window.sliceManager?.buildRegistrationNSSAI(currentUE),
                     status: 'REGISTERED'
                 });
             }
@@ -1634,6 +1713,14 @@ class NFManager {
             // Mark UE as registered (but not yet with PDU session)
             currentUE.config.registrationStatus = 'REGISTERED';
             window.dataStore.updateNF(ue.id, currentUE);
+
+            if (window.mobilityManager) {
+                window.mobilityManager.assignRegistrationArea(ue.id);
+            }
+
+            if (window.sessionManager) {
+                window.sessionManager.onRegistrationAccept(ue.id);
+            }
             
             // Re-render canvas
             if (window.canvasRenderer) {
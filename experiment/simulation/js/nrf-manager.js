@@ -0,0 +1,892 @@
+/**
+ * ============================================
+ * NRF MANAGER
+ * ============================================
+ * NF profile registry and discovery of the NRF (TS 29.510)
+ *
+ * Responsibilities:
+ * - Keep the NF profiles registered with each NRF (Nnrf_NFManagement):
+ *   NFs register when they become stable, update their profile when their
+ *   configuration changes and are deregistered when removed
+ * - Answer Nnrf_NFDiscovery queries by target NF type, requester NF type,
+ *   S-NSSAI, DNN and TAI, with the reason when nothing matches
+ * - Hold NFStatusSubscribe subscriptions and send NFStatusNotify when a
+ *   profile is registered, changed or deregistered
+ * - Run the NF heartbeats (NFUpdate every heartBeatTimer seconds) and
+ *   suspend profiles of NFs that stop or miss heartbeats; only REGISTERED
+ *   profiles are discovered
+ * - Grant OAuth2 access tokens (Nnrf_AccessToken) scoped to a producer's
+ *   service and let producers verify them when the NRF requires OAuth2
+ */
+
+class NRFManager {
+    constructor() {
+        // nfInstanceId -> NF profile (one registry; each profile names its NRF)
+        this.profiles = new Map();
+
+        // subscriptionId -> {subscriptionId, nrfId, subscriberId, nfType, nfStatusNotificationUri}
+        this.subscriptions = new Map();
+
+        // NF types that register with the NRF (SBI producers)
+        this.REGISTERED_TYPES = ['AMF', 'SMF', 'UPF', 'AUSF', 'UDM', 'UDR', 'PCF', 'NSSF', 'NEF'];
+
+        // NF types allowed to discover each producer (allowedNfTypes, TS 29.510 6.1.6.2.2)
+        this.ALLOWED_NF_TYPES = {
+            'AMF': ['AMF', 'SMF', 'PCF', 'NEF'],
+            'SMF': ['AMF'],
+            'UPF': ['SMF'],
+            'AUSF': ['AMF'],
+            'UDM': ['AMF', 'SMF', 'AUSF'],
+            'UDR': ['UDM', 'PCF'],
+            'PCF': ['AMF', 'SMF', 'NEF'],
+            'NSSF': ['AMF', 'NSSF']
+        };
+
+        // Producers each consumer subscribes to once registered
+        this.SUBSCRIPTION_TARGETS = {
+            'AMF': ['AUSF', 'UDM', 'SMF', 'NSSF'],
+            'SMF': ['UPF', 'UDM', 'PCF'],
+            'AUSF': ['UDM'],
+            'NEF': ['AMF', 'PCF']
+        };
+
+        // NF status in the NRF (TS 29.510 6.1.6.3.6)
+        this.NF_STATUSES = {
+            REGISTERED: 'REGISTERED',
+            SUSPENDED: 'SUSPENDED',
+            UNDISCOVERABLE: 'UNDISCOVERABLE'
+        };
+
+        // Default heartbeat the NRF asks for in the registration response (seconds)
+        this.HEARTBEAT_TIMER = 60;
+
+        // Heartbeat periods without an NFUpdate before the NRF suspends a profile
+        this.MISSED_HEARTBEATS = 2;
+
+        // nfId -> {interval (NF side), supervision (NRF side), lastHeartbeat}
+        this.heartbeats = new Map();
+
+        // OAuth2 scope of each SBI service (service names, TS 29.510 6.1.6.3.11)
+        this.SERVICE_SCOPES = {
+            'Namf_Communication': 'namf-comm',
+            'Namf_EventExposure': 'namf-evts',
+            'Nausf_UEAuthentication': 'nausf-auth',
+            'Nnssf_NSSelection': 'nnssf-nsselection',
+            'Npcf_PolicyAuthorization': 'npcf-policyauthorization',
+            'Npcf_SMPolicyControl': 'npcf-smpolicycontrol',
+            'Nsmf_PDUSession': 'nsmf-pdusession',
+            'Nudm_SDM': 'nudm-sdm',
+            'Nudm_UEAuthentication': 'nudm-ueau'
+        };
+
+        // Default lifetime of the access tokens an NRF grants (seconds)
+        this.ACCESS_TOKEN_LIFETIME = 3600;
+
+        // "consumerId|producerType|scope" -> {accessToken, claims} cached by the consumer
+        this.accessTokens = new Map();
+
+        // Drop profiles of NFs that leave the topology
+        window.dataStore?.subscribe((event, data) => {
+            if (event === 'nf-removed') {
+                this.deregisterNF(data);
+                this.accessTokens.forEach((token, key) => {
+                    if (token.claims.sub === data?.id || token.claims.iss === data?.id) this.accessTokens.delete(key);
+                });
+            } else if (event === 'data-cleared') {
+                Array.from(this.heartbeats.keys()).forEach(nfId => this.stopHeartbeat(nfId));
+                this.profiles.clear();
+                this.subscriptions.clear();
+                this.accessTokens.clear();
+            }
+        });
+
+        console.log('✅ NRFManager initialized');
+    }
+
+    // ==========================================
+    // Helpers
+    // ==========================================
+
+    /**
+     * Stable NRF in the subnet of an NF
+     * @param {Object} nf - Network Function
+     * @returns {Object|null} NRF
+     */
+    findNRF(nf) {
+        const network = window.sessionManager?.getNetworkFromIP(nf.config.ipAddress);
+        return (window.dataStore?.getAllNFs() || []).find(candidate =>
+            candidate.type === 'NRF' &&
+            candidate.status === 'stable' &&
+            window.sessionManager.getNetworkFromIP(candidate.config.ipAddress) === network
+        ) || null;
+    }
+
+    /**
+     * Registered profile of an NF
+     * @param {string} nfId - NF instance ID
+     * @returns {Object|null} NF profile
+     */
+    getProfile(nfId) {
+        return this.profiles.get(nfId) || null;
+    }
+
+    /**
+     * Profiles registered with an NRF
+     * @param {Object} nrf - NRF
+     * @returns {Array<Object>} NF profiles
+     */
+    getProfiles(nrf) {
+        return Array.from(this.profiles.values()).filter(profile => profile.nrfId === nrf.id);
+    }
+
+    /**
+     * Heartbeat timer an NRF hands out (seconds)
+     * @param {Object|null} nrf - NRF
+     * @returns {number} Seconds
+     */
+    getHeartbeatTimer(nrf) {
+        return nrf?.config.heartBeatTimer || this.HEARTBEAT_TIMER;
+    }
+
+    /**
+     * NF profile as the NF sends it in NFRegister / NFUpdate. DNNs and TAIs
+     * are only listed by NFs that serve a subset of them (UPF pools and
+     * service area, AMF served TAIs); no list means any.
+     * @param {Object} nf - Network Function
+     * @param {Object|null} nrf - NRF the profile is registered with
+     * @returns {Object} NF profile
+     */
+    buildProfile(nf, nrf = null) {
+        const profile = {
+            nfInstanceId: nf.id,
+            nfInstanceName: nf.name,
+            nfType: nf.type,
+            nfStatus: this.NF_STATUSES.REGISTERED,
+            heartBeatTimer: this.getHeartbeatTimer(nrf),
+            ipv4Addresses: [nf.config.ipAddress],
+            allowedNfTypes: nf.config.allowedNfTypes || this.ALLOWED_NF_TYPES[nf.type] || [],
+            capacity: nf.config.capacity ?? 100,
+            ...window.sliceManager?.getProfileSlices(nf)
+        };
+
+        if (nf.type === 'UPF') {
+            const dnns = (window.sessionManager?.getIPPools(nf) || []).map(pool => pool.dnn);
+            const tacs = window.userPlaneManager?.getServiceArea(nf) || [];
+            profile.dnnList = [...new Set(dnns)];
+            if (tacs.length > 0) profile.taiList = tacs.map(tac => ({ tac }));
+        } else if (nf.type === 'AMF' && (nf.config.servedTAIs || []).length > 0) {
+            profile.taiList = nf.config.servedTAIs.map(tai => ({ plmnId: { mcc: tai.mcc, mnc: tai.mnc }, tac: tai.tac }));
+        }
+
+        return profile;
+    }
+
+    /**
+     * Query string of a discovery request
+     * @param {Object} query - {targetNfType, requesterNfType, snssai, dnn, tai}
+     * @returns {string} Query string
+     */
+    formatQuery(query) {
+        return [
+            `target-nf-type=${query.targetNfType}`,
+            `requester-nf-type=${query.requesterNfType}`,
+            query.snssai !== undefined && query.snssai !== null && `snssais=[{"sst":${query.snssai}}]`,
+            query.dnn && `dnn=${query.dnn}`,
+            query.tai && `tai={"tac":${query.tai.tac}}`
+        ].filter(Boolean).join('&');
+    }
+
+    // ==========================================
+    // Nnrf_NFManagement
+    // ==========================================
+
+    /**
+     * NFRegister: PUT the NF profile to the NRF of the subnet. NFs that come
+     * up before their NRF are registered once the NRF is stable; a suspended
+     * NF that comes back is registered again.
+     * @param {Object} nf - Network Function that became stable
+     * @returns {Object|null} Registered profile
+     */
+    registerNF(nf) {
+        if (!nf || nf.status !== 'stable') return null;
+
+        // An NRF coming up takes the registrations of the NFs already waiting for it
+        if (nf.type === 'NRF') {
+            this.registerPendingNFs(nf);
+            return null;
+        }
+        if (!this.REGISTERED_TYPES.includes(nf.type)) return null;
+
+        const nrf = this.findNRF(nf);
+        if (!nrf) {
+            window.logEngine?.addLog(nf.id, 'WARNING', 'NF registration deferred: no stable NRF in the subnet', {
+                method: 'PUT',
+                endpoint: `/nnrf-nfm/v1/nf-instances/${nf.id}`
+            });
+            return null;
+        }
+
+        const existing = this.getProfile(nf.id);
+        if (existing && existing.nrfId === nrf.id) {
+            if (existing.nfStatus === this.NF_STATUSES.SUSPENDED) {
+                this.setStatus(existing, this.NF_STATUSES.REGISTERED, 'NF back in service');
+                this.startHeartbeat(nf.id);
+            }
+            return existing;
+        }
+
+        const profile = { ...this.buildProfile(nf, nrf), nrfId: nrf.id, registeredAt: Date.now() };
+        this.profiles.set(nf.id, profile);
+
+        console.log(`📇 ${nf.name} registered with ${nrf.name}`);
+        if (window.logEngine) {
+            window.logEngine.addLog(nf.id, 'INFO', 'Sending NF registration request to NRF...', {
+                method: 'PUT',
+                endpoint: `/nnrf-nfm/v1/nf-instances/${nf.id}`,
+                payload: this.buildProfile(nf, nrf)
+            });
+            window.logEngine.addLog(nrf.id, 'SUCCESS', `${nf.name} registered successfully`, {
+                nfType: nf.type,
+                nfInstanceId: nf.id,
+                status: 201,
+                profiles: this.getProfiles(nrf).length
+            });
+            window.logEngine.addLog(nf.id, 'SUCCESS', 'Successfully registered with NRF', {
+                nrfAddress: nrf.config.ipAddress,
+                heartBeatTimer: `${profile.heartBeatTimer} seconds`
+            });
+        }
+
+        this.notify(nrf, 'NF_REGISTERED', profile);
+        (this.SUBSCRIPTION_TARGETS[nf.type] || []).forEach(nfType => this.subscribe(nf, nfType));
+        this.startHeartbeat(nf.id);
+
+        return profile;
+    }
+
+    /**
+     * Register the stable NFs of an NRF's subnet that are not registered yet
+     * @param {Object} nrf - NRF that became stable
+     */
+    registerPendingNFs(nrf) {
+        const network = window.sessionManager?.getNetworkFromIP(nrf.config.ipAddress);
+        (window.dataStore?.getAllNFs() || [])
+            .filter(nf => this.REGISTERED_TYPES.includes(nf.type) && nf.status === 'stable' && !this.getProfile(nf.id) &&
+                window.sessionManager.getNetworkFromIP(nf.config.ipAddress) === network)
+            .forEach(nf => this.registerNF(nf));
+    }
+
+    /**
+     * NFUpdate: refresh a registered profile from the NF's configuration and
+     * notify subscribers when it changed
+     * @param {Object} nf - Network Function
+     * @returns {boolean} True when the profile changed
+     */
+    updateProfile(nf) {
+        const stored = nf && this.getProfile(nf.id);
+        if (!stored) return false;
+
+        const { nrfId, registeredAt, ...current } = stored;
+        const nrf = window.dataStore?.getNFById(nrfId);
+        const updated = { ...this.buildProfile(nf, nrf), nfStatus: current.nfStatus };
+        const changes = Object.keys({ ...current, ...updated })
+            .filter(key => JSON.stringify(current[key]) !== JSON.stringify(updated[key]));
+        if (changes.length === 0) return false;
+
+        const profile = { ...updated, nrfId, registeredAt };
+        this.profiles.set(nf.id, profile);
+
+        window.logEngine?.addLog(nf.id, 'INFO', `NRF profile updated: ${changes.join(', ')}`, {
+            method: 'PATCH',
+            endpoint: `/nnrf-nfm/v1/nf-instances/${nf.id}`,
+            payload: changes.map(key => updated[key] === undefined
+                ? { op: 'remove', path: `/${key}` }
+                : { op: current[key] === undefined ? 'add' : 'replace', path: `/${key}`, value: updated[key] })
+        });
+
+        if (nrf) this.notify(nrf, 'NF_PROFILE_CHANGED', profile, changes);
+        return true;
+    }
+
+    /**
+     * Change the NRF-side status of a profile and notify subscribers
+     * @param {Object} profile - NF profile
+     * @param {string} status - REGISTERED, SUSPENDED or UNDISCOVERABLE
+     * @param {string} reason - Why the status changed
+     */
+    setStatus(profile, status, reason) {
+        if (profile.nfStatus === status) return;
+
+        const previous = profile.nfStatus;
+        profile.nfStatus = status;
+
+        console.log(`📇 ${profile.nfInstanceName}: ${previous} → ${status} (${reason})`);
+        const nrf = window.dataStore?.getNFById(profile.nrfId);
+        if (!nrf) return;
+
+        window.logEngine?.addLog(nrf.id, status === this.NF_STATUSES.SUSPENDED ? 'WARNING' : 'INFO',
+            `${profile.nfInstanceName} ${previous} → ${status}: ${reason}`, {
+            nfType: profile.nfType,
+            nfInstanceId: profile.nfInstanceId,
+            discoverable: status === this.NF_STATUSES.REGISTERED
+        });
+        this.notify(nrf, 'NF_PROFILE_CHANGED', profile, ['nfStatus']);
+        window.canvasRenderer?.render();
+    }
+
+    /**
+     * NFUpdate of the nfStatus by the NF itself (e.g. UNDISCOVERABLE while
+     * it is taken out of service, REGISTERED to come back)
+     * @param {Object} nf - Network Function
+     * @param {string} status - REGISTERED or UNDISCOVERABLE
+     */
+    setNFStatus(nf, status) {
+        const profile = this.getProfile(nf.id);
+        if (!profile || profile.nfStatus === status) return;
+
+        window.logEngine?.addLog(nf.id, 'INFO', `NRF profile status set to ${status}`, {
+            method: 'PATCH',
+            endpoint: `/nnrf-nfm/v1/nf-instances/${nf.id}`,
+            payload: [{ op: 'replace', path: '/nfStatus', value: status }]
+        });
+        this.setStatus(profile, status, `NFUpdate from ${nf.name}`);
+    }
+
+    /**
+     * An NF stopped (docker stop): the NRF loses it and suspends its profile
+     * at once instead of waiting for the missed heartbeats
+     * @param {Object} nf - Stopped Network Function
+     */
+    suspendNF(nf) {
+        const profile = this.getProfile(nf.id);
+        if (!profile) return;
+
+        this.stopHeartbeat(nf.id);
+        this.setStatus(profile, this.NF_STATUSES.SUSPENDED, 'NF stopped');
+    }
+
+    /**
+     * NFDeregister: drop the profile and the subscriptions of a removed NF.
+     * Removing an NRF drops everything registered with it.
+     * @param {Object} nf - Removed Network Function
+     */
+    deregisterNF(nf) {
+        if (!nf) return;
+
+        if (nf.type === 'NRF') {
+            this.getProfiles(nf).forEach(profile => {
+                this.stopHeartbeat(profile.nfInstanceId);
+                this.profiles.delete(profile.nfInstanceId);
+            });
+            this.subscriptions.forEach((subscription, id) => {
+                if (subscription.nrfId === nf.id) this.subscriptions.delete(id);
+            });
+            return;
+        }
+
+        this.subscriptions.forEach((subscription, id) => {
+            if (subscription.subscriberId === nf.id) this.subscriptions.delete(id);
+        });
+
+        const profile = this.getProfile(nf.id);
+        if (!profile) return;
+        this.stopHeartbeat(nf.id);
+        this.profiles.delete(nf.id);
+
+        const nrf = window.dataStore?.getNFById(profile.nrfId);
+        if (!nrf) return;
+
+        window.logEngine?.addLog(nrf.id, 'INFO', `${nf.name} deregistered`, {
+            method: 'DELETE',
+            endpoint: `/nnrf-nfm/v1/nf-instances/${nf.id}`,
+            status: 204
+        });
+        this.notify(nrf, 'NF_DEREGISTERED', profile);
+    }
+
+    // ==========================================
+    // Heartbeat
+    // ==========================================
+
+    /**
+     * Start the NF's heartbeat and the NRF's supervision of it
+     * @param {string} nfId - NF instance ID
+     */
+    startHeartbeat(nfId) {
+        const profile = this.getProfile(nfId);
+        if (!profile) return;
+
+        this.stopHeartbeat(nfId);
+        this.heartbeats.set(nfId, {
+            interval: setInterval(() => this.sendHeartbeat(nfId), profile.heartBeatTimer * 1000),
+            supervision: null,
+            lastHeartbeat: Date.now()
+        });
+        this.superviseHeartbeat(nfId);
+    }
+
+    /**
+     * Stop the NF's heartbeat and the NRF's supervision of it
+     * @param {string} nfId - NF instance ID
+     */
+    stopHeartbeat(nfId) {
+        const heartbeat = this.heartbeats.get(nfId);
+        if (!heartbeat) return;
+
+        clearInterval(heartbeat.interval);
+        clearTimeout(heartbeat.supervision);
+        this.heartbeats.delete(nfId);
+    }
+
+    /**
+     * NRF side: (re)arm the timer that suspends the profile when no
+     * heartbeat arrives for MISSED_HEARTBEATS periods
+     * @param {string} nfId - NF instance ID
+     */
+    superviseHeartbeat(nfId) {
+        const heartbeat = this.heartbeats.get(nfId);
+        const profile = this.getProfile(nfId);
+        if (!heartbeat || !profile) return;
+
+        clearTimeout(heartbeat.supervision);
+        const timeout = profile.heartBeatTimer * this.MISSED_HEARTBEATS;
+        heartbeat.supervision = setTimeout(() => {
+            this.setStatus(profile, this.NF_STATUSES.SUSPENDED, `no heartbeat for ${timeout} seconds`);
+        }, timeout * 1000);
+    }
+
+    /**
+     * NF side: NFUpdate heartbeat. An NF that is not running sends nothing;
+     * a suspended NF that is running again is made REGISTERED by the NRF.
+     * @param {string} nfId - NF instance ID
+     */
+    sendHeartbeat(nfId) {
+        const nf = window.dataStore?.getNFById(nfId);
+        const profile = this.getProfile(nfId);
+        const heartbeat = this.heartbeats.get(nfId);
+        if (!nf || !profile || !heartbeat) {
+            this.stopHeartbeat(nfId);
+            return;
+        }
+        if (nf.status !== 'stable') return;
+
+        heartbeat.lastHeartbeat = Date.now();
+        window.logEngine?.addLog(nf.id, 'DEBUG', 'NRF heartbeat', {
+            method: 'PATCH',
+            endpoint: `/nnrf-nfm/v1/nf-instances/${nf.id}`,
+            payload: [{ op: 'replace', path: '/nfStatus', value: profile.nfStatus === this.NF_STATUSES.UNDISCOVERABLE ? profile.nfStatus : this.NF_STATUSES.REGISTERED }],
+            status: 204
+        });
+
+        if (profile.nfStatus === this.NF_STATUSES.SUSPENDED) {
+            this.setStatus(profile, this.NF_STATUSES.REGISTERED, 'heartbeat received again');
+        }
+        this.superviseHeartbeat(nfId);
+    }
+
+    /**
+     * Heartbeat timer handed out by an NRF; running heartbeats of the NFs
+     * registered with it restart with the new period
+     * @param {Object} nrf - NRF
+     * @param {number} seconds - Heartbeat timer
+     */
+    setHeartbeatTimer(nrf, seconds) {
+        nrf.config.heartBeatTimer = seconds;
+        this.getProfiles(nrf).forEach(profile => {
+            profile.heartBeatTimer = seconds;
+            if (this.heartbeats.has(profile.nfInstanceId)) this.startHeartbeat(profile.nfInstanceId);
+        });
+
+        window.logEngine?.addLog(nrf.id, 'INFO', `Heartbeat timer set to ${seconds} seconds`, {
+            profiles: this.getProfiles(nrf).length,
+            suspendAfter: `${seconds * this.MISSED_HEARTBEATS} seconds without heartbeat`
+        });
+    }
+
+    /**
+     * Seconds since the NRF last heard from an NF
+     * @param {string} nfId - NF instance ID
+     * @returns {number|null} Seconds, null when no heartbeat runs
+     */
+    getHeartbeatAge(nfId) {
+        const heartbeat = this.heartbeats.get(nfId);
+        return heartbeat ? Math.round((Date.now() - heartbeat.lastHeartbeat) / 1000) : null;
+    }
+
+    // ==========================================
+    // NFStatusSubscribe / NFStatusNotify
+    // ==========================================
+
+    /**
+     * NFStatusSubscribe: ask the NRF for notifications about one NF type
+     * @param {Object} subscriber - Consumer NF
+     * @param {string} nfType - NF type to watch
+     * @returns {Object|null} Subscription
+     */
+    subscribe(subscriber, nfType) {
+        const nrf = this.findNRF(subscriber);
+        if (!nrf) return null;
+
+        const existing = Array.from(this.subscriptions.values()).find(subscription =>
+            subscription.subscriberId === subscriber.id && subscription.nfType === nfType && subscription.nrfId === nrf.id
+        );
+        if (existing) return existing;
+
+        const subscription = {
+            subscriptionId: `sub-${Math.random().toString(36).substr(2, 9)}`,
+            nrfId: nrf.id,
+            subscriberId: subscriber.id,
+            nfType,
+            nfStatusNotificationUri: `https://${subscriber.config.ipAddress}:${subscriber.config.port}/nnrf-nfm/v1/nf-status-notify`
+        };
+        this.subscriptions.set(subscription.subscriptionId, subscription);
+
+        window.logEngine?.addLog(subscriber.id, 'INFO', `Subscribed to ${nfType} status changes`, {
+            method: 'POST',
+            endpoint: '/nnrf-nfm/v1/subscriptions',
+            payload: {
+                nfStatusNotificationUri: subscription.nfStatusNotificationUri,
+                subscrCond: { nfType },
+                reqNotifEvents: ['NF_REGISTERED', 'NF_DEREGISTERED', 'NF_PROFILE_CHANGED']
+            },
+            subscriptionId: subscription.subscriptionId
+        });
+
+        return subscription;
+    }
+
+    /**
+     * Subscriptions of an NF
+     * @param {string} nfId - Subscriber NF ID
+     * @returns {Array<Object>} Subscriptions
+     */
+    getSubscriptions(nfId) {
+        return Array.from(this.subscriptions.values()).filter(subscription => subscription.subscriberId === nfId);
+    }
+
+    /**
+     * NFStatusNotify: tell every subscriber of the profile's NF type about
+     * an event
+     * @param {Object} nrf - NRF holding the profile
+     * @param {string} event - NF_REGISTERED, NF_DEREGISTERED or NF_PROFILE_CHANGED
+     * @param {Object} profile - Profile the event is about
+     * @param {Array<string>} changes - Changed attributes (NF_PROFILE_CHANGED)
+     */
+    notify(nrf, event, profile, changes = []) {
+        if (!window.logEngine) return;
+
+        this.subscriptions.forEach(subscription => {
+            if (subscription.nrfId !== nrf.id || subscription.nfType !== profile.nfType) return;
+            if (subscription.subscriberId === profile.nfInstanceId) return;
+
+            const subscriber = window.dataStore?.getNFById(subscription.subscriberId);
+            if (!subscriber) return;
+
+            const { nrfId, registeredAt, ...nfProfile } = profile;
+            window.logEngine.addLog(nrf.id, 'INFO', `NFStatusNotify → ${subscriber.name}: ${event} (${profile.nfInstanceName})`, {
+                method: 'POST',
+                endpoint: subscription.nfStatusNotificationUri,
+                payload: {
+                    event,
+                    nfInstanceUri: `/nnrf-nfm/v1/nf-instances/${profile.nfInstanceId}`,
+                    ...(event === 'NF_REGISTERED' && { nfProfile }),
+                    ...(event === 'NF_PROFILE_CHANGED' && { profileChanges: changes.map(key => ({ path: `/${key}`, newValue: nfProfile[key] })) })
+                }
+            });
+            window.logEngine.addLog(subscriber.id, 'INFO', `NRF notification: ${profile.nfInstanceName} ${event}`, {
+                subscriptionId: subscription.subscriptionId,
+                status: 204
+            });
+        });
+    }
+
+    // ==========================================
+    // Nnrf_NFDiscovery
+    // ==========================================
+
+    /**
+     * Why a registered profile does not answer a query; checks run in the
+     * order DNN, S-NSSAI, TAI so callers can tell which one failed
+     * @param {Object} profile - NF profile
+     * @param {Object} query - {targetNfType, requesterNfType, snssai, dnn, tai}
+     * @returns {Object|null} {field, reason}, null when the profile matches
+     */
+    matchProfile(profile, query) {
+        if (!window.dataStore?.getNFById(profile.nfInstanceId) || profile.nfStatus !== this.NF_STATUSES.REGISTERED) {
+            return { field: 'nfStatus', reason: profile.nfStatus };
+        }
+        if (profile.allowedNfTypes.length > 0 && !profile.allowedNfTypes.includes(query.requesterNfType)) {
+            return { field: 'requesterNfType', reason: `${query.requesterNfType} not allowed (allows ${profile.allowedNfTypes.join(', ')})` };
+        }
+        if (query.dnn && profile.dnnList && !profile.dnnList.includes(query.dnn)) {
+            return { field: 'dnn', reason: `DNN ${query.dnn} not served (${profile.dnnList.join(', ') || 'no DNN'})` };
+        }
+        if (query.snssai !== undefined && query.snssai !== null && profile.sNssais && !profile.sNssais.some(snssai => snssai.sst === query.snssai)) {
+            return { field: 'snssai', reason: `SST ${query.snssai} not served (SST ${profile.sNssais.map(snssai => snssai.sst).join(', ')})` };
+        }
+        if (query.tai && profile.taiList && !profile.taiList.some(tai => tai.tac === query.tai.tac)) {
+            return { field: 'tai', reason: `TAC ${query.tai.tac} not served (TAC ${profile.taiList.map(tai => tai.tac).join(', ')})` };
+        }
+        return null;
+    }
+
+    /**
+     * NFDiscover: GET /nnrf-disc/v1/nf-instances from a consumer NF. Profiles
+     * that do not match are returned with the reason so callers can log them.
+     * @param {Object} requester - Consumer NF
+     * @param {Object} query - {targetNfType, snssai, dnn, tai}
+     * @param {Object} options - {optional: log a failure as a warning}
+     * @returns {Object} {nfs, excluded: [{nf, field, reason}], reason}
+     */
+    discover(requester, query, options = {}) {
+        const fullQuery = { ...query, requesterNfType: requester.type };
+        const queryString = this.formatQuery(fullQuery);
+        const endpoint = `/nnrf-disc/v1/nf-instances?${queryString}`;
+        const nrf = this.findNRF(requester);
+
+        let nfs = [];
+        const excluded = [];
+        let reason = null;
+
+        if (!nrf) {
+            reason = 'no stable NRF in the subnet';
+        } else {
+            const registered = this.getProfiles(nrf).filter(profile => profile.nfType === query.targetNfType);
+            registered.forEach(profile => {
+                const nf = window.dataStore.getNFById(profile.nfInstanceId);
+                const mismatch = this.matchProfile(profile, fullQuery);
+                if (mismatch) {
+                    if (nf) excluded.push({ nf, ...mismatch });
+                } else {
+                    nfs.push(nf);
+                }
+            });
+            if (registered.length === 0) {
+                reason = `no ${query.targetNfType} registered with ${nrf.name}`;
+            } else if (nfs.length === 0) {
+                reason = `no registered ${query.targetNfType} matches: ${excluded.map(entry => `${entry.nf.name} ${entry.reason}`).join('; ')}`;
+            }
+        }
+
+        console.log(`🔎 ${requester.name} discovery of ${query.targetNfType}: ${reason || nfs.map(nf => nf.name).join(', ')}`);
+        if (window.logEngine) {
+            if (nrf) {
+                window.logEngine.addLog(nrf.id, 'INFO', `Discovery from ${requester.name}: ${nfs.length} ${query.targetNfType} instance(s)`, {
+                    method: 'GET',
+                    endpoint,
+                    query: queryString,
+                    status: 200,
+                    nfInstances: nfs.map(nf => nf.id)
+                });
+            }
+            window.logEngine.addLog(requester.id, reason ? (options.optional ? 'WARNING' : 'ERROR') : 'INFO',
+                reason ? `${query.targetNfType} discovery failed: ${reason}` : `${query.targetNfType} discovery: ${nfs.map(nf => nf.name).join(', ')}`, {
+                method: 'GET',
+                endpoint,
+                query: queryString,
+                ...(excluded.length > 0 && { notMatching: Object.fromEntries(excluded.map(entry => [entry.nf.name, entry.reason])) })
+            });
+        }
+
+        return { nfs, excluded, reason };
+    }
+
+    // ==========================================
+    // Nnrf_AccessToken (OAuth2, TS 33.501 13.4.1)
+    // ==========================================
+
+    /**
+     * Whether an NRF requires access tokens on the SBI
+     * @param {Object|null} nrf - NRF
+     * @returns {boolean} True when OAuth2 is enforced
+     */
+    isOAuth2Required(nrf) {
+        return !!nrf?.config.oauth2Required;
+    }
+
+    /**
+     * Lifetime of the access tokens an NRF grants (seconds)
+     * @param {Object|null} nrf - NRF
+     * @returns {number} Seconds
+     */
+    getAccessTokenLifetime(nrf) {
+        return nrf?.config.accessTokenLifetime || this.ACCESS_TOKEN_LIFETIME;
+    }
+
+    /**
+     * Switch access token enforcement of an NRF on or off
+     * @param {Object} nrf - NRF
+     * @param {boolean} required - Producers of the subnet require tokens
+     * @param {number} lifetime - Lifetime of newly granted tokens (seconds)
+     */
+    setOAuth2(nrf, required, lifetime) {
+        if (this.isOAuth2Required(nrf) === required && this.getAccessTokenLifetime(nrf) === lifetime) return;
+
+        nrf.config.oauth2Required = required;
+        nrf.config.accessTokenLifetime = lifetime;
+
+        window.logEngine?.addLog(nrf.id, 'INFO', `OAuth2 access tokens ${required ? 'required' : 'not required'} on the SBI`, {
+            accessTokenLifetime: `${lifetime} seconds`,
+            tokensCached: this.accessTokens.size
+        });
+    }
+
+    /**
+     * OAuth2 scope of an SBI service
+     * @param {string} interfaceName - Service (Nsmf_PDUSession, ...)
+     * @returns {string} Scope (nsmf-pdusession, ...)
+     */
+    getServiceScope(interfaceName) {
+        return this.SERVICE_SCOPES[interfaceName] || interfaceName.toLowerCase().replace('_', '-');
+    }
+
+    /**
+     * Whether an SBI message needs an access token: a request to the NF
+     * that produces the service (not a notification back to a consumer,
+     * not the NRF's own services) while the producer's NRF requires OAuth2
+     * @param {Object|null} consumer - Sending NF
+     * @param {Object|null} producer - Receiving NF
+     * @param {string} interfaceName - Interface
+     * @param {string} direction - 'request' or 'response'
+     * @returns {boolean} True when the request must carry a token
+     */
+    requiresAccessToken(consumer, producer, interfaceName, direction) {
+        const service = /^N([a-z]+)_/.exec(interfaceName);
+        return !!consumer && !!producer && direction === 'request' && !!service &&
+            producer.type !== 'NRF' && service[1].toUpperCase() === producer.type &&
+            this.isOAuth2Required(this.findNRF(producer));
+    }
+
+    /**
+     * Compact JWS of the token claims (the signature is only a placeholder)
+     * @param {Object} claims - {iss, sub, aud, scope, exp}
+     * @returns {string} Access token
+     */
+    encodeAccessToken(claims) {
+        const base64url = value => btoa(JSON.stringify(value)).replace(/=+$/, '').replace(/\+/g, '-').replace(/\//g, '_');
+        return `${base64url({ alg: 'ES256', typ: 'JWT' })}.${base64url(claims)}.${Math.random().toString(36).substr(2, 9)}`;
+    }
+
+    /**
+     * Access token of a consumer for a producer's service. The consumer
+     * keeps using a cached token until the producer rejects it; otherwise it
+     * runs Nnrf_AccessToken_Get (client credentials grant) with its NRF,
+     * which grants the scope when the consumer is registered and its NF type
+     * may use the producer NF type.
+     * @param {Object} consumer - Consumer NF
+     * @param {Object} producer - Producer NF
+     * @param {string} interfaceName - Service the request belongs to
+     * @returns {Promise<Object|null>} {accessToken, claims}, null without an NRF
+     */
+    async getAccessToken(consumer, producer, interfaceName) {
+        const scope = this.getServiceScope(interfaceName);
+        const key = `${consumer.id}|${producer.type}|${scope}`;
+        if (this.accessTokens.has(key)) return this.accessTokens.get(key);
+
+        const nrf = this.findNRF(consumer);
+        if (!nrf) return null;
+
+        const sessionManager = window.sessionManager;
+        await sessionManager.sendSignal(consumer, nrf, 'Nnrf_AccessToken', 'request', 'Nnrf_AccessToken_Get (HTTP/2 POST)', {
+            endpoint: '/oauth2/token',
+            grant_type: 'client_credentials',
+            nfInstanceId: consumer.id,
+            nfType: consumer.type,
+            targetNfType: producer.type,
+            scope
+        }, 'HTTP/2', 'POST');
+
+        const profile = this.getProfile(consumer.id);
+        const allowedNfTypes = this.ALLOWED_NF_TYPES[producer.type] || [];
+        let error = null;
+        if (!profile || profile.nrfId !== nrf.id) {
+            error = { error: 'invalid_client', error_description: `${consumer.name} is not registered with ${nrf.name}` };
+        } else if (allowedNfTypes.length > 0 && !allowedNfTypes.includes(consumer.type)) {
+            error = { error: 'unauthorized_client', error_description: `${consumer.type} may not access ${producer.type} (allows ${allowedNfTypes.join(', ')})` };
+        }
+
+        if (error) {
+            await sessionManager.sendSignal(nrf, consumer, 'Nnrf_AccessToken', 'response', 'Nnrf_AccessToken_Get Response (400 Bad Request)', {
+                status: 400,
+                ...error
+            }, 'HTTP/2', null, { error: true, method: '400 Bad Request' });
+            throw new Error(`access token for ${scope} refused by ${nrf.name}: ${error.error} (${error.error_description})`);
+        }
+
+        const lifetime = this.getAccessTokenLifetime(nrf);
+        const claims = {
+            iss: nrf.id,
+            sub: consumer.id,
+            aud: producer.type,
+            scope,
+            exp: Math.floor(Date.now() / 1000) + lifetime
+        };
+        const token = { accessToken: this.encodeAccessToken(claims), claims };
+        this.accessTokens.set(key, token);
+
+        await sessionManager.sendSignal(nrf, consumer, 'Nnrf_AccessToken', 'response', 'Nnrf_AccessToken_Get Response (200 OK)', {
+            status: 200,
+            access_token: token.accessToken,
+            token_type: 'Bearer',
+            expires_in: lifetime,
+            scope
+        }, 'HTTP/2');
+
+        return token;
+    }
+
+    /**
+     * Forget a consumer's cached token so the next request fetches a new one
+     * @param {Object} consumer - Consumer NF
+     * @param {Object} producer - Producer NF
+     * @param {string} interfaceName - Service
+     */
+    dropAccessToken(consumer, producer, interfaceName) {
+        this.accessTokens.delete(`${consumer.id}|${producer.type}|${this.getServiceScope(interfaceName)}`);
+    }
+
+    /**
+     * Producer side check of the token of a request: it must be issued by
+     * the producer's NRF and not expired (401), and name the producer's NF
+     * type, the service scope and a consumer type the producer instance
+     * allows (403)
+     * @param {Object|null} token - {accessToken, claims} sent by the consumer
+     * @param {Object} consumer - Consumer NF
+     * @param {Object} producer - Producer NF
+     * @param {string} interfaceName - Service
+     * @returns {Object|null} Problem {status, title, error, detail, refresh}, null when valid
+     */
+    verifyAccessToken(token, consumer, producer, interfaceName) {
+        const scope = this.getServiceScope(interfaceName);
+        const nrf = this.findNRF(producer);
+        const allowedNfTypes = (this.getProfile(producer.id) || this.buildProfile(producer)).allowedNfTypes;
+        const unauthorized = (detail, refresh) => ({ status: 401, title: 'Unauthorized', error: 'invalid_token', detail, refresh });
+        const forbidden = detail => ({ status: 403, title: 'Forbidden', error: 'insufficient_scope', detail, refresh: false });
+
+        let problem = null;
+        if (!token) {
+            problem = unauthorized('no access token in the request', false);
+        } else if (token.claims.iss !== nrf?.id) {
+            problem = unauthorized(`access token not issued by ${nrf?.name || 'the NRF of the producer'}`, true);
+        } else if (token.claims.exp * 1000 <= Date.now()) {
+            problem = unauthorized(`access token expired ${Math.round(Date.now() / 1000 - token.claims.exp)} s ago`, true);
+        } else if (token.claims.aud !== producer.type && token.claims.aud !== producer.id) {
+            problem = forbidden(`audience ${token.claims.aud} does not include ${producer.type}`);
+        } else if (!token.claims.scope.split(' ').includes(scope)) {
+            problem = forbidden(`scope "${token.claims.scope}" does not cover ${scope}`);
+        } else if (allowedNfTypes.length > 0 && !allowedNfTypes.includes(consumer.type)) {
+            problem = forbidden(`${consumer.type} not allowed by ${producer.name} (allows ${allowedNfTypes.join(', ')})`);
+        }
+
+        if (!problem) {
+            window.logEngine?.addLog(producer.id, 'DEBUG', `Access token of ${consumer.name} verified`, {
+                scope,
+                expiresIn: `${token.claims.exp - Math.floor(Date.now() / 1000)} seconds`
+            });
+        }
+        return problem;
+    }
+}
+
+// Export for global access
+window.NRFManager = NRFManager;
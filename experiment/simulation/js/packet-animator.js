@@ -78,12 +78,14 @@ class PacketAnimator {
 
             // Determine color based on interface and direction
             let color = this.colors.request;
-            if (direction === 'response') {
+            if (options.error) {
+                color = this.colors.error;
+            } else if (direction === 'response') {
                 color = this.colors.response;
             } else if (interfaceName === 'N4') {
                 color = this.colors.n4Request;
-            } else if (options.error) {
-                color = this.colors.error;
+            } else if (interfaceName === 'N3' || interfaceName === 'N6' || interfaceName === 'N9') {
+                color = this.colors.userPlane;
             }
 
             // Calculate path (may go through bus)
@@ -108,6 +110,8 @@ class PacketAnimator {
                 color,
                 payload,
                 messageId,
+                security: options.security || null,
+                accessToken: options.accessToken || null,
                 onComplete: resolve,
                 createdAt: Date.now()
             };
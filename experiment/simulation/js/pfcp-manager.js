@@ -0,0 +1,910 @@
+/**
+ * ============================================
+ * PFCP MANAGER
+ * ============================================
+ * PFCP session table of the UPF (TS 29.244) and the user-plane packet
+ * pipeline driven by it
+ *
+ * Responsibilities:
+ * - Hold one PFCP session per PDU session in the anchoring UPF: F-SEIDs,
+ *   N3 F-TEID, UE IP and the PDR / FAR / QER / URR rules
+ * - Build the Create IEs of the N4 Session Establishment Request and apply
+ *   the Create / Update / Remove IEs of N4 Session Modification Requests
+ * - Build the rules of intermediate UPFs (I-UPF, UL-CL with local breakout)
+ * - Learn the MAC addresses behind Ethernet PDU sessions and report them to
+ *   the SMF; carry Unstructured sessions in a point-to-point N6 tunnel
+ * - Match packets against the PDRs and apply the FAR (forward, buffer or
+ *   drop) and the QER gates
+ * - Count traffic in the URRs and send N4 Session Report Requests
+ *   (usage reports) to the SMF when a volume threshold is reached
+ */
+
+class PFCPManager {
+    constructor() {
+        // Default rules of every PFCP session: uplink PDR/FAR towards the DN,
+        // downlink PDR/FAR towards the gNB (TS 29.244 5.2)
+        this.UPLINK_PDR_ID = 1;
+        this.DOWNLINK_PDR_ID = 2;
+        this.DOWNLINK_FAR_ID = 1;
+        this.UPLINK_FAR_ID = 2;
+        this.DEFAULT_URR_ID = 1;
+
+        // Extra rules of an intermediate UPF: downlink PDR of traffic from the
+        // local DN, FAR and first uplink PDR of the local breakout (UL-CL)
+        this.LOCAL_DOWNLINK_PDR_ID = 3;
+        this.BREAKOUT_FAR_ID = 3;
+        this.BREAKOUT_PDR_BASE = 10;
+
+        // Volume threshold of the default URR (bytes) until the UPF config changes it
+        this.DEFAULT_VOLUME_THRESHOLD = 25 * 1024 * 1024;
+
+        // PDN Type IE of the N4 Session Establishment for each PDU session type (TS 29.244 8.2.79)
+        this.PDN_TYPES = {
+            IPV4: 'IPV4',
+            IPV6: 'IPV6',
+            IPV4V6: 'IPV4V6',
+            UNSTRUCTURED: 'NON_IP',
+            ETHERNET: 'ETHERNET'
+        };
+
+        // UDP ports of the point-to-point N6 tunnels of Unstructured sessions (TS 29.561 12.2)
+        this.N6_TUNNEL_PORT_BASE = 40000;
+
+        this.seidCounter = 0;
+
+        console.log('✅ PFCPManager initialized');
+    }
+
+    // ==========================================
+    // Session table
+    // ==========================================
+
+    /**
+     * PFCP sessions of a UPF. Topologies saved before the table existed get
+     * one session built for every PDU session anchored on the UPF.
+     * @param {Object} upf - UPF NF
+     * @returns {Array} PFCP sessions
+     */
+    getPFCPSessions(upf) {
+        if (!upf) return [];
+        if (!Array.isArray(upf.config.pfcpSessions)) {
+            upf.config.pfcpSessions = [];
+
+            (window.dataStore?.getAllNFs() || []).filter(nf => nf.type === 'UE').forEach(ue => {
+                (window.sessionManager?.getPDUSessions(ue) || [])
+                    .filter(pduSession => pduSession.upfId === upf.id &&
+                        (pduSession.assignedIP || !window.sessionManager.isIPSessionType(pduSession.pduSessionType)))
+                    .forEach(pduSession => upf.config.pfcpSessions.push(this.buildSession(upf, null, ue, pduSession)));
+            });
+        }
+        return upf.config.pfcpSessions;
+    }
+
+    /**
+     * Find the PFCP session of a PDU session
+     * @param {Object} upf - UPF NF
+     * @param {string} ueId - UE ID
+     * @param {number} pduSessionId - PDU session ID
+     * @returns {Object|null} PFCP session
+     */
+    findSession(upf, ueId, pduSessionId) {
+        return this.getPFCPSessions(upf).find(session => session.ueId === ueId && session.pduSessionId === pduSessionId) || null;
+    }
+
+    /**
+     * Find the PFCP session of a PDU session in a UPF of its path
+     * @param {Object} ue - UE NF
+     * @param {Object} pduSession - UE PDU session entry
+     * @param {Object|null} upf - UPF NF, defaults to the anchor (PSA)
+     * @returns {{upf: Object|null, session: Object|null}}
+     */
+    locateSession(ue, pduSession, upf = null) {
+        const owner = upf || (pduSession?.upfId ? window.dataStore?.getNFById(pduSession.upfId) : null);
+        return { upf: owner, session: owner ? this.findSession(owner, ue.id, pduSession.sessionId) : null };
+    }
+
+    /**
+     * Allocate a SEID unique among the UPF's sessions
+     * @param {Object} upf - UPF NF
+     * @returns {number} SEID
+     */
+    allocateSEID(upf) {
+        const used = new Set((upf.config.pfcpSessions || []).map(session => session.seid));
+        let seid;
+        do {
+            seid = 0x1000 + (++this.seidCounter) * 0x11 + Math.floor(Math.random() * 0x10);
+        } while (used.has(seid));
+        return seid;
+    }
+
+    /**
+     * Allocate an N3 TEID unique among the UPF's sessions
+     * @param {Object} upf - UPF NF
+     * @returns {number} TEID
+     */
+    allocateTEID(upf) {
+        const used = new Set((upf.config.pfcpSessions || []).map(session => session.localFTeid.teid));
+        let teid;
+        do {
+            teid = 1 + Math.floor(Math.random() * 0xfffffffe);
+        } while (used.has(teid));
+        return teid;
+    }
+
+    /**
+     * Format a SEID or TEID the way PFCP/GTP-U traces show it
+     * @param {number} id - SEID or TEID
+     * @returns {string} Hex string
+     */
+    formatId(id) {
+        return `0x${id.toString(16).padStart(8, '0')}`;
+    }
+
+    /**
+     * Build the PFCP session of a PDU session: default PDRs/FARs, one QER per
+     * QoS flow plus the Session-AMBR QER, and the volume URR
+     * @param {Object} upf - UPF NF
+     * @param {Object|null} smf - SMF NF owning the session (null when rebuilt)
+     * @param {Object} ue - UE NF
+     * @param {Object} pduSession - {sessionId, dnn, pduSessionType?, assignedIP, ipv6Prefix?, qosFlows?, sessionAmbr?}
+     * @param {Object|null} gnb - gNB terminating the N3 tunnel, null buffers downlink data
+     * @returns {Object} PFCP session
+     */
+    buildSession(upf, smf, ue, pduSession, gnb = this.getAccessNode(ue)) {
+        const qosManager = window.qosManager;
+        const session = {
+            seid: this.allocateSEID(upf),
+            cpSeid: this.allocateSEID(upf),
+            role: 'PSA',
+            smfId: smf?.id || null,
+            ueId: ue.id,
+            pduSessionId: pduSession.sessionId,
+            dnn: pduSession.dnn,
+            pduSessionType: pduSession.pduSessionType || 'IPV4',
+            ueIp: pduSession.assignedIP,
+            ueIpv6Prefix: pduSession.ipv6Prefix || null,
+            localFTeid: { teid: this.allocateTEID(upf), ipv4Address: upf.config.ipAddress },
+            pdrs: [],
+            fars: [
+                this.buildDownlinkFAR(gnb),
+                {
+                    farId: this.UPLINK_FAR_ID,
+                    applyAction: { FORW: true, BUFF: false, NOCP: false, DROP: false },
+                    forwardingParameters: { destinationInterface: 'CORE', networkInstance: pduSession.dnn }
+                }
+            ],
+            qers: [],
+            urrs: [this.buildURR(this.DEFAULT_URR_ID, upf)],
+            createdAt: Date.now()
+        };
+
+        // Ethernet: the UPF reports every source MAC it learns on the session (MACAR)
+        if (session.pduSessionType === 'ETHERNET') {
+            session.macAddresses = [];
+            session.urrs[0].reportingTriggers.MACAR = true;
+        }
+
+        // Unstructured: uplink leaves in a UDP tunnel to the DN server, downlink returns in it
+        if (session.pduSessionType === 'UNSTRUCTURED') {
+            session.n6Tunnel = this.buildN6Tunnel(upf, window.userPlaneManager?.getLocalDN(upf));
+            session.fars[1].forwardingParameters.outerHeaderCreation = {
+                description: 'UDP/IPv4',
+                ipv4Address: session.n6Tunnel.peerAddress,
+                port: session.n6Tunnel.peerPort
+            };
+        }
+
+        // PDRs and QERs of each QoS flow, as the QoS model would push them on N4
+        qosManager.getQoSFlows(pduSession).forEach(flow => {
+            const ies = qosManager.buildN4QoS(pduSession, { operation: qosManager.OPERATIONS.CREATE, qfi: flow.qfi, flow });
+            ies.createPdr.forEach(pdr => session.pdrs.push(this.completePDR(session, pdr)));
+            ies.createQer.forEach(qer => session.qers.push(qer));
+        });
+        session.pdrs.sort((a, b) => a.precedence - b.precedence);
+
+        const ambr = qosManager.getSessionAmbr(pduSession);
+        session.qers.push({
+            qerId: qosManager.SESSION_QER_ID,
+            gateStatus: { ul: 'OPEN', dl: 'OPEN' },
+            mbr: { ul: qosManager.formatBitrate(ambr.uplink), dl: qosManager.formatBitrate(ambr.downlink) }
+        });
+
+        return session;
+    }
+
+    /**
+     * Build the PFCP session of an intermediate UPF between the gNB and the
+     * anchor. Uplink goes to the next UPF over N9 and, for a UL-CL, to the
+     * local DN when the destination matches a breakout rule; downlink from N9
+     * or the local DN goes to the access side. Only locally broken-out traffic
+     * is counted here, the anchor measures the rest.
+     * @param {Object} upf - Intermediate UPF NF
+     * @param {Object} smf - SMF NF
+     * @param {Object} ue - UE NF
+     * @param {Object} pduSession - {sessionId, dnn, pduSessionType?, assignedIP}
+     * @param {Array} breakoutRules - Local breakout rules ({dnn, network}), empty for an I-UPF
+     * @param {Object|null} gnb - Serving gNB (downlink FAR over N3)
+     * @returns {Object} PFCP session (uplink FAR towards the next UPF added by the caller)
+     */
+    buildIntermediateSession(upf, smf, ue, pduSession, breakoutRules = [], gnb = this.getAccessNode(ue)) {
+        const session = {
+            seid: this.allocateSEID(upf),
+            cpSeid: this.allocateSEID(upf),
+            role: breakoutRules.length > 0 ? 'UL-CL' : 'I-UPF',
+            smfId: smf?.id || null,
+            ueId: ue.id,
+            pduSessionId: pduSession.sessionId,
+            dnn: pduSession.dnn,
+            pduSessionType: pduSession.pduSessionType || 'IPV4',
+            ueIp: pduSession.assignedIP,
+            ueIpv6Prefix: pduSession.ipv6Prefix || null,
+            ...(pduSession.pduSessionType === 'ETHERNET' && { macAddresses: [] }),
+            localFTeid: { teid: this.allocateTEID(upf), ipv4Address: upf.config.ipAddress },
+            n9FTeid: { teid: this.allocateTEID(upf), ipv4Address: upf.config.ipAddress },
+            pdrs: [],
+            fars: [this.buildDownlinkFAR(gnb)],
+            qers: [],
+            urrs: breakoutRules.length > 0 ? [this.buildURR(this.DEFAULT_URR_ID, upf)] : [],
+            createdAt: Date.now()
+        };
+        const localUrrs = session.urrs.map(urr => urr.urrId);
+
+        breakoutRules.forEach((rule, index) => session.pdrs.push(this.completePDR(session, {
+            pdrId: this.BREAKOUT_PDR_BASE + index,
+            precedence: 100 + index,
+            pdi: { sourceInterface: 'ACCESS', sdfFilter: [`permit out ip from ${rule.network} to assigned`] },
+            farId: this.BREAKOUT_FAR_ID,
+            qerIds: [],
+            urrIds: localUrrs
+        })));
+        session.pdrs.push(this.completePDR(session, {
+            pdrId: this.UPLINK_PDR_ID,
+            precedence: 255,
+            pdi: { sourceInterface: 'ACCESS' },
+            qerIds: [],
+            urrIds: []
+        }));
+        session.pdrs.push(this.completePDR(session, {
+            pdrId: this.DOWNLINK_PDR_ID,
+            precedence: 255,
+            pdi: { sourceInterface: 'CORE', localFTeid: { ...session.n9FTeid } },
+            outerHeaderRemoval: 'GTP-U/UDP/IPv4',
+            qerIds: [],
+            urrIds: []
+        }));
+
+        if (breakoutRules.length > 0) {
+            session.pdrs.push(this.completePDR(session, {
+                pdrId: this.LOCAL_DOWNLINK_PDR_ID,
+                precedence: 200,
+                pdi: { sourceInterface: 'CORE' },
+                qerIds: [],
+                urrIds: localUrrs
+            }));
+            session.fars.push({
+                farId: this.BREAKOUT_FAR_ID,
+                applyAction: { FORW: true, BUFF: false, NOCP: false, DROP: false },
+                forwardingParameters: { destinationInterface: 'CORE', networkInstance: `${pduSession.dnn}-local` }
+            });
+        }
+        session.pdrs.sort((a, b) => a.precedence - b.precedence);
+
+        return session;
+    }
+
+    /**
+     * FAR sending traffic over N9 to the F-TEID of a neighbouring UPF
+     * @param {number} farId - FAR ID
+     * @param {string} destinationInterface - 'CORE' (towards the anchor) or 'ACCESS'
+     * @param {Object} fTeid - {teid, ipv4Address} of the neighbour
+     * @returns {Object} FAR
+     */
+    buildN9FAR(farId, destinationInterface, fTeid) {
+        return {
+            farId,
+            applyAction: { FORW: true, BUFF: false, NOCP: false, DROP: false },
+            forwardingParameters: {
+                destinationInterface,
+                outerHeaderCreation: { description: 'GTP-U/UDP/IPv4', ipv4Address: fTeid.ipv4Address, teid: fTeid.teid }
+            }
+        };
+    }
+
+    /**
+     * Fill in the session-specific parts of a PDR received from the QoS model:
+     * packet detection info, outer header removal, FAR and URR references.
+     * The IP packet filters of the QoS model do not apply to non-IP sessions.
+     * @param {Object} session - PFCP session
+     * @param {Object} pdr - PDR IE
+     * @returns {Object} Complete PDR
+     */
+    completePDR(session, pdr) {
+        const uplink = pdr.pdi?.sourceInterface === 'ACCESS';
+        const { sdfFilter, ...detection } = pdr.pdi || {};
+        const pdi = window.sessionManager?.isIPSessionType(session.pduSessionType) === false ? detection : pdr.pdi;
+        return {
+            ...pdr,
+            pdi: uplink
+                ? { ...pdi, localFTeid: { ...session.localFTeid }, networkInstance: session.dnn }
+                : { ...pdi, ...this.buildDownlinkDetection(session), networkInstance: session.dnn },
+            ...(uplink && { outerHeaderRemoval: 'GTP-U/UDP/IPv4' }),
+            ...(!uplink && session.n6Tunnel && { outerHeaderRemoval: 'UDP/IPv4' }),
+            farId: pdr.farId || (uplink ? this.UPLINK_FAR_ID : this.DOWNLINK_FAR_ID),
+            urrIds: pdr.urrIds || [this.DEFAULT_URR_ID]
+        };
+    }
+
+    /**
+     * How downlink traffic of a session is recognised: by UE IP address,
+     * by the MAC addresses learned on an Ethernet session (ETHI flag, TS
+     * 29.244 5.13.1) or by the N6 tunnel of an Unstructured session
+     * @param {Object} session - PFCP session
+     * @returns {Object} PDI fields
+     */
+    buildDownlinkDetection(session) {
+        if (session.pduSessionType === 'ETHERNET') {
+            return { ethernetPduSessionInformation: { ethi: true } };
+        }
+        if (session.pduSessionType === 'UNSTRUCTURED') {
+            const tunnel = session.n6Tunnel;
+            return tunnel
+                ? { sdfFilter: [`permit out udp from ${tunnel.peerAddress} ${tunnel.peerPort} to ${tunnel.localAddress} ${tunnel.localPort}`] }
+                : {};
+        }
+        return { ueIpAddress: this.buildUEIPAddress(session) };
+    }
+
+    /**
+     * Point-to-point N6 tunnel of an Unstructured session: one UDP port of
+     * the UPF per session, towards the server of the DN
+     * @param {Object} upf - UPF NF
+     * @param {Object|null} dn - ext-dn NF behind the UPF's N6 interface
+     * @returns {Object} {localAddress, localPort, peerAddress, peerPort, peerName}
+     */
+    buildN6Tunnel(upf, dn) {
+        const used = new Set((upf.config.pfcpSessions || []).map(session => session.n6Tunnel?.localPort).filter(Boolean));
+        let port = this.N6_TUNNEL_PORT_BASE;
+        while (used.has(port)) port++;
+        return {
+            localAddress: upf.config.ipAddress,
+            localPort: port,
+            peerAddress: dn?.config.ipAddress || null,
+            peerPort: port,
+            peerName: dn?.name || null
+        };
+    }
+
+    /**
+     * UE IP Address IE of a downlink PDI: the IPv4 address and/or the
+     * delegated IPv6 prefix (TS 29.244 8.2.62)
+     * @param {Object} session - PFCP session
+     * @returns {Object} {ipv4?, ipv6?, ipv6PrefixLength?, sd}
+     */
+    buildUEIPAddress(session) {
+        const ipv4 = window.sessionManager.isIPv6Address(session.ueIp) ? null : session.ueIp;
+        const prefix = session.ueIpv6Prefix ? session.ueIpv6Prefix.split('/') : null;
+        return {
+            ...(ipv4 && { ipv4 }),
+            ...(prefix && { ipv6: prefix[0], ipv6PrefixLength: Number(prefix[1]) }),
+            sd: true
+        };
+    }
+
+    /**
+     * Check whether a UE address belongs to a PDU session's UE IP Address IE
+     * @param {Object} ueIpAddress - UE IP Address IE
+     * @param {string} ip - Destination address of a downlink packet
+     * @returns {boolean} True for the IPv4 address or any address of the IPv6 prefix
+     */
+    matchesUEAddress(ueIpAddress, ip) {
+        if (!ueIpAddress || !ip) return false;
+        if (ueIpAddress.ipv4 === ip) return true;
+        return !!ueIpAddress.ipv6 && window.sessionManager.isInIPv6Prefix(ip, `${ueIpAddress.ipv6}/${ueIpAddress.ipv6PrefixLength}`);
+    }
+
+    /**
+     * Downlink FAR: forward to the gNB end of the N3 tunnel, or buffer and
+     * notify the CP function while the UE has no N3 tunnel
+     * @param {Object|null} gnb - gNB NF
+     * @returns {Object} FAR
+     */
+    buildDownlinkFAR(gnb) {
+        return {
+            farId: this.DOWNLINK_FAR_ID,
+            applyAction: gnb
+                ? { FORW: true, BUFF: false, NOCP: false, DROP: false }
+                : { FORW: false, BUFF: true, NOCP: true, DROP: false },
+            forwardingParameters: {
+                destinationInterface: 'ACCESS',
+                outerHeaderCreation: gnb ? { description: 'GTP-U/UDP/IPv4', ipv4Address: gnb.config.ipAddress } : null
+            }
+        };
+    }
+
+    /**
+     * Volume-based URR with the UPF's threshold
+     * @param {number} urrId - URR ID
+     * @param {Object} upf - UPF NF
+     * @returns {Object} URR
+     */
+    buildURR(urrId, upf) {
+        return {
+            urrId,
+            measurementMethod: { VOLUM: true, DURAT: true },
+            reportingTriggers: { VOLTH: true },
+            volumeThreshold: { total: this.getVolumeThreshold(upf) },
+            measurement: { uplink: 0, downlink: 0, total: 0, since: Date.now() },
+            reportSeq: 0
+        };
+    }
+
+    /**
+     * Volume threshold (bytes) of the URRs the UPF creates
+     * @param {Object} upf - UPF NF
+     * @returns {number} Bytes
+     */
+    getVolumeThreshold(upf) {
+        return upf?.config.urrVolumeThreshold || this.DEFAULT_VOLUME_THRESHOLD;
+    }
+
+    /**
+     * Apply a new volume threshold to the UPF and every URR it holds
+     * @param {Object} upf - UPF NF
+     * @param {number} bytes - Volume threshold
+     */
+    setVolumeThreshold(upf, bytes) {
+        upf.config.urrVolumeThreshold = bytes;
+        this.getPFCPSessions(upf).forEach(session => session.urrs.forEach(urr => {
+            urr.volumeThreshold = { total: bytes };
+        }));
+    }
+
+    /**
+     * gNB serving a CM-CONNECTED UE (idle UEs have no N3 tunnel)
+     * @param {Object} ue - UE NF
+     * @returns {Object|null} gNB NF
+     */
+    getAccessNode(ue) {
+        const sessionManager = window.sessionManager;
+        if (!sessionManager || sessionManager.getCMState(ue.id) !== sessionManager.CM_STATES.CONNECTED) return null;
+        return sessionManager.getServingGNB(ue.id) || null;
+    }
+
+    /**
+     * Create IEs of an N4 Session Establishment Request
+     * @param {Object} session - PFCP session
+     * @param {Object} smf - SMF NF
+     * @returns {Object} Request IEs
+     */
+    buildEstablishmentIEs(session, smf) {
+        const strip = ({ measurement, reportSeq, ...urr }) => urr;
+        return {
+            nodeId: smf.config.ipAddress,
+            cpFSeid: { seid: this.formatId(session.cpSeid), ipv4Address: smf.config.ipAddress },
+            pduSessionId: session.pduSessionId,
+            createPdr: session.pdrs.map(pdr => ({
+                ...pdr,
+                pdi: pdr.pdi.localFTeid ? { ...pdr.pdi, localFTeid: { choose: true } } : pdr.pdi
+            })),
+            createFar: session.fars,
+            createQer: session.qers,
+            createUrr: session.urrs.map(strip),
+            pdnType: this.PDN_TYPES[session.pduSessionType] || this.PDN_TYPES.IPV4
+        };
+    }
+
+    /**
+     * Store a PFCP session in the UPF, replacing a stale one of the same PDU session
+     * @param {Object} upf - UPF NF
+     * @param {Object} session - PFCP session
+     * @returns {Object} The stored session
+     */
+    installSession(upf, session) {
+        upf.config.pfcpSessions = this.getPFCPSessions(upf)
+            .filter(existing => !(existing.ueId === session.ueId && existing.pduSessionId === session.pduSessionId))
+            .concat(session);
+        window.dataStore?.updateNF(upf.id, upf);
+
+        if (window.logEngine) {
+            window.logEngine.addLog(upf.id, 'INFO', `PFCP session ${this.formatId(session.seid)} created for ${this.describeUE(session)}`, {
+                pduSessionId: session.pduSessionId,
+                dnn: session.dnn,
+                pdnType: this.PDN_TYPES[session.pduSessionType] || this.PDN_TYPES.IPV4,
+                ...(session.n6Tunnel && { n6Tunnel: `UDP ${session.n6Tunnel.localAddress}:${session.n6Tunnel.localPort} ⇄ ${session.n6Tunnel.peerAddress}:${session.n6Tunnel.peerPort}` }),
+                n3Teid: this.formatId(session.localFTeid.teid),
+                pdrs: session.pdrs.length,
+                fars: session.fars.length,
+                qers: session.qers.length,
+                urrs: session.urrs.length
+            });
+        }
+
+        return session;
+    }
+
+    /**
+     * Make sure a PDU session set up without an N4 exchange (registration
+     * shortcut, demos) has its PFCP session in the anchoring UPF
+     * @param {Object} upf - UPF NF
+     * @param {Object} ue - UE NF
+     * @param {Object} pduSession - UE PDU session entry
+     * @returns {Object} PFCP session
+     */
+    ensureSession(upf, ue, pduSession) {
+        const existing = this.findSession(upf, ue.id, pduSession.sessionId);
+        if (existing && existing.ueIp === pduSession.assignedIP) return existing;
+        return this.installSession(upf, this.buildSession(upf, null, ue, pduSession));
+    }
+
+    /**
+     * Remove a PFCP session and close its URRs
+     * @param {Object} upf - UPF NF
+     * @param {string} ueId - UE ID
+     * @param {number} pduSessionId - PDU session ID
+     * @returns {Array} Final usage reports (termination)
+     */
+    deleteSession(upf, ueId, pduSessionId) {
+        const session = this.findSession(upf, ueId, pduSessionId);
+        if (!session) return [];
+
+        const reports = session.urrs.map(urr => this.takeUsageReport(urr, 'TERMR'));
+        upf.config.pfcpSessions = this.getPFCPSessions(upf).filter(existing => existing !== session);
+        window.dataStore?.updateNF(upf.id, upf);
+
+        if (window.logEngine) {
+            window.logEngine.addLog(upf.id, 'INFO', `PFCP session ${this.formatId(session.seid)} deleted`, {
+                pduSessionId,
+                ueIp: session.ueIp,
+                usageReport: reports
+            });
+        }
+
+        return reports;
+    }
+
+    /**
+     * Apply the IEs of an N4 Session Modification Request to the PFCP session
+     * of a PDU session
+     * @param {Object} ue - UE NF
+     * @param {Object} pduSession - UE PDU session entry
+     * @param {Object} ies - createPdr/updatePdr/removePdr, createFar/updateFar/removeFar,
+     *                       createQer/updateQer/removeQer (single IEs or arrays)
+     * @param {Object|null} target - UPF receiving the request, defaults to the anchor (PSA)
+     * @returns {Object|null} Updated PFCP session
+     */
+    applyModification(ue, pduSession, ies, target = null) {
+        const { upf, session } = this.locateSession(ue, pduSession, target);
+        if (!session) {
+            console.warn(`⚠️ No PFCP session for ${ue.name} PDU session ${pduSession?.sessionId}`);
+            return null;
+        }
+
+        const list = ie => [].concat(ies[ie] || []);
+        const upsert = (rules, key, rule) => {
+            const index = rules.findIndex(existing => existing[key] === rule[key]);
+            if (index === -1) {
+                rules.push(rule);
+            } else {
+                rules[index] = { ...rules[index], ...rule };
+            }
+        };
+
+        list('removePdr').forEach(({ pdrId }) => { session.pdrs = session.pdrs.filter(pdr => pdr.pdrId !== pdrId); });
+        list('removeFar').forEach(({ farId }) => { session.fars = session.fars.filter(far => far.farId !== farId); });
+        list('removeQer').forEach(({ qerId }) => { session.qers = session.qers.filter(qer => qer.qerId !== qerId); });
+
+        list('createFar').concat(list('updateFar')).forEach(far => upsert(session.fars, 'farId', far));
+        list('createQer').concat(list('updateQer')).forEach(qer => upsert(session.qers, 'qerId', qer));
+        list('createPdr').concat(list('updatePdr')).forEach(pdr => {
+            const existing = session.pdrs.find(p => p.pdrId === pdr.pdrId);
+            upsert(session.pdrs, 'pdrId', this.completePDR(session, { ...existing, ...pdr }));
+        });
+        session.pdrs.sort((a, b) => a.precedence - b.precedence);
+
+        window.dataStore?.updateNF(upf.id, upf);
+        return session;
+    }
+
+    /**
+     * Remove a FAR from a PFCP session (fault injection: traffic of the PDRs
+     * pointing at it is dropped)
+     * @param {Object} upf - UPF NF
+     * @param {number} seid - UP SEID
+     * @param {number} farId - FAR ID
+     * @returns {boolean} True if a FAR was removed
+     */
+    removeFAR(upf, seid, farId) {
+        const session = this.getPFCPSessions(upf).find(s => s.seid === seid);
+        if (!session || !session.fars.some(far => far.farId === farId)) return false;
+
+        session.fars = session.fars.filter(far => far.farId !== farId);
+        window.dataStore?.updateNF(upf.id, upf);
+
+        if (window.logEngine) {
+            window.logEngine.addLog(upf.id, 'WARNING', `FAR ${farId} removed from PFCP session ${this.formatId(seid)}`, {
+                ueIp: session.ueIp,
+                affectedPdrs: session.pdrs.filter(pdr => pdr.farId === farId).map(pdr => pdr.pdrId)
+            });
+        }
+        return true;
+    }
+
+    // ==========================================
+    // Packet processing
+    // ==========================================
+
+    /**
+     * Parse an SDF filter ("permit out tcp from 10.45.0.0/16 5201 to 10.0.0.2")
+     * @param {string} filter - IPFilterRule
+     * @returns {Object|null} {protocol, remoteAddress, remotePort}
+     */
+    parseSDFFilter(filter) {
+        const match = /^permit out (\S+) from (\S+)(?: (\d+))? to (\S+)/.exec(filter);
+        if (!match) return null;
+        return {
+            protocol: match[1] === 'ip' ? 'ANY' : match[1].toUpperCase(),
+            remoteAddress: match[2],
+            remotePort: match[3] ? parseInt(match[3]) : null
+        };
+    }
+
+    /**
+     * Check the packet detection information of a PDR against a packet
+     * @param {Object} pdr - PDR
+     * @param {Object} packet - Packet
+     * @returns {boolean} True on match
+     */
+    matchesPDR(pdr, packet) {
+        const pdi = pdr.pdi || {};
+        if (packet.direction === 'uplink') {
+            return pdi.sourceInterface === 'ACCESS' &&
+                pdi.localFTeid?.teid === packet.teid &&
+                (pdi.qfi === undefined || pdi.qfi === packet.qfi) &&
+                this.matchesSDF(pdi, packet);
+        }
+
+        // Downlink arrives either from N6 (no tunnel) or over N9 on the PDR's F-TEID;
+        // non-IP sessions were already picked by MAC address or N6 tunnel
+        if (pdi.sourceInterface !== 'CORE') return false;
+        if (pdi.ueIpAddress && !this.matchesUEAddress(pdi.ueIpAddress, packet.ueIp)) return false;
+        if ((pdi.localFTeid?.teid ?? null) !== (packet.teid ?? null)) return false;
+        return this.matchesSDF(pdi, packet);
+    }
+
+    /**
+     * Check the SDF filters of a PDR against the remote end of a packet
+     * @param {Object} pdi - Packet detection information
+     * @param {Object} packet - Packet
+     * @returns {boolean} True when there are no filters or one matches
+     */
+    matchesSDF(pdi, packet) {
+        const filters = pdi.sdfFilter || [];
+        if (filters.length === 0) return true;
+        return filters.some(text => {
+            const filter = this.parseSDFFilter(text);
+            return !!filter &&
+                (filter.protocol === 'ANY' || filter.protocol === packet.protocol) &&
+                window.qosManager.matchesAddress(filter.remoteAddress, packet.remoteAddress) &&
+                (!filter.remotePort || filter.remotePort === packet.remotePort);
+        });
+    }
+
+    /**
+     * Run a packet through the UPF pipeline: session lookup (F-TEID, UE IP,
+     * destination MAC or N6 tunnel port), PDR match by precedence, QER gates,
+     * MAC learning, URR counting and the FAR action
+     * @param {Object} upf - UPF NF
+     * @param {Object} packet - {direction: 'uplink'|'downlink', teid, qfi, ueIp, protocol, remoteAddress, remotePort, bytes,
+     *   sourceMac/destinationMac (Ethernet), n6Port (Unstructured downlink)}
+     * @returns {Object} {action: 'FORW'|'BUFF'|'DROP', reason, session, pdr, far, reports}
+     */
+    processPacket(upf, packet) {
+        const verdict = (action, reason, extra = {}) => ({ action, reason, session: null, pdr: null, far: null, reports: [], ...extra });
+
+        const sessions = this.getPFCPSessions(upf);
+        const session = packet.direction === 'uplink'
+            ? sessions.find(s => s.localFTeid.teid === packet.teid)
+            : packet.teid !== undefined
+                ? sessions.find(s => s.n9FTeid?.teid === packet.teid)
+                : packet.destinationMac
+                    ? sessions.find(s => (s.macAddresses || []).includes(packet.destinationMac))
+                    : packet.n6Port !== undefined
+                        ? sessions.find(s => s.n6Tunnel?.localPort === packet.n6Port)
+                        : sessions.find(s => s.ueIp === packet.ueIp || this.matchesUEAddress(this.buildUEIPAddress(s), packet.ueIp));
+        if (!session) {
+            return verdict('DROP', packet.teid !== undefined
+                ? `no PFCP session for TEID ${this.formatId(packet.teid || 0)}`
+                : packet.destinationMac ? `no PFCP session has learned MAC ${packet.destinationMac}`
+                : packet.n6Port !== undefined ? `no N6 tunnel on UDP port ${packet.n6Port}`
+                : `no PFCP session for UE IP ${packet.ueIp}`);
+        }
+
+        const pdr = session.pdrs.find(candidate => this.matchesPDR(candidate, packet));
+        if (!pdr) {
+            return verdict('DROP', `no matching ${packet.direction} PDR`, { session });
+        }
+
+        const far = session.fars.find(f => f.farId === pdr.farId);
+        if (!far) {
+            return verdict('DROP', `PDR ${pdr.pdrId} references missing FAR ${pdr.farId}`, { session, pdr });
+        }
+
+        const gate = packet.direction === 'uplink' ? 'ul' : 'dl';
+        const closedQer = session.qers.find(qer => (pdr.qerIds || []).includes(qer.qerId) && qer.gateStatus?.[gate] === 'CLOSED');
+        if (closedQer) {
+            return verdict('DROP', `QER ${closedQer.qerId} gate closed`, { session, pdr, far });
+        }
+
+        // Usage is measured for every packet the PDR detects, whatever the FAR does with it
+        const reports = this.learnMACAddress(session, pdr, packet);
+        session.urrs.filter(urr => (pdr.urrIds || []).includes(urr.urrId)).forEach(urr => {
+            urr.measurement[packet.direction] += packet.bytes;
+            urr.measurement.total += packet.bytes;
+            if (urr.reportingTriggers?.VOLTH && urr.measurement.total >= urr.volumeThreshold.total) {
+                reports.push(this.takeUsageReport(urr, 'VOLTH'));
+            }
+        });
+
+        const action = far.applyAction?.FORW ? 'FORW' : far.applyAction?.BUFF ? 'BUFF' : 'DROP';
+        const reason = action === 'FORW'
+            ? `PDR ${pdr.pdrId} → FAR ${far.farId} (${far.forwardingParameters?.destinationInterface})`
+            : `PDR ${pdr.pdrId} → FAR ${far.farId} applies ${action}`;
+        return verdict(action, reason, { session, pdr, far, reports });
+    }
+
+    /**
+     * MAC learning of an Ethernet session: a new source MAC in an uplink frame
+     * is added to the session and reported by the URRs with the MACAR trigger
+     * (TS 29.244 5.13.3)
+     * @param {Object} session - PFCP session
+     * @param {Object} pdr - PDR that detected the frame
+     * @param {Object} packet - Packet
+     * @returns {Array} Usage Report IEs with the detected MAC address
+     */
+    learnMACAddress(session, pdr, packet) {
+        if (session.pduSessionType !== 'ETHERNET' || packet.direction !== 'uplink' || !packet.sourceMac) return [];
+
+        session.macAddresses = session.macAddresses || [];
+        if (session.macAddresses.includes(packet.sourceMac)) return [];
+        session.macAddresses.push(packet.sourceMac);
+
+        return session.urrs
+            .filter(urr => (pdr.urrIds || []).includes(urr.urrId) && urr.reportingTriggers?.MACAR)
+            .map(urr => ({
+                urrId: urr.urrId,
+                urSeqn: urr.reportSeq++,
+                usageReportTrigger: { MACAR: true },
+                ethernetTrafficInformation: { macAddressesDetected: [packet.sourceMac] }
+            }));
+    }
+
+    /**
+     * Close the current measurement period of a URR
+     * @param {Object} urr - URR
+     * @param {string} trigger - Usage report trigger (VOLTH, TERMR)
+     * @returns {Object} Usage Report IE
+     */
+    takeUsageReport(urr, trigger) {
+        const now = Date.now();
+        const report = {
+            urrId: urr.urrId,
+            urSeqn: urr.reportSeq++,
+            usageReportTrigger: { [trigger]: true },
+            startTime: new Date(urr.measurement.since).toISOString(),
+            endTime: new Date(now).toISOString(),
+            volumeMeasurement: {
+                total: urr.measurement.total,
+                uplink: urr.measurement.uplink,
+                downlink: urr.measurement.downlink
+            },
+            durationMeasurement: Math.round((now - urr.measurement.since) / 1000)
+        };
+        urr.measurement = { uplink: 0, downlink: 0, total: 0, since: now };
+        return report;
+    }
+
+    /**
+     * UPF → SMF: N4 Session Report Request carrying usage reports
+     * @param {Object} upf - UPF NF
+     * @param {Object} session - PFCP session
+     * @param {Array} reports - Usage Report IEs
+     */
+    async sendUsageReport(upf, session, reports) {
+        const smf = (session.smfId && window.dataStore?.getNFById(session.smfId)) ||
+            (window.dataStore?.getAllNFs() || []).find(nf => nf.type === 'SMF' && nf.status === 'stable');
+
+        if (!smf || !window.sessionManager) {
+            console.warn(`⚠️ ${upf.name} has usage reports but no SMF to send them to`);
+            return;
+        }
+
+        await window.sessionManager.sendSignal(upf, smf, 'N4', 'request', 'N4 Session Report Request (Usage Report)', {
+            messageType: 'PFCP_SESSION_REPORT_REQUEST',
+            seid: this.formatId(session.cpSeid),
+            reportType: 'USAR',
+            usageReport: reports
+        }, 'PFCP');
+
+        await window.sessionManager.sendSignal(smf, upf, 'N4', 'response', 'N4 Session Report Response', {
+            messageType: 'PFCP_SESSION_REPORT_RESPONSE',
+            seid: this.formatId(session.seid),
+            cause: 'REQUEST_ACCEPTED'
+        }, 'PFCP');
+
+        if (window.logEngine) {
+            reports.forEach(report => {
+                if (report.ethernetTrafficInformation) {
+                    window.logEngine.addLog(smf.id, 'INFO', `MAC address ${report.ethernetTrafficInformation.macAddressesDetected.join(', ')} detected on PDU session ${session.pduSessionId}`, {
+                        urrId: report.urrId,
+                        trigger: 'MACAR',
+                        macAddressesDetected: report.ethernetTrafficInformation.macAddressesDetected
+                    });
+                    return;
+                }
+                window.logEngine.addLog(smf.id, 'INFO', `Usage report for PDU session ${session.pduSessionId}: ${this.formatVolume(report.volumeMeasurement.total)}`, {
+                    ueIp: session.ueIp,
+                    urrId: report.urrId,
+                    trigger: Object.keys(report.usageReportTrigger)[0],
+                    volumeMeasurement: report.volumeMeasurement,
+                    durationMeasurement: `${report.durationMeasurement}s`
+                });
+            });
+        }
+    }
+
+    // ==========================================
+    // Display
+    // ==========================================
+
+    /**
+     * Format a byte count
+     * @param {number} bytes - Bytes
+     * @returns {string} e.g. "12.5 MB"
+     */
+    formatVolume(bytes) {
+        if (bytes >= 1024 * 1024) return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+        if (bytes >= 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${bytes} B`;
+    }
+
+    /**
+     * Name the UE end of a PFCP session for logs: its address, the MACs
+     * learned on an Ethernet session or the N6 tunnel of an Unstructured one
+     * @param {Object} session - PFCP session
+     * @returns {string} e.g. "10.0.0.2", "Ethernet (02:00:00:00:01:01)"
+     */
+    describeUE(session) {
+        if (session.pduSessionType === 'ETHERNET') {
+            return `Ethernet (${(session.macAddresses || []).join(', ') || 'no MAC learned'})`;
+        }
+        if (session.pduSessionType === 'UNSTRUCTURED') {
+            return session.n6Tunnel
+                ? `Unstructured (N6 UDP ${session.n6Tunnel.localPort} ⇄ ${session.n6Tunnel.peerAddress}:${session.n6Tunnel.peerPort})`
+                : 'Unstructured';
+        }
+        return `${session.ueIp}${session.ueIpv6Prefix && !window.sessionManager.isIPv6Address(session.ueIp) ? ` ${session.ueIpv6Prefix}` : ''}`;
+    }
+
+    /**
+     * Describe the rules of a PFCP session, one line per rule
+     * @param {Object} session - PFCP session
+     * @returns {Array<string>} Lines
+     */
+    describeSession(session) {
+        const actions = far => Object.keys(far.applyAction || {}).filter(key => far.applyAction[key]).join('|') || 'none';
+        return [
+            `${session.role || 'PSA'} SEID ${this.formatId(session.seid)} (CP ${this.formatId(session.cpSeid)}) PSI ${session.pduSessionId} ${session.dnn} UE ${this.describeUE(session)} UL TEID ${this.formatId(session.localFTeid.teid)}${session.n9FTeid ? ` N9 TEID ${this.formatId(session.n9FTeid.teid)}` : ''}`,
+            ...session.pdrs.map(pdr =>
+                `  PDR ${pdr.pdrId} prec ${pdr.precedence} ${pdr.pdi.sourceInterface}${pdr.pdi.qfi ? ` QFI ${pdr.pdi.qfi}` : ''}${pdr.pdi.ethernetPduSessionInformation ? ' ETHI' : ''}${pdr.pdi.sdfFilter ? ` [${pdr.pdi.sdfFilter.join('; ')}]` : ''} → FAR ${pdr.farId} QER ${(pdr.qerIds || []).join(',') || '-'} URR ${(pdr.urrIds || []).join(',') || '-'}`),
+            ...session.fars.map(far =>
+                `  FAR ${far.farId} ${actions(far)} → ${far.forwardingParameters?.destinationInterface || '-'}${far.forwardingParameters?.outerHeaderCreation ? ` ${far.forwardingParameters.outerHeaderCreation.description.split('/')[0]} ${far.forwardingParameters.outerHeaderCreation.ipv4Address}${far.forwardingParameters.outerHeaderCreation.port ? `:${far.forwardingParameters.outerHeaderCreation.port}` : ''}${far.forwardingParameters.outerHeaderCreation.teid ? ` TEID ${this.formatId(far.forwardingParameters.outerHeaderCreation.teid)}` : ''}` : ''}`),
+            ...session.qers.map(qer =>
+                `  QER ${qer.qerId} gate ${qer.gateStatus?.ul || 'OPEN'}/${qer.gateStatus?.dl || 'OPEN'}${qer.mbr ? ` MBR ${qer.mbr.ul}/${qer.mbr.dl}` : ''}${qer.gbr ? ` GBR ${qer.gbr.ul}/${qer.gbr.dl}` : ''}`),
+            ...session.urrs.map(urr =>
+                `  URR ${urr.urrId} ${this.formatVolume(urr.measurement.total)} of ${this.formatVolume(urr.volumeThreshold.total)} (UL ${this.formatVolume(urr.measurement.uplink)}, DL ${this.formatVolume(urr.measurement.downlink)}), ${urr.reportSeq} report(s) sent`)
+        ];
+    }
+}
+
+// Export for global access
+window.PFCPManager = PFCPManager;
@@ -24,9 +24,10 @@ class PingManager {
      * @param {string} sourceNfId - Source NF ID
      * @param {string} targetIP - Target IP address
      * @param {number} count - Number of ping packets (default 4)
+     * @param {number} firstReplyDelay - Extra RTT (ms) added to the first reply, e.g. Service Request latency
      * @returns {Promise} Promise that resolves when ping completes
      */
-    async executePing(sourceNfId, targetIP, count = 4) {
+    async executePing(sourceNfId, targetIP, count = 4, firstReplyDelay = 0) {
         const sourceNf = window.dataStore?.getNFById(sourceNfId);
         if (!sourceNf) {
             console.error('❌ Source NF not found:', sourceNfId);
@@ -37,6 +38,9 @@ class PingManager {
         
         // Check if target is reachable (simulate network connectivity)
         const isReachable = this.isTargetReachable(sourceNf, targetIP);
+
+        // User-plane echoes cross the UPF of the PDU session holding the target
+        const userPlaneSession = this.getUserPlaneSession(sourceNf, targetIP);
         
         console.log(`🏓 Starting Windows-style ping from ${sourceNf.name} to ${targetIP}`);
         
@@ -64,10 +68,15 @@ class PingManager {
         
         for (let i = 1; i <= count; i++) {
             await this.delay(500); // 0.5 second delay between all replies
+
+            // The PFCP rules of the UPFs in the path decide whether request and reply get through
+            const upfResult = isReachable && userPlaneSession && window.userPlaneManager
+                ? await window.userPlaneManager.forwardEcho(sourceNf, userPlaneSession, targetIP, 'UE', { animate: true })
+                : null;
             
-            if (isReachable) {
+            if (isReachable && (!upfResult || upfResult.delivered)) {
                 // Successful ping - Windows format
-                const responseTime = this.generateResponseTime();
+                const responseTime = this.generateResponseTime() + (i === 1 ? firstReplyDelay : 0);
                 const ttl = 255;
                 
                 results.push({
@@ -103,6 +112,7 @@ class PingManager {
                         sequence: i,
                         timeout: '1000ms',
                         status: 'TIMEOUT',
+                        ...(upfResult && { upf: upfResult.reason }),
                         format: 'windows'
                     });
                 }
@@ -122,6 +132,36 @@ class PingManager {
         return results;
     }
 
+    /**
+     * Find the PDU session carrying a UE's ping (the session whose tun network
+     * holds the target, except for pings to the session's own address). IPv6
+     * targets outside every pool prefix take the default route: the first
+     * session with an IPv6 address.
+     * @param {Object} sourceNf - Source Network Function
+     * @param {string} targetIP - Target IP address
+     * @returns {Object|null} UE PDU session entry
+     */
+    getUserPlaneSession(sourceNf, targetIP) {
+        if (sourceNf.type !== 'UE') return null;
+        const sessionManager = window.sessionManager;
+        const pduSessions = sessionManager?.getPDUSessions(sourceNf) || [];
+
+        if (sessionManager?.isIPv6Address(targetIP)) {
+            const ipv6Sessions = pduSessions.filter(pduSession => pduSession.ipv6Address && pduSession.ipv6Address !== targetIP);
+            return ipv6Sessions.find(pduSession => {
+                const upf = window.dataStore?.getNFById(pduSession.upfId);
+                const pool = sessionManager.getIPPool(upf, pduSession.dnn);
+                return pool?.ipv6Prefix && sessionManager.isInIPv6Prefix(targetIP, pool.ipv6Prefix);
+            }) || ipv6Sessions[0] || null;
+        }
+
+        return pduSessions.find(pduSession =>
+            pduSession.assignedIP &&
+            pduSession.assignedIP !== targetIP &&
+            this.getNetworkFromIP(pduSession.assignedIP) === this.getNetworkFromIP(targetIP)
+        ) || null;
+    }
+
     /**
      * Check if target IP is reachable from source NF (SUBNET-BASED RESTRICTION)
      * @param {Object} sourceNf - Source Network Function
@@ -129,18 +169,30 @@ class PingManager {
      * @returns {boolean} True if reachable
      */
     isTargetReachable(sourceNf, targetIP) {
-        // SPECIAL CASE: tun0 network reachability (UE ↔ UPF user-plane)
-        if (sourceNf.type === 'UE' && sourceNf.config?.pduSession?.assignedIP) {
-            const uetun0IP = sourceNf.config.pduSession.assignedIP;
-            // Find UPF associated with this PDU session
-            const upf = window.dataStore?.getNFById(sourceNf.config.pduSession.upfId);
-            const upfGw = upf?.config?.tun0Interface?.gatewayIP;
-            if ((targetIP === uetun0IP) || (upfGw && targetIP === upfGw)) {
+        // SPECIAL CASE: tun network reachability (UE ↔ UPF user-plane, one per PDU session)
+        if (sourceNf.type === 'UE') {
+            const pduSessions = window.sessionManager?.getPDUSessions(sourceNf) || [];
+            // Own session address or the gateway of the DNN pool serving the session
+            const reachable = pduSessions.some(pduSession => {
+                const upf = window.dataStore?.getNFById(pduSession.upfId);
+                const pool = window.sessionManager.getIPPool(upf, pduSession.dnn);
+                const upfGw = pool?.gatewayIP;
+                const upfGw6 = pool && pduSession.ipv6Address ? window.sessionManager.getPoolIPv6Gateway(pool) : null;
+                return targetIP === pduSession.assignedIP || targetIP === pduSession.ipv6Address ||
+                    (upfGw && targetIP === upfGw) || (upfGw6 && targetIP === upfGw6);
+            });
+            if (reachable) {
                 // Consider this path reachable with very high probability
                 return Math.random() < 0.98;
             }
         }
 
+        // IPv6 has no /24 subnets: only UEs with an IPv6 session reach other
+        // UEs' IPv6 addresses and the IPv6 address of an external DN
+        if (window.sessionManager?.isIPv6Address(targetIP)) {
+            return this.isIPv6TargetReachable(sourceNf, targetIP);
+        }
+
         // RULE 1: Check if both IPs are in the same subnet
         const sourceNetwork = this.getNetworkFromIP(sourceNf.config.ipAddress);
         const targetNetwork = this.getNetworkFromIP(targetIP);
@@ -177,6 +229,35 @@ class PingManager {
         }
     }
 
+    /**
+     * Reachability of an IPv6 target over the IPv6 sessions of a UE
+     * @param {Object} sourceNf - Source Network Function
+     * @param {string} targetIP - IPv6 target address
+     * @returns {boolean} True if reachable
+     */
+    isIPv6TargetReachable(sourceNf, targetIP) {
+        if (!this.getUserPlaneSession(sourceNf, targetIP)) {
+            console.log(`🚫 No IPv6 route: ${sourceNf.name} has no IPv6 PDU session towards ${targetIP}`);
+            return false;
+        }
+
+        const allNFs = window.dataStore?.getAllNFs() || [];
+        const targetNf = allNFs.find(nf =>
+            nf.config.ipv6Address === targetIP ||
+            (nf.type === 'UE' && (window.sessionManager.getPDUSessions(nf) || []).some(pduSession => pduSession.ipv6Address === targetIP))
+        );
+        if (!targetNf) {
+            console.log(`⚠️ Target IPv6 ${targetIP} not found in topology`);
+            return false;
+        }
+
+        if (targetNf.status !== 'stable') {
+            console.log(`⚠️ Service status check: ${sourceNf.name} → ${targetNf.name}(${targetNf.status}) - 30% success rate`);
+            return Math.random() < 0.3;
+        }
+        return Math.random() < 0.95;
+    }
+
     /**
      * Check if two NFs are connected (directly or via bus)
      * @param {Object} sourceNf - Source NF
@@ -213,11 +294,14 @@ class PingManager {
     }
 
     /**
-     * Get network from IP address (assumes /24 network)
+     * Get network from IP address (assumes /24 network, /64 for IPv6)
      * @param {string} ip - IP address
      * @returns {string} Network address
      */
     getNetworkFromIP(ip) {
+        if (window.sessionManager?.isIPv6Address(ip)) {
+            return window.sessionManager.getIPv6Network(ip);
+        }
         const parts = ip.split('.');
         return `${parts[0]}.${parts[1]}.${parts[2]}`;
     }
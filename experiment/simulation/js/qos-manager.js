@@ -0,0 +1,928 @@
+/**
+ * ============================================
+ * QOS MANAGER
+ * ============================================
+ * 5G QoS model (TS 23.501 5.7) and the PDU Session Modification
+ * procedure (TS 23.502 4.3.3.2)
+ *
+ * Responsibilities:
+ * - Hold the standardized 5QI characteristics (TS 23.501 Table 5.7.4-1)
+ * - Keep the QoS flows (5QI, ARP, GFBR/MFBR, packet filters) and the
+ *   Session-AMBR of every PDU session
+ * - Validate QoS operations and map failures to 5GSM causes
+ * - Run UE-requested and PCF/SMF-initiated PDU Session Modification,
+ *   pushing QoS rules (N1), QoS profiles (N2) and QER/PDR updates (N4)
+ * - Match user-plane traffic to a QoS flow and cap its bitrate
+ */
+
+class QoSManager {
+    constructor() {
+        // Resource types of a 5QI
+        this.RESOURCE_TYPES = {
+            GBR: 'GBR',
+            NON_GBR: 'Non-GBR',
+            DELAY_CRITICAL_GBR: 'Delay-critical GBR'
+        };
+
+        // Standardized 5QI to QoS characteristics mapping (TS 23.501 Table 5.7.4-1)
+        const { GBR, NON_GBR, DELAY_CRITICAL_GBR } = this.RESOURCE_TYPES;
+        this.FIVE_QI = {
+            1: { resourceType: GBR, priorityLevel: 20, packetDelayBudget: 100, packetErrorRate: '1e-2', services: 'Conversational voice' },
+            2: { resourceType: GBR, priorityLevel: 40, packetDelayBudget: 150, packetErrorRate: '1e-3', services: 'Conversational video (live streaming)' },
+            3: { resourceType: GBR, priorityLevel: 30, packetDelayBudget: 50, packetErrorRate: '1e-3', services: 'Real-time gaming, V2X messages' },
+            4: { resourceType: GBR, priorityLevel: 50, packetDelayBudget: 300, packetErrorRate: '1e-6', services: 'Non-conversational video (buffered streaming)' },
+            65: { resourceType: GBR, priorityLevel: 7, packetDelayBudget: 75, packetErrorRate: '1e-2', services: 'Mission-critical push-to-talk voice' },
+            66: { resourceType: GBR, priorityLevel: 20, packetDelayBudget: 100, packetErrorRate: '1e-2', services: 'Non-mission-critical push-to-talk voice' },
+            67: { resourceType: GBR, priorityLevel: 15, packetDelayBudget: 100, packetErrorRate: '1e-3', services: 'Mission-critical video' },
+            5: { resourceType: NON_GBR, priorityLevel: 10, packetDelayBudget: 100, packetErrorRate: '1e-6', services: 'IMS signalling' },
+            6: { resourceType: NON_GBR, priorityLevel: 60, packetDelayBudget: 300, packetErrorRate: '1e-6', services: 'Buffered video, TCP-based (www, e-mail, ftp)' },
+            7: { resourceType: NON_GBR, priorityLevel: 70, packetDelayBudget: 100, packetErrorRate: '1e-3', services: 'Voice, live video, interactive gaming' },
+            8: { resourceType: NON_GBR, priorityLevel: 80, packetDelayBudget: 300, packetErrorRate: '1e-6', services: 'Buffered video, TCP-based (premium)' },
+            9: { resourceType: NON_GBR, priorityLevel: 90, packetDelayBudget: 300, packetErrorRate: '1e-6', services: 'Buffered video, TCP-based (default bearer)' },
+            69: { resourceType: NON_GBR, priorityLevel: 5, packetDelayBudget: 60, packetErrorRate: '1e-6', services: 'Mission-critical delay-sensitive signalling' },
+            70: { resourceType: NON_GBR, priorityLevel: 55, packetDelayBudget: 200, packetErrorRate: '1e-6', services: 'Mission-critical data' },
+            79: { resourceType: NON_GBR, priorityLevel: 65, packetDelayBudget: 50, packetErrorRate: '1e-2', services: 'V2X messages' },
+            80: { resourceType: NON_GBR, priorityLevel: 68, packetDelayBudget: 10, packetErrorRate: '1e-6', services: 'Low-latency eMBB, augmented reality' },
+            82: { resourceType: DELAY_CRITICAL_GBR, priorityLevel: 19, packetDelayBudget: 10, packetErrorRate: '1e-4', services: 'Discrete automation (small packets)' },
+            83: { resourceType: DELAY_CRITICAL_GBR, priorityLevel: 22, packetDelayBudget: 10, packetErrorRate: '1e-4', services: 'Discrete automation, V2X platooning' },
+            84: { resourceType: DELAY_CRITICAL_GBR, priorityLevel: 24, packetDelayBudget: 30, packetErrorRate: '1e-5', services: 'Intelligent transport systems' },
+            85: { resourceType: DELAY_CRITICAL_GBR, priorityLevel: 21, packetDelayBudget: 5, packetErrorRate: '1e-5', services: 'Electricity distribution (high voltage)' }
+        };
+
+        // QoS flow of the default QoS rule, created with every PDU session
+        this.DEFAULT_QFI = 1;
+        this.DEFAULT_5QI = 9;
+        this.MAX_QFI = 63;
+        this.DEFAULT_ARP = { priorityLevel: 1, preemptCap: 'NOT_PREEMPT', preemptVuln: 'NOT_PREEMPTABLE' };
+
+        // Session-AMBR (Mbps) until the PCF authorizes another value
+        this.DEFAULT_SESSION_AMBR = { uplink: 100, downlink: 100 };
+
+        // QER carrying the Session-AMBR; flow QERs use their QFI as QER ID
+        this.SESSION_QER_ID = 64;
+
+        // QoS operations of a PDU Session Modification
+        this.OPERATIONS = {
+            CREATE: 'CREATE',
+            MODIFY: 'MODIFY',
+            DELETE: 'DELETE',
+            AMBR: 'AMBR'
+        };
+
+        // 5GSM causes sent in a PDU Session Modification Reject (TS 24.501 9.11.4.2)
+        this.SM_CAUSES = {
+            INVALID_PDU_SESSION_IDENTITY: { code: 43, name: 'Invalid PDU session identity' },
+            SEMANTIC_ERRORS_IN_PACKET_FILTERS: { code: 44, name: 'Semantic errors in packet filter(s)' },
+            UNSUPPORTED_5QI_VALUE: { code: 59, name: 'Unsupported 5QI value' },
+            SEMANTIC_ERROR_IN_QOS_OPERATION: { code: 83, name: 'Semantic error in the QoS operation' },
+            SYNTACTICAL_ERROR_IN_QOS_OPERATION: { code: 84, name: 'Syntactical error in the QoS operation' }
+        };
+
+        console.log('✅ QoSManager initialized');
+    }
+
+    // ==========================================
+    // QoS flows of a PDU session
+    // ==========================================
+
+    /**
+     * Whether a 5QI reserves a guaranteed bitrate
+     * @param {number} fiveQi - 5QI
+     * @returns {boolean} True for GBR and delay-critical GBR
+     */
+    isGBR(fiveQi) {
+        const characteristics = this.FIVE_QI[fiveQi];
+        return !!characteristics && characteristics.resourceType !== this.RESOURCE_TYPES.NON_GBR;
+    }
+
+    /**
+     * Get the QoS flows of a PDU session; sessions without any get the default flow
+     * @param {Object} pduSession - UE PDU session entry
+     * @returns {Array} QoS flows ({qfi, fiveQi, arp, gfbr, mfbr, packetFilters, isDefault})
+     */
+    getQoSFlows(pduSession) {
+        if (!pduSession.qosFlows?.length) {
+            pduSession.qosFlows = [{
+                qfi: this.DEFAULT_QFI,
+                fiveQi: this.DEFAULT_5QI,
+                arp: { ...this.DEFAULT_ARP },
+                gfbr: null,
+                mfbr: null,
+                packetFilters: [],
+                isDefault: true
+            }];
+        }
+        return pduSession.qosFlows;
+    }
+
+    /**
+     * Get the Session-AMBR of a PDU session
+     * @param {Object} pduSession - UE PDU session entry
+     * @returns {Object} {uplink, downlink} in Mbps
+     */
+    getSessionAmbr(pduSession) {
+        if (!pduSession.sessionAmbr) {
+            pduSession.sessionAmbr = { ...this.DEFAULT_SESSION_AMBR };
+        }
+        return pduSession.sessionAmbr;
+    }
+
+    /**
+     * Find a QoS flow of a PDU session
+     * @param {Object} pduSession - UE PDU session entry
+     * @param {number} qfi - QoS Flow Identifier
+     * @returns {Object|null} QoS flow
+     */
+    getQoSFlow(pduSession, qfi) {
+        return this.getQoSFlows(pduSession).find(flow => flow.qfi === qfi) || null;
+    }
+
+    /**
+     * Pick the lowest QFI not used in a PDU session
+     * @param {Object} pduSession - UE PDU session entry
+     * @returns {number|null} QFI, or null when all are in use
+     */
+    allocateQFI(pduSession) {
+        const inUse = new Set(this.getQoSFlows(pduSession).map(flow => flow.qfi));
+        for (let qfi = 1; qfi <= this.MAX_QFI; qfi++) {
+            if (!inUse.has(qfi)) return qfi;
+        }
+        return null;
+    }
+
+    /**
+     * Format a bitrate for message payloads
+     * @param {number} mbps - Bitrate in Mbps
+     * @returns {string} e.g. '10 Mbps'
+     */
+    formatBitrate(mbps) {
+        return `${mbps} Mbps`;
+    }
+
+    /**
+     * Format a packet filter, e.g. 'TCP any:5201 (bidirectional)'
+     * @param {Object} filter - {protocol, remoteAddress, remotePort, direction}
+     * @returns {string} Filter description
+     */
+    formatPacketFilter(filter) {
+        const port = filter.remotePort ? `:${filter.remotePort}` : '';
+        return `${filter.protocol} ${filter.remoteAddress}${port} (${filter.direction.toLowerCase()})`;
+    }
+
+    /**
+     * One-line description of a QoS flow
+     * @param {Object} flow - QoS flow
+     * @returns {string} e.g. 'QFI 2 · 5QI 1 GBR 10/10 MBR 20/20 Mbps · TCP any:5201'
+     */
+    describeFlow(flow) {
+        const rates = flow.gfbr
+            ? ` GBR ${flow.gfbr.uplink}/${flow.gfbr.downlink} MBR ${flow.mfbr.uplink}/${flow.mfbr.downlink} Mbps`
+            : '';
+        const filters = flow.isDefault ? 'default rule' : flow.packetFilters.map(filter => this.formatPacketFilter(filter)).join(', ');
+        return `QFI ${flow.qfi} · 5QI ${flow.fiveQi}${rates} · ARP ${flow.arp.priorityLevel} · ${filters}`;
+    }
+
+    // ==========================================
+    // QoS operation validation
+    // ==========================================
+
+    /**
+     * Check a packet filter
+     * @param {Object} filter - {protocol, remoteAddress, remotePort, direction}
+     * @returns {string|null} Error detail, or null if valid
+     */
+    validatePacketFilter(filter) {
+        if (!['TCP', 'UDP', 'ANY'].includes(filter.protocol)) {
+            return `unknown protocol ${filter.protocol}`;
+        }
+        if (!['UPLINK', 'DOWNLINK', 'BIDIRECTIONAL'].includes(filter.direction)) {
+            return `unknown direction ${filter.direction}`;
+        }
+        if (filter.remotePort !== null && !(Number.isInteger(filter.remotePort) && filter.remotePort >= 1 && filter.remotePort <= 65535)) {
+            return `invalid port ${filter.remotePort}`;
+        }
+
+        const address = filter.remoteAddress;
+        const validAddress = address === 'any' ||
+            (address.includes(':') ? !!this.parseIPv6Filter(address) :
+            address.includes('/') ? !!window.sessionManager?.parseCIDR(address) : /^(\d{1,3}\.){3}\d{1,3}$/.test(address) && address.split('.').every(o => Number(o) <= 255));
+        return validAddress ? null : `invalid remote address ${address}`;
+    }
+
+    /**
+     * Check that a pair of bitrates is usable
+     * @param {Object|null} rates - {uplink, downlink} in Mbps
+     * @returns {boolean} True if both directions are positive numbers
+     */
+    isValidBitrate(rates) {
+        return !!rates && [rates.uplink, rates.downlink].every(rate => typeof rate === 'number' && isFinite(rate) && rate > 0);
+    }
+
+    /**
+     * Validate a QoS operation against a PDU session and work out the resulting flow
+     * @param {Object} pduSession - UE PDU session entry
+     * @param {Object} modification - {operation, qfi, fiveQi, arpPriority, gfbr, mfbr, packetFilter, sessionAmbr}
+     * @returns {Object} {cause, detail} on failure, otherwise {plan: {operation, qfi, flow, previous, sessionAmbr}}
+     */
+    planModification(pduSession, modification) {
+        const reject = (cause, detail) => ({ cause, detail, plan: null });
+        const { operation } = modification;
+
+        if (!pduSession) {
+            return reject(this.SM_CAUSES.INVALID_PDU_SESSION_IDENTITY, 'No such PDU session');
+        }
+        if (!Object.values(this.OPERATIONS).includes(operation)) {
+            return reject(this.SM_CAUSES.SYNTACTICAL_ERROR_IN_QOS_OPERATION, `Unknown QoS operation ${operation}`);
+        }
+
+        if (operation === this.OPERATIONS.AMBR) {
+            if (!this.isValidBitrate(modification.sessionAmbr)) {
+                return reject(this.SM_CAUSES.SYNTACTICAL_ERROR_IN_QOS_OPERATION, 'Session-AMBR needs a positive uplink and downlink rate');
+            }
+            return { cause: null, detail: null, plan: { operation, qfi: null, flow: null, previous: null, sessionAmbr: { ...modification.sessionAmbr } } };
+        }
+
+        const previous = operation === this.OPERATIONS.CREATE ? null : this.getQoSFlow(pduSession, modification.qfi);
+        if (operation !== this.OPERATIONS.CREATE && !previous) {
+            return reject(this.SM_CAUSES.SEMANTIC_ERROR_IN_QOS_OPERATION, `QoS flow QFI ${modification.qfi} does not exist`);
+        }
+
+        if (operation === this.OPERATIONS.DELETE) {
+            if (previous.isDefault) {
+                return reject(this.SM_CAUSES.SEMANTIC_ERROR_IN_QOS_OPERATION, 'The QoS flow of the default QoS rule cannot be deleted');
+            }
+            return { cause: null, detail: null, plan: { operation, qfi: previous.qfi, flow: null, previous, sessionAmbr: null } };
+        }
+
+        const qfi = previous ? previous.qfi : this.allocateQFI(pduSession);
+        if (qfi === null) {
+            return reject(this.SM_CAUSES.SEMANTIC_ERROR_IN_QOS_OPERATION, `All ${this.MAX_QFI} QFIs are in use`);
+        }
+
+        // MODIFY keeps every parameter that is not given
+        const pick = (key, fallback) => modification[key] !== undefined ? modification[key] : fallback;
+        const flow = {
+            qfi,
+            fiveQi: pick('fiveQi', previous?.fiveQi),
+            arp: { ...(previous?.arp || this.DEFAULT_ARP), priorityLevel: pick('arpPriority', previous?.arp.priorityLevel ?? this.DEFAULT_ARP.priorityLevel) },
+            gfbr: pick('gfbr', previous?.gfbr || null),
+            mfbr: pick('mfbr', previous?.mfbr || null),
+            packetFilters: modification.packetFilter ? [modification.packetFilter] : (previous?.packetFilters || []),
+            isDefault: !!previous?.isDefault
+        };
+
+        if (!this.FIVE_QI[flow.fiveQi]) {
+            return reject(this.SM_CAUSES.UNSUPPORTED_5QI_VALUE, `5QI ${flow.fiveQi} is not a standardized value`);
+        }
+        if (!Number.isInteger(flow.arp.priorityLevel) || flow.arp.priorityLevel < 1 || flow.arp.priorityLevel > 15) {
+            return reject(this.SM_CAUSES.SYNTACTICAL_ERROR_IN_QOS_OPERATION, 'ARP priority level must be 1-15');
+        }
+
+        if (this.isGBR(flow.fiveQi)) {
+            if (flow.isDefault) {
+                return reject(this.SM_CAUSES.SEMANTIC_ERROR_IN_QOS_OPERATION, 'The default QoS rule must use a Non-GBR 5QI');
+            }
+            if (!this.isValidBitrate(flow.gfbr) || !this.isValidBitrate(flow.mfbr)) {
+                return reject(this.SM_CAUSES.SEMANTIC_ERROR_IN_QOS_OPERATION, `5QI ${flow.fiveQi} is GBR: GFBR and MFBR are required`);
+            }
+            if (flow.mfbr.uplink < flow.gfbr.uplink || flow.mfbr.downlink < flow.gfbr.downlink) {
+                return reject(this.SM_CAUSES.SEMANTIC_ERROR_IN_QOS_OPERATION, 'MFBR must not be lower than GFBR');
+            }
+        } else if (modification.gfbr || modification.mfbr) {
+            return reject(this.SM_CAUSES.SEMANTIC_ERROR_IN_QOS_OPERATION, `5QI ${flow.fiveQi} is Non-GBR: GFBR/MFBR do not apply`);
+        } else {
+            flow.gfbr = null;
+            flow.mfbr = null;
+        }
+
+        if (flow.isDefault && modification.packetFilter) {
+            return reject(this.SM_CAUSES.SEMANTIC_ERRORS_IN_PACKET_FILTERS, 'The default QoS rule matches all traffic and takes no packet filter');
+        }
+        if (!flow.isDefault) {
+            if (flow.packetFilters.length === 0) {
+                return reject(this.SM_CAUSES.SEMANTIC_ERRORS_IN_PACKET_FILTERS, 'A non-default QoS rule needs a packet filter');
+            }
+            const filterError = flow.packetFilters.map(filter => this.validatePacketFilter(filter)).find(Boolean);
+            if (filterError) {
+                return reject(this.SM_CAUSES.SEMANTIC_ERRORS_IN_PACKET_FILTERS, filterError);
+            }
+        }
+
+        return { cause: null, detail: null, plan: { operation, qfi, flow, previous, sessionAmbr: null } };
+    }
+
+    /**
+     * Store the outcome of a completed modification on the UE's PDU session
+     * @param {Object} pduSession - UE PDU session entry
+     * @param {Object} plan - Result of planModification
+     */
+    commitModification(pduSession, plan) {
+        const flows = this.getQoSFlows(pduSession);
+
+        if (plan.sessionAmbr) {
+            pduSession.sessionAmbr = plan.sessionAmbr;
+        } else if (plan.operation === this.OPERATIONS.DELETE) {
+            pduSession.qosFlows = flows.filter(flow => flow.qfi !== plan.qfi);
+        } else {
+            pduSession.qosFlows = flows
+                .filter(flow => flow.qfi !== plan.qfi)
+                .concat(plan.flow)
+                .sort((a, b) => a.qfi - b.qfi);
+        }
+    }
+
+    // ==========================================
+    // Message contents (N1 / N2 / N4)
+    // ==========================================
+
+    /**
+     * QoS rule and QoS flow description IEs of the N1 Modification Command (TS 24.501 9.11.4.13 / 9.11.4.12)
+     * @param {Object} plan - Modification plan
+     * @returns {Object} {qosRules, qosFlowDescriptions}
+     */
+    buildN1QoS(plan) {
+        if (plan.operation === this.OPERATIONS.AMBR) {
+            return { qosRules: [], qosFlowDescriptions: [] };
+        }
+
+        const ruleOperation = {
+            CREATE: 'CREATE_NEW_QOS_RULE',
+            MODIFY: 'MODIFY_EXISTING_QOS_RULE_AND_REPLACE_ALL_PACKET_FILTERS',
+            DELETE: 'DELETE_EXISTING_QOS_RULE'
+        }[plan.operation];
+        const descriptionOperation = {
+            CREATE: 'CREATE_NEW_QOS_FLOW_DESCRIPTION',
+            MODIFY: 'MODIFY_EXISTING_QOS_FLOW_DESCRIPTION',
+            DELETE: 'DELETE_EXISTING_QOS_FLOW_DESCRIPTION'
+        }[plan.operation];
+
+        const flow = plan.flow;
+        return {
+            qosRules: [{
+                qri: plan.qfi,
+                ruleOperation,
+                ...(flow && {
+                    dqrBit: flow.isDefault,
+                    precedence: flow.isDefault ? 255 : plan.qfi * 10,
+                    qfi: plan.qfi,
+                    packetFilterList: flow.isDefault ? ['match-all'] : flow.packetFilters.map(filter => this.formatPacketFilter(filter))
+                })
+            }],
+            qosFlowDescriptions: [{
+                qfi: plan.qfi,
+                operation: descriptionOperation,
+                ...(flow && {
+                    parameters: {
+                        '5qi': flow.fiveQi,
+                        ...(flow.gfbr && {
+                            gfbrUplink: this.formatBitrate(flow.gfbr.uplink),
+                            gfbrDownlink: this.formatBitrate(flow.gfbr.downlink),
+                            mfbrUplink: this.formatBitrate(flow.mfbr.uplink),
+                            mfbrDownlink: this.formatBitrate(flow.mfbr.downlink)
+                        })
+                    }
+                })
+            }]
+        };
+    }
+
+    /**
+     * PDU Session Resource Modify Request Transfer sent to the gNB (TS 38.413 9.3.4.3)
+     * @param {Object} pduSession - UE PDU session entry
+     * @param {Object} plan - Modification plan
+     * @returns {Object} N2 SM information
+     */
+    buildN2QoS(pduSession, plan) {
+        const ambr = plan.sessionAmbr || this.getSessionAmbr(pduSession);
+        const flow = plan.flow;
+
+        return {
+            pduSessionAggregateMaximumBitRate: {
+                uplink: this.formatBitrate(ambr.uplink),
+                downlink: this.formatBitrate(ambr.downlink)
+            },
+            ...(flow && {
+                qosFlowAddOrModifyRequestList: [{
+                    qosFlowIdentifier: flow.qfi,
+                    qosFlowLevelQosParameters: {
+                        qosCharacteristics: { nonDynamic5QI: { fiveQI: flow.fiveQi } },
+                        allocationAndRetentionPriority: {
+                            priorityLevelARP: flow.arp.priorityLevel,
+                            preEmptionCapability: flow.arp.preemptCap,
+                            preEmptionVulnerability: flow.arp.preemptVuln
+                        },
+                        ...(flow.gfbr && {
+                            gbrQosInformation: {
+                                maximumFlowBitRateDL: this.formatBitrate(flow.mfbr.downlink),
+                                maximumFlowBitRateUL: this.formatBitrate(flow.mfbr.uplink),
+                                guaranteedFlowBitRateDL: this.formatBitrate(flow.gfbr.downlink),
+                                guaranteedFlowBitRateUL: this.formatBitrate(flow.gfbr.uplink)
+                            }
+                        })
+                    }
+                }]
+            }),
+            ...(plan.operation === this.OPERATIONS.DELETE && {
+                qosFlowToReleaseList: [{ qosFlowIdentifier: plan.qfi, cause: { nas: 'normal-release' } }]
+            })
+        };
+    }
+
+    /**
+     * PDR and QER changes of the N4 Session Modification Request (TS 29.244 7.5.4)
+     * @param {Object} pduSession - UE PDU session entry
+     * @param {Object} plan - Modification plan
+     * @returns {Object} PFCP IEs
+     */
+    buildN4QoS(pduSession, plan) {
+        if (plan.operation === this.OPERATIONS.AMBR) {
+            return {
+                updateQer: [{
+                    qerId: this.SESSION_QER_ID,
+                    mbr: { ul: this.formatBitrate(plan.sessionAmbr.uplink), dl: this.formatBitrate(plan.sessionAmbr.downlink) }
+                }]
+            };
+        }
+
+        // One uplink and one downlink PDR per QoS flow
+        const pdrIds = [plan.qfi * 2 - 1, plan.qfi * 2];
+        if (plan.operation === this.OPERATIONS.DELETE) {
+            return {
+                removePdr: pdrIds.map(pdrId => ({ pdrId })),
+                removeQer: [{ qerId: plan.qfi }]
+            };
+        }
+
+        const flow = plan.flow;
+        const sdfFilters = flow.isDefault ? ['permit out ip from any to assigned'] : flow.packetFilters.map(filter =>
+            `permit out ${filter.protocol === 'ANY' ? 'ip' : filter.protocol.toLowerCase()} from ${filter.remoteAddress === 'any' ? 'any' : filter.remoteAddress}${filter.remotePort ? ` ${filter.remotePort}` : ''} to ${pduSession.assignedIP}`);
+        const qer = {
+            qerId: plan.qfi,
+            qfi: plan.qfi,
+            gateStatus: { ul: 'OPEN', dl: 'OPEN' },
+            ...(flow.gfbr && {
+                mbr: { ul: this.formatBitrate(flow.mfbr.uplink), dl: this.formatBitrate(flow.mfbr.downlink) },
+                gbr: { ul: this.formatBitrate(flow.gfbr.uplink), dl: this.formatBitrate(flow.gfbr.downlink) }
+            })
+        };
+        const pdrs = [
+            { pdrId: pdrIds[0], precedence: flow.isDefault ? 255 : plan.qfi * 10, pdi: { sourceInterface: 'ACCESS', qfi: plan.qfi }, qerIds: [plan.qfi, this.SESSION_QER_ID] },
+            { pdrId: pdrIds[1], precedence: flow.isDefault ? 255 : plan.qfi * 10, pdi: { sourceInterface: 'CORE', sdfFilter: sdfFilters }, qerIds: [plan.qfi, this.SESSION_QER_ID] }
+        ];
+
+        return plan.operation === this.OPERATIONS.CREATE
+            ? { createPdr: pdrs, createQer: [qer] }
+            : { updatePdr: pdrs, updateQer: [qer] };
+    }
+
+    // ==========================================
+    // User-plane traffic
+    // ==========================================
+
+    /**
+     * Check whether an address matches a packet filter remote address
+     * @param {string} filterAddress - 'any', an address or a CIDR block
+     * @param {string} ip - Remote address of the traffic
+     * @returns {boolean} True on match
+     */
+    matchesAddress(filterAddress, ip) {
+        if (filterAddress === 'any') return true;
+        if (!ip) return false;
+        if (filterAddress.includes(':')) {
+            const block = this.parseIPv6Filter(filterAddress);
+            const address = window.sessionManager?.parseIPv6(ip) ?? null;
+            if (!block || address === null) return false;
+            const hostBits = BigInt(128 - block.prefix);
+            return (address >> hostBits) === (block.base >> hostBits);
+        }
+        if (!filterAddress.includes('/')) return filterAddress === ip;
+
+        const block = window.sessionManager?.parseCIDR(filterAddress);
+        if (!block) return false;
+
+        const mask = (0xffffffff << (32 - block.prefix)) >>> 0;
+        const address = ip.split('.').reduce((acc, octet) => (acc * 256) + Number(octet), 0);
+        return ((address & mask) >>> 0) === block.base;
+    }
+
+    /**
+     * Parse an IPv6 filter address: a single address or a prefix of any length
+     * @param {string} filterAddress - e.g. '2001:db8::10' or '2001:db8:1::/48'
+     * @returns {Object|null} {base, prefix} with base as a BigInt
+     */
+    parseIPv6Filter(filterAddress) {
+        const [address, length = '128', extra] = filterAddress.split('/');
+        const base = window.sessionManager?.parseIPv6(address) ?? null;
+        const prefix = Number(length);
+        if (base === null || extra !== undefined || !/^\d{1,3}$/.test(length) || prefix > 128) return null;
+        return { base, prefix };
+    }
+
+    /**
+     * Find the QoS flow carrying some traffic: the first non-default rule whose
+     * packet filter matches (by precedence), otherwise the default QoS rule
+     * @param {Object} pduSession - UE PDU session entry
+     * @param {Object} traffic - {protocol, remoteAddress, remotePort, direction}
+     * @returns {Object} QoS flow
+     */
+    matchQoSFlow(pduSession, traffic) {
+        const flows = this.getQoSFlows(pduSession);
+
+        const matching = flows.filter(flow => !flow.isDefault).find(flow => flow.packetFilters.some(filter =>
+            (filter.protocol === 'ANY' || filter.protocol === traffic.protocol) &&
+            (filter.direction === 'BIDIRECTIONAL' || filter.direction === traffic.direction) &&
+            (!filter.remotePort || filter.remotePort === traffic.remotePort) &&
+            this.matchesAddress(filter.remoteAddress, traffic.remoteAddress)));
+
+        return matching || flows.find(flow => flow.isDefault) || flows[0];
+    }
+
+    /**
+     * Bitrate bounds enforced for a QoS flow: GBR flows get their GFBR and are
+     * policed at their MFBR; Non-GBR flows share the Session-AMBR
+     * @param {Object} pduSession - UE PDU session entry
+     * @param {Object} flow - QoS flow
+     * @param {string} direction - 'uplink' or 'downlink'
+     * @returns {Object} {min, max, reason} in Mbps
+     */
+    getBitrateLimits(pduSession, flow, direction) {
+        if (flow.gfbr) {
+            return {
+                min: flow.gfbr[direction],
+                max: flow.mfbr[direction],
+                reason: `QFI ${flow.qfi} (5QI ${flow.fiveQi}) GFBR ${flow.gfbr[direction]} / MFBR ${flow.mfbr[direction]} Mbps`
+            };
+        }
+
+        const ambr = this.getSessionAmbr(pduSession)[direction];
+        return {
+            min: 0,
+            max: ambr,
+            reason: `QFI ${flow.qfi} (5QI ${flow.fiveQi}, Non-GBR) within Session-AMBR ${ambr} Mbps`
+        };
+    }
+
+    /**
+     * Apply QoS enforcement to the bitrate a sender could otherwise reach
+     * @param {number} offered - Unconstrained bitrate (Mbps)
+     * @param {Object} limits - Result of getBitrateLimits
+     * @returns {number} Delivered bitrate (Mbps)
+     */
+    shapeBitrate(offered, limits) {
+        // Policing keeps a TCP sender just under the limit
+        const policed = Math.min(offered, limits.max * (0.95 + Math.random() * 0.04));
+        return Math.max(policed, limits.min);
+    }
+
+    // ==========================================
+    // PDU Session Modification (TS 23.502 4.3.3.2)
+    // ==========================================
+
+    /**
+     * Find a stable NF of a type in the UE's subnet
+     * @param {Object} ue - UE NF
+     * @param {string} type - NF type
+     * @returns {Object|null} NF
+     */
+    findNF(ue, type) {
+        const ueNetwork = window.sessionManager?.getNetworkFromIP(ue.config.ipAddress);
+        return (window.dataStore?.getAllNFs() || []).find(nf =>
+            nf.type === type &&
+            nf.status === 'stable' &&
+            window.sessionManager.getNetworkFromIP(nf.config.ipAddress) === ueNetwork
+        ) || null;
+    }
+
+    /**
+     * Add, modify or remove a QoS flow, or change the Session-AMBR, of a PDU session
+     * @param {string} ueId - UE ID
+     * @param {number} pduSessionId - PDU session ID
+     * @param {Object} modification - {operation, qfi, fiveQi, arpPriority, gfbr, mfbr, packetFilter, sessionAmbr}
+     * @param {string} initiator - 'UE' (UE-requested), 'PCF' or 'SMF' (network-initiated)
+     * @returns {Promise<boolean>} Success status
+     */
+    async modifyPDUSession(ueId, pduSessionId, modification, initiator = 'UE') {
+        const sessionManager = window.sessionManager;
+        const ue = window.dataStore?.getNFById(ueId);
+        if (!ue || !sessionManager) return false;
+
+        const fail = (reason) => {
+            console.error(`❌ PDU session modification failed for ${ue.name}: ${reason}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(ueId, 'ERROR', `PDU Session Modification failed: ${reason}`, { pduSessionId, initiator });
+            }
+            return false;
+        };
+
+        const validation = sessionManager.validatePrerequisites(ueId);
+        if (!validation.valid) return fail(validation.error);
+        const { amf, upf } = validation.nfs;
+
+        const pcf = this.findNF(ue, 'PCF');
+        if (initiator === 'PCF' && !pcf) return fail('No stable PCF found in same subnet');
+
+        const pduSession = sessionManager.getPDUSession(ue, pduSessionId);
+        if (!pduSession) return fail(`No PDU session ${pduSessionId}`);
+        const smf = sessionManager.getSessionSMF(pduSession, validation.nfs.smf);
+
+        const session = sessionManager.getSession(ueId, pduSessionId);
+        if ([sessionManager.STATES.ESTABLISHING, sessionManager.STATES.RELEASING, sessionManager.STATES.MODIFYING].includes(session.state)) {
+            return fail(`PDU session ${pduSessionId} is ${session.state}`);
+        }
+
+        // NAS and NGAP signalling need the UE in CM-CONNECTED with its user plane up
+        if (!sessionManager.isUserPlaneActive(ueId)) {
+            const activation = initiator === 'UE'
+                ? await sessionManager.performServiceRequest(ueId)
+                : await sessionManager.performPaging(ueId, null, pduSession.assignedIP);
+            if (!activation.success) return fail(activation.error);
+        }
+
+        const gnb = sessionManager.getServingGNB(ueId);
+        if (!gnb) return fail('UE has no serving gNB');
+
+        // Sessions set up at registration have no context yet
+        Object.assign(session, {
+            dnn: pduSession.dnn,
+            sst: pduSession.sst,
+            assignedIP: pduSession.assignedIP,
+            upfId: pduSession.upfId,
+            state: sessionManager.STATES.MODIFYING
+        });
+        sessionManager.notifyListeners('stateChange', { ueId, pduSessionId, state: session.state });
+
+        const { cause, detail, plan } = this.planModification(pduSession, modification);
+        const smContextRef = `${ue.config.subscriberImsi}-${pduSessionId}`;
+        const pti = initiator === 'UE' ? Math.floor(Math.random() * 254) + 1 : 0;
+
+        console.log(`📡 PDU Session Modification (${initiator}) for ${ue.name} PSI ${pduSessionId}: ${modification.operation}`);
+
+        try {
+            if (initiator === 'UE') {
+                // Step 1: UE → AMF → SMF: PDU Session Modification Request
+                await sessionManager.sendSignal(ue, amf, 'N1', 'request', 'N1: PDU Session Modification Request', {
+                    messageType: 'PDU_SESSION_MODIFICATION_REQUEST',
+                    pduSessionId,
+                    pti,
+                    ...(modification.sessionAmbr && { requestedSessionAmbr: modification.sessionAmbr }),
+                    requestedQosOperation: modification
+                });
+
+                await sessionManager.sendSignal(amf, smf, 'Nsmf_PDUSession', 'request', 'Nsmf_PDUSession_UpdateSMContext (HTTP/2 POST)', {
+                    endpoint: `/nsmf-pdusession/v1/sm-contexts/${smContextRef}/modify`,
+                    n1SmMsg: 'PDU Session Modification Request'
+                }, 'HTTP/2', 'POST');
+
+                if (!plan) {
+                    await this.sendModificationReject(smf, amf, ue, pduSessionId, pti, cause, detail);
+                    return fail(`#${cause.code} ${cause.name} (${detail})`);
+                }
+
+                // Step 2: SMF asks the PCF to authorize the requested QoS
+                if (pcf) {
+                    await sessionManager.sendSignal(smf, pcf, 'Npcf_SMPolicyControl', 'request', 'Npcf_SMPolicyControl_Update (HTTP/2 POST)', {
+                        endpoint: `/npcf-smpolicycontrol/v1/sm-policies/${smContextRef}/update`,
+                        repPolicyCtrlReqTriggers: ['RES_MO_RE'],
+                        ueInitResReq: { ruleOp: plan.operation, qfi: plan.qfi, reqQos: plan.flow ? { '5qi': plan.flow.fiveQi } : null }
+                    }, 'HTTP/2', 'POST');
+
+                    await sessionManager.sendSignal(pcf, smf, 'Npcf_SMPolicyControl', 'response', 'Npcf_SMPolicyControl_Update Response (200 OK)', {
+                        status: 200,
+                        ...this.buildPolicyDecision(plan)
+                    }, 'HTTP/2');
+                }
+            } else {
+                // Step 1: PCF pushes a new policy decision, or the SMF applies a local policy
+                if (initiator === 'PCF') {
+                    await sessionManager.sendSignal(pcf, smf, 'Npcf_SMPolicyControl', 'request', 'Npcf_SMPolicyControl_UpdateNotify (HTTP/2 POST)', {
+                        endpoint: `/nsmf-callback/sm-policies/${smContextRef}/update`,
+                        smPolicyDecision: plan ? this.buildPolicyDecision(plan) : { requested: modification }
+                    }, 'HTTP/2', 'POST');
+
+                    await sessionManager.sendSignal(smf, pcf, 'Npcf_SMPolicyControl', 'response',
+                        plan ? 'Npcf_SMPolicyControl_UpdateNotify Response (204 No Content)' : 'Npcf_SMPolicyControl_UpdateNotify Response (400 Bad Request)',
+                        plan ? { status: 204 } : { status: 400, cause: 'MANDATORY_IE_INCORRECT', detail }, 'HTTP/2');
+                }
+
+                if (!plan) {
+                    return fail(`#${cause.code} ${cause.name} (${detail})`);
+                }
+            }
+
+            const n1QoS = this.buildN1QoS(plan);
+            const n2QoS = this.buildN2QoS(pduSession, plan);
+            const modificationCommand = {
+                messageType: 'PDU_SESSION_MODIFICATION_COMMAND',
+                pduSessionId,
+                pti,
+                ...(plan.sessionAmbr && {
+                    sessionAmbr: { uplink: this.formatBitrate(plan.sessionAmbr.uplink), downlink: this.formatBitrate(plan.sessionAmbr.downlink) }
+                }),
+                authorizedQosRules: n1QoS.qosRules,
+                authorizedQosFlowDescriptions: n1QoS.qosFlowDescriptions
+            };
+
+            // Step 3: SMF → AMF: N1 Modification Command and N2 resource modify request
+            if (initiator === 'UE') {
+                await sessionManager.sendSignal(smf, amf, 'Nsmf_PDUSession', 'response', 'Nsmf_PDUSession_UpdateSMContext Response (200 OK)', {
+                    n1SmMsg: modificationCommand,
+                    n2SmInfoType: 'PDU_RES_MOD_REQ',
+                    n2SmInfo: n2QoS
+                });
+            } else {
+                await sessionManager.sendSignal(smf, amf, 'Namf_Communication', 'request', 'Namf_Communication_N1N2MessageTransfer (HTTP/2 POST)', {
+                    endpoint: `/namf-comm/v1/ue-contexts/imsi-${ue.config.subscriberImsi}/n1-n2-messages`,
+                    pduSessionId,
+                    n1MessageContainer: modificationCommand,
+                    n2InfoContainer: { n2InformationClass: 'SM', smInfo: { n2SmInfoType: 'PDU_RES_MOD_REQ', n2SmInfo: n2QoS } }
+                }, 'HTTP/2', 'POST');
+
+                await sessionManager.sendSignal(amf, smf, 'Namf_Communication', 'response', 'N1N2MessageTransfer 200 OK', {
+                    cause: 'N1_N2_TRANSFER_INITIATED'
+                });
+            }
+
+            // Step 4: AMF → gNB: PDU Session Resource Modify Request (QoS profiles + NAS PDU)
+            const ngapIds = { amfUeNgapId: ue.config.amfUeNgapId || 1, ranUeNgapId: ue.config.ranUeNgapId || 1 };
+            await sessionManager.sendSignal(amf, gnb, 'N2', 'request', 'N2: PDU Session Resource Modify Request', {
+                messageType: 'PDU_SESSION_RESOURCE_MODIFY_REQUEST',
+                ...ngapIds,
+                pduSessionResourceModifyList: [{
+                    pduSessionId,
+                    nasPdu: 'PDU Session Modification Command',
+                    pduSessionResourceModifyRequestTransfer: n2QoS
+                }]
+            }, 'NGAP');
+
+            // Step 5: gNB ↔ UE: map the QoS flows onto DRBs and deliver the NAS command
+            await sessionManager.sendSignal(gnb, ue, 'RRC', 'request', 'RRC: RRCReconfiguration', {
+                messageType: 'RRC_RECONFIGURATION',
+                dedicatedNAS_MessageList: ['PDU Session Modification Command'],
+                sdapConfig: {
+                    pduSession: pduSessionId,
+                    ...(plan.flow && { mappedQoSFlowsToAdd: [plan.qfi] }),
+                    ...(plan.operation === this.OPERATIONS.DELETE && { mappedQoSFlowsToRelease: [plan.qfi] })
+                }
+            });
+
+            await sessionManager.sendSignal(ue, gnb, 'RRC', 'response', 'RRC: RRCReconfigurationComplete', {
+                messageType: 'RRC_RECONFIGURATION_COMPLETE'
+            });
+
+            // Step 6: gNB → AMF → SMF: PDU Session Resource Modify Response
+            await sessionManager.sendSignal(gnb, amf, 'N2', 'response', 'N2: PDU Session Resource Modify Response', {
+                messageType: 'PDU_SESSION_RESOURCE_MODIFY_RESPONSE',
+                ...ngapIds,
+                pduSessionResourceModifyListModRes: [{
+                    pduSessionId,
+                    ...(plan.flow && { qosFlowAddOrModifyResponseList: [{ qosFlowIdentifier: plan.qfi }] })
+                }]
+            }, 'NGAP');
+
+            await sessionManager.sendSignal(amf, smf, 'Nsmf_PDUSession', 'request', 'Nsmf_PDUSession_UpdateSMContext (HTTP/2 POST)', {
+                endpoint: `/nsmf-pdusession/v1/sm-contexts/${smContextRef}/modify`,
+                n2SmInfoType: 'PDU_RES_MOD_RSP'
+            }, 'HTTP/2', 'POST');
+
+            // Step 7: SMF → UPF: N4 Session Modification (PDR / QER updates)
+            const n4Ies = this.buildN4QoS(pduSession, plan);
+            const pfcpSession = window.pfcpManager?.locateSession(ue, pduSession).session;
+            await sessionManager.sendSignal(smf, upf, 'N4', 'request', 'N4 Session Modification Request', {
+                pduSessionId,
+                seid: pfcpSession ? window.pfcpManager.formatId(pfcpSession.seid) : (session.tunnelId || smContextRef),
+                ...n4Ies
+            }, 'PFCP');
+            window.pfcpManager?.applyModification(ue, pduSession, n4Ies);
+
+            await sessionManager.sendSignal(upf, smf, 'N4', 'response', 'N4 Session Modification Response', {
+                cause: 'REQUEST_ACCEPTED'
+            }, 'PFCP');
+
+            await sessionManager.sendSignal(smf, amf, 'Nsmf_PDUSession', 'response', 'Nsmf_PDUSession_UpdateSMContext Response (200 OK)', {
+                upCnxState: 'ACTIVATED'
+            });
+
+            // Step 8: UE → AMF → SMF: PDU Session Modification Complete
+            await sessionManager.sendSignal(ue, amf, 'N1', 'request', 'N1: PDU Session Modification Complete', {
+                messageType: 'PDU_SESSION_MODIFICATION_COMPLETE',
+                pduSessionId,
+                pti
+            });
+
+            await sessionManager.sendSignal(amf, smf, 'Nsmf_PDUSession', 'request', 'Nsmf_PDUSession_UpdateSMContext (HTTP/2 POST)', {
+                endpoint: `/nsmf-pdusession/v1/sm-contexts/${smContextRef}/modify`,
+                n1SmMsg: 'PDU Session Modification Complete'
+            }, 'HTTP/2', 'POST');
+
+            await sessionManager.sendSignal(smf, amf, 'Nsmf_PDUSession', 'response', 'Nsmf_PDUSession_UpdateSMContext Response (204 No Content)', {
+                status: 204
+            });
+
+            this.commitModification(pduSession, plan);
+            window.dataStore?.updateNF(ue.id, ue);
+
+            console.log(`✅ PDU session ${pduSessionId} modified for ${ue.name}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(ueId, 'SUCCESS', `PDU session ${pduSessionId} modified (${initiator}): ${plan.operation}${plan.qfi ? ` QFI ${plan.qfi}` : ''}`, {
+                    pduSessionId,
+                    initiator,
+                    sessionAmbr: this.getSessionAmbr(pduSession),
+                    qosFlows: this.getQoSFlows(pduSession).map(flow => this.describeFlow(flow))
+                });
+            }
+
+            return true;
+
+        } catch (error) {
+            return fail(error.message);
+        } finally {
+            if (session.state === sessionManager.STATES.MODIFYING) {
+                session.state = sessionManager.STATES.ACTIVE;
+                sessionManager.notifyListeners('stateChange', { ueId, pduSessionId, state: session.state });
+            }
+        }
+    }
+
+    /**
+     * PCC rule / QoS decision the PCF returns for a modification (TS 29.512 5.6.2.3)
+     * @param {Object} plan - Modification plan
+     * @returns {Object} Policy decision
+     */
+    buildPolicyDecision(plan) {
+        if (plan.sessionAmbr) {
+            return {
+                sessRules: { authSessAmbr: { uplink: this.formatBitrate(plan.sessionAmbr.uplink), downlink: this.formatBitrate(plan.sessionAmbr.downlink) } }
+            };
+        }
+
+        const pccRuleId = `pcc-qfi-${plan.qfi}`;
+        if (plan.operation === this.OPERATIONS.DELETE) {
+            return { pccRules: { [pccRuleId]: null }, qosDecs: { [`qos-${plan.qfi}`]: null } };
+        }
+
+        return {
+            pccRules: { [pccRuleId]: { refQosData: [`qos-${plan.qfi}`], flowInfos: plan.flow.packetFilters.map(filter => this.formatPacketFilter(filter)) } },
+            qosDecs: {
+                [`qos-${plan.qfi}`]: {
+                    '5qi': plan.flow.fiveQi,
+                    arp: plan.flow.arp,
+                    ...(plan.flow.gfbr && {
+                        gbrUl: this.formatBitrate(plan.flow.gfbr.uplink),
+                        gbrDl: this.formatBitrate(plan.flow.gfbr.downlink),
+                        maxbrUl: this.formatBitrate(plan.flow.mfbr.uplink),
+                        maxbrDl: this.formatBitrate(plan.flow.mfbr.downlink)
+                    })
+                }
+            }
+        };
+    }
+
+    /**
+     * SMF rejects a UE-requested modification: UpdateSMContext response carrying
+     * a PDU Session Modification Reject relayed to the UE
+     * @param {Object} smf - SMF NF
+     * @param {Object} amf - AMF NF
+     * @param {Object} ue - UE NF
+     * @param {number} pduSessionId - PDU session ID
+     * @param {number} pti - Procedure transaction identity
+     * @param {Object} cause - Entry of SM_CAUSES
+     * @param {string} detail - Reason shown in the logs
+     */
+    async sendModificationReject(smf, amf, ue, pduSessionId, pti, cause, detail) {
+        const sessionManager = window.sessionManager;
+        const reject = {
+            messageType: 'PDU_SESSION_MODIFICATION_REJECT',
+            pduSessionId,
+            pti,
+            '5gsmCause': `#${cause.code} ${cause.name}`
+        };
+
+        const responseId = sessionManager.generateMessageId();
+        const responsePayload = { status: 200, n1SmMsg: reject, detail };
+        if (window.logEngine) {
+            window.logEngine.addLog(smf.id, 'ERROR', 'Nsmf_PDUSession_UpdateSMContext Response (200 OK, N1 reject) → AMF', {
+                messageId: responseId,
+                interface: 'Nsmf_PDUSession',
+                direction: 'response',
+                json: responsePayload
+            });
+        }
+        await sessionManager.animatePacket(smf.id, amf.id, 'Nsmf_PDUSession', 'response', responsePayload, responseId, { error: true });
+        await sessionManager.delay(300);
+
+        const rejectId = sessionManager.generateMessageId();
+        if (window.logEngine) {
+            window.logEngine.addLog(amf.id, 'ERROR', 'N1: PDU Session Modification Reject → UE', {
+                messageId: rejectId,
+                interface: 'N1',
+                direction: 'response',
+                json: reject
+            });
+        }
+        await sessionManager.animatePacket(amf.id, ue.id, 'N1', 'response', reject, rejectId, { error: true });
+        await sessionManager.delay(300);
+    }
+}
+
+// Export for global access
+window.QoSManager = QoSManager;
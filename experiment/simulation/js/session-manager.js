@@ -5,7 +5,17 @@
  * Manages PDU Session lifecycle for 5G UE
  * 
  * Responsibilities:
- * - Track PDU session states (IDLE, ESTABLISHING, ACTIVE, RELEASING, RELEASED)
+ * - Track PDU session states (IDLE, ESTABLISHING, ACTIVE, MODIFYING, RELEASING, RELEASED)
+ * - Run several concurrent PDU sessions per UE (own PSI, DNN, S-NSSAI and tun interface)
+ * - Allocate UE addresses from the per-DNN IP pools of the UPF
+ * - Delegate an IPv6 /64 prefix to IPv6 and IPv4v6 sessions (SLAAC via Router Advertisement)
+ * - Run Ethernet (tap interface, MAC learnt by the UPF) and Unstructured
+ *   (point-to-point N6 tunnel) sessions, which carry no UE address
+ * - Track per-UE NAS states (CM-IDLE/CM-CONNECTED, RM-REGISTERED/RM-DEREGISTERED)
+ * - Run AN Release on UE inactivity (user plane deactivated, session kept)
+ * - Run UE-triggered Service Request to re-activate the user plane
+ * - Page idle UEs when downlink data arrives (network-triggered Service Request)
+ * - Re-anchor PDU sessions after a gNB change according to their SSC mode
  * - Orchestrate session establishment/release flows
  * - Coordinate with PacketAnimator for visual feedback
  * - Validate prerequisites before session operations
@@ -19,13 +29,118 @@ class SessionManager {
             IDLE: 'IDLE',
             ESTABLISHING: 'ESTABLISHING',
             ACTIVE: 'ACTIVE',
+            MODIFYING: 'MODIFYING',
             RELEASING: 'RELEASING',
             RELEASED: 'RELEASED'
         };
 
-        // Active sessions map: ueId -> session object
+        // Connection Management states (TS 23.501 5.3.3)
+        this.CM_STATES = {
+            IDLE: 'CM-IDLE',
+            CONNECTED: 'CM-CONNECTED'
+        };
+
+        // Registration Management states (TS 23.501 5.3.2)
+        this.RM_STATES = {
+            DEREGISTERED: 'RM-DEREGISTERED',
+            REGISTERED: 'RM-REGISTERED'
+        };
+
+        // 5GSM causes sent in a PDU Session Establishment Reject (TS 24.501 9.11.4.2)
+        this.SM_CAUSES = {
+            INSUFFICIENT_RESOURCES: { code: 26, name: 'Insufficient resources', httpStatus: 500, sbiCause: 'INSUFFICIENT_RESOURCES_SLICE_DNN' },
+            MISSING_OR_UNKNOWN_DNN: { code: 27, name: 'Missing or unknown DNN', httpStatus: 403, sbiCause: 'DNN_NOT_SUPPORTED' },
+            SERVICE_OPTION_NOT_SUBSCRIBED: { code: 33, name: 'Requested service option not subscribed', httpStatus: 403, sbiCause: 'SNSSAI_DENIED' },
+            INSUFFICIENT_RESOURCES_FOR_SLICE: { code: 69, name: 'Insufficient resources for specific slice', httpStatus: 500, sbiCause: 'INSUFFICIENT_RESOURCES_SLICE' },
+            IPV4_ONLY_ALLOWED: { code: 50, name: 'PDU session type IPv4 only allowed', httpStatus: 403, sbiCause: 'PDUTYPE_NOT_SUPPORTED' }
+        };
+
+        // PDU session types (TS 24.501 9.11.4.11)
+        this.PDU_SESSION_TYPES = {
+            IPV4: 'IPV4',
+            IPV6: 'IPV6',
+            IPV4V6: 'IPV4V6',
+            UNSTRUCTURED: 'UNSTRUCTURED',
+            ETHERNET: 'ETHERNET'
+        };
+
+        // Every IPv6 PDU session gets its own /64 from the pool prefix (TS 23.501 5.8.2.2.3)
+        this.IPV6_DELEGATED_PREFIX_LENGTH = 64;
+
+        // 5GSM cause asking the UE to re-establish a PDU session to the same DNN
+        this.REACTIVATION_REQUESTED = { code: 39, name: 'Reactivation requested' };
+
+        // Session and Service Continuity modes (TS 23.501 5.6.9)
+        this.SSC_MODES = {
+            1: 'SSC_MODE_1',
+            2: 'SSC_MODE_2',
+            3: 'SSC_MODE_3'
+        };
+
+        // SSC mode 3: how long the old session outlives its replacement (ms)
+        this.sscAddressLifetime = 3000;
+
+        // PDU session identities a UE can use (PSI 1-15, TS 24.007 11.2.3.1b)
+        this.MAX_PDU_SESSIONS = 15;
+
+        // UE address pools given to a new UPF: one tun interface per DNN
+        this.DEFAULT_IP_POOLS = [
+            { dnn: '5G-Lab', interfaceName: 'tun0', network: '10.0.0.0/28', gatewayIP: '10.0.0.1', ipv6Prefix: '2001:db8::/48' },
+            { dnn: 'internet', interfaceName: 'tun1', network: '10.0.1.0/28', gatewayIP: '10.0.1.1', ipv6Prefix: '2001:db8:1::/48' }
+        ];
+
+        // Session contexts: ueId -> Map(pduSessionId -> session object)
         this.sessions = new Map();
 
+        // UE NAS contexts map: ueId -> { cmState, rmState, history }
+        this.ueContexts = new Map();
+
+        // Default UE inactivity period before AN Release (ms);
+        // overridable per UE via config.inactivityTimer (seconds)
+        this.inactivityTimeout = 30000;
+
+        // Inactivity timers map: ueId -> timeout handle
+        this.inactivityTimers = new Map();
+
+        // UEs with an AN Release procedure in progress
+        this.anReleaseInProgress = new Set();
+
+        // Service Requests in progress: ueId -> Promise
+        this.serviceRequestsInProgress = new Map();
+
+        // Paging procedures in progress: ueId -> Promise
+        this.pagingInProgress = new Map();
+
+        // Registration Updates (mobility / periodic) in progress: ueId -> Promise
+        this.registrationUpdatesInProgress = new Map();
+
+        // Handovers in progress: ueId -> Promise
+        this.handoversInProgress = new Map();
+
+        // Deregistrations (UE / network initiated) in progress: ueId -> Promise
+        this.deregistrationsInProgress = new Map();
+
+        // Last handover user-plane interruption: ueId -> { start, end }
+        this.userPlaneInterruptions = new Map();
+
+        // Radio-level detach time of a handover (ms): from the UE acting on the
+        // handover command until it is synchronised with the target cell
+        this.handoverInterruption = 40;
+
+        // AMF paging supervision: T3513 period (ms) and retransmission limit
+        this.pagingTimer = 2000;
+        this.maxPagingRetransmissions = 2;
+
+        // Nominal one-way signalling latency per interface (ms), used to
+        // report how long a procedure delays the first user-plane packet
+        this.HOP_LATENCY = {
+            RRC: 10,
+            N1: 4,
+            N2: 4,
+            Nsmf: 2,
+            N4: 2
+        };
+
         // Event listeners
         this.listeners = [];
 
@@ -36,16 +151,24 @@ class SessionManager {
     }
 
     /**
-     * Get or create session for UE
+     * Get or create the context of one PDU session of a UE
      * @param {string} ueId - UE ID
+     * @param {number} pduSessionId - PDU session ID (PSI)
      * @returns {Object} Session object
      */
-    getSession(ueId) {
+    getSession(ueId, pduSessionId) {
         if (!this.sessions.has(ueId)) {
-            this.sessions.set(ueId, {
+            this.sessions.set(ueId, new Map());
+        }
+
+        const ueSessions = this.sessions.get(ueId);
+        if (!ueSessions.has(pduSessionId)) {
+            ueSessions.set(pduSessionId, {
                 ueId: ueId,
                 state: this.STATES.IDLE,
-                pduSessionId: null,
+                pduSessionId: pduSessionId,
+                dnn: null,
+                sst: null,
                 assignedIP: null,
                 tunnelId: null,
                 upfId: null,
@@ -53,16 +176,234 @@ class SessionManager {
                 messages: []
             });
         }
-        return this.sessions.get(ueId);
+        return ueSessions.get(pduSessionId);
     }
 
     /**
-     * Get session state for UE
+     * Get the state of one PDU session, or without a PSI the state of the
+     * UE's busiest session (a running procedure wins over ACTIVE)
      * @param {string} ueId - UE ID
+     * @param {number|null} pduSessionId - PDU session ID
      * @returns {string} Current state
      */
-    getSessionState(ueId) {
-        return this.getSession(ueId).state;
+    getSessionState(ueId, pduSessionId = null) {
+        if (pduSessionId !== null) {
+            return this.getSession(ueId, pduSessionId).state;
+        }
+
+        const states = [...(this.sessions.get(ueId)?.values() || [])].map(session => session.state);
+        return [this.STATES.ESTABLISHING, this.STATES.RELEASING, this.STATES.MODIFYING, this.STATES.ACTIVE]
+            .find(state => states.includes(state)) || this.STATES.IDLE;
+    }
+
+    /**
+     * Get the PDU sessions held by a UE. Topologies saved before multi-session
+     * support carry a single pduSession/tunInterface pair, converted on first access.
+     * @param {Object} ue - UE NF
+     * @returns {Array} PDU sessions ({sessionId, dnn, sst, upfId, assignedIP, upCnxState, tunInterface, ...})
+     */
+    getPDUSessions(ue) {
+        if (!ue?.config) return [];
+
+        if (ue.config.pduSession && !ue.config.pduSessions) {
+            const legacyId = ue.config.pduSession.sessionId;
+            ue.config.pduSessions = [{
+                ...ue.config.pduSession,
+                sessionId: Number.isInteger(legacyId) && legacyId >= 1 && legacyId <= this.MAX_PDU_SESSIONS ? legacyId : 1,
+                dnn: ue.config.subscriberDnn || '5G-Lab',
+                sst: ue.config.subscriberSst || 1,
+                tunInterface: ue.config.tunInterface || null
+            }];
+            delete ue.config.pduSession;
+            delete ue.config.tunInterface;
+        }
+
+        return ue.config.pduSessions || [];
+    }
+
+    /**
+     * Find one of a UE's PDU sessions
+     * @param {Object} ue - UE NF
+     * @param {number} pduSessionId - PDU session ID
+     * @returns {Object|null} PDU session
+     */
+    getPDUSession(ue, pduSessionId) {
+        return this.getPDUSessions(ue).find(pduSession => pduSession.sessionId === pduSessionId) || null;
+    }
+
+    /**
+     * Find the PDU session that owns a UE address
+     * @param {Object} ue - UE NF
+     * @param {string} ip - UE address (IPv4, or IPv6 of a session with a delegated prefix)
+     * @returns {Object|null} PDU session
+     */
+    findPDUSessionByIP(ue, ip) {
+        return this.getPDUSessions(ue).find(pduSession => pduSession.assignedIP === ip || pduSession.ipv6Address === ip) || null;
+    }
+
+    /**
+     * UE address of a PDU session used towards a peer: the IPv6 address for
+     * an IPv6 peer, the IPv4 address otherwise
+     * @param {Object} pduSession - UE PDU session entry
+     * @param {string|null} peer - Remote address
+     * @returns {string|null} UE address, null if the session lacks that family
+     */
+    getUEAddress(pduSession, peer = null) {
+        if (peer && this.isIPv6Address(peer)) return pduSession.ipv6Address || null;
+        return pduSession.pduSessionType === this.PDU_SESSION_TYPES.IPV6 ? null : pduSession.assignedIP;
+    }
+
+    /**
+     * Whether a PDU session type carries IP packets (and gets a UE address)
+     * @param {string} pduSessionType - PDU session type
+     * @returns {boolean} True for IPv4, IPv6 and IPv4v6
+     */
+    isIPSessionType(pduSessionType) {
+        return [this.PDU_SESSION_TYPES.IPV4, this.PDU_SESSION_TYPES.IPV6, this.PDU_SESSION_TYPES.IPV4V6]
+            .includes(pduSessionType || this.PDU_SESSION_TYPES.IPV4);
+    }
+
+    /**
+     * What a PDU session is known by in the UI and logs: its addresses, the
+     * MAC of an Ethernet session's tap port, or 'Unstructured'
+     * @param {Object} pduSession - UE PDU session entry
+     * @returns {string} Description
+     */
+    describePDUAddress(pduSession) {
+        if (pduSession.pduSessionType === this.PDU_SESSION_TYPES.ETHERNET) return `MAC ${pduSession.macAddress}`;
+        if (pduSession.pduSessionType === this.PDU_SESSION_TYPES.UNSTRUCTURED) return 'Unstructured';
+        return [this.getUEAddress(pduSession), pduSession.ipv6Address].filter(Boolean).join(' / ');
+    }
+
+    /**
+     * MAC address of the tap port behind an Ethernet PDU session (locally
+     * administered, unique per UE and PSI)
+     * @param {Object} ue - UE NF
+     * @param {number} pduSessionId - PDU session ID
+     * @returns {string} MAC address
+     */
+    getUEMacAddress(ue, pduSessionId) {
+        const ueNum = parseInt(ue.name.match(/\d+/)?.[0] || '1');
+        return ['02', '00', '00', ueNum >> 8, ueNum & 0xff, pduSessionId]
+            .map(octet => octet.toString(16).padStart(2, '0'))
+            .join(':');
+    }
+
+    /**
+     * Flags of the UE interface of a PDU session
+     * @param {string} pduSessionType - PDU session type
+     * @param {boolean} running - False while the user plane is deactivated
+     * @returns {string} Interface flags
+     */
+    getInterfaceFlags(pduSessionType, running = true) {
+        const flags = pduSessionType === this.PDU_SESSION_TYPES.ETHERNET
+            ? ['UP', 'BROADCAST', 'RUNNING', 'MULTICAST']
+            : ['UP', 'POINTOPOINT', 'RUNNING', 'NOARP', 'MULTICAST'];
+        return flags.filter(flag => running || flag !== 'RUNNING').join(',');
+    }
+
+    /**
+     * SMF serving a PDU session: the one selected for its slice, else the
+     * subnet's SMF
+     * @param {Object} pduSession - UE PDU session entry
+     * @param {Object} fallback - SMF found by validatePrerequisites
+     * @returns {Object} SMF NF
+     */
+    getSessionSMF(pduSession, fallback) {
+        const smf = window.dataStore?.getNFById(pduSession?.smfId);
+        return smf?.status === 'stable' ? smf : fallback;
+    }
+
+    /**
+     * PDU session status IE (PSI -> state) sent in Registration and Service Requests
+     * @param {Object} ue - UE NF
+     * @returns {Object} PDU session status
+     */
+    getPDUSessionStatus(ue) {
+        return Object.fromEntries(this.getPDUSessions(ue).map(pduSession => [pduSession.sessionId, 'ACTIVE']));
+    }
+
+    /**
+     * Pick the lowest PDU session ID not used by the UE
+     * @param {Object} ue - UE NF
+     * @returns {number|null} PDU session ID, or null when all are in use
+     */
+    allocatePDUSessionId(ue) {
+        const inUse = new Set(this.getPDUSessions(ue).map(pduSession => pduSession.sessionId));
+        for (const session of this.sessions.get(ue.id)?.values() || []) {
+            if (session.state === this.STATES.ESTABLISHING) inUse.add(session.pduSessionId);
+        }
+
+        for (let pduSessionId = 1; pduSessionId <= this.MAX_PDU_SESSIONS; pduSessionId++) {
+            if (!inUse.has(pduSessionId)) return pduSessionId;
+        }
+        return null;
+    }
+
+    /**
+     * Store an established PDU session on the UE and bring up its tun interface
+     * @param {Object} ue - UE NF
+     * @param {Object} upf - Anchor UPF
+     * @param {Object} params - {sessionId, dnn, sst, sscMode, pduSessionType, assignedIP
+     *   (IPv4, null for IPv6 and non-IP sessions), ipv6Prefix (delegated /64), userPlanePath,
+     *   smfId (SMF selected for the slice)}
+     * @returns {Object} The UE's PDU session entry
+     */
+    addUEPDUSession(ue, upf, { sessionId, dnn, sst, sscMode = 1, pduSessionType = this.PDU_SESSION_TYPES.IPV4, assignedIP, ipv6Prefix = null, userPlanePath = null, smfId = null }) {
+        const pool = this.getIPPool(upf, dnn);
+        const ueNum = ue.name.match(/\d+/)?.[0] || '1';
+        const interfaceIdentifier = ipv6Prefix ? this.getInterfaceIdentifier(ue, sessionId) : null;
+        const ipv6Address = ipv6Prefix ? this.buildSLAACAddress(ipv6Prefix, interfaceIdentifier) : null;
+        const ethernet = pduSessionType === this.PDU_SESSION_TYPES.ETHERNET;
+        const macAddress = ethernet ? this.getUEMacAddress(ue, sessionId) : null;
+
+        // IPv6 sessions are known by their SLAAC address wherever one address is shown
+        const pduSession = {
+            sessionId: sessionId,
+            dnn: dnn,
+            sst: sst,
+            sscMode: sscMode,
+            pduSessionType: pduSessionType,
+            upfId: upf.id,
+            ...(smfId && { smfId }),
+            ...(userPlanePath && { userPlanePath }),
+            assignedIP: assignedIP || ipv6Address,
+            ...(ipv6Prefix && { ipv6Prefix, ipv6Address }),
+            ...(ethernet && { macAddress }),
+            status: 'established',
+            upCnxState: 'ACTIVATED',
+            establishedAt: Date.now(),
+            tunInterface: {
+                name: `${ethernet ? 'tap' : 'tun'}_ue${ueNum}_${sessionId}`,
+                ...(ethernet && { macAddress }),
+                ipAddress: assignedIP || null,
+                netmask: assignedIP ? (pool ? this.getPoolNetmask(pool) : '255.255.255.0') : null,
+                destination: assignedIP || null,
+                gateway: assignedIP ? (pool?.gatewayIP || '10.0.0.1') : null,
+                ...(ipv6Prefix && {
+                    ipv6: ipv6Address,
+                    ipv6Prefix: ipv6Prefix,
+                    ipv6LinkLocal: this.buildSLAACAddress('fe80::/64', interfaceIdentifier),
+                    ipv6Gateway: pool?.ipv6Prefix ? this.getPoolIPv6Gateway(pool) : null
+                }),
+                mtu: 1500,
+                flags: this.getInterfaceFlags(pduSessionType),
+                createdAt: Date.now()
+            }
+        };
+
+        ue.config.pduSessions = this.getPDUSessions(ue)
+            .filter(existing => existing.sessionId !== sessionId)
+            .concat(pduSession)
+            .sort((a, b) => a.sessionId - b.sessionId);
+        ue.config.pduSessionState = this.STATES.ACTIVE;
+        window.dataStore?.updateNF(ue.id, ue);
+
+        // Sessions set up without an N4 exchange still need their rules in the UPFs
+        window.pfcpManager?.ensureSession(upf, ue, pduSession);
+        window.userPlaneManager?.ensurePath(ue, pduSession);
+
+        return pduSession;
     }
 
     /**
@@ -122,20 +463,24 @@ class SessionManager {
             return { valid: false, error: 'No stable SMF found in same subnet', nfs: null };
         }
 
-        // Find UPF in same subnet (stable)
-        const upf = allNFs.find(nf => 
+        // Find UPF in same subnet (stable) to anchor the session. UPFs with
+        // local breakout rules are edge UPFs (UL-CL), not anchors.
+        const upfs = allNFs.filter(nf => 
             nf.type === 'UPF' && 
             nf.status === 'stable' &&
             this.getNetworkFromIP(nf.config.ipAddress) === ueNetwork
         );
+        const upf = upfs.find(nf => this.getIPPools(nf).length > 0 && !(nf.config.localBreakout || []).length) ||
+            upfs.find(nf => this.getIPPools(nf).length > 0) ||
+            upfs[0];
 
         if (!upf) {
             return { valid: false, error: 'No stable UPF found in same subnet', nfs: null };
         }
 
-        // Check UPF has tun0 interface
-        if (!upf.config.tun0Interface) {
-            return { valid: false, error: 'UPF does not have tun0 interface configured', nfs: null };
+        // Check UPF has somewhere to allocate UE addresses from
+        if (this.getIPPools(upf).length === 0) {
+            return { valid: false, error: 'UPF does not have any UE IP pool configured', nfs: null };
         }
 
         return {
@@ -210,112 +555,235 @@ class SessionManager {
     }
 
     /**
-     * Establish PDU Session
+     * Establish a PDU session (TS 23.502 4.3.2.2.1). A UE may hold several
+     * concurrent sessions, one per DNN and S-NSSAI; only an SSC mode 3
+     * replacement (oldPduSessionId) may briefly share them with the old one.
      * @param {string} ueId - UE ID
+     * @param {Object} options - {dnn, sst, sscMode, pduSessionType, oldPduSessionId, previousAddress};
+     *   default to the subscribed DNN and SST, SSC mode 1 and IPv4. previousAddress
+     *   is the address of a session released for re-anchoring, not handed out again.
      * @returns {Promise<boolean>} Success status
      */
-    async establishPDUSession(ueId) {
-        const session = this.getSession(ueId);
+    async establishPDUSession(ueId, options = {}) {
+        // Validate prerequisites
+        const validation = this.validatePrerequisites(ueId);
+        if (!validation.valid) {
+            console.error(`❌ PDU session validation failed: ${validation.error}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(ueId, 'ERROR', `PDU session establishment failed: ${validation.error}`);
+            }
+            return false;
+        }
+
+        const { ue, amf } = validation.nfs;
+        let smf = validation.nfs.smf;
+        const dnn = options.dnn || ue.config.subscriberDnn || '5G-Lab';
+        const sst = parseInt(options.sst) || ue.config.subscriberSst || 1;
+        const sscMode = this.SSC_MODES[options.sscMode] ? parseInt(options.sscMode) : 1;
+        const requestedType = this.PDU_SESSION_TYPES[options.pduSessionType || ue.config.subscriberPduSessionType] || this.PDU_SESSION_TYPES.IPV4;
+        const oldPduSessionId = options.oldPduSessionId || null;
 
-        // Check current state
-        if (session.state === this.STATES.ACTIVE) {
-            console.log(`ℹ️ PDU session already active for UE ${ueId}`);
+        // Check for a session to the same DNN and slice carrying the same kind of traffic;
+        // IP sessions count as one kind since the SMF may have narrowed IPv4v6 down
+        const sameKind = (pduSessionType) => this.isIPSessionType(requestedType)
+            ? this.isIPSessionType(pduSessionType)
+            : pduSessionType === requestedType;
+        const existing = this.getPDUSessions(ue).find(pduSession =>
+            pduSession.dnn === dnn && pduSession.sst === sst && sameKind(pduSession.pduSessionType) &&
+            pduSession.sessionId !== oldPduSessionId);
+        if (existing) {
+            console.log(`ℹ️ PDU session to ${dnn} already active for UE ${ueId}`);
             if (window.logEngine) {
-                window.logEngine.addLog(ueId, 'WARNING', 'PDU session already active');
+                window.logEngine.addLog(ueId, 'WARNING', `${requestedType} PDU session to ${dnn} (SST ${sst}) already active`, {
+                    pduSessionId: existing.sessionId,
+                    pduSessionType: existing.pduSessionType || this.PDU_SESSION_TYPES.IPV4,
+                    assignedIP: existing.assignedIP
+                });
             }
             return true;
         }
 
-        if (session.state === this.STATES.ESTABLISHING) {
-            console.log(`ℹ️ PDU session establishment already in progress for UE ${ueId}`);
+        const pending = [...(this.sessions.get(ueId)?.values() || [])].find(session =>
+            session.state === this.STATES.ESTABLISHING && session.dnn === dnn && session.sst === sst &&
+            sameKind(session.pduSessionType));
+        if (pending) {
+            console.log(`ℹ️ PDU session establishment to ${dnn} already in progress for UE ${ueId}`);
             return false;
         }
 
-        // Validate prerequisites
-        const validation = this.validatePrerequisites(ueId);
-        if (!validation.valid) {
-            console.error(`❌ PDU session validation failed: ${validation.error}`);
+        const pduSessionId = this.allocatePDUSessionId(ue);
+        if (pduSessionId === null) {
+            console.error(`❌ No free PDU session ID for ${ue.name}`);
             if (window.logEngine) {
-                window.logEngine.addLog(ueId, 'ERROR', `PDU session establishment failed: ${validation.error}`);
+                window.logEngine.addLog(ueId, 'ERROR', `PDU session establishment failed: all ${this.MAX_PDU_SESSIONS} PDU session IDs in use`);
             }
             return false;
         }
 
-        const { ue, amf, smf, upf } = validation.nfs;
+        const session = this.getSession(ueId, pduSessionId);
+        session.dnn = dnn;
+        session.sst = sst;
+        session.sscMode = sscMode;
+        session.pduSessionType = requestedType;
+        session.oldPduSessionId = oldPduSessionId;
+
+        // NAS signalling needs an N1 connection, so the UE leaves CM-IDLE
+        if (this.getCMState(ueId) === this.CM_STATES.IDLE) {
+            this.setCMState(ueId, this.CM_STATES.CONNECTED, 'PDU Session Establishment');
+        }
 
         // Update state to ESTABLISHING
         session.state = this.STATES.ESTABLISHING;
-        this.notifyListeners('stateChange', { ueId, state: session.state });
+        this.notifyListeners('stateChange', { ueId, pduSessionId, state: session.state });
 
-        console.log(`📡 Starting PDU session establishment for ${ue.name}`);
+        console.log(`📡 Starting PDU session establishment for ${ue.name} (PSI ${pduSessionId}, DNN ${dnn})`);
 
-        try {
-            // Generate session ID
-            session.pduSessionId = Math.floor(Math.random() * 255) + 1;
+        let upf = null;
+        let assignedIP = null;
+        let ipv6Prefix = null;
+
+        // Reject sent by the SMF, or by the AMF itself when smf is null
+        const reject = async (rejectingSmf, cause, details) => {
+            await this.sendPDUSessionEstablishmentReject(rejectingSmf, amf, ue, session, cause);
+
+            this.sessions.get(ueId).delete(pduSessionId);
+            this.notifyListeners('stateChange', { ueId, pduSessionId, state: this.STATES.IDLE });
+
+            console.error(`❌ PDU session establishment rejected for ${ue.name}: #${cause.code} ${cause.name}`);
+
+            if (window.logEngine) {
+                window.logEngine.addLog(ueId, 'ERROR', `PDU session establishment rejected: #${cause.code} ${cause.name}`, {
+                    pduSessionId: pduSessionId,
+                    dnn: dnn,
+                    snssai: { sst },
+                    pduSessionType: requestedType,
+                    ...details
+                });
+            }
+
+            return false;
+        };
 
+        try {
             // Step 1: UE → AMF: N1 PDU Session Establishment Request
             await this.sendN1EstablishmentRequest(ue, amf, session);
 
+            // Step 1b: AMF checks the S-NSSAI against the allowed NSSAI and
+            // selects an SMF serving the slice
+            if (window.sliceManager) {
+                const sliceCause = window.sliceManager.checkPDUSessionSlice(ue, sst);
+                const sliceSmf = sliceCause ? null : window.sliceManager.selectSMF(ue, sst, amf, dnn);
+                if (!sliceSmf) {
+                    return await reject(null, sliceCause || this.SM_CAUSES.INSUFFICIENT_RESOURCES_FOR_SLICE, {
+                        allowedNssai: ue.config.allowedNssai || null,
+                        subscribedNssai: window.sliceManager.getSubscribedSlices(ue)
+                    });
+                }
+                smf = sliceSmf;
+                session.smfId = smf.id;
+            }
+
             // Step 2: AMF → SMF: Nsmf_PDUSession_Create
             await this.sendNsmfPDUSessionCreate(amf, smf, ue, session);
 
-            // Step 3: SMF → UPF: N4 Session Establishment
-            const n4Response = await this.sendN4SessionEstablishment(smf, upf, ue, session);
+            // Step 3: SMF selects the anchor UPF, settles the PDU session type and
+            // takes the IPv4 address and/or the IPv6 prefix from its pool for the DNN
+            // (Ethernet and Unstructured sessions get no address)
+            const selection = window.userPlaneManager.selectUPF(ue, dnn, sst, smf, requestedType);
+            upf = selection.upf;
+            const typeSelection = upf ? this.selectPDUSessionType(upf, dnn, requestedType) : null;
+            session.pduSessionType = typeSelection?.type || requestedType;
+
+            const wantsIPv4 = [this.PDU_SESSION_TYPES.IPV4, this.PDU_SESSION_TYPES.IPV4V6].includes(session.pduSessionType);
+            const wantsIPv6 = [this.PDU_SESSION_TYPES.IPV6, this.PDU_SESSION_TYPES.IPV4V6].includes(session.pduSessionType);
+            const avoid = [options.previousAddress].filter(Boolean);
+            assignedIP = typeSelection?.type && wantsIPv4 ? this.allocateUEIP(upf, ue, dnn, pduSessionId, avoid) : null;
+            ipv6Prefix = typeSelection?.type && wantsIPv6 ? this.allocateUEPrefix(upf, ue, dnn, pduSessionId, avoid) : null;
+
+            if (!typeSelection?.type || (wantsIPv4 && !assignedIP) || (wantsIPv6 && !ipv6Prefix)) {
+                if (upf) this.releaseUEIP(upf, ueId, pduSessionId);
+                assignedIP = null;
+                ipv6Prefix = null;
+
+                const ipv6Refused = requestedType === this.PDU_SESSION_TYPES.IPV6 && selection.servesDnn && !selection.servesIPv6;
+                const cause = typeSelection && !typeSelection.type ? typeSelection.cause
+                    : ipv6Refused ? this.SM_CAUSES.IPV4_ONLY_ALLOWED
+                    : selection.servesDnn ? this.SM_CAUSES.INSUFFICIENT_RESOURCES : this.SM_CAUSES.MISSING_OR_UNKNOWN_DNN;
+                return await reject(smf, cause, { upfSelection: selection.reason });
+            }
+
+            if (typeSelection.cause) {
+                session.pduSessionTypeCause = typeSelection.cause;
+            }
+            session.ipv6Prefix = ipv6Prefix;
+
+            // Step 4: SMF → UPF: N4 Session Establishment
+            const primaryAddress = assignedIP || (ipv6Prefix ? this.buildSLAACAddress(ipv6Prefix, this.getInterfaceIdentifier(ue, pduSessionId)) : null);
+            const n4Response = await this.sendN4SessionEstablishment(smf, upf, ue, session, primaryAddress);
 
-            // Step 4: UPF allocates IP and responds
             session.assignedIP = n4Response.ueIp;
             session.tunnelId = n4Response.tunnelId;
             session.upfId = upf.id;
 
+            // Step 4b: SMF inserts an I-UPF or UL-CL when the anchor is not the gNB's N3 UPF
+            const userPlanePath = await window.userPlaneManager.establishPath(smf, upf, ue, session);
+            if (userPlanePath.upfIds.length > 1) {
+                // The N3 tunnel now ends at the first UPF of the path
+                const accessUpf = window.dataStore.getNFById(userPlanePath.upfIds[0]);
+                session.tunnelId = window.pfcpManager.formatId(window.pfcpManager.findSession(accessUpf, ueId, pduSessionId).localFTeid.teid);
+            }
+
             // Step 5: SMF → AMF: PDU Session Accept
             await this.sendPDUSessionAccept(smf, amf, ue, session);
 
             // Step 6: AMF → UE: N1 PDU Session Accept
             await this.sendN1SessionAccept(amf, ue, session);
 
-            // Update UE config with PDU session info
-            ue.config.pduSession = {
-                sessionId: session.pduSessionId,
-                upfId: upf.id,
-                assignedIP: session.assignedIP,
-                status: 'established',
-                establishedAt: Date.now()
-            };
-            ue.config.pduSessionState = this.STATES.ACTIVE;
-
-            // Create tun interface for UE
-            const ueNum = ue.name.match(/\d+/)?.[0] || '1';
-            ue.config.tunInterface = {
-                name: `tun_ue${ueNum}`,
-                ipAddress: session.assignedIP,
-                netmask: '255.255.255.0',
-                destination: session.assignedIP,
-                gateway: upf.config.tun0Interface?.gatewayIP || '10.0.0.1',
-                mtu: 1500,
-                flags: 'UP,POINTOPOINT,RUNNING,NOARP,MULTICAST',
-                createdAt: Date.now()
-            };
+            // Update UE config with the session and its tun interface
+            const pduSession = this.addUEPDUSession(ue, upf, {
+                sessionId: pduSessionId, dnn, sst, sscMode,
+                pduSessionType: session.pduSessionType,
+                assignedIP,
+                ipv6Prefix,
+                userPlanePath,
+                smfId: smf.id
+            });
 
-            window.dataStore?.updateNF(ueId, ue);
+            // Step 7: UPF → UE: Router Advertisement with the /64, the UE completes SLAAC;
+            // an Ethernet port announces itself so the UPF learns its MAC
+            if (ipv6Prefix) {
+                await this.sendRouterAdvertisement(ue, pduSession);
+            } else if (session.pduSessionType === this.PDU_SESSION_TYPES.ETHERNET) {
+                await window.userPlaneManager.announceMACAddress(ue, pduSession, { animate: true });
+            }
 
             // Update state to ACTIVE
             session.state = this.STATES.ACTIVE;
             session.createdAt = Date.now();
-            this.notifyListeners('stateChange', { ueId, state: session.state });
+            this.notifyListeners('stateChange', { ueId, pduSessionId, state: session.state });
+            this.recordUserPlaneActivity(ueId);
 
             // Re-render canvas to show IP label
             if (window.canvasRenderer) {
                 window.canvasRenderer.render();
             }
 
-            console.log(`✅ PDU session established for ${ue.name}: IP ${session.assignedIP}`);
+            console.log(`✅ PDU session established for ${ue.name}: ${this.describePDUAddress(pduSession)}`);
 
             if (window.logEngine) {
                 window.logEngine.addLog(ueId, 'SUCCESS', `PDU session ACTIVE`, {
                     sessionId: session.pduSessionId,
+                    dnn: dnn,
+                    snssai: { sst },
+                    sscMode: this.SSC_MODES[sscMode],
+                    pduSessionType: session.pduSessionType,
                     assignedIP: session.assignedIP,
+                    ...(ipv6Prefix && { ipv6Prefix, ipv6Address: pduSession.ipv6Address }),
+                    ...(pduSession.macAddress && { macAddress: pduSession.macAddress }),
                     tunnelId: session.tunnelId,
-                    upf: upf.name
+                    smf: smf.name,
+                    upf: upf.name,
+                    userPlane: window.userPlaneManager.describePath(pduSession)
                 });
             }
 
@@ -323,8 +791,11 @@ class SessionManager {
 
         } catch (error) {
             console.error(`❌ PDU session establishment failed:`, error);
-            session.state = this.STATES.IDLE;
-            this.notifyListeners('stateChange', { ueId, state: session.state });
+            if (assignedIP || ipv6Prefix) {
+                this.releaseUEIP(upf, ueId, pduSessionId);
+            }
+            this.sessions.get(ueId)?.delete(pduSessionId);
+            this.notifyListeners('stateChange', { ueId, pduSessionId, state: this.STATES.IDLE });
 
             if (window.logEngine) {
                 window.logEngine.addLog(ueId, 'ERROR', `PDU session establishment failed: ${error.message}`);
@@ -335,38 +806,53 @@ class SessionManager {
     }
 
     /**
-     * Release PDU Session
+     * Release one of a UE's PDU sessions
      * @param {string} ueId - UE ID
+     * @param {number} pduSessionId - PDU session ID
      * @returns {Promise<boolean>} Success status
      */
-    async releasePDUSession(ueId) {
-        const session = this.getSession(ueId);
+    async releasePDUSession(ueId, pduSessionId) {
+        const ue = window.dataStore?.getNFById(ueId);
+        if (!ue) return false;
 
-        if (session.state !== this.STATES.ACTIVE) {
-            console.log(`ℹ️ No active PDU session to release for UE ${ueId}`);
+        const pduSession = this.getPDUSession(ue, pduSessionId);
+        const session = this.getSession(ueId, pduSessionId);
+
+        if (!pduSession || session.state === this.STATES.RELEASING) {
+            console.log(`ℹ️ No active PDU session ${pduSessionId} to release for UE ${ueId}`);
             if (window.logEngine) {
-                window.logEngine.addLog(ueId, 'WARNING', 'No active PDU session to release');
+                window.logEngine.addLog(ueId, 'WARNING', `No active PDU session ${pduSessionId} to release`);
             }
             return false;
         }
 
-        const ue = window.dataStore?.getNFById(ueId);
-        if (!ue) return false;
+        // Sessions set up at registration have no context yet
+        Object.assign(session, {
+            dnn: pduSession.dnn,
+            sst: pduSession.sst,
+            assignedIP: pduSession.assignedIP,
+            upfId: pduSession.upfId
+        });
 
         const validation = this.validatePrerequisites(ueId);
         if (!validation.valid) {
             // Still try to release locally
-            this.cleanupSession(ueId);
+            this.cleanupSession(ueId, pduSessionId);
             return true;
         }
 
-        const { amf, smf, upf } = validation.nfs;
+        const { amf, upf } = validation.nfs;
+        const smf = this.getSessionSMF(pduSession, validation.nfs.smf);
+
+        if (this.getCMState(ueId) === this.CM_STATES.IDLE) {
+            this.setCMState(ueId, this.CM_STATES.CONNECTED, 'PDU Session Release');
+        }
 
         // Update state to RELEASING
         session.state = this.STATES.RELEASING;
-        this.notifyListeners('stateChange', { ueId, state: session.state });
+        this.notifyListeners('stateChange', { ueId, pduSessionId, state: session.state });
 
-        console.log(`📡 Starting PDU session release for ${ue.name}`);
+        console.log(`📡 Starting PDU session release for ${ue.name} (PSI ${pduSessionId})`);
 
         try {
             // Step 1: UE → AMF: N1 PDU Session Release Request
@@ -375,8 +861,9 @@ class SessionManager {
             // Step 2: AMF → SMF: Nsmf_PDUSession_Release
             await this.sendNsmfPDUSessionRelease(amf, smf, ue, session);
 
-            // Step 3: SMF → UPF: N4 Session Release
-            await this.sendN4SessionRelease(smf, upf, ue, session);
+            // Step 3: SMF → UPF: N4 Session Release (inserted UPFs first, then the anchor)
+            await window.userPlaneManager?.releasePath(smf, ue, pduSession);
+            await this.sendN4SessionRelease(smf, window.dataStore.getNFById(pduSession.upfId) || upf, ue, session);
 
             // Step 4: SMF → AMF: Release Confirmation
             await this.sendReleaseConfirmation(smf, amf, ue, session);
@@ -385,244 +872,539 @@ class SessionManager {
             await this.sendN1ReleaseComplete(amf, ue, session);
 
             // Cleanup session
-            this.cleanupSession(ueId);
+            this.cleanupSession(ueId, pduSessionId);
 
-            console.log(`✅ PDU session released for ${ue.name}`);
+            console.log(`✅ PDU session ${pduSessionId} released for ${ue.name}`);
 
             return true;
 
         } catch (error) {
             console.error(`❌ PDU session release failed:`, error);
             // Still cleanup on error
-            this.cleanupSession(ueId);
+            this.cleanupSession(ueId, pduSessionId);
             return false;
         }
     }
 
     /**
-     * Cleanup session and UE config
+     * Cleanup a PDU session (or all of them) and the UE config
      * @param {string} ueId - UE ID
+     * @param {number|null} pduSessionId - PDU session ID, null for every session of the UE
      */
-    cleanupSession(ueId) {
-        const session = this.getSession(ueId);
+    cleanupSession(ueId, pduSessionId = null) {
         const ue = window.dataStore?.getNFById(ueId);
+        const released = (ue ? this.getPDUSessions(ue) : [])
+            .filter(pduSession => pduSessionId === null || pduSession.sessionId === pduSessionId)
+            .map(pduSession => pduSession.sessionId);
+        if (pduSessionId !== null && !released.includes(pduSessionId)) {
+            released.push(pduSessionId);
+        }
 
-        // Free IP from UPF if allocated
-        if (session.upfId && session.assignedIP) {
-            const upf = window.dataStore?.getNFById(session.upfId);
-            if (upf?.config.tun0Interface?.assignedIPs) {
-                upf.config.tun0Interface.assignedIPs = 
-                    upf.config.tun0Interface.assignedIPs.filter(a => a.ueId !== ueId);
-                window.dataStore?.updateNF(session.upfId, upf);
+        released.forEach(id => {
+            const session = this.getSession(ueId, id);
+
+            // Free the address in the UPF pool (also for sessions set up at registration)
+            const pduSession = ue && this.getPDUSession(ue, id);
+            const upfId = session.upfId || pduSession?.upfId;
+            const upf = upfId ? window.dataStore?.getNFById(upfId) : null;
+            if (upf) {
+                this.releaseUEIP(upf, ueId, id);
+                window.pfcpManager?.deleteSession(upf, ueId, id);
             }
-        }
+
+            // Drop the rules left in intermediate UPFs of the path
+            (pduSession?.userPlanePath?.upfIds || [])
+                .filter(pathUpfId => pathUpfId !== upfId)
+                .map(pathUpfId => window.dataStore?.getNFById(pathUpfId))
+                .filter(Boolean)
+                .forEach(pathUpf => window.pfcpManager?.deleteSession(pathUpf, ueId, id));
+
+            this.sessions.get(ueId).delete(id);
+            this.notifyListeners('stateChange', { ueId, pduSessionId: id, state: this.STATES.RELEASED });
+        });
 
         // Clear UE PDU session config
         if (ue) {
-            delete ue.config.pduSession;
-            delete ue.config.tunInterface;
-            ue.config.pduSessionState = this.STATES.RELEASED;
+            ue.config.pduSessions = this.getPDUSessions(ue).filter(pduSession => !released.includes(pduSession.sessionId));
+            ue.config.pduSessionState = ue.config.pduSessions.length > 0 ? this.STATES.ACTIVE : this.STATES.RELEASED;
             window.dataStore?.updateNF(ueId, ue);
         }
 
-        // Reset session
-        session.state = this.STATES.RELEASED;
-        session.pduSessionId = null;
-        session.assignedIP = null;
-        session.tunnelId = null;
-        session.upfId = null;
-        session.createdAt = null;
-
-        this.notifyListeners('stateChange', { ueId, state: session.state });
-
         // Re-render canvas
         if (window.canvasRenderer) {
             window.canvasRenderer.render();
         }
 
-        if (window.logEngine) {
-            window.logEngine.addLog(ueId, 'SUCCESS', 'PDU session RELEASED');
+        if (window.logEngine && released.length > 0) {
+            window.logEngine.addLog(ueId, 'SUCCESS', released.length === 1
+                ? `PDU session ${released[0]} RELEASED`
+                : `PDU sessions ${released.join(', ')} RELEASED`);
         }
     }
 
     // ==========================================
-    // PDU Session Establishment Message Flows
+    // UE Connection & Registration Management
     // ==========================================
 
-    async sendN1EstablishmentRequest(ue, amf, session) {
-        const messageId = this.generateMessageId();
-        const payload = {
-            messageType: 'PDU_SESSION_ESTABLISHMENT_REQUEST',
-            supi: `imsi-${ue.config.subscriberImsi}`,
-            pduSessionId: session.pduSessionId,
-            requestType: 'INITIAL_REQUEST',
-            snssai: { sst: ue.config.subscriberSst || 1 },
-            dnn: ue.config.subscriberDnn || '5G-Lab'
-        };
+    /**
+     * Get or create the NAS context (CM/RM state) for a UE.
+     * New contexts are seeded from the UE config so that pre-deployed
+     * topologies (which already carry a PDU session) start consistent.
+     * @param {string} ueId - UE ID
+     * @returns {Object} UE context
+     */
+    getUEContext(ueId) {
+        if (!this.ueContexts.has(ueId)) {
+            const ue = window.dataStore?.getNFById(ueId);
+            const registered = ue?.config?.registrationStatus === 'REGISTERED' || this.getPDUSessions(ue).length > 0;
 
-        if (window.logEngine) {
-            window.logEngine.addLog(ue.id, 'INFO', 'N1: PDU Session Establishment Request → AMF', {
-                messageId,
-                interface: 'N1',
-                direction: 'request',
-                json: payload
+            this.ueContexts.set(ueId, {
+                ueId: ueId,
+                rmState: ue?.config?.rmState || (registered ? this.RM_STATES.REGISTERED : this.RM_STATES.DEREGISTERED),
+                cmState: ue?.config?.cmState || (registered ? this.CM_STATES.CONNECTED : this.CM_STATES.IDLE),
+                lastTransition: null,
+                history: []
             });
+
+            if (this.ueContexts.get(ueId).cmState === this.CM_STATES.CONNECTED) {
+                this.startInactivityTimer(ueId);
+            }
         }
+        return this.ueContexts.get(ueId);
+    }
 
-        await this.animatePacket(ue.id, amf.id, 'N1', 'request', payload, messageId);
-        await this.delay(800);
+    /**
+     * Get the NAS context of a UE without creating one (for render code,
+     * which must not start timers or change NAS state)
+     * @param {string} ueId - UE ID
+     * @returns {Object|null} UE context, null if the UE has none yet
+     */
+    peekUEContext(ueId) {
+        return this.ueContexts.get(ueId) || null;
     }
 
-    async sendNsmfPDUSessionCreate(amf, smf, ue, session) {
-        const messageId = this.generateMessageId();
-        const payload = {
-            supi: `imsi-${ue.config.subscriberImsi}`,
-            pduSessionId: session.pduSessionId,
-            dnn: ue.config.subscriberDnn || '5G-Lab',
-            snssai: { sst: ue.config.subscriberSst || 1 },
-            requestType: 'INITIAL_REQUEST',
-            servingNfId: amf.id,
-            anType: '3GPP_ACCESS'
-        };
+    /**
+     * Get CM state for UE
+     * @param {string} ueId - UE ID
+     * @returns {string} CM-IDLE or CM-CONNECTED
+     */
+    getCMState(ueId) {
+        return this.getUEContext(ueId).cmState;
+    }
 
-        if (window.logEngine) {
-            window.logEngine.addLog(amf.id, 'INFO', 'Nsmf_PDUSession_Create (HTTP/2 POST) → SMF', {
-                messageId,
-                interface: 'Nsmf_PDUSession',
-                method: 'POST',
-                direction: 'request',
-                json: payload
-            });
-        }
+    /**
+     * Get RM state for UE
+     * @param {string} ueId - UE ID
+     * @returns {string} RM-REGISTERED or RM-DEREGISTERED
+     */
+    getRMState(ueId) {
+        return this.getUEContext(ueId).rmState;
+    }
 
-        await this.animatePacket(amf.id, smf.id, 'Nsmf_PDUSession', 'request', payload, messageId);
-        await this.delay(400);
+    /**
+     * Change CM state of a UE
+     * @param {string} ueId - UE ID
+     * @param {string} state - Target CM state
+     * @param {string} trigger - Procedure that caused the transition
+     */
+    setCMState(ueId, state, trigger) {
+        this.transitionUEState(ueId, 'cmState', state, trigger);
     }
 
-    async sendN4SessionEstablishment(smf, upf, ue, session) {
-        const messageId = this.generateMessageId();
-        const requestPayload = {
-            pduSessionId: session.pduSessionId,
-            ueIpAllocation: true,
-            qos: {
-                '5qi': 9,
-                arp: { priorityLevel: 1, preemptCap: 'NOT_PREEMPT', preemptVuln: 'NOT_PREEMPTABLE' }
-            },
-            createFar: { forwardingParameters: { destinationInterface: 'ACCESS' } },
-            createPdr: { pdi: { sourceInterface: 'CORE' } }
-        };
+    /**
+     * Change RM state of a UE
+     * @param {string} ueId - UE ID
+     * @param {string} state - Target RM state
+     * @param {string} trigger - Procedure that caused the transition
+     */
+    setRMState(ueId, state, trigger) {
+        this.transitionUEState(ueId, 'rmState', state, trigger);
+    }
 
-        if (window.logEngine) {
-            window.logEngine.addLog(smf.id, 'INFO', 'N4 Session Establishment Request → UPF', {
-                messageId,
-                interface: 'N4',
-                protocol: 'PFCP',
-                direction: 'request',
-                json: requestPayload
-            });
-        }
+    /**
+     * Apply a CM/RM transition, mirror it into UE config and notify listeners
+     * @param {string} ueId - UE ID
+     * @param {string} key - 'cmState' or 'rmState'
+     * @param {string} state - New state
+     * @param {string} trigger - Procedure that caused the transition
+     */
+    transitionUEState(ueId, key, state, trigger) {
+        const context = this.getUEContext(ueId);
+        const previous = context[key];
+        if (previous === state) return;
 
-        await this.animatePacket(smf.id, upf.id, 'N4', 'request', requestPayload, messageId);
-        await this.delay(1200);
+        context[key] = state;
+        context.lastTransition = { key, from: previous, to: state, trigger, timestamp: Date.now() };
+        context.history.push(context.lastTransition);
 
-        // Allocate UE IP from UPF
-        const assignedIP = this.allocateUEIP(upf, ue);
-        const tunnelId = `gtp-${1000 + Math.floor(Math.random() * 9000)}`;
+        const ue = window.dataStore?.getNFById(ueId);
+        if (ue) {
+            ue.config[key] = state;
+            window.dataStore?.updateNF(ueId, ue);
+        }
 
-        const responseMessageId = this.generateMessageId();
-        const responsePayload = {
-            status: 'SUCCESS',
-            cause: 'REQUEST_ACCEPTED',
-            ueIp: assignedIP,
-            tunnelId: tunnelId,
-            f_teid: {
-                teid: Math.floor(Math.random() * 4294967295),
-                ipv4Address: upf.config.ipAddress
-            }
-        };
+        console.log(`🔁 ${ue?.name || ueId}: ${previous} → ${state} (${trigger})`);
 
         if (window.logEngine) {
-            window.logEngine.addLog(upf.id, 'SUCCESS', 'N4 Session Establishment Response → SMF', {
-                messageId: responseMessageId,
-                interface: 'N4',
-                direction: 'response',
-                json: responsePayload
+            window.logEngine.addLog(ueId, 'INFO', `NAS state: ${previous} ⇒ ${state}`, {
+                trigger: trigger,
+                cmState: context.cmState,
+                rmState: context.rmState
             });
         }
 
-        await this.animatePacket(upf.id, smf.id, 'N4', 'response', responsePayload, responseMessageId);
-        await this.delay(800);
+        // Inactivity supervision only runs while the UE is CM-CONNECTED
+        if (key === 'cmState') {
+            if (state === this.CM_STATES.CONNECTED) {
+                this.startInactivityTimer(ueId);
+            } else {
+                this.stopInactivityTimer(ueId);
+            }
+        }
 
-        return { ueIp: assignedIP, tunnelId };
+        this.notifyListeners(key === 'cmState' ? 'cmStateChange' : 'rmStateChange', { ueId, state, previous, trigger });
+
+        if (window.canvasRenderer) {
+            window.canvasRenderer.render();
+        }
     }
 
-    async sendPDUSessionAccept(smf, amf, ue, session) {
-        const messageId = this.generateMessageId();
-        const payload = {
-            pduSessionId: session.pduSessionId,
-            pduSessionType: 'IPV4',
-            sscMode: 'SSC_MODE_1',
-            sessionAmbr: { uplink: '100 Mbps', downlink: '100 Mbps' },
-            allocatedIpAddress: session.assignedIP,
-            qosFlowsSetupList: [{
-                qfi: 1,
-                '5qi': 9,
-                arp: { priorityLevel: 1 }
-            }]
-        };
+    /**
+     * Registration Accept received: UE is registered and keeps its N1 signalling connection
+     * @param {string} ueId - UE ID
+     * @param {string} trigger - Registration type
+     */
+    onRegistrationAccept(ueId, trigger = 'Initial Registration') {
+        this.setRMState(ueId, this.RM_STATES.REGISTERED, trigger);
+        this.setCMState(ueId, this.CM_STATES.CONNECTED, trigger);
+    }
 
-        if (window.logEngine) {
-            window.logEngine.addLog(smf.id, 'INFO', 'PDU Session Accept → AMF', {
-                messageId,
-                interface: 'Nsmf_PDUSession',
-                direction: 'response',
-                json: payload
-            });
+    /**
+     * AN Release completed: N1/N2 signalling connection torn down
+     * @param {string} ueId - UE ID
+     */
+    onANRelease(ueId) {
+        this.setCMState(ueId, this.CM_STATES.IDLE, 'AN Release');
+    }
+
+    /**
+     * Service Accept received: signalling connection re-established from CM-IDLE
+     * @param {string} ueId - UE ID
+     */
+    onServiceAccept(ueId) {
+        this.setCMState(ueId, this.CM_STATES.CONNECTED, 'Service Request');
+    }
+
+    /**
+     * Deregistration completed: UE context released in AMF
+     * @param {string} ueId - UE ID
+     * @param {string} trigger - Deregistration type
+     */
+    onDeregistration(ueId, trigger = 'Deregistration') {
+        // RM first, so NAS timers are not started for the moment the UE is idle but registered
+        this.setRMState(ueId, this.RM_STATES.DEREGISTERED, trigger);
+        this.setCMState(ueId, this.CM_STATES.IDLE, trigger);
+
+        // The AMF no longer holds a registration area for the UE
+        const ue = window.dataStore?.getNFById(ueId);
+        if (ue?.config.registrationArea) {
+            delete ue.config.registrationArea;
+            window.dataStore.updateNF(ueId, ue);
         }
+    }
 
-        await this.animatePacket(smf.id, amf.id, 'Nsmf_PDUSession', 'response', payload, messageId);
-        await this.delay(800);
+    /**
+     * Implicit deregistration by the AMF (TS 24.501 5.3.7): the UE stayed
+     * unreachable, so its PDU sessions are released locally without NAS signalling
+     * @param {string} ueId - UE ID
+     */
+    onImplicitDeregistration(ueId) {
+        const ue = window.dataStore?.getNFById(ueId);
+
+        if (ue) {
+            if (this.getPDUSessions(ue).length > 0) {
+                this.cleanupSession(ueId);
+            }
+            this.onDeregistration(ueId, 'Implicit Deregistration');
+            return;
+        }
+
+        // UE already removed from the topology: free the addresses UPFs still hold for it
+        (window.dataStore?.getAllNFs() || []).forEach(nf => {
+            if (nf.type === 'UPF') {
+                this.releaseUEIP(nf, ueId);
+            }
+        });
     }
 
-    async sendN1SessionAccept(amf, ue, session) {
-        const messageId = this.generateMessageId();
-        const payload = {
-            messageType: 'PDU_SESSION_ESTABLISHMENT_ACCEPT',
-            pduSessionId: session.pduSessionId,
-            pduSessionType: 'IPV4',
-            sscMode: 'SSC_MODE_1',
-            pduAddress: session.assignedIP,
-            dnn: ue.config.subscriberDnn || '5G-Lab',
-            qosRules: [{ qri: 1, qfi: 1, dqrBit: true }]
-        };
+    /**
+     * Forget all state held for a UE (called when the UE is removed)
+     * @param {string} ueId - UE ID
+     */
+    removeUE(ueId) {
+        this.stopInactivityTimer(ueId);
+        this.anReleaseInProgress.delete(ueId);
+        this.registrationUpdatesInProgress.delete(ueId);
+        this.handoversInProgress.delete(ueId);
+        this.deregistrationsInProgress.delete(ueId);
+        this.userPlaneInterruptions.delete(ueId);
+        this.sessions.delete(ueId);
+        this.ueContexts.delete(ueId);
+    }
+
+    // ==========================================
+    // UE Inactivity & AN Release
+    // ==========================================
+
+    /**
+     * Set the default inactivity period used for UEs without their own value
+     * @param {number} ms - Inactivity period in milliseconds
+     */
+    setInactivityTimeout(ms) {
+        this.inactivityTimeout = ms;
+        console.log(`⏱️ Default UE inactivity timer set to ${ms / 1000}s`);
+    }
+
+    /**
+     * Get the inactivity period for a UE
+     * @param {string} ueId - UE ID
+     * @returns {number} Inactivity period in milliseconds
+     */
+    getInactivityTimeout(ueId) {
+        const ue = window.dataStore?.getNFById(ueId);
+        const seconds = parseInt(ue?.config?.inactivityTimer);
+        return seconds > 0 ? seconds * 1000 : this.inactivityTimeout;
+    }
+
+    /**
+     * (Re)start the inactivity timer of a UE
+     * @param {string} ueId - UE ID
+     */
+    startInactivityTimer(ueId) {
+        this.stopInactivityTimer(ueId);
+
+        const handle = setTimeout(() => {
+            this.inactivityTimers.delete(ueId);
+            this.onInactivityTimerExpired(ueId);
+        }, this.getInactivityTimeout(ueId));
+
+        this.inactivityTimers.set(ueId, handle);
+    }
+
+    /**
+     * Stop the inactivity timer of a UE
+     * @param {string} ueId - UE ID
+     */
+    stopInactivityTimer(ueId) {
+        if (this.inactivityTimers.has(ueId)) {
+            clearTimeout(this.inactivityTimers.get(ueId));
+            this.inactivityTimers.delete(ueId);
+        }
+    }
+
+    /**
+     * Record user-plane traffic (ping/iperf3) for a UE, restarting its inactivity timer
+     * @param {string} ueId - UE ID
+     */
+    recordUserPlaneActivity(ueId) {
+        if (this.getCMState(ueId) === this.CM_STATES.CONNECTED) {
+            this.startInactivityTimer(ueId);
+        }
+    }
+
+    /**
+     * Inactivity timer expiry handler
+     * @param {string} ueId - UE ID
+     */
+    onInactivityTimerExpired(ueId) {
+        if (!window.dataStore?.getNFById(ueId)) return;
+        if (this.getCMState(ueId) !== this.CM_STATES.CONNECTED) return;
+
+        // Don't interrupt a running session procedure; check again later
+        const state = this.getSessionState(ueId);
+        if (state === this.STATES.ESTABLISHING || state === this.STATES.RELEASING) {
+            this.startInactivityTimer(ueId);
+            return;
+        }
 
         if (window.logEngine) {
-            window.logEngine.addLog(amf.id, 'INFO', 'N1: PDU Session Establishment Accept → UE', {
-                messageId,
-                interface: 'N1',
-                direction: 'response',
-                json: payload
+            window.logEngine.addLog(ueId, 'INFO', 'UE inactivity timer expired', {
+                inactivityTimer: `${this.getInactivityTimeout(ueId) / 1000}s`,
+                action: 'AN Release'
             });
         }
 
-        await this.animatePacket(amf.id, ue.id, 'N1', 'response', payload, messageId);
-        await this.delay(800);
+        this.performANRelease(ueId, 'USER_INACTIVITY');
+    }
+
+    /**
+     * Find the gNB a UE is camped on
+     * @param {string} ueId - UE ID
+     * @returns {Object|null} gNB NF
+     */
+    getServingGNB(ueId) {
+        const connections = window.dataStore?.getConnectionsForNF(ueId) || [];
+        for (const conn of connections) {
+            const otherId = conn.sourceId === ueId ? conn.targetId : conn.sourceId;
+            const other = window.dataStore?.getNFById(otherId);
+            if (other?.type === 'gNB' && other.status === 'stable') {
+                return other;
+            }
+        }
+        return null;
+    }
+
+    /**
+     * AN Release procedure (TS 23.502 4.2.6): release N2/RRC signalling and
+     * deactivate the user plane while keeping the PDU sessions established
+     * @param {string} ueId - UE ID
+     * @param {string} cause - NGAP release cause
+     * @returns {Promise<boolean>} Success status
+     */
+    async performANRelease(ueId, cause = 'USER_INACTIVITY') {
+        if (this.anReleaseInProgress.has(ueId)) return false;
+
+        const ue = window.dataStore?.getNFById(ueId);
+        if (!ue || this.getCMState(ueId) !== this.CM_STATES.CONNECTED) return false;
+
+        const gnb = this.getServingGNB(ueId);
+        const validation = this.validatePrerequisites(ueId);
+
+        // Without a gNB/core path the release is purely local
+        if (!gnb || !validation.valid) {
+            this.deactivateUserPlane(ueId);
+            this.onANRelease(ueId);
+            if (window.logEngine) {
+                window.logEngine.addLog(ueId, 'WARNING', 'AN Release performed locally', {
+                    reason: !gnb ? 'UE is not camped on a gNB' : validation.error
+                });
+            }
+            return true;
+        }
+
+        const { amf, smf, upf } = validation.nfs;
+        const pduSessions = this.getPDUSessions(ue);
+
+        this.anReleaseInProgress.add(ueId);
+        console.log(`📡 Starting AN Release for ${ue.name} (cause: ${cause})`);
+
+        try {
+            // Step 1: gNB → AMF: UE Context Release Request
+            await this.sendUEContextReleaseRequest(gnb, amf, ue, cause);
+
+            for (const pduSession of pduSessions) {
+                // Step 2: AMF → SMF: Nsmf_PDUSession_UpdateSMContext (deactivate UP)
+                await this.sendNsmfUpdateSMContextDeactivate(amf, smf, ue, pduSession);
+
+                // Step 3: SMF → UPF: N4 Session Modification (drop AN tunnel, buffer DL)
+                await this.sendN4SessionModificationDeactivate(smf, upf, ue, pduSession);
+
+                // Step 4: SMF → AMF: UpdateSMContext Response
+                await this.sendNsmfUpdateSMContextResponse(smf, amf, ue, pduSession, 'DEACTIVATED');
+            }
+
+            // Step 5: AMF → gNB → UE: UE Context Release Command / RRC Release / Complete
+            await this.sendUEContextRelease(amf, gnb, ue, cause);
+
+            this.deactivateUserPlane(ueId);
+            this.onANRelease(ueId);
+
+            console.log(`✅ AN Release completed for ${ue.name}`);
+
+            if (window.logEngine) {
+                window.logEngine.addLog(ueId, 'SUCCESS', 'AN Release complete - UE in CM-IDLE', {
+                    cause: cause,
+                    pduSessions: pduSessions.length > 0
+                        ? `${pduSessions.map(pduSession => pduSession.sessionId).join(', ')} ESTABLISHED (user plane deactivated)`
+                        : 'none'
+                });
+            }
+
+            return true;
+
+        } catch (error) {
+            console.error(`❌ AN Release failed:`, error);
+            if (window.logEngine) {
+                window.logEngine.addLog(ueId, 'ERROR', `AN Release failed: ${error.message}`);
+            }
+            return false;
+
+        } finally {
+            this.anReleaseInProgress.delete(ueId);
+        }
+    }
+
+    /**
+     * Mark the user plane of all the UE's PDU sessions as deactivated (N3 tunnels released)
+     * @param {string} ueId - UE ID
+     */
+    deactivateUserPlane(ueId) {
+        const ue = window.dataStore?.getNFById(ueId);
+        const pduSessions = this.getPDUSessions(ue);
+        if (pduSessions.length === 0) return;
+
+        pduSessions.forEach(pduSession => {
+            pduSession.upCnxState = 'DEACTIVATED';
+            if (pduSession.tunInterface) {
+                // Interface keeps its address but no longer carries traffic
+                pduSession.tunInterface.flags = this.getInterfaceFlags(pduSession.pduSessionType, false);
+            }
+        });
+        window.dataStore?.updateNF(ueId, ue);
+
+        this.notifyListeners('userPlaneChange', { ueId, active: false });
+    }
+
+    /**
+     * Mark the user plane of all the UE's PDU sessions as active again (N3 tunnels restored)
+     * @param {string} ueId - UE ID
+     */
+    activateUserPlane(ueId) {
+        const ue = window.dataStore?.getNFById(ueId);
+        const pduSessions = this.getPDUSessions(ue);
+        if (pduSessions.length === 0) return;
+
+        pduSessions.forEach(pduSession => {
+            pduSession.upCnxState = 'ACTIVATED';
+            if (pduSession.tunInterface) {
+                pduSession.tunInterface.flags = this.getInterfaceFlags(pduSession.pduSessionType);
+            }
+        });
+        window.dataStore?.updateNF(ueId, ue);
+
+        this.notifyListeners('userPlaneChange', { ueId, active: true });
+    }
+
+    /**
+     * Check whether the UE's PDU session user plane is active
+     * @param {string} ueId - UE ID
+     * @returns {boolean} True if PDU sessions exist and their user plane is up
+     */
+    isUserPlaneActive(ueId) {
+        const pduSessions = this.getPDUSessions(window.dataStore?.getNFById(ueId));
+        return pduSessions.length > 0 && pduSessions.every(pduSession => pduSession.upCnxState !== 'DEACTIVATED');
     }
 
     // ==========================================
-    // PDU Session Release Message Flows
+    // PDU Session Establishment Message Flows
     // ==========================================
 
-    async sendN1ReleaseRequest(ue, amf, session) {
+    async sendN1EstablishmentRequest(ue, amf, session) {
         const messageId = this.generateMessageId();
         const payload = {
-            messageType: 'PDU_SESSION_RELEASE_REQUEST',
+            messageType: 'PDU_SESSION_ESTABLISHMENT_REQUEST',
+            supi: `imsi-${ue.config.subscriberImsi}`,
             pduSessionId: session.pduSessionId,
-            cause: 'REGULAR_DEACTIVATION'
+            requestType: 'INITIAL_REQUEST',
+            pduSessionType: session.pduSessionType || this.PDU_SESSION_TYPES.IPV4,
+            sscMode: this.SSC_MODES[session.sscMode || 1],
+            ...(session.oldPduSessionId && { oldPduSessionId: session.oldPduSessionId }),
+            snssai: { sst: session.sst },
+            dnn: session.dnn
         };
 
         if (window.logEngine) {
-            window.logEngine.addLog(ue.id, 'INFO', 'N1: PDU Session Release Request → AMF', {
+            window.logEngine.addLog(ue.id, 'INFO', 'N1: PDU Session Establishment Request → AMF', {
                 messageId,
                 interface: 'N1',
                 direction: 'request',
@@ -634,16 +1416,20 @@ class SessionManager {
         await this.delay(800);
     }
 
-    async sendNsmfPDUSessionRelease(amf, smf, ue, session) {
+    async sendNsmfPDUSessionCreate(amf, smf, ue, session) {
         const messageId = this.generateMessageId();
         const payload = {
             supi: `imsi-${ue.config.subscriberImsi}`,
             pduSessionId: session.pduSessionId,
-            cause: 'REL_DUE_TO_UE_INITIATED'
+            dnn: session.dnn,
+            snssai: { sst: session.sst },
+            requestType: 'INITIAL_REQUEST',
+            servingNfId: amf.id,
+            anType: '3GPP_ACCESS'
         };
 
         if (window.logEngine) {
-            window.logEngine.addLog(amf.id, 'INFO', 'Nsmf_PDUSession_Release (HTTP/2 POST) → SMF', {
+            window.logEngine.addLog(amf.id, 'INFO', 'Nsmf_PDUSession_Create (HTTP/2 POST) → SMF', {
                 messageId,
                 interface: 'Nsmf_PDUSession',
                 method: 'POST',
@@ -656,38 +1442,50 @@ class SessionManager {
         await this.delay(400);
     }
 
-    async sendN4SessionRelease(smf, upf, ue, session) {
+    async sendN4SessionEstablishment(smf, upf, ue, session, assignedIP) {
+        const pfcpManager = window.pfcpManager;
+        const pfcpSession = pfcpManager.buildSession(upf, smf, ue, {
+            sessionId: session.pduSessionId,
+            dnn: session.dnn,
+            pduSessionType: session.pduSessionType,
+            assignedIP,
+            ipv6Prefix: session.ipv6Prefix || null
+        });
+
         const messageId = this.generateMessageId();
-        const payload = {
-            pduSessionId: session.pduSessionId,
-            cause: 'SESSION_CONTEXT_DELETED',
-            releaseTunnelId: session.tunnelId
-        };
+        const requestPayload = pfcpManager.buildEstablishmentIEs(pfcpSession, smf);
 
         if (window.logEngine) {
-            window.logEngine.addLog(smf.id, 'INFO', 'N4 Session Release Request → UPF', {
+            window.logEngine.addLog(smf.id, 'INFO', 'N4 Session Establishment Request → UPF', {
                 messageId,
                 interface: 'N4',
                 protocol: 'PFCP',
                 direction: 'request',
-                json: payload
+                json: requestPayload
             });
         }
 
-        await this.animatePacket(smf.id, upf.id, 'N4', 'request', payload, messageId);
-        await this.delay(400);
+        await this.animatePacket(smf.id, upf.id, 'N4', 'request', requestPayload, messageId);
+        await this.delay(1200);
+
+        // UPF installs the rules and allocates the N3 F-TEID of the uplink PDR
+        pfcpManager.installSession(upf, pfcpSession);
+        const tunnelId = pfcpManager.formatId(pfcpSession.localFTeid.teid);
 
-        // UPF confirms release
         const responseMessageId = this.generateMessageId();
         const responsePayload = {
             status: 'SUCCESS',
             cause: 'REQUEST_ACCEPTED',
-            freedIp: session.assignedIP,
-            freedTunnelId: session.tunnelId
+            nodeId: upf.config.ipAddress,
+            upFSeid: { seid: pfcpManager.formatId(pfcpSession.seid), ipv4Address: upf.config.ipAddress },
+            ...(assignedIP && { ueIp: assignedIP }),
+            createdPdr: pfcpSession.pdrs
+                .filter(pdr => pdr.pdi.localFTeid)
+                .map(pdr => ({ pdrId: pdr.pdrId, localFTeid: { teid: tunnelId, ipv4Address: pdr.pdi.localFTeid.ipv4Address } }))
         };
 
         if (window.logEngine) {
-            window.logEngine.addLog(upf.id, 'SUCCESS', 'N4 Session Release Response → SMF', {
+            window.logEngine.addLog(upf.id, 'SUCCESS', 'N4 Session Establishment Response → SMF', {
                 messageId: responseMessageId,
                 interface: 'N4',
                 direction: 'response',
@@ -697,17 +1495,227 @@ class SessionManager {
 
         await this.animatePacket(upf.id, smf.id, 'N4', 'response', responsePayload, responseMessageId);
         await this.delay(800);
+
+        return { ueIp: assignedIP, tunnelId };
     }
 
-    async sendReleaseConfirmation(smf, amf, ue, session) {
+    async sendPDUSessionAccept(smf, amf, ue, session) {
         const messageId = this.generateMessageId();
         const payload = {
             pduSessionId: session.pduSessionId,
-            status: 'RELEASED'
+            pduSessionType: session.pduSessionType || this.PDU_SESSION_TYPES.IPV4,
+            sscMode: this.SSC_MODES[session.sscMode || 1],
+            sessionAmbr: { uplink: '100 Mbps', downlink: '100 Mbps' },
+            ...(session.assignedIP && { allocatedIpAddress: session.assignedIP }),
+            ...(session.ipv6Prefix && { ipv6Prefix: session.ipv6Prefix }),
+            qosFlowsSetupList: [{
+                qfi: 1,
+                '5qi': 9,
+                arp: { priorityLevel: 1 }
+            }]
         };
 
         if (window.logEngine) {
-            window.logEngine.addLog(smf.id, 'INFO', 'PDU Session Release Confirmation → AMF', {
+            window.logEngine.addLog(smf.id, 'INFO', 'PDU Session Accept → AMF', {
+                messageId,
+                interface: 'Nsmf_PDUSession',
+                direction: 'response',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(smf.id, amf.id, 'Nsmf_PDUSession', 'response', payload, messageId);
+        await this.delay(800);
+    }
+
+    async sendN1SessionAccept(amf, ue, session) {
+        const messageId = this.generateMessageId();
+        const payload = {
+            messageType: 'PDU_SESSION_ESTABLISHMENT_ACCEPT',
+            pduSessionId: session.pduSessionId,
+            pduSessionType: session.pduSessionType || this.PDU_SESSION_TYPES.IPV4,
+            sscMode: this.SSC_MODES[session.sscMode || 1],
+            ...(this.isIPSessionType(session.pduSessionType) && { pduAddress: this.buildPDUAddress(ue, session) }),
+            ...(session.pduSessionTypeCause && { cause: { code: session.pduSessionTypeCause.code, name: session.pduSessionTypeCause.name } }),
+            dnn: session.dnn,
+            snssai: { sst: session.sst },
+            qosRules: [{ qri: 1, qfi: 1, dqrBit: true }]
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf.id, 'INFO', 'N1: PDU Session Establishment Accept → UE', {
+                messageId,
+                interface: 'N1',
+                direction: 'response',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(amf.id, ue.id, 'N1', 'response', payload, messageId);
+        await this.delay(800);
+    }
+
+    /**
+     * SMF rejects the establishment: CreateSMContext error carrying the
+     * N1 PDU Session Establishment Reject, relayed by the AMF to the UE
+     * @param {Object} smf - SMF NF
+     * @param {Object} amf - AMF NF
+     * @param {Object} ue - UE NF
+     * @param {Object} session - Session context
+     * @param {Object} cause - Entry of SM_CAUSES
+     */
+    async sendPDUSessionEstablishmentReject(smf, amf, ue, session, cause) {
+        const n1SmMsg = {
+            messageType: 'PDU_SESSION_ESTABLISHMENT_REJECT',
+            pduSessionId: session.pduSessionId,
+            '5gsmCause': `#${cause.code} ${cause.name}`
+        };
+
+        // The AMF rejects on its own (no SMF leg) when the slice is not allowed
+        if (smf) {
+            const messageId = this.generateMessageId();
+            const payload = {
+                status: cause.httpStatus,
+                problemDetails: { cause: cause.sbiCause, detail: `DNN ${session.dnn}, SST ${session.sst}` },
+                n1SmMsg: n1SmMsg
+            };
+
+            if (window.logEngine) {
+                window.logEngine.addLog(smf.id, 'ERROR', `Nsmf_PDUSession_Create Response (${cause.httpStatus}) → AMF`, {
+                    messageId,
+                    interface: 'Nsmf_PDUSession',
+                    direction: 'response',
+                    json: payload
+                });
+            }
+
+            await this.animatePacket(smf.id, amf.id, 'Nsmf_PDUSession', 'response', payload, messageId, { error: true });
+            await this.delay(400);
+        }
+
+        const n1MessageId = this.generateMessageId();
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf.id, 'ERROR', 'N1: PDU Session Establishment Reject → UE', {
+                messageId: n1MessageId,
+                interface: 'N1',
+                direction: 'response',
+                json: n1SmMsg
+            });
+        }
+
+        await this.animatePacket(amf.id, ue.id, 'N1', 'response', n1SmMsg, n1MessageId, { error: true });
+        await this.delay(400);
+    }
+
+    // ==========================================
+    // PDU Session Release Message Flows
+    // ==========================================
+
+    async sendN1ReleaseRequest(ue, amf, session) {
+        const messageId = this.generateMessageId();
+        const payload = {
+            messageType: 'PDU_SESSION_RELEASE_REQUEST',
+            pduSessionId: session.pduSessionId,
+            cause: 'REGULAR_DEACTIVATION'
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(ue.id, 'INFO', 'N1: PDU Session Release Request → AMF', {
+                messageId,
+                interface: 'N1',
+                direction: 'request',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(ue.id, amf.id, 'N1', 'request', payload, messageId);
+        await this.delay(800);
+    }
+
+    async sendNsmfPDUSessionRelease(amf, smf, ue, session) {
+        const messageId = this.generateMessageId();
+        const payload = {
+            supi: `imsi-${ue.config.subscriberImsi}`,
+            pduSessionId: session.pduSessionId,
+            cause: 'REL_DUE_TO_UE_INITIATED'
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf.id, 'INFO', 'Nsmf_PDUSession_Release (HTTP/2 POST) → SMF', {
+                messageId,
+                interface: 'Nsmf_PDUSession',
+                method: 'POST',
+                direction: 'request',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(amf.id, smf.id, 'Nsmf_PDUSession', 'request', payload, messageId);
+        await this.delay(400);
+    }
+
+    async sendN4SessionRelease(smf, upf, ue, session) {
+        // The PFCP session lives in the UPF anchoring the PDU session
+        const anchorUpf = (session.upfId && window.dataStore?.getNFById(session.upfId)) || upf;
+        const pfcpSession = window.pfcpManager?.findSession(anchorUpf, ue.id, session.pduSessionId);
+
+        const messageId = this.generateMessageId();
+        const payload = {
+            pduSessionId: session.pduSessionId,
+            ...(pfcpSession && { seid: window.pfcpManager.formatId(pfcpSession.seid) }),
+            cause: 'SESSION_CONTEXT_DELETED',
+            releaseTunnelId: pfcpSession ? window.pfcpManager.formatId(pfcpSession.localFTeid.teid) : session.tunnelId
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(smf.id, 'INFO', 'N4 Session Release Request → UPF', {
+                messageId,
+                interface: 'N4',
+                protocol: 'PFCP',
+                direction: 'request',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(smf.id, upf.id, 'N4', 'request', payload, messageId);
+        await this.delay(400);
+
+        // UPF removes the rules and closes the URRs with a final usage report
+        const usageReport = window.pfcpManager?.deleteSession(anchorUpf, ue.id, session.pduSessionId) || [];
+
+        // UPF confirms release
+        const responseMessageId = this.generateMessageId();
+        const responsePayload = {
+            status: 'SUCCESS',
+            cause: 'REQUEST_ACCEPTED',
+            freedIp: session.assignedIP,
+            freedTunnelId: payload.releaseTunnelId,
+            ...(usageReport.length > 0 && { usageReport })
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(upf.id, 'SUCCESS', 'N4 Session Release Response → SMF', {
+                messageId: responseMessageId,
+                interface: 'N4',
+                direction: 'response',
+                json: responsePayload
+            });
+        }
+
+        await this.animatePacket(upf.id, smf.id, 'N4', 'response', responsePayload, responseMessageId);
+        await this.delay(800);
+    }
+
+    async sendReleaseConfirmation(smf, amf, ue, session) {
+        const messageId = this.generateMessageId();
+        const payload = {
+            pduSessionId: session.pduSessionId,
+            status: 'RELEASED'
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(smf.id, 'INFO', 'PDU Session Release Confirmation → AMF', {
                 messageId,
                 interface: 'Nsmf_PDUSession',
                 direction: 'response',
@@ -727,55 +1735,2611 @@ class SessionManager {
         };
 
         if (window.logEngine) {
-            window.logEngine.addLog(amf.id, 'INFO', 'N1: PDU Session Release Complete → UE', {
-                messageId,
-                interface: 'N1',
+            window.logEngine.addLog(amf.id, 'INFO', 'N1: PDU Session Release Complete → UE', {
+                messageId,
+                interface: 'N1',
+                direction: 'response',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(amf.id, ue.id, 'N1', 'response', payload, messageId);
+        await this.delay(800);
+    }
+
+    // ==========================================
+    // UE-triggered Service Request
+    // ==========================================
+
+    /**
+     * UE-triggered Service Request (TS 23.502 4.2.3.2): bring an idle UE back
+     * to CM-CONNECTED and re-activate the user plane of its PDU sessions.
+     * Concurrent callers for the same UE share one procedure run.
+     * @param {string} ueId - UE ID
+     * @param {string} serviceType - NAS service type
+     * @returns {Promise<Object>} {success, latency, error}
+     */
+    performServiceRequest(ueId, serviceType = 'mobileData') {
+        if (this.serviceRequestsInProgress.has(ueId)) {
+            return this.serviceRequestsInProgress.get(ueId);
+        }
+
+        const procedure = this.runServiceRequest(ueId, serviceType)
+            .finally(() => this.serviceRequestsInProgress.delete(ueId));
+        this.serviceRequestsInProgress.set(ueId, procedure);
+        return procedure;
+    }
+
+    /**
+     * Service Request message sequence
+     * @param {string} ueId - UE ID
+     * @param {string} serviceType - NAS service type
+     * @returns {Promise<Object>} {success, latency, error}
+     */
+    async runServiceRequest(ueId, serviceType) {
+        // Paging responses are sent with the mobile-terminated establishment cause
+        const establishmentCause = serviceType === 'mobileTerminatedServices' ? 'mt-Access' : 'mo-Data';
+
+        const ue = window.dataStore?.getNFById(ueId);
+        if (!ue) {
+            return { success: false, latency: 0, error: 'UE not found' };
+        }
+
+        const fail = (error) => {
+            console.error(`❌ Service Request failed for ${ue.name}: ${error}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(ueId, 'ERROR', `Service Request failed: ${error}`);
+            }
+            return { success: false, latency: 0, error };
+        };
+
+        if (this.getRMState(ueId) !== this.RM_STATES.REGISTERED) {
+            return fail('UE is RM-DEREGISTERED (Service Reject: UE identity cannot be derived)');
+        }
+
+        const pduSessions = this.getPDUSessions(ue);
+        if (pduSessions.length === 0) {
+            return fail('No PDU session to re-activate');
+        }
+
+        const gnb = this.getServingGNB(ueId);
+        if (!gnb) {
+            return fail('UE is not camped on a gNB');
+        }
+
+        const validation = this.validatePrerequisites(ueId);
+        if (!validation.valid) {
+            return fail(validation.error);
+        }
+
+        const { amf, smf, upf } = validation.nfs;
+        let latency = 0;
+
+        console.log(`📡 Starting Service Request for ${ue.name}`);
+
+        try {
+            // Step 1: UE ↔ gNB: RRC Setup Request / Setup / Setup Complete
+            await this.sendRRCSetup(ue, gnb, establishmentCause);
+            latency += 3 * this.HOP_LATENCY.RRC;
+
+            // Step 2: UE → AMF: NAS Service Request
+            await this.sendNASServiceRequest(ue, amf, serviceType);
+            latency += this.HOP_LATENCY.N1;
+
+            // Step 3: AMF ↔ SMF: UpdateSMContext (activate UP connection) per PDU session.
+            // The AMF contacts the SMF contexts in parallel, so they add one round trip.
+            for (const pduSession of pduSessions) {
+                await this.sendNsmfUpdateSMContextActivate(amf, smf, ue, pduSession);
+                await this.sendNsmfUpdateSMContextResponse(smf, amf, ue, pduSession, 'ACTIVATING');
+            }
+            latency += 2 * this.HOP_LATENCY.Nsmf;
+
+            // Step 4: AMF → gNB: Initial Context Setup (+ RRC Reconfiguration)
+            await this.sendInitialContextSetup(amf, gnb, ue, upf);
+            latency += 2 * this.HOP_LATENCY.N2 + 2 * this.HOP_LATENCY.RRC;
+
+            for (const pduSession of pduSessions) {
+                // Step 5: AMF → SMF: UpdateSMContext with gNB N3 tunnel info
+                await this.sendNsmfUpdateSMContextANInfo(amf, smf, ue, pduSession, gnb);
+
+                // Step 6: SMF → UPF: N4 Session Modification (forward to gNB)
+                await this.sendN4SessionModificationActivate(smf, upf, ue, pduSession, gnb);
+
+                // Step 7: SMF → AMF: UpdateSMContext Response
+                await this.sendNsmfUpdateSMContextResponse(smf, amf, ue, pduSession, 'ACTIVATED');
+            }
+            latency += 2 * this.HOP_LATENCY.Nsmf + 2 * this.HOP_LATENCY.N4;
+
+            this.activateUserPlane(ueId);
+            this.onServiceAccept(ueId);
+
+            console.log(`✅ Service Request completed for ${ue.name} (${latency}ms)`);
+
+            if (window.logEngine) {
+                window.logEngine.addLog(ueId, 'SUCCESS', 'Service Request complete - user plane re-activated', {
+                    serviceType: serviceType,
+                    pduSessionIds: pduSessions.map(pduSession => pduSession.sessionId),
+                    procedureLatency: `${latency}ms`
+                });
+            }
+
+            return { success: true, latency, error: null };
+
+        } catch (error) {
+            return fail(error.message);
+        }
+    }
+
+    // ==========================================
+    // Network-triggered Service Request (Paging)
+    // ==========================================
+
+    /**
+     * Deliver downlink data to a UE, paging it first if it is CM-IDLE
+     * (TS 23.502 4.2.3.3). Concurrent callers for the same UE share one run.
+     * @param {string} ueId - UE ID
+     * @param {string|null} sourceId - NF the downlink data comes from (e.g. ext-dn)
+     * @param {string|null} ueIp - Destination address, selects the PDU session (first one if omitted)
+     * @returns {Promise<Object>} {success, latency, error}
+     */
+    performPaging(ueId, sourceId = null, ueIp = null) {
+        if (this.pagingInProgress.has(ueId)) {
+            return this.pagingInProgress.get(ueId);
+        }
+
+        const procedure = this.runPaging(ueId, sourceId, ueIp)
+            .finally(() => this.pagingInProgress.delete(ueId));
+        this.pagingInProgress.set(ueId, procedure);
+        return procedure;
+    }
+
+    /**
+     * Get the gNBs that make up a UE's registration area
+     * (stable gNBs of the serving AMF whose TAI is in the UE's TAI list)
+     * @param {string} ueId - UE ID
+     * @param {Object} amf - Serving AMF
+     * @returns {Array} gNB NFs
+     */
+    getRegistrationAreaGNBs(ueId, amf) {
+        const ue = window.dataStore?.getNFById(ueId);
+        return window.mobilityManager?.getRegistrationAreaGNBs(ue, amf) || [];
+    }
+
+    /**
+     * Paging message sequence
+     * @param {string} ueId - UE ID
+     * @param {string|null} sourceId - NF the downlink data comes from
+     * @param {string|null} ueIp - Destination address of the downlink data
+     * @returns {Promise<Object>} {success, latency, error}
+     */
+    async runPaging(ueId, sourceId, ueIp) {
+        const ue = window.dataStore?.getNFById(ueId);
+        if (!ue) {
+            return { success: false, latency: 0, error: 'UE not found' };
+        }
+
+        if (this.isUserPlaneActive(ueId)) {
+            return { success: true, latency: 0, error: null };
+        }
+
+        const fail = (error) => {
+            console.error(`❌ Paging failed for ${ue.name}: ${error}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(ueId, 'ERROR', `Downlink data delivery failed: ${error}`);
+            }
+            return { success: false, latency: 0, error };
+        };
+
+        const pduSession = (ueIp && this.findPDUSessionByIP(ue, ueIp)) || this.getPDUSessions(ue)[0];
+        if (!pduSession) {
+            return fail('No PDU session for downlink data');
+        }
+
+        if (this.getRMState(ueId) !== this.RM_STATES.REGISTERED) {
+            return fail('UE is RM-DEREGISTERED - N1N2MessageTransfer rejected');
+        }
+
+        if (window.nasTimerManager?.isUnreachable(ueId)) {
+            return fail('UE is unreachable (mobile reachable timer expired) - paging suppressed');
+        }
+
+        const validation = this.validatePrerequisites(ueId);
+        if (!validation.valid) {
+            return fail(validation.error);
+        }
+
+        const { amf, smf, upf } = validation.nfs;
+
+        // UE is already connected (only its user plane is down): no paging needed
+        if (this.getCMState(ueId) === this.CM_STATES.CONNECTED) {
+            return this.performServiceRequest(ueId, 'mobileTerminatedServices');
+        }
+
+        let latency = 0;
+        console.log(`📡 Downlink data for idle ${ue.name} - starting paging`);
+
+        try {
+            // Step 1: Downlink data arrives at UPF and is buffered
+            if (sourceId) {
+                await this.animatePacket(sourceId, upf.id, 'N6', 'request', {
+                    direction: 'downlink',
+                    destination: pduSession.assignedIP,
+                    protocol: 'ICMP/TCP'
+                }, this.generateMessageId());
+            }
+
+            if (window.logEngine) {
+                window.logEngine.addLog(upf.id, 'INFO', 'Downlink data buffered - no N3 tunnel for UE', {
+                    ueIp: pduSession.assignedIP,
+                    pduSessionId: pduSession.sessionId,
+                    farAction: 'BUFF'
+                });
+            }
+
+            // Step 2: UPF → SMF: N4 Session Report (Downlink Data Notification)
+            await this.sendDownlinkDataReport(upf, smf, ue, pduSession);
+            latency += 2 * this.HOP_LATENCY.N4;
+
+            // Step 3: SMF → AMF: Namf_Communication_N1N2MessageTransfer
+            await this.sendN1N2MessageTransfer(smf, amf, ue, pduSession);
+            latency += 2 * this.HOP_LATENCY.Nsmf;
+
+            // Step 4: AMF pages all gNBs in the registration area (T3513 supervised)
+            const attempts = this.maxPagingRetransmissions + 1;
+            let reached = false;
+
+            for (let attempt = 1; attempt <= attempts && !reached; attempt++) {
+                const gnbs = this.getRegistrationAreaGNBs(ueId, amf);
+                if (gnbs.length === 0) {
+                    throw new Error('No gNB in the UE registration area');
+                }
+
+                if (window.logEngine) {
+                    window.logEngine.addLog(amf.id, attempt === 1 ? 'INFO' : 'WARNING',
+                        attempt === 1 ? `Paging ${ue.name} (attempt 1/${attempts})` : `Paging retransmission for ${ue.name} (attempt ${attempt}/${attempts})`, {
+                        gNBs: gnbs.map(g => g.name),
+                        t3513: `${this.pagingTimer / 1000}s`
+                    });
+                }
+
+                reached = await this.sendPaging(amf, gnbs, ue, attempt);
+                latency += this.HOP_LATENCY.N2 + this.HOP_LATENCY.RRC;
+
+                if (!reached) {
+                    await this.delay(this.pagingTimer);
+                    latency += this.pagingTimer;
+                    if (window.logEngine) {
+                        window.logEngine.addLog(amf.id, 'WARNING', `T3513 expired - no paging response from ${ue.name}`, {
+                            attempt: attempt
+                        });
+                    }
+                }
+            }
+
+            if (!reached) {
+                // Step 5 (failure): AMF → SMF failure notification, UPF discards buffered data
+                await this.sendN1N2TransferFailure(amf, smf, upf, ue, pduSession);
+
+                if (window.logEngine) {
+                    window.logEngine.addLog(amf.id, 'ERROR', `Paging failed - ${ue.name} unreachable`, {
+                        attempts: attempts,
+                        cause: 'UE_NOT_RESPONDING'
+                    });
+                }
+                return fail('UE did not respond to paging');
+            }
+
+            // Step 5: UE answers the page with a Service Request
+            const serviceRequest = await this.performServiceRequest(ueId, 'mobileTerminatedServices');
+            if (!serviceRequest.success) {
+                return { success: false, latency: 0, error: serviceRequest.error };
+            }
+            latency += serviceRequest.latency;
+
+            // Step 6: UPF forwards the buffered downlink data over the new N3 tunnel
+            const gnb = this.getServingGNB(ueId);
+            if (gnb) {
+                const payload = { direction: 'downlink', bufferedData: 'FLUSHED', destination: pduSession.assignedIP };
+                await this.animatePacket(upf.id, gnb.id, 'N3', 'request', payload, this.generateMessageId());
+                await this.animatePacket(gnb.id, ue.id, 'Radio', 'request', payload, this.generateMessageId());
+            }
+
+            if (window.logEngine) {
+                window.logEngine.addLog(upf.id, 'SUCCESS', 'Buffered downlink data forwarded to UE', {
+                    ueIp: pduSession.assignedIP,
+                    procedureLatency: `${latency}ms`
+                });
+            }
+
+            return { success: true, latency, error: null };
+
+        } catch (error) {
+            return fail(error.message);
+        }
+    }
+
+    // ==========================================
+    // Paging Message Flows
+    // ==========================================
+
+    async sendDownlinkDataReport(upf, smf, ue, pduSession) {
+        const messageId = this.generateMessageId();
+        const payload = {
+            messageType: 'PFCP_SESSION_REPORT_REQUEST',
+            reportType: 'DLDR',
+            downlinkDataReport: {
+                pdrId: 2,
+                downlinkDataServiceInformation: { qfi: 1 }
+            },
+            pduSessionId: pduSession.sessionId
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(upf.id, 'INFO', 'N4 Session Report Request (Downlink Data Notification) → SMF', {
+                messageId,
+                interface: 'N4',
+                protocol: 'PFCP',
+                direction: 'request',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(upf.id, smf.id, 'N4', 'request', payload, messageId);
+        await this.delay(300);
+
+        const responseId = this.generateMessageId();
+        const responsePayload = { messageType: 'PFCP_SESSION_REPORT_RESPONSE', cause: 'REQUEST_ACCEPTED' };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(smf.id, 'INFO', 'N4 Session Report Response → UPF', {
+                messageId: responseId,
+                interface: 'N4',
+                direction: 'response',
+                json: responsePayload
+            });
+        }
+
+        await this.animatePacket(smf.id, upf.id, 'N4', 'response', responsePayload, responseId);
+        await this.delay(300);
+    }
+
+    async sendN1N2MessageTransfer(smf, amf, ue, pduSession) {
+        const messageId = this.generateMessageId();
+        const payload = {
+            supi: `imsi-${ue.config.subscriberImsi}`,
+            pduSessionId: pduSession.sessionId,
+            n2InfoContainer: {
+                n2InformationClass: 'SM',
+                smInfo: { n2InfoContent: { ngapIeType: 'PDU_RES_SETUP_REQ' } }
+            },
+            ppi: 1,
+            arp: { priorityLevel: 1 }
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(smf.id, 'INFO', 'Namf_Communication_N1N2MessageTransfer (HTTP/2 POST) → AMF', {
+                messageId,
+                interface: 'Namf_Communication',
+                method: 'POST',
+                direction: 'request',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(smf.id, amf.id, 'Namf_Communication', 'request', payload, messageId);
+        await this.delay(300);
+
+        const responseId = this.generateMessageId();
+        const responsePayload = { cause: 'ATTEMPTING_TO_REACH_UE' };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf.id, 'INFO', 'N1N2MessageTransfer 202 Accepted → SMF', {
+                messageId: responseId,
+                interface: 'Namf_Communication',
+                direction: 'response',
+                json: responsePayload
+            });
+        }
+
+        await this.animatePacket(amf.id, smf.id, 'Namf_Communication', 'response', responsePayload, responseId);
+        await this.delay(300);
+    }
+
+    /**
+     * Fan out NGAP Paging to every gNB, then radio paging in their cells
+     * @param {Object} amf - AMF NF
+     * @param {Array} gnbs - gNBs in the registration area
+     * @param {Object} ue - Paged UE
+     * @param {number} attempt - Paging attempt number
+     * @returns {Promise<boolean>} True if the UE heard the page
+     */
+    async sendPaging(amf, gnbs, ue, attempt) {
+        const payload = {
+            messageType: 'PAGING',
+            uePagingIdentity: { '5gSTmsi': window.suciManager?.getSTMSI(ue) || `imsi-${ue.config.subscriberImsi}` },
+            taiListForPaging: (ue.config.registrationArea || []).map(tai => window.mobilityManager?.formatTAI(tai)),
+            pagingPriority: 1,
+            pagingAttemptInformation: { pagingAttemptCount: attempt, intendedNumberOfPagingAttempts: this.maxPagingRetransmissions + 1 }
+        };
+
+        // NGAP Paging to all gNBs in parallel
+        await Promise.all(gnbs.map(gnb => {
+            const messageId = this.generateMessageId();
+            if (window.logEngine) {
+                window.logEngine.addLog(amf.id, 'INFO', `N2: Paging → ${gnb.name}`, {
+                    messageId,
+                    interface: 'N2',
+                    protocol: 'NGAP',
+                    direction: 'request',
+                    json: payload
+                });
+            }
+            return this.animatePacket(amf.id, gnb.id, 'N2', 'request', payload, messageId);
+        }));
+
+        // Only the gNB the UE is camped on can deliver the radio page
+        const servingGnb = this.getServingGNB(ue.id);
+        const reachable = ue.status === 'stable' && !!servingGnb && gnbs.some(g => g.id === servingGnb.id);
+
+        gnbs.filter(gnb => !reachable || gnb.id !== servingGnb.id).forEach(gnb => {
+            if (window.logEngine) {
+                window.logEngine.addLog(gnb.id, 'INFO', `RRC Paging broadcast - ${ue.name} not in cell`, {
+                    attempt: attempt
+                });
+            }
+        });
+
+        if (reachable) {
+            const messageId = this.generateMessageId();
+            const rrcPayload = {
+                rrcMessage: 'Paging',
+                pagingRecordList: [{ ueIdentity: payload.uePagingIdentity, accessType: '3GPP' }]
+            };
+            if (window.logEngine) {
+                window.logEngine.addLog(servingGnb.id, 'INFO', 'RRC: Paging → UE', {
+                    messageId,
+                    interface: 'RRC',
+                    direction: 'request',
+                    json: rrcPayload
+                });
+            }
+            await this.animatePacket(servingGnb.id, ue.id, 'RRC', 'request', rrcPayload, messageId);
+            await this.delay(300);
+        }
+
+        return reachable;
+    }
+
+    async sendN1N2TransferFailure(amf, smf, upf, ue, pduSession) {
+        // Downlink data is buffered in the UPF terminating N3
+        const accessUpf = window.userPlaneManager?.getAccessUPF(pduSession) || upf;
+        const messageId = this.generateMessageId();
+        const payload = {
+            n1n2MsgTransferFailureNotification: {
+                cause: 'UE_NOT_RESPONDING',
+                n1n2MsgDataUri: `/namf-comm/v1/ue-contexts/imsi-${ue.config.subscriberImsi}/n1-n2-messages`
+            }
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf.id, 'ERROR', 'N1N2TransferFailureNotification → SMF', {
+                messageId,
+                interface: 'Namf_Communication',
+                direction: 'request',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(amf.id, smf.id, 'Namf_Communication', 'request', payload, messageId, { error: true });
+        await this.delay(300);
+
+        const n4Id = this.generateMessageId();
+        const n4Payload = {
+            pduSessionId: pduSession.sessionId,
+            updateFar: { farId: 1, applyAction: { DROP: true, BUFF: false } },
+            reason: 'Discard buffered downlink data'
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(smf.id, 'WARNING', 'N4 Session Modification Request (discard buffer) → UPF', {
+                messageId: n4Id,
+                interface: 'N4',
+                protocol: 'PFCP',
+                direction: 'request',
+                json: n4Payload
+            });
+        }
+
+        await this.animatePacket(smf.id, accessUpf.id, 'N4', 'request', n4Payload, n4Id);
+        await this.delay(300);
+
+        window.pfcpManager?.applyModification(ue, pduSession, n4Payload, accessUpf);
+    }
+
+    // ==========================================
+    // Registration Update (mobility / periodic)
+    // ==========================================
+
+    /**
+     * Mobility Registration Update (TS 23.502 4.2.2.2): the UE entered a
+     * tracking area outside its registration area and asks the AMF for a
+     * new TAI list.
+     * @param {string} ueId - UE ID
+     * @returns {Promise<Object>} {success, taiList, error}
+     */
+    performMobilityRegistrationUpdate(ueId) {
+        return this.performRegistrationUpdate(ueId, 'MOBILITY_REGISTRATION_UPDATING');
+    }
+
+    /**
+     * Periodic Registration Update (TS 23.502 4.2.2.2): sent by an idle UE
+     * when T3512 expires so the AMF knows it is still reachable.
+     * @param {string} ueId - UE ID
+     * @returns {Promise<Object>} {success, taiList, error}
+     */
+    performPeriodicRegistrationUpdate(ueId) {
+        return this.performRegistrationUpdate(ueId, 'PERIODIC_REGISTRATION_UPDATING');
+    }
+
+    /**
+     * Run a registration update; concurrent callers for the same UE share one run
+     * @param {string} ueId - UE ID
+     * @param {string} registrationType - 5GS registration type
+     * @returns {Promise<Object>} {success, taiList, error}
+     */
+    performRegistrationUpdate(ueId, registrationType) {
+        if (this.registrationUpdatesInProgress.has(ueId)) {
+            return this.registrationUpdatesInProgress.get(ueId);
+        }
+
+        const procedure = this.runRegistrationUpdate(ueId, registrationType)
+            .finally(() => this.registrationUpdatesInProgress.delete(ueId));
+        this.registrationUpdatesInProgress.set(ueId, procedure);
+        return procedure;
+    }
+
+    /**
+     * Registration Update message sequence
+     * @param {string} ueId - UE ID
+     * @param {string} registrationType - 5GS registration type
+     * @returns {Promise<Object>} {success, taiList, error}
+     */
+    async runRegistrationUpdate(ueId, registrationType) {
+        const mobility = registrationType === 'MOBILITY_REGISTRATION_UPDATING';
+        const trigger = mobility ? 'Mobility Registration Update' : 'Periodic Registration Update';
+        const ue = window.dataStore?.getNFById(ueId);
+        if (!ue) {
+            return { success: false, taiList: [], error: 'UE not found' };
+        }
+
+        const fail = (error) => {
+            console.error(`❌ ${trigger} failed for ${ue.name}: ${error}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(ueId, 'ERROR', `${trigger} failed: ${error}`);
+            }
+            return { success: false, taiList: [], error };
+        };
+
+        const gnb = this.getServingGNB(ueId);
+        if (!gnb) {
+            return fail('UE is not camped on a gNB');
+        }
+
+        const amf = window.mobilityManager?.getServingAMF(ue);
+        if (!amf) {
+            return fail('No stable AMF found in same subnet');
+        }
+
+        if (!this.areNFsConnected(gnb.id, amf.id)) {
+            return fail(`${gnb.name} has no N2 association with ${amf.name}`);
+        }
+
+        const wasIdle = this.getCMState(ueId) === this.CM_STATES.IDLE;
+        const lastVisitedTAI = ue.config.lastVisitedTAI;
+
+        console.log(`📡 Starting ${trigger} for ${ue.name}`);
+
+        try {
+            // Step 1: idle UEs first set up an RRC connection to the cell
+            if (wasIdle) {
+                await this.sendRRCSetup(ue, gnb, 'mo-Signalling', 'REGISTRATION_REQUEST');
+            }
+
+            // Step 2: UE → AMF: Registration Request (mobility / periodic updating)
+            await this.sendRegistrationUpdateRequest(ue, gnb, amf, registrationType, lastVisitedTAI, wasIdle);
+            this.setCMState(ueId, this.CM_STATES.CONNECTED, trigger);
+
+            // Step 2a: an AMF that did not allocate the 5G-GUTI asks for a SUCI and re-authenticates
+            if (window.suciManager && ue.config.guti) {
+                const known = await window.suciManager.identifyUE(ue, amf, { type: '5G-GUTI', value: ue.config.guti });
+                if (!known && window.akaManager) {
+                    const auth = await window.akaManager.authenticate(ue, amf);
+                    const smc = auth.success ? await window.akaManager.performSecurityModeControl(ue, amf) : auth;
+                    if (!smc.success) {
+                        return fail(smc.cause);
+                    }
+                }
+            }
+
+            // Step 3: on mobility the AMF assigns a new registration area around the new TAI
+            // and re-allocates the 5G-GUTI sent in the Registration Accept
+            const taiList = mobility
+                ? window.mobilityManager.assignRegistrationArea(ueId, amf)
+                : (ue.config.registrationArea || []);
+            if (mobility) {
+                window.suciManager?.allocateGUTI(ue, amf);
+            }
+
+            // Step 4: AMF → UE: Registration Accept / UE → AMF: Registration Complete
+            await this.sendRegistrationUpdateAccept(amf, gnb, ue, taiList);
+            await this.sendRegistrationUpdateComplete(ue, gnb, amf);
+            this.onRegistrationAccept(ueId, trigger);
+            if (mobility) {
+                this.notifyListeners('locationChange', { ueId, gnbId: gnb.id, trigger });
+            }
+
+            // Step 5: an idle UE's cell change only surfaces here, so the SMF checks its
+            // sessions for a closer anchor while the UE is connected (a handover does
+            // this itself once its own update is done)
+            const reanchored = mobility && wasIdle
+                ? (await this.applySessionContinuity(ueId)).some(result => result.action !== 'kept')
+                : false;
+
+            // Step 6: no follow-on request, so an idle UE is released again; after
+            // re-anchoring it stays connected until the inactivity timer fires
+            if (wasIdle && !reanchored) {
+                await this.sendUEContextRelease(amf, gnb, ue, 'NORMAL_RELEASE');
+                this.onANRelease(ueId);
+            } else if (wasIdle) {
+                this.startInactivityTimer(ueId);
+            }
+
+            console.log(`✅ ${trigger} completed for ${ue.name}`);
+
+            if (window.logEngine) {
+                window.logEngine.addLog(amf.id, 'SUCCESS', `${trigger} complete for ${ue.name}`, {
+                    taiList: taiList.map(tai => window.mobilityManager.formatTAI(tai)),
+                    lastVisitedTAI: lastVisitedTAI ? window.mobilityManager.formatTAI(lastVisitedTAI) : 'unknown',
+                    servingCell: gnb.name
+                });
+            }
+
+            return { success: true, taiList, error: null };
+
+        } catch (error) {
+            return fail(error.message);
+        }
+    }
+
+    async sendRegistrationUpdateRequest(ue, gnb, amf, registrationType, lastVisitedTAI, wasIdle) {
+        const messageId = this.generateMessageId();
+        const nasPayload = {
+            messageType: 'REGISTRATION_REQUEST',
+            registrationType: registrationType,
+            ngKSI: 1,
+            '5gsMobileIdentity': window.suciManager?.getMobileIdentity(ue) || `imsi-${ue.config.subscriberImsi}`,
+            lastVisitedRegisteredTAI: lastVisitedTAI ? window.mobilityManager.formatTAI(lastVisitedTAI) : null,
+            pduSessionStatus: this.getPDUSessionStatus(ue)
+        };
+
+        if (window.logEngine) {
+            const updateKind = registrationType === 'MOBILITY_REGISTRATION_UPDATING' ? 'mobility' : 'periodic';
+            window.logEngine.addLog(ue.id, 'INFO', `N1: Registration Request (${updateKind} update) → AMF`, {
+                messageId,
+                interface: 'N1',
+                direction: 'request',
+                json: nasPayload
+            });
+        }
+
+        await this.animatePacket(ue.id, gnb.id, 'RRC', 'request', nasPayload, messageId);
+        await this.delay(300);
+
+        // gNB wraps the NAS PDU in NGAP (new UE association if the UE was idle)
+        const ngapId = this.generateMessageId();
+        const ngapPayload = {
+            messageType: wasIdle ? 'INITIAL_UE_MESSAGE' : 'UPLINK_NAS_TRANSPORT',
+            ranUeNgapId: ue.config.ranUeNgapId || 1,
+            nasPdu: { messageType: 'REGISTRATION_REQUEST' },
+            userLocationInformation: { nrCgi: gnb.name, tai: window.mobilityManager.formatTAI(window.mobilityManager.getGNBTAI(gnb)) },
+            ...(wasIdle && { rrcEstablishmentCause: 'mo-Signalling' })
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(gnb.id, 'INFO', `N2: ${wasIdle ? 'Initial UE Message' : 'Uplink NAS Transport'} → AMF`, {
+                messageId: ngapId,
+                interface: 'N2',
+                protocol: 'NGAP',
+                direction: 'request',
+                json: ngapPayload
+            });
+        }
+
+        await this.animatePacket(gnb.id, amf.id, 'N2', 'request', ngapPayload, ngapId);
+        await this.delay(400);
+    }
+
+    async sendRegistrationUpdateAccept(amf, gnb, ue, taiList) {
+        const messageId = this.generateMessageId();
+        const payload = {
+            messageType: 'REGISTRATION_ACCEPT',
+            registrationResult: '3GPP_ACCESS',
+            '5gGuti': ue.config.guti || null,
+            taiList: taiList.map(tai => window.mobilityManager.formatTAI(tai)),
+            t3512Value: window.nasTimerManager?.formatDuration(window.nasTimerManager.getT3512(amf)) || null,
+            pduSessionStatus: this.getPDUSessionStatus(ue)
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf.id, 'INFO', 'N2: Downlink NAS Transport (Registration Accept) → gNB', {
+                messageId,
+                interface: 'N2',
+                protocol: 'NGAP',
+                direction: 'response',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(amf.id, gnb.id, 'N2', 'response', payload, messageId);
+        await this.delay(300);
+
+        const rrcId = this.generateMessageId();
+        if (window.logEngine) {
+            window.logEngine.addLog(gnb.id, 'INFO', 'RRC: DL Information Transfer (Registration Accept) → UE', {
+                messageId: rrcId,
+                interface: 'RRC',
+                direction: 'response',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(gnb.id, ue.id, 'RRC', 'response', payload, rrcId);
+        await this.delay(300);
+    }
+
+    async sendRegistrationUpdateComplete(ue, gnb, amf) {
+        const messageId = this.generateMessageId();
+        const payload = {
+            messageType: 'REGISTRATION_COMPLETE'
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(ue.id, 'SUCCESS', 'N1: Registration Complete → AMF', {
+                messageId,
+                interface: 'N1',
+                direction: 'request',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(ue.id, gnb.id, 'RRC', 'request', payload, messageId);
+        await this.animatePacket(gnb.id, amf.id, 'N2', 'request', payload, messageId);
+        await this.delay(300);
+    }
+
+    // ==========================================
+    // Handover (Xn / N2)
+    // ==========================================
+
+    /**
+     * Hand a CM-CONNECTED UE with an active PDU session over to another gNB.
+     * Uses Xn handover (TS 23.502 4.9.1.2) when the gNBs share an Xn link,
+     * N2 handover via the AMF (TS 23.502 4.9.1.3) otherwise.
+     * Concurrent callers for the same UE share one run.
+     * @param {string} ueId - UE ID
+     * @param {Object} targetGnb - Target gNB
+     * @returns {Promise<Object>} {success, type, interruption, error}
+     */
+    performHandover(ueId, targetGnb) {
+        if (this.handoversInProgress.has(ueId)) {
+            return this.handoversInProgress.get(ueId);
+        }
+
+        const procedure = this.runHandover(ueId, targetGnb)
+            .finally(() => this.handoversInProgress.delete(ueId));
+        this.handoversInProgress.set(ueId, procedure);
+        return procedure;
+    }
+
+    /**
+     * Check if two gNBs have an Xn link
+     * @param {Object} gnb1 - First gNB
+     * @param {Object} gnb2 - Second gNB
+     * @returns {boolean} True if an Xn connection exists
+     */
+    hasXnLink(gnb1, gnb2) {
+        return !!window.dataStore?.connectionExists(gnb1.id, gnb2.id);
+    }
+
+    /**
+     * Handover message sequence
+     * @param {string} ueId - UE ID
+     * @param {Object} targetGnb - Target gNB
+     * @returns {Promise<Object>} {success, type, interruption, error}
+     */
+    async runHandover(ueId, targetGnb) {
+        const ue = window.dataStore?.getNFById(ueId);
+        if (!ue) {
+            return { success: false, type: null, interruption: 0, error: 'UE not found' };
+        }
+
+        const fail = (error, type = null) => {
+            console.error(`❌ Handover failed for ${ue.name}: ${error}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(ueId, 'ERROR', `Handover to ${targetGnb.name} failed: ${error}`);
+            }
+            return { success: false, type, interruption: 0, error };
+        };
+
+        if (this.getCMState(ueId) !== this.CM_STATES.CONNECTED || !this.isUserPlaneActive(ueId)) {
+            return fail('UE is not CM-CONNECTED with an active PDU session');
+        }
+
+        const sourceGnb = this.getServingGNB(ueId);
+        if (!sourceGnb) {
+            return fail('UE is not camped on a gNB');
+        }
+
+        const validation = this.validatePrerequisites(ueId);
+        if (!validation.valid) {
+            return fail(validation.error);
+        }
+
+        const { amf, smf, upf } = validation.nfs;
+        const type = this.hasXnLink(sourceGnb, targetGnb) ? 'Xn' : 'N2';
+
+        // Handover Preparation Failure cases
+        if (!this.areNFsConnected(targetGnb.id, amf.id)) {
+            return fail(`${targetGnb.name} has no N2 association with ${amf.name}`, type);
+        }
+        if (!this.areNFsConnected(targetGnb.id, upf.id)) {
+            return fail(`${targetGnb.name} has no N3 connection to ${upf.name}`, type);
+        }
+
+        // Inactivity supervision is paused while the UE is being moved
+        this.stopInactivityTimer(ueId);
+
+        console.log(`📡 Starting ${type} handover for ${ue.name}: ${sourceGnb.name} → ${targetGnb.name}`);
+
+        try {
+            const interruption = type === 'Xn'
+                ? await this.runXnHandover(ue, sourceGnb, targetGnb, amf, smf, upf)
+                : await this.runN2Handover(ue, sourceGnb, targetGnb, amf, smf, upf);
+
+            this.recordUserPlaneActivity(ueId);
+
+            console.log(`✅ ${type} handover completed for ${ue.name} (interruption ${interruption}ms)`);
+
+            if (window.logEngine) {
+                window.logEngine.addLog(ueId, 'SUCCESS', `${type} handover complete: ${sourceGnb.name} → ${targetGnb.name}`, {
+                    handoverType: type,
+                    pduSessionIds: this.getPDUSessions(ue).map(pduSession => pduSession.sessionId),
+                    userPlaneInterruption: `${interruption}ms`
+                });
+            }
+            this.notifyListeners('locationChange', { ueId, gnbId: targetGnb.id, trigger: `${type} Handover` });
+
+            // A handover into a TAI outside the registration area is followed by
+            // a Mobility Registration Update over the existing connection
+            const targetTAI = window.mobilityManager?.getGNBTAI(targetGnb);
+            if (targetTAI && !window.mobilityManager.isInRegistrationArea(ue, targetTAI)) {
+                await this.performMobilityRegistrationUpdate(ueId);
+            }
+
+            // The SMF may move sessions to an anchor closer to the new cell
+            await this.applySessionContinuity(ueId);
+
+            return { success: true, type, interruption, error: null };
+
+        } catch (error) {
+            return fail(error.message, type);
+
+        } finally {
+            if (this.getCMState(ueId) === this.CM_STATES.CONNECTED) {
+                this.startInactivityTimer(ueId);
+            }
+        }
+    }
+
+    /**
+     * Xn handover: preparation and data forwarding between the gNBs, then
+     * the target gNB asks the AMF to switch the N3 downlink path
+     * @returns {Promise<number>} User-plane interruption in ms
+     */
+    async runXnHandover(ue, sourceGnb, targetGnb, amf, smf, upf) {
+        const pduSessions = this.getPDUSessions(ue);
+        const pduSessionIds = pduSessions.map(pduSession => pduSession.sessionId);
+        const targetTAI = window.mobilityManager.getGNBTAI(targetGnb);
+
+        // Step 1-2: Handover preparation over Xn
+        await this.sendSignal(sourceGnb, targetGnb, 'Xn', 'request', 'Xn: Handover Request', {
+            messageType: 'HANDOVER_REQUEST',
+            cause: { radioNetwork: 'handover-desirable-for-radio-reasons' },
+            targetCellGlobalId: targetGnb.name,
+            pduSessionResourcesToBeSetup: pduSessionIds.map(pduSessionId => ({ pduSessionId, ulTunnel: upf.config.ipAddress }))
+        }, 'XnAP');
+
+        await this.sendSignal(targetGnb, sourceGnb, 'Xn', 'response', 'Xn: Handover Request Acknowledge', {
+            messageType: 'HANDOVER_REQUEST_ACKNOWLEDGE',
+            pduSessionResourcesAdmitted: pduSessionIds.map(pduSessionId => ({ pduSessionId, dlForwardingTunnel: targetGnb.config.ipAddress }))
+        }, 'XnAP');
+
+        // Step 3-5: Handover execution - UE detaches from the source cell
+        const interruption = await this.executeRadioHandover(ue, sourceGnb, targetGnb, async () => {
+            await this.sendSignal(sourceGnb, targetGnb, 'Xn', 'request', 'Xn: SN Status Transfer', {
+                messageType: 'SN_STATUS_TRANSFER',
+                pduSessionIds,
+                dataForwarding: 'DL buffered data forwarded to target gNB'
+            }, 'XnAP');
+        });
+
+        // Step 6: Path Switch Request (target gNB → AMF)
+        await this.sendSignal(targetGnb, amf, 'N2', 'request', 'N2: Path Switch Request', {
+            messageType: 'PATH_SWITCH_REQUEST',
+            ranUeNgapId: ue.config.ranUeNgapId || 1,
+            sourceAmfUeNgapId: ue.config.amfUeNgapId || 1,
+            userLocationInformation: { nrCgi: targetGnb.name, tai: window.mobilityManager.formatTAI(targetTAI) },
+            pduSessionResourceToBeSwitchedDLList: pduSessionIds.map(pduSessionId => ({ pduSessionId, dlTunnel: targetGnb.config.ipAddress }))
+        }, 'NGAP');
+
+        // Step 7-9: SMF switches the UPF downlink path of each session to the target gNB
+        for (const pduSession of pduSessions) {
+            await this.sendNsmfUpdateSMContextANInfo(amf, smf, ue, pduSession, targetGnb, 'PATH_SWITCH_REQ');
+            await this.sendN4SessionModificationActivate(smf, upf, ue, pduSession, targetGnb);
+            await this.sendEndMarker(upf, sourceGnb, targetGnb, ue, pduSession);
+            await this.sendNsmfUpdateSMContextResponse(smf, amf, ue, pduSession, 'ACTIVATED');
+        }
+
+        // Step 10: Path Switch Request Acknowledge (AMF → target gNB)
+        await this.sendSignal(amf, targetGnb, 'N2', 'response', 'N2: Path Switch Request Acknowledge', {
+            messageType: 'PATH_SWITCH_REQUEST_ACKNOWLEDGE',
+            pduSessionResourceSwitchedList: pduSessionIds.map(pduSessionId => ({ pduSessionId, ulTunnel: upf.config.ipAddress }))
+        }, 'NGAP');
+
+        // Step 11: target gNB releases the UE context in the source gNB
+        await this.sendSignal(targetGnb, sourceGnb, 'Xn', 'request', 'Xn: UE Context Release', {
+            messageType: 'UE_CONTEXT_RELEASE',
+            cause: 'successful-handover'
+        }, 'XnAP');
+
+        return interruption;
+    }
+
+    /**
+     * N2 handover: no Xn link, so preparation and execution are relayed by the AMF
+     * @returns {Promise<number>} User-plane interruption in ms
+     */
+    async runN2Handover(ue, sourceGnb, targetGnb, amf, smf, upf) {
+        const pduSessions = this.getPDUSessions(ue);
+        const pduSessionIds = pduSessions.map(pduSession => pduSession.sessionId);
+        const ueNgapIds = { amfUeNgapId: ue.config.amfUeNgapId || 1, ranUeNgapId: ue.config.ranUeNgapId || 1 };
+
+        // Step 1: Handover Required (source gNB → AMF)
+        await this.sendSignal(sourceGnb, amf, 'N2', 'request', 'N2: Handover Required', {
+            messageType: 'HANDOVER_REQUIRED',
+            ...ueNgapIds,
+            handoverType: 'intra5gs',
+            cause: { radioNetwork: 'handover-desirable-for-radio-reasons' },
+            targetId: { globalRanNodeId: targetGnb.name, selectedTai: window.mobilityManager.formatTAI(window.mobilityManager.getGNBTAI(targetGnb)) },
+            directForwardingPathAvailability: false,
+            pduSessionResourceList: pduSessionIds.map(pduSessionId => ({ pduSessionId }))
+        }, 'NGAP');
+
+        // Step 2: AMF ↔ SMF: prepare each session for handover
+        for (const pduSessionId of pduSessionIds) {
+            await this.sendSignal(amf, smf, 'Nsmf_PDUSession', 'request', 'Nsmf_PDUSession_UpdateSMContext (HTTP/2 POST)', {
+                supi: `imsi-${ue.config.subscriberImsi}`,
+                pduSessionId,
+                hoState: 'PREPARING',
+                targetId: targetGnb.name
+            }, 'HTTP/2', 'POST');
+
+            await this.sendSignal(smf, amf, 'Nsmf_PDUSession', 'response', 'Nsmf_PDUSession_UpdateSMContext Response', {
+                pduSessionId,
+                hoState: 'PREPARING',
+                n2SmInfo: { ulTunnel: upf.config.ipAddress }
+            });
+        }
+
+        // Step 3: Handover Request / Acknowledge (AMF ↔ target gNB)
+        await this.sendSignal(amf, targetGnb, 'N2', 'request', 'N2: Handover Request', {
+            messageType: 'HANDOVER_REQUEST',
+            amfUeNgapId: ueNgapIds.amfUeNgapId,
+            handoverType: 'intra5gs',
+            pduSessionResourceSetupList: pduSessionIds.map(pduSessionId => ({ pduSessionId, ulTunnel: upf.config.ipAddress }))
+        }, 'NGAP');
+
+        await this.sendSignal(targetGnb, amf, 'N2', 'response', 'N2: Handover Request Acknowledge', {
+            messageType: 'HANDOVER_REQUEST_ACKNOWLEDGE',
+            pduSessionResourceAdmittedList: pduSessionIds.map(pduSessionId => ({ pduSessionId, dlTunnel: targetGnb.config.ipAddress }))
+        }, 'NGAP');
+
+        for (const pduSessionId of pduSessionIds) {
+            await this.sendSignal(amf, smf, 'Nsmf_PDUSession', 'request', 'Nsmf_PDUSession_UpdateSMContext (HTTP/2 POST)', {
+                pduSessionId,
+                hoState: 'PREPARED'
+            }, 'HTTP/2', 'POST');
+
+            await this.sendSignal(smf, amf, 'Nsmf_PDUSession', 'response', 'Nsmf_PDUSession_UpdateSMContext Response', {
+                pduSessionId,
+                hoState: 'PREPARED'
+            });
+        }
+
+        // Step 4: Handover Command (AMF → source gNB), then radio handover execution
+        await this.sendSignal(amf, sourceGnb, 'N2', 'request', 'N2: Handover Command', {
+            messageType: 'HANDOVER_COMMAND',
+            ...ueNgapIds,
+            handoverType: 'intra5gs',
+            pduSessionResourceHandoverList: pduSessionIds.map(pduSessionId => ({ pduSessionId }))
+        }, 'NGAP');
+
+        const interruption = await this.executeRadioHandover(ue, sourceGnb, targetGnb);
+
+        // Step 5: Handover Notify (target gNB → AMF)
+        await this.sendSignal(targetGnb, amf, 'N2', 'request', 'N2: Handover Notify', {
+            messageType: 'HANDOVER_NOTIFY',
+            ...ueNgapIds,
+            userLocationInformation: { nrCgi: targetGnb.name }
+        }, 'NGAP');
+
+        // Step 6: SMF switches the UPF downlink path of each session to the target gNB
+        for (const pduSession of pduSessions) {
+            await this.sendSignal(amf, smf, 'Nsmf_PDUSession', 'request', 'Nsmf_PDUSession_UpdateSMContext (HTTP/2 POST)', {
+                pduSessionId: pduSession.sessionId,
+                hoState: 'COMPLETED'
+            }, 'HTTP/2', 'POST');
+
+            await this.sendN4SessionModificationActivate(smf, upf, ue, pduSession, targetGnb);
+            await this.sendEndMarker(upf, sourceGnb, targetGnb, ue, pduSession);
+            await this.sendNsmfUpdateSMContextResponse(smf, amf, ue, pduSession, 'ACTIVATED');
+        }
+
+        // Step 7: release the UE context in the source gNB
+        await this.sendSignal(amf, sourceGnb, 'N2', 'request', 'N2: UE Context Release Command', {
+            messageType: 'UE_CONTEXT_RELEASE_COMMAND',
+            ueNgapIds,
+            cause: { radioNetwork: 'successful-handover' }
+        }, 'NGAP');
+
+        await this.sendSignal(sourceGnb, amf, 'N2', 'response', 'N2: UE Context Release Complete', {
+            messageType: 'UE_CONTEXT_RELEASE_COMPLETE',
+            ueNgapIds
+        }, 'NGAP');
+
+        return interruption;
+    }
+
+    /**
+     * Handover execution on the radio side: RRC Reconfiguration from the source
+     * gNB, UE re-attaches to the target gNB and confirms with Reconfiguration Complete.
+     * The user plane is interrupted for the radio detach time once the UE acts on
+     * the command, however long the surrounding signalling takes to animate.
+     * @param {Object} ue - UE NF
+     * @param {Object} sourceGnb - Source gNB
+     * @param {Object} targetGnb - Target gNB
+     * @param {Function|null} whileDetached - Signalling done while the UE is detached
+     * @returns {Promise<number>} User-plane interruption in ms
+     */
+    async executeRadioHandover(ue, sourceGnb, targetGnb, whileDetached = null) {
+        await this.sendSignal(sourceGnb, ue, 'RRC', 'request', 'RRC: RRC Reconfiguration (handover command)', {
+            rrcMessage: 'RRCReconfiguration',
+            reconfigurationWithSync: { targetPhysCellId: targetGnb.name, t304: 'ms1000' }
+        });
+
+        const start = Date.now();
+        this.userPlaneInterruptions.set(ue.id, { start, end: start + this.handoverInterruption });
+
+        window.mobilityManager?.campOn(ue, sourceGnb, targetGnb);
+
+        if (whileDetached) {
+            await whileDetached();
+        }
+
+        await this.sendSignal(ue, targetGnb, 'RRC', 'request', 'RRC: RRC Reconfiguration Complete', {
+            rrcMessage: 'RRCReconfigurationComplete'
+        });
+
+        return this.handoverInterruption;
+    }
+
+    /**
+     * UPF sends an End Marker on the old N3 tunnel after the path switch
+     * @param {Object} upf - UPF NF
+     * @param {Object} sourceGnb - Source gNB
+     * @param {Object} targetGnb - Target gNB
+     * @param {Object} ue - UE NF
+     * @param {Object} pduSession - PDU session whose path was switched
+     */
+    async sendEndMarker(upf, sourceGnb, targetGnb, ue, pduSession) {
+        const messageId = this.generateMessageId();
+        const payload = {
+            gtpuMessage: 'END_MARKER',
+            pduSessionId: pduSession.sessionId,
+            oldTunnel: sourceGnb.config.ipAddress,
+            newTunnel: targetGnb.config.ipAddress
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(upf.id, 'INFO', `N3: End Marker → ${sourceGnb.name}`, {
+                messageId,
+                interface: 'N3',
+                protocol: 'GTP-U',
+                direction: 'request',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(upf.id, sourceGnb.id, 'N3', 'request', payload, messageId);
+        await this.delay(200);
+    }
+
+    /**
+     * Milliseconds of a time window during which the UE's user plane was
+     * interrupted by a handover
+     * @param {string} ueId - UE ID
+     * @param {number} from - Window start (epoch ms)
+     * @param {number} to - Window end (epoch ms)
+     * @returns {number} Overlap in ms
+     */
+    getUserPlaneInterruption(ueId, from, to) {
+        const interruption = this.userPlaneInterruptions.get(ueId);
+        if (!interruption) return 0;
+
+        const end = interruption.end || Date.now();
+        return Math.max(0, Math.min(to, end) - Math.max(from, interruption.start));
+    }
+
+    // ==========================================
+    // Session and Service Continuity (SSC modes)
+    // ==========================================
+
+    /**
+     * SSC mode of a PDU session (sessions set up at registration use mode 1)
+     * @param {Object} pduSession - UE PDU session entry
+     * @returns {number} 1, 2 or 3
+     */
+    getSSCMode(pduSession) {
+        return pduSession?.sscMode || 1;
+    }
+
+    /**
+     * After the UE moved to another gNB, let the SMF check every PDU session
+     * for a closer anchor UPF (TS 23.502 4.3.5). SSC mode 1 keeps the anchor,
+     * mode 2 releases the session and has the UE establish it again (break
+     * before make), mode 3 has the UE establish the new session before the
+     * old one is released (make before break).
+     * @param {string} ueId - UE ID
+     * @returns {Promise<Array<Object>>} {pduSessionId, sscMode, action, upf} per re-anchoring candidate
+     */
+    async applySessionContinuity(ueId) {
+        const validation = this.validatePrerequisites(ueId);
+        if (!validation.valid || !window.userPlaneManager) return [];
+
+        const { ue, amf, smf } = validation.nfs;
+        const results = [];
+
+        for (const pduSession of [...this.getPDUSessions(ue)]) {
+            const closer = window.userPlaneManager.findCloserAnchor(ue, pduSession, smf);
+            if (!closer) continue;
+
+            const sscMode = this.getSSCMode(pduSession);
+            const details = {
+                pduSessionId: pduSession.sessionId,
+                dnn: pduSession.dnn,
+                sscMode: this.SSC_MODES[sscMode],
+                anchor: closer.anchor.name,
+                closerUpf: closer.upf.name,
+                reason: closer.reason,
+                ueAddress: pduSession.assignedIP
+            };
+
+            if (sscMode === 1) {
+                console.log(`📌 SSC mode 1: ${ue.name} PSI ${pduSession.sessionId} stays anchored at ${closer.anchor.name}`);
+                if (window.logEngine) {
+                    window.logEngine.addLog(smf.id, 'INFO', `SSC mode 1: PSI ${pduSession.sessionId} keeps its anchor ${closer.anchor.name}`, details);
+                }
+                results.push({ pduSessionId: pduSession.sessionId, sscMode, action: 'kept', upf: closer.anchor });
+                continue;
+            }
+
+            console.log(`🔀 SSC mode ${sscMode}: re-anchoring ${ue.name} PSI ${pduSession.sessionId} ${closer.anchor.name} → ${closer.upf.name}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(smf.id, 'INFO', `SSC mode ${sscMode}: re-anchoring PSI ${pduSession.sessionId} ${closer.anchor.name} → ${closer.upf.name}`, details);
+            }
+
+            const success = sscMode === 2
+                ? await this.reestablishPDUSession(ue, amf, smf, pduSession)
+                : await this.relocatePDUSession(ue, amf, smf, pduSession);
+
+            results.push({ pduSessionId: pduSession.sessionId, sscMode, action: success ? 'reanchored' : 'failed', upf: closer.upf });
+        }
+
+        return results;
+    }
+
+    /**
+     * SSC mode 2 (TS 23.502 4.3.5.1): the SMF releases the session with
+     * cause #39 and the UE establishes a new one to the same DNN, which the
+     * SMF anchors at the closer UPF. The UE address changes.
+     * @param {Object} ue - UE NF
+     * @param {Object} amf - AMF NF
+     * @param {Object} smf - SMF NF
+     * @param {Object} pduSession - UE PDU session entry
+     * @returns {Promise<boolean>} True if the new session is up
+     */
+    async reestablishPDUSession(ue, amf, smf, pduSession) {
+        const pduSessionId = pduSession.sessionId;
+        const anchor = window.dataStore.getNFById(pduSession.upfId);
+        const session = this.getSession(ue.id, pduSessionId);
+        Object.assign(session, {
+            dnn: pduSession.dnn,
+            sst: pduSession.sst,
+            assignedIP: pduSession.assignedIP,
+            upfId: pduSession.upfId,
+            state: this.STATES.RELEASING
+        });
+        this.notifyListeners('stateChange', { ueId: ue.id, pduSessionId, state: session.state });
+
+        // Step 1: SMF releases the rules in the old anchor (and any inserted UPF)
+        await window.userPlaneManager.releasePath(smf, ue, pduSession);
+        await this.sendN4SessionRelease(smf, anchor, ue, session);
+
+        // Step 2: SMF → AMF → UE: PDU Session Release Command, cause #39
+        const releaseCommand = {
+            messageType: 'PDU_SESSION_RELEASE_COMMAND',
+            pduSessionId,
+            cause: { code: this.REACTIVATION_REQUESTED.code, name: this.REACTIVATION_REQUESTED.name }
+        };
+        await this.sendSignal(smf, amf, 'Namf_Communication', 'request', 'Namf_Communication_N1N2MessageTransfer (HTTP/2 POST)', {
+            endpoint: `/namf-comm/v1/ue-contexts/imsi-${ue.config.subscriberImsi}/n1-n2-messages`,
+            pduSessionId,
+            n1MessageContainer: releaseCommand,
+            n2InfoContainer: { n2InformationClass: 'SM', smInfo: { n2SmInfoType: 'PDU_RES_REL_CMD' } }
+        }, 'HTTP/2', 'POST');
+        await this.sendSignal(amf, ue, 'N1', 'request', 'N1: PDU Session Release Command', releaseCommand);
+
+        // Step 3: UE → AMF → SMF: PDU Session Release Complete
+        await this.sendSignal(ue, amf, 'N1', 'response', 'N1: PDU Session Release Complete', {
+            messageType: 'PDU_SESSION_RELEASE_COMPLETE',
+            pduSessionId
+        });
+        await this.sendSignal(amf, smf, 'Nsmf_PDUSession', 'request', 'Nsmf_PDUSession_UpdateSMContext (HTTP/2 POST)', {
+            pduSessionId,
+            n1SmMsg: 'PDU_SESSION_RELEASE_COMPLETE'
+        }, 'HTTP/2', 'POST');
+
+        this.cleanupSession(ue.id, pduSessionId);
+
+        // Step 4: UE establishes the session again; the SMF picks the closer anchor
+        return this.establishPDUSession(ue.id, {
+            dnn: pduSession.dnn,
+            sst: pduSession.sst,
+            sscMode: 2,
+            pduSessionType: pduSession.pduSessionType,
+            previousAddress: pduSession.assignedIP
+        });
+    }
+
+    /**
+     * SSC mode 3 (TS 23.502 4.3.5.2): the SMF tells the UE with cause #39
+     * that the session is about to move, the UE establishes a new session to
+     * the same DNN at the closer UPF, then releases the old one once the
+     * address lifetime ran out. Both addresses are usable in between.
+     * @param {Object} ue - UE NF
+     * @param {Object} amf - AMF NF
+     * @param {Object} smf - SMF NF
+     * @param {Object} pduSession - UE PDU session entry
+     * @returns {Promise<boolean>} True if the new session is up
+     */
+    async relocatePDUSession(ue, amf, smf, pduSession) {
+        const pduSessionId = pduSession.sessionId;
+
+        // Step 1: SMF → AMF → UE: PDU Session Modification Command, cause #39
+        const modificationCommand = {
+            messageType: 'PDU_SESSION_MODIFICATION_COMMAND',
+            pduSessionId,
+            cause: { code: this.REACTIVATION_REQUESTED.code, name: this.REACTIVATION_REQUESTED.name },
+            pduSessionAddressLifetime: `${this.sscAddressLifetime / 1000}s`
+        };
+        await this.sendSignal(smf, amf, 'Namf_Communication', 'request', 'Namf_Communication_N1N2MessageTransfer (HTTP/2 POST)', {
+            endpoint: `/namf-comm/v1/ue-contexts/imsi-${ue.config.subscriberImsi}/n1-n2-messages`,
+            pduSessionId,
+            n1MessageContainer: modificationCommand
+        }, 'HTTP/2', 'POST');
+        await this.sendSignal(amf, ue, 'N1', 'request', 'N1: PDU Session Modification Command', modificationCommand);
+
+        // Step 2: UE establishes the replacement session; the old one is on its way out
+        pduSession.status = 'relocating';
+        window.canvasRenderer?.render();
+
+        const success = await this.establishPDUSession(ue.id, {
+            dnn: pduSession.dnn,
+            sst: pduSession.sst,
+            sscMode: 3,
+            pduSessionType: pduSession.pduSessionType,
+            oldPduSessionId: pduSessionId
+        });
+
+        if (!success) {
+            pduSession.status = 'established';
+            window.canvasRenderer?.render();
+            if (window.logEngine) {
+                window.logEngine.addLog(smf.id, 'WARNING', `SSC mode 3: PSI ${pduSessionId} stays at its anchor, no replacement session`);
+            }
+            return false;
+        }
+
+        // Step 3: old session released when its address lifetime expires
+        await this.delay(this.sscAddressLifetime);
+        await this.releasePDUSession(ue.id, pduSessionId);
+        return true;
+    }
+
+    // ==========================================
+    // Deregistration (UE / network initiated)
+    // ==========================================
+
+    /**
+     * UE-initiated Deregistration (TS 23.502 4.2.2.3.2). A UE that is
+     * switching off does not wait for the Deregistration Accept.
+     * @param {string} ueId - UE ID
+     * @param {boolean} switchOff - Deregistration due to switch-off
+     * @returns {Promise<Object>} {success, error}
+     */
+    performDeregistration(ueId, switchOff = false) {
+        return this.startDeregistration(ueId, { networkInitiated: false, switchOff, reRegistrationRequired: false });
+    }
+
+    /**
+     * AMF-initiated Deregistration (TS 23.502 4.2.2.3.3). An idle UE is paged
+     * first; with re-registration required the UE registers again afterwards.
+     * @param {string} ueId - UE ID
+     * @param {boolean} reRegistrationRequired - Ask the UE to register again
+     * @returns {Promise<Object>} {success, error}
+     */
+    performNetworkDeregistration(ueId, reRegistrationRequired = true) {
+        return this.startDeregistration(ueId, { networkInitiated: true, switchOff: false, reRegistrationRequired });
+    }
+
+    /**
+     * Run a deregistration; concurrent callers for the same UE share one run
+     * @param {string} ueId - UE ID
+     * @param {Object} deregistrationType - { networkInitiated, switchOff, reRegistrationRequired }
+     * @returns {Promise<Object>} {success, error}
+     */
+    startDeregistration(ueId, deregistrationType) {
+        if (this.deregistrationsInProgress.has(ueId)) {
+            return this.deregistrationsInProgress.get(ueId);
+        }
+
+        const procedure = this.runDeregistration(ueId, deregistrationType)
+            .finally(() => this.deregistrationsInProgress.delete(ueId));
+        this.deregistrationsInProgress.set(ueId, procedure);
+        return procedure;
+    }
+
+    /**
+     * Deregistration message sequence
+     * @param {string} ueId - UE ID
+     * @param {Object} deregistrationType - { networkInitiated, switchOff, reRegistrationRequired }
+     * @returns {Promise<Object>} {success, error}
+     */
+    async runDeregistration(ueId, deregistrationType) {
+        const { networkInitiated, switchOff, reRegistrationRequired } = deregistrationType;
+        const trigger = networkInitiated ? 'Network-initiated Deregistration'
+            : (switchOff ? 'Switch-off Deregistration' : 'UE-initiated Deregistration');
+        const ue = window.dataStore?.getNFById(ueId);
+        if (!ue) {
+            return { success: false, error: 'UE not found' };
+        }
+
+        const fail = (error) => {
+            console.error(`❌ ${trigger} failed for ${ue.name}: ${error}`);
+            if (window.logEngine) {
+                window.logEngine.addLog(ueId, 'ERROR', `${trigger} failed: ${error}`);
+            }
+            return { success: false, error };
+        };
+
+        if (this.getRMState(ueId) !== this.RM_STATES.REGISTERED) {
+            return fail('UE is already RM-DEREGISTERED');
+        }
+
+        const gnb = this.getServingGNB(ueId);
+        if (!gnb) {
+            return fail('UE is not camped on a gNB');
+        }
+
+        const amf = window.mobilityManager?.getServingAMF(ue);
+        if (!amf) {
+            return fail('No stable AMF found in same subnet');
+        }
+
+        if (!this.areNFsConnected(gnb.id, amf.id)) {
+            return fail(`${gnb.name} has no N2 association with ${amf.name}`);
+        }
+
+        if (networkInitiated && window.nasTimerManager?.isUnreachable(ueId)) {
+            return fail('UE is unreachable (mobile reachable timer expired) - left to implicit deregistration');
+        }
+
+        const wasIdle = this.getCMState(ueId) === this.CM_STATES.IDLE;
+        this.stopInactivityTimer(ueId);
+
+        console.log(`📡 Starting ${trigger} for ${ue.name}`);
+
+        try {
+            // Step 1: an idle UE needs a signalling connection first
+            // (paged by the AMF when the network starts the procedure)
+            if (wasIdle && networkInitiated) {
+                const reached = await this.sendPaging(amf, this.getRegistrationAreaGNBs(ueId, amf), ue, 1);
+                if (!reached) {
+                    return fail('UE did not respond to paging');
+                }
+                await this.sendRRCSetup(ue, gnb, 'mt-Access', 'SERVICE_REQUEST');
+                await this.sendSignal(gnb, amf, 'N2', 'request', 'N2: Initial UE Message (Service Request)', {
+                    messageType: 'INITIAL_UE_MESSAGE',
+                    ranUeNgapId: ue.config.ranUeNgapId || 1,
+                    nasPdu: { messageType: 'SERVICE_REQUEST', serviceType: 'mobileTerminatedServices' },
+                    rrcEstablishmentCause: 'mt-Access'
+                }, 'NGAP');
+            } else if (wasIdle) {
+                await this.sendRRCSetup(ue, gnb, 'mo-Signalling', 'DEREGISTRATION_REQUEST');
+            }
+            this.setCMState(ueId, this.CM_STATES.CONNECTED, trigger);
+
+            // Step 2: Deregistration Request
+            if (networkInitiated) {
+                await this.sendNetworkDeregistrationRequest(amf, gnb, ue, reRegistrationRequired);
+            } else {
+                await this.sendDeregistrationRequest(ue, gnb, amf, switchOff, wasIdle);
+            }
+
+            // Step 3: AMF releases the PDU sessions in SMF and UPF
+            if (this.getPDUSessions(ue).length > 0) {
+                await this.releaseSMContexts(amf, ue);
+            }
+
+            // Step 4: Deregistration Accept (none for a switched-off UE)
+            if (networkInitiated) {
+                await this.sendDeregistrationAccept(ue, gnb, amf, 'DEREGISTRATION_ACCEPT_UE_TERMINATED');
+            } else if (!switchOff) {
+                await this.sendDeregistrationAccept(amf, gnb, ue, 'DEREGISTRATION_ACCEPT_UE_ORIGINATING');
+            }
+
+            // Step 5: AMF releases the N2 signalling connection
+            await this.sendUEContextRelease(amf, gnb, ue, 'DEREGISTER', !switchOff);
+            this.onDeregistration(ueId, trigger);
+
+            console.log(`✅ ${trigger} completed for ${ue.name}`);
+
+            if (window.logEngine) {
+                window.logEngine.addLog(amf.id, 'SUCCESS', `${trigger} complete for ${ue.name}`, {
+                    switchOff: switchOff,
+                    reRegistrationRequired: reRegistrationRequired,
+                    rmState: this.RM_STATES.DEREGISTERED
+                });
+            }
+
+            // Step 6: UE told to re-register starts an Initial Registration
+            if (reRegistrationRequired && window.logEngine) {
+                window.logEngine.addLog(ueId, 'INFO', 'Re-registration required - starting Initial Registration');
+                window.logEngine.simulateNASRegistration(ue, amf, {
+                    imsi: ue.config.subscriberImsi || '001010000000101',
+                    dnn: ue.config.subscriberDnn || '5G-Lab',
+                    nssai_sst: ue.config.subscriberSst || 1
+                });
+            }
+
+            return { success: true, error: null };
+
+        } catch (error) {
+            return fail(error.message);
+
+        } finally {
+            if (this.getCMState(ueId) === this.CM_STATES.CONNECTED && this.isUserPlaneActive(ueId)) {
+                this.startInactivityTimer(ueId);
+            }
+        }
+    }
+
+    /**
+     * Release every PDU session of a deregistering UE:
+     * Nsmf_PDUSession_ReleaseSMContext and N4 Session Release
+     * @param {Object} amf - Serving AMF
+     * @param {Object} ue - UE NF
+     */
+    async releaseSMContexts(amf, ue) {
+        const validation = this.validatePrerequisites(ue.id);
+
+        if (validation.valid) {
+            const { smf, upf } = validation.nfs;
+
+            for (const pduSession of this.getPDUSessions(ue)) {
+                const session = {
+                    pduSessionId: pduSession.sessionId,
+                    assignedIP: pduSession.assignedIP,
+                    upfId: pduSession.upfId,
+                    tunnelId: this.sessions.get(ue.id)?.get(pduSession.sessionId)?.tunnelId || null
+                };
+
+                await this.sendSignal(amf, smf, 'Nsmf_PDUSession', 'request', 'Nsmf_PDUSession_ReleaseSMContext (HTTP/2 POST)', {
+                    smContextRef: `imsi-${ue.config.subscriberImsi}-${pduSession.sessionId}`,
+                    cause: 'REL_DUE_TO_UE_DEREGISTRATION',
+                    ngApCause: { group: 'nas', value: 'deregister' }
+                }, 'HTTP/2', 'POST');
+
+                await window.userPlaneManager?.releasePath(smf, ue, pduSession);
+                await this.sendN4SessionRelease(smf, upf, ue, session);
+
+                await this.sendSignal(smf, amf, 'Nsmf_PDUSession', 'response', 'Nsmf_PDUSession_ReleaseSMContext Response (204 No Content)', {
+                    status: 204,
+                    pduSessionId: pduSession.sessionId
+                }, 'HTTP/2');
+            }
+        }
+
+        this.cleanupSession(ue.id);
+    }
+
+    async sendDeregistrationRequest(ue, gnb, amf, switchOff, wasIdle) {
+        const nasPayload = {
+            messageType: 'DEREGISTRATION_REQUEST_UE_ORIGINATING',
+            deregistrationType: { switchOff: switchOff, reRegistrationRequired: false, accessType: '3GPP_ACCESS' },
+            ngKSI: 1,
+            '5gsMobileIdentity': window.suciManager?.getMobileIdentity(ue) || `imsi-${ue.config.subscriberImsi}`
+        };
+
+        await this.sendSignal(ue, gnb, 'RRC', 'request',
+            `RRC: UL Information Transfer (Deregistration Request${switchOff ? ', switch-off' : ''})`, nasPayload);
+
+        // gNB wraps the NAS PDU in NGAP (new UE association if the UE was idle)
+        await this.sendSignal(gnb, amf, 'N2', 'request',
+            `N2: ${wasIdle ? 'Initial UE Message' : 'Uplink NAS Transport'} (Deregistration Request)`, {
+            messageType: wasIdle ? 'INITIAL_UE_MESSAGE' : 'UPLINK_NAS_TRANSPORT',
+            ranUeNgapId: ue.config.ranUeNgapId || 1,
+            nasPdu: nasPayload,
+            userLocationInformation: { nrCgi: gnb.name, tai: window.mobilityManager.formatTAI(window.mobilityManager.getGNBTAI(gnb)) },
+            ...(wasIdle && { rrcEstablishmentCause: 'mo-Signalling' })
+        }, 'NGAP');
+    }
+
+    async sendNetworkDeregistrationRequest(amf, gnb, ue, reRegistrationRequired) {
+        const nasPayload = {
+            messageType: 'DEREGISTRATION_REQUEST_UE_TERMINATED',
+            deregistrationType: { switchOff: false, reRegistrationRequired: reRegistrationRequired, accessType: '3GPP_ACCESS' },
+            ...(!reRegistrationRequired && { '5gmmCause': '5GS_SERVICES_NOT_ALLOWED' })
+        };
+
+        await this.sendSignal(amf, gnb, 'N2', 'request', 'N2: Downlink NAS Transport (Deregistration Request)', {
+            messageType: 'DOWNLINK_NAS_TRANSPORT',
+            ueNgapIds: { amfUeNgapId: ue.config.amfUeNgapId || 1, ranUeNgapId: ue.config.ranUeNgapId || 1 },
+            nasPdu: nasPayload
+        }, 'NGAP');
+
+        await this.sendSignal(gnb, ue, 'RRC', 'request', 'RRC: DL Information Transfer (Deregistration Request)', nasPayload);
+    }
+
+    /**
+     * Deregistration Accept in either direction over RRC and N2
+     * @param {Object} sender - UE or AMF
+     * @param {Object} gnb - Serving gNB
+     * @param {Object} receiver - AMF or UE
+     * @param {string} messageType - UE originating / UE terminated accept
+     */
+    async sendDeregistrationAccept(sender, gnb, receiver, messageType) {
+        const nasPayload = { messageType };
+
+        if (sender.type === 'UE') {
+            await this.sendSignal(sender, gnb, 'RRC', 'response', 'RRC: UL Information Transfer (Deregistration Accept)', nasPayload);
+            await this.sendSignal(gnb, receiver, 'N2', 'response', 'N2: Uplink NAS Transport (Deregistration Accept)', {
+                messageType: 'UPLINK_NAS_TRANSPORT',
+                nasPdu: nasPayload
+            }, 'NGAP');
+        } else {
+            await this.sendSignal(sender, gnb, 'N2', 'response', 'N2: Downlink NAS Transport (Deregistration Accept)', {
+                messageType: 'DOWNLINK_NAS_TRANSPORT',
+                nasPdu: nasPayload
+            }, 'NGAP');
+            await this.sendSignal(gnb, receiver, 'RRC', 'response', 'RRC: DL Information Transfer (Deregistration Accept)', nasPayload);
+        }
+    }
+
+    // ==========================================
+    // Service Request Message Flows
+    // ==========================================
+
+    async sendRRCSetup(ue, gnb, establishmentCause, dedicatedNAS = 'SERVICE_REQUEST') {
+        const requestId = this.generateMessageId();
+        const requestPayload = {
+            rrcMessage: 'RRCSetupRequest',
+            ueIdentity: ue.config.guti ? '5G-S-TMSI-Part1' : 'randomValue',
+            establishmentCause: establishmentCause
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(ue.id, 'INFO', 'RRC: RRC Setup Request → gNB', {
+                messageId: requestId,
+                interface: 'RRC',
+                direction: 'request',
+                json: requestPayload
+            });
+        }
+
+        await this.animatePacket(ue.id, gnb.id, 'RRC', 'request', requestPayload, requestId);
+        await this.delay(300);
+
+        const setupId = this.generateMessageId();
+        const setupPayload = {
+            rrcMessage: 'RRCSetup',
+            radioBearerConfig: { srb1: 'enabled' },
+            masterCellGroup: 'default'
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(gnb.id, 'INFO', 'RRC: RRC Setup → UE', {
+                messageId: setupId,
+                interface: 'RRC',
+                direction: 'response',
+                json: setupPayload
+            });
+        }
+
+        await this.animatePacket(gnb.id, ue.id, 'RRC', 'response', setupPayload, setupId);
+        await this.delay(300);
+
+        const completeId = this.generateMessageId();
+        const completePayload = {
+            rrcMessage: 'RRCSetupComplete',
+            selectedPLMNIdentity: 1,
+            dedicatedNAS: dedicatedNAS
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(ue.id, 'INFO', 'RRC: RRC Setup Complete → gNB', {
+                messageId: completeId,
+                interface: 'RRC',
+                direction: 'request',
+                json: completePayload
+            });
+        }
+
+        await this.animatePacket(ue.id, gnb.id, 'RRC', 'request', completePayload, completeId);
+        await this.delay(300);
+    }
+
+    async sendNASServiceRequest(ue, amf, serviceType) {
+        const messageId = this.generateMessageId();
+        const pduSessionStatus = this.getPDUSessionStatus(ue);
+        const payload = {
+            messageType: 'SERVICE_REQUEST',
+            ngKSI: 1,
+            serviceType: serviceType,
+            '5gSTmsi': window.suciManager?.getSTMSI(ue) || `imsi-${ue.config.subscriberImsi}`,
+            uplinkDataStatus: Object.fromEntries(Object.keys(pduSessionStatus).map(pduSessionId => [pduSessionId, true])),
+            pduSessionStatus: pduSessionStatus
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(ue.id, 'INFO', 'N1: Service Request → AMF', {
+                messageId,
+                interface: 'N1',
+                direction: 'request',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(ue.id, amf.id, 'N1', 'request', payload, messageId);
+        await this.delay(600);
+    }
+
+    async sendNsmfUpdateSMContextActivate(amf, smf, ue, pduSession) {
+        const messageId = this.generateMessageId();
+        const payload = {
+            supi: `imsi-${ue.config.subscriberImsi}`,
+            pduSessionId: pduSession.sessionId,
+            upCnxState: 'ACTIVATING',
+            cause: 'SERVICE_REQUEST',
+            anType: '3GPP_ACCESS'
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf.id, 'INFO', 'Nsmf_PDUSession_UpdateSMContext (HTTP/2 POST) → SMF', {
+                messageId,
+                interface: 'Nsmf_PDUSession',
+                method: 'POST',
+                direction: 'request',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(amf.id, smf.id, 'Nsmf_PDUSession', 'request', payload, messageId);
+        await this.delay(400);
+    }
+
+    async sendInitialContextSetup(amf, gnb, ue, upf) {
+        const requestId = this.generateMessageId();
+        // New RRC connection: fresh KgNB from the Service Request's uplink NAS COUNT
+        const securityKey = window.akaManager?.refreshKgNB(ue);
+        const pduSessions = this.getPDUSessions(ue);
+        const requestPayload = {
+            messageType: 'INITIAL_CONTEXT_SETUP_REQUEST',
+            nasPdu: { messageType: 'SERVICE_ACCEPT' },
+            ...(securityKey && { securityKey }),
+            pduSessionResourceSetupList: pduSessions.map(pduSession => ({
+                pduSessionId: pduSession.sessionId,
+                snssai: { sst: pduSession.sst },
+                ulNguUpTnlInfo: {
+                    transportLayerAddress: upf.config.ipAddress,
+                    gtpTeid: `0x${Math.floor(Math.random() * 0xffffff).toString(16)}`
+                },
+                qosFlowSetupRequestList: [{ qfi: 1, '5qi': 9 }]
+            }))
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf.id, 'INFO', 'N2: Initial Context Setup Request → gNB', {
+                messageId: requestId,
+                interface: 'N2',
+                protocol: 'NGAP',
+                direction: 'request',
+                json: requestPayload
+            });
+        }
+
+        await this.animatePacket(amf.id, gnb.id, 'N2', 'request', requestPayload, requestId);
+        await this.delay(400);
+
+        const reconfigId = this.generateMessageId();
+        const reconfigPayload = {
+            rrcMessage: 'RRCReconfiguration',
+            drbToAddModList: pduSessions.map((pduSession, i) => ({ drbId: i + 1, pduSessionId: pduSession.sessionId })),
+            dedicatedNAS: 'SERVICE_ACCEPT'
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(gnb.id, 'INFO', 'RRC: RRC Reconfiguration → UE', {
+                messageId: reconfigId,
+                interface: 'RRC',
+                direction: 'request',
+                json: reconfigPayload
+            });
+        }
+
+        await this.animatePacket(gnb.id, ue.id, 'RRC', 'request', reconfigPayload, reconfigId);
+        await this.delay(300);
+
+        const responseId = this.generateMessageId();
+        const responsePayload = {
+            messageType: 'INITIAL_CONTEXT_SETUP_RESPONSE',
+            pduSessionResourceSetupListCxtRes: pduSessions.map(pduSession => ({
+                pduSessionId: pduSession.sessionId,
+                dlNguUpTnlInfo: {
+                    transportLayerAddress: gnb.config.ipAddress,
+                    gtpTeid: `0x${Math.floor(Math.random() * 0xffffff).toString(16)}`
+                }
+            }))
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(gnb.id, 'SUCCESS', 'N2: Initial Context Setup Response → AMF', {
+                messageId: responseId,
+                interface: 'N2',
+                protocol: 'NGAP',
+                direction: 'response',
+                json: responsePayload
+            });
+        }
+
+        await this.animatePacket(gnb.id, amf.id, 'N2', 'response', responsePayload, responseId);
+        await this.delay(400);
+    }
+
+    async sendNsmfUpdateSMContextANInfo(amf, smf, ue, pduSession, gnb, n2SmInfoType = 'PDU_RES_SETUP_RSP') {
+        const messageId = this.generateMessageId();
+        const payload = {
+            pduSessionId: pduSession.sessionId,
+            n2SmInfoType: n2SmInfoType,
+            anTunnelInfo: { ipv4Address: gnb.config.ipAddress }
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf.id, 'INFO', 'Nsmf_PDUSession_UpdateSMContext (HTTP/2 POST) → SMF', {
+                messageId,
+                interface: 'Nsmf_PDUSession',
+                method: 'POST',
+                direction: 'request',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(amf.id, smf.id, 'Nsmf_PDUSession', 'request', payload, messageId);
+        await this.delay(400);
+    }
+
+    async sendN4SessionModificationActivate(smf, upf, ue, pduSession, gnb) {
+        // The downlink FAR towards the gNB lives in the UPF terminating N3
+        const accessUpf = window.userPlaneManager?.getAccessUPF(pduSession) || upf;
+        const messageId = this.generateMessageId();
+        const requestPayload = {
+            pduSessionId: pduSession.sessionId,
+            updateFar: {
+                farId: 1,
+                applyAction: { FORW: true, BUFF: false, NOCP: false },
+                forwardingParameters: {
+                    destinationInterface: 'ACCESS',
+                    outerHeaderCreation: { description: 'GTP-U/UDP/IPv4', ipv4Address: gnb.config.ipAddress }
+                }
+            }
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(smf.id, 'INFO', 'N4 Session Modification Request → UPF', {
+                messageId,
+                interface: 'N4',
+                protocol: 'PFCP',
+                direction: 'request',
+                json: requestPayload
+            });
+        }
+
+        await this.animatePacket(smf.id, accessUpf.id, 'N4', 'request', requestPayload, messageId);
+        await this.delay(400);
+
+        window.pfcpManager?.applyModification(ue, pduSession, requestPayload, accessUpf);
+
+        const responseMessageId = this.generateMessageId();
+        const responsePayload = {
+            status: 'SUCCESS',
+            cause: 'REQUEST_ACCEPTED',
+            n3Tunnel: 'ACTIVE'
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(accessUpf.id, 'SUCCESS', 'N4 Session Modification Response → SMF', {
+                messageId: responseMessageId,
+                interface: 'N4',
+                direction: 'response',
+                json: responsePayload
+            });
+        }
+
+        await this.animatePacket(accessUpf.id, smf.id, 'N4', 'response', responsePayload, responseMessageId);
+        await this.delay(400);
+    }
+
+    // ==========================================
+    // AN Release Message Flows
+    // ==========================================
+
+    async sendUEContextReleaseRequest(gnb, amf, ue, cause) {
+        const messageId = this.generateMessageId();
+        const payload = {
+            messageType: 'UE_CONTEXT_RELEASE_REQUEST',
+            amfUeNgapId: ue.config.amfUeNgapId || 1,
+            ranUeNgapId: ue.config.ranUeNgapId || 1,
+            pduSessionResourceList: this.getPDUSessions(ue).map(pduSession => ({ pduSessionId: pduSession.sessionId })),
+            cause: { radioNetwork: cause === 'USER_INACTIVITY' ? 'user-inactivity' : cause.toLowerCase() }
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(gnb.id, 'INFO', 'N2: UE Context Release Request → AMF', {
+                messageId,
+                interface: 'N2',
+                protocol: 'NGAP',
+                direction: 'request',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(gnb.id, amf.id, 'N2', 'request', payload, messageId);
+        await this.delay(600);
+    }
+
+    async sendNsmfUpdateSMContextDeactivate(amf, smf, ue, pduSession) {
+        const messageId = this.generateMessageId();
+        const payload = {
+            supi: `imsi-${ue.config.subscriberImsi}`,
+            pduSessionId: pduSession.sessionId,
+            upCnxState: 'DEACTIVATED',
+            cause: 'AN_RELEASE',
+            anType: '3GPP_ACCESS'
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf.id, 'INFO', 'Nsmf_PDUSession_UpdateSMContext (HTTP/2 POST) → SMF', {
+                messageId,
+                interface: 'Nsmf_PDUSession',
+                method: 'POST',
+                direction: 'request',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(amf.id, smf.id, 'Nsmf_PDUSession', 'request', payload, messageId);
+        await this.delay(400);
+    }
+
+    async sendN4SessionModificationDeactivate(smf, upf, ue, pduSession) {
+        // The downlink FAR towards the gNB lives in the UPF terminating N3
+        const accessUpf = window.userPlaneManager?.getAccessUPF(pduSession) || upf;
+        const messageId = this.generateMessageId();
+        const requestPayload = {
+            pduSessionId: pduSession.sessionId,
+            updateFar: {
+                farId: 1,
+                applyAction: { BUFF: true, NOCP: true, FORW: false },
+                forwardingParameters: { destinationInterface: 'ACCESS', outerHeaderCreation: null }
+            },
+            removeAnTunnel: true
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(smf.id, 'INFO', 'N4 Session Modification Request → UPF', {
+                messageId,
+                interface: 'N4',
+                protocol: 'PFCP',
+                direction: 'request',
+                json: requestPayload
+            });
+        }
+
+        await this.animatePacket(smf.id, accessUpf.id, 'N4', 'request', requestPayload, messageId);
+        await this.delay(400);
+
+        window.pfcpManager?.applyModification(ue, pduSession, requestPayload, accessUpf);
+
+        const responseMessageId = this.generateMessageId();
+        const responsePayload = {
+            status: 'SUCCESS',
+            cause: 'REQUEST_ACCEPTED',
+            downlinkBuffering: 'ENABLED'
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(accessUpf.id, 'SUCCESS', 'N4 Session Modification Response → SMF', {
+                messageId: responseMessageId,
+                interface: 'N4',
+                direction: 'response',
+                json: responsePayload
+            });
+        }
+
+        await this.animatePacket(accessUpf.id, smf.id, 'N4', 'response', responsePayload, responseMessageId);
+        await this.delay(400);
+    }
+
+    async sendNsmfUpdateSMContextResponse(smf, amf, ue, pduSession, upCnxState) {
+        const messageId = this.generateMessageId();
+        const payload = {
+            pduSessionId: pduSession.sessionId,
+            upCnxState: upCnxState
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(smf.id, 'INFO', 'Nsmf_PDUSession_UpdateSMContext Response → AMF', {
+                messageId,
+                interface: 'Nsmf_PDUSession',
+                direction: 'response',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(smf.id, amf.id, 'Nsmf_PDUSession', 'response', payload, messageId);
+        await this.delay(400);
+    }
+
+    async sendUEContextRelease(amf, gnb, ue, cause, notifyUE = true) {
+        const commandId = this.generateMessageId();
+        const commandPayload = {
+            messageType: 'UE_CONTEXT_RELEASE_COMMAND',
+            ueNgapIds: { amfUeNgapId: ue.config.amfUeNgapId || 1, ranUeNgapId: ue.config.ranUeNgapId || 1 },
+            cause: cause === 'DEREGISTER'
+                ? { nas: 'deregister' }
+                : { radioNetwork: cause === 'USER_INACTIVITY' ? 'user-inactivity' : cause.toLowerCase() }
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf.id, 'INFO', 'N2: UE Context Release Command → gNB', {
+                messageId: commandId,
+                interface: 'N2',
+                protocol: 'NGAP',
+                direction: 'request',
+                json: commandPayload
+            });
+        }
+
+        await this.animatePacket(amf.id, gnb.id, 'N2', 'request', commandPayload, commandId);
+        await this.delay(400);
+
+        // A switched-off UE has already left the cell
+        if (notifyUE) {
+            const rrcId = this.generateMessageId();
+            const rrcPayload = {
+                rrcMessage: 'RRCRelease',
+                releaseCause: 'other',
+                rrcState: 'RRC_IDLE'
+            };
+
+            if (window.logEngine) {
+                window.logEngine.addLog(gnb.id, 'INFO', 'RRC: RRC Release → UE', {
+                    messageId: rrcId,
+                    interface: 'RRC',
+                    direction: 'request',
+                    json: rrcPayload
+                });
+            }
+
+            await this.animatePacket(gnb.id, ue.id, 'RRC', 'request', rrcPayload, rrcId);
+            await this.delay(400);
+        }
+
+        const completeId = this.generateMessageId();
+        const completePayload = {
+            messageType: 'UE_CONTEXT_RELEASE_COMPLETE',
+            ueNgapIds: commandPayload.ueNgapIds,
+            pduSessionResourceList: this.getPDUSessions(ue).map(pduSession => ({ pduSessionId: pduSession.sessionId }))
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(gnb.id, 'SUCCESS', 'N2: UE Context Release Complete → AMF', {
+                messageId: completeId,
+                interface: 'N2',
+                protocol: 'NGAP',
                 direction: 'response',
-                json: payload
+                json: completePayload
             });
         }
 
-        await this.animatePacket(amf.id, ue.id, 'N1', 'response', payload, messageId);
-        await this.delay(800);
+        await this.animatePacket(gnb.id, amf.id, 'N2', 'response', completePayload, completeId);
+        await this.delay(400);
     }
 
     // ==========================================
-    // Helper Methods
+    // UE IP Pools (per DNN, on the UPF)
     // ==========================================
 
     /**
-     * Allocate UE IP from UPF's tun0 pool
+     * Fresh copies of the default UE address pools for a new UPF
+     * @returns {Array} IP pools
+     */
+    createDefaultIPPools() {
+        return this.DEFAULT_IP_POOLS.map(pool => ({ ...pool, assignedIPs: [], assignedPrefixes: [] }));
+    }
+
+    /**
+     * Get the UE address pools of a UPF. Topologies saved before per-DNN
+     * pools carry a single tun0Interface, converted on first access.
+     * @param {Object} upf - UPF NF
+     * @returns {Array} IP pools ({dnn, interfaceName, network, gatewayIP, assignedIPs})
+     */
+    getIPPools(upf) {
+        if (!upf?.config) return [];
+
+        if (!upf.config.ipPools && upf.config.tun0Interface) {
+            const tun0 = upf.config.tun0Interface;
+            upf.config.ipPools = [{
+                dnn: '5G-Lab',
+                interfaceName: tun0.interfaceName || tun0.name || 'tun0',
+                network: tun0.network || '10.0.0.0/28',
+                gatewayIP: tun0.gatewayIP || '10.0.0.1',
+                assignedIPs: (tun0.assignedIPs || []).map(assignment => ({ pduSessionId: 1, ...assignment }))
+            }];
+            delete upf.config.tun0Interface;
+        }
+
+        return upf.config.ipPools || [];
+    }
+
+    /**
+     * Find the pool a UPF uses for a DNN
+     * @param {Object} upf - UPF NF
+     * @param {string} dnn - Data Network Name
+     * @returns {Object|null} IP pool
+     */
+    getIPPool(upf, dnn) {
+        return this.getIPPools(upf).find(pool => pool.dnn === dnn) || null;
+    }
+
+    /**
+     * Parse an IPv4 CIDR block
+     * @param {string} cidr - e.g. '10.0.0.0/28'
+     * @returns {Object|null} {base, prefix} with base as an unsigned integer
+     */
+    parseCIDR(cidr) {
+        const match = String(cidr || '').trim().match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})\/(\d{1,2})$/);
+        if (!match) return null;
+
+        const octets = match.slice(1, 5).map(Number);
+        const prefix = Number(match[5]);
+        if (octets.some(o => o > 255) || prefix < 8 || prefix > 30) return null;
+
+        const mask = (0xffffffff << (32 - prefix)) >>> 0;
+        const address = octets.reduce((acc, o) => (acc * 256) + o, 0);
+        return { base: (address & mask) >>> 0, prefix };
+    }
+
+    /**
+     * Check a new set of pools before it replaces a UPF's pools
+     * @param {Object} upf - UPF NF
+     * @param {Array} pools - Proposed pools ({dnn, network, gatewayIP, ipv6Prefix?})
+     * @returns {string|null} Error message, or null if valid
+     */
+    validateIPPools(upf, pools) {
+        const ranges = [];
+        const ipv6Ranges = [];
+
+        for (const pool of pools) {
+            if (!pool.dnn) return 'Every pool needs a DNN';
+            if (pools.filter(p => p.dnn === pool.dnn).length > 1) {
+                return `DNN ${pool.dnn} has more than one pool`;
+            }
+
+            const cidr = this.parseCIDR(pool.network);
+            if (!cidr) return `${pool.dnn}: invalid network ${pool.network} (expected e.g. 10.0.0.0/28, prefix 8-30)`;
+            if (this.intToIP(cidr.base) !== pool.network.split('/')[0]) {
+                return `${pool.dnn}: ${pool.network} is not a network address (did you mean ${this.intToIP(cidr.base)}/${cidr.prefix}?)`;
+            }
+
+            const size = 2 ** (32 - cidr.prefix);
+            const gateway = this.ipToInt(pool.gatewayIP);
+            if (gateway === null || gateway <= cidr.base || gateway >= cidr.base + size - 1 || !this.getPoolHostRange(pool).size) {
+                return `${pool.dnn}: gateway ${pool.gatewayIP} is not a host address of ${pool.network}`;
+            }
+
+            const overlap = ranges.find(r => cidr.base < r.base + r.size && r.base < cidr.base + size);
+            if (overlap) return `${pool.dnn}: ${pool.network} overlaps the ${overlap.dnn} pool`;
+            ranges.push({ dnn: pool.dnn, base: cidr.base, size });
+
+            if (pool.ipv6Prefix) {
+                const block = this.parseIPv6Prefix(pool.ipv6Prefix);
+                if (!block || block.prefix >= this.IPV6_DELEGATED_PREFIX_LENGTH) {
+                    return `${pool.dnn}: invalid IPv6 prefix ${pool.ipv6Prefix} (expected e.g. 2001:db8::/48, length 16-63)`;
+                }
+                const canonical = `${this.formatIPv6(block.base)}/${block.prefix}`;
+                if (canonical !== pool.ipv6Prefix.toLowerCase()) {
+                    return `${pool.dnn}: write the IPv6 prefix as ${canonical}`;
+                }
+
+                const ipv6Overlap = ipv6Ranges.find(r => this.isInIPv6Prefix(this.formatIPv6(block.base), r.prefix) ||
+                    this.isInIPv6Prefix(this.formatIPv6(r.base), pool.ipv6Prefix));
+                if (ipv6Overlap) return `${pool.dnn}: ${pool.ipv6Prefix} overlaps the ${ipv6Overlap.dnn} pool`;
+                ipv6Ranges.push({ dnn: pool.dnn, base: block.base, prefix: pool.ipv6Prefix });
+            }
+        }
+
+        // Pools with allocated addresses cannot disappear or be renumbered under their sessions
+        for (const current of this.getIPPools(upf)) {
+            const proposed = pools.find(p => p.dnn === current.dnn);
+            if (current.assignedIPs?.length && (!proposed || proposed.network !== current.network || proposed.gatewayIP !== current.gatewayIP)) {
+                return `${current.dnn} pool has ${current.assignedIPs.length} address(es) in use; release those PDU sessions first`;
+            }
+            if (current.assignedPrefixes?.length && (proposed?.ipv6Prefix || null) !== (current.ipv6Prefix || null)) {
+                return `${current.dnn} pool has ${current.assignedPrefixes.length} IPv6 prefix(es) delegated; release those PDU sessions first`;
+            }
+        }
+
+        return null;
+    }
+
+    /**
+     * Parse a dotted IPv4 address as an unsigned integer
+     * @param {string} ip - e.g. '10.0.0.1'
+     * @returns {number|null} Address, or null if not a valid IPv4 address
+     */
+    ipToInt(ip) {
+        const match = String(ip || '').trim().match(/^(\d{1,3})\.(\d{1,3})\.(\d{1,3})\.(\d{1,3})$/);
+        if (!match) return null;
+
+        const octets = match.slice(1, 5).map(Number);
+        if (octets.some(o => o > 255)) return null;
+        return octets.reduce((acc, o) => (acc * 256) + o, 0);
+    }
+
+    /**
+     * Format an unsigned integer as a dotted IPv4 address
+     * @param {number} value - Address
+     * @returns {string} Dotted quad
+     */
+    intToIP(value) {
+        return [24, 16, 8, 0].map(shift => (value >>> shift) & 0xff).join('.');
+    }
+
+    /**
+     * Netmask of a pool's network
+     * @param {Object} pool - IP pool
+     * @returns {string} Dotted netmask
+     */
+    getPoolNetmask(pool) {
+        const cidr = this.parseCIDR(pool.network);
+        return cidr ? this.intToIP((0xffffffff << (32 - cidr.prefix)) >>> 0) : '255.255.255.0';
+    }
+
+    /**
+     * Host range of a pool that can be given to UEs (all hosts except the gateway).
+     * Kept as integers: a /8 pool has millions of hosts, too many to list.
+     * @param {Object} pool - IP pool
+     * @returns {Object} {first, last, gateway, size} - first/last UE address as integers
+     *                   (null if the network is invalid), size counts UE addresses
+     */
+    getPoolHostRange(pool) {
+        const cidr = this.parseCIDR(pool.network);
+        if (!cidr) return { first: null, last: null, gateway: null, size: 0 };
+
+        let first = cidr.base + 1;
+        let last = cidr.base + (2 ** (32 - cidr.prefix)) - 2;
+        const gateway = this.ipToInt(pool.gatewayIP);
+        const gatewayIsHost = gateway !== null && gateway >= first && gateway <= last;
+        const size = last - first + 1 - (gatewayIsHost ? 1 : 0);
+
+        if (gateway === first) first++;
+        if (gateway === last) last--;
+        return { first, last, gateway, size };
+    }
+
+    /**
+     * UE addresses or IPv6 prefixes handed out by any UPF. Every UPF starts
+     * with the same default pools, so a value is only free when no UPF has
+     * given it away.
+     * @param {string} key - 'assignedIPs' or 'assignedPrefixes'
+     * @returns {Set<string>} IPv4 addresses or delegated IPv6 prefixes
+     */
+    getAllocatedAddresses(key = 'assignedIPs') {
+        const field = key === 'assignedPrefixes' ? 'prefix' : 'ip';
+        const allocated = new Set();
+        (window.dataStore?.getAllNFs() || [])
+            .filter(nf => nf.type === 'UPF')
+            .forEach(upf => this.getIPPools(upf).forEach(pool =>
+                (pool[key] || []).forEach(assignment => allocated.add(assignment[field]))));
+        return allocated;
+    }
+
+    /**
+     * Number of a pool's UE addresses taken by any UPF
+     * @param {Object} pool - IP pool
+     * @returns {number} Addresses in use
+     */
+    countPoolAddressesInUse(pool) {
+        const range = this.getPoolHostRange(pool);
+        let count = 0;
+        this.getAllocatedAddresses().forEach(ip => {
+            const host = this.ipToInt(ip);
+            if (host !== null && host >= range.first && host <= range.last && host !== range.gateway) count++;
+        });
+        return count;
+    }
+
+    /**
+     * Number of /64s of a pool's IPv6 prefix delegated by any UPF
+     * @param {Object} pool - IP pool
+     * @returns {number} Prefixes in use
+     */
+    countPoolPrefixesInUse(pool) {
+        let count = 0;
+        this.getAllocatedAddresses('assignedPrefixes').forEach(prefix => {
+            if (this.isInIPv6Prefix(prefix.split('/')[0], pool.ipv6Prefix)) count++;
+        });
+        return count;
+    }
+
+    /**
+     * Allocate a UE address from the UPF pool of a DNN
      * @param {Object} upf - UPF NF
      * @param {Object} ue - UE NF
-     * @returns {string} Allocated IP
-     */
-    allocateUEIP(upf, ue) {
-        const tun0 = upf.config.tun0Interface;
-        if (!tun0) return '10.0.0.2';
-
-        // Find next available IP
-        let nextIP = tun0.nextAvailableIP || 2;
-        while (nextIP <= 14) {
-            const candidateIP = `10.0.0.${nextIP}`;
-            const isAssigned = (tun0.assignedIPs || []).some(a => a.ip === candidateIP);
-            if (!isAssigned) {
-                tun0.assignedIPs = tun0.assignedIPs || [];
-                tun0.assignedIPs.push({
-                    ueId: ue.id,
-                    ueName: ue.name,
-                    ip: candidateIP,
-                    assignedAt: Date.now()
-                });
-                tun0.nextAvailableIP = nextIP + 1;
-                window.dataStore?.updateNF(upf.id, upf);
-                return candidateIP;
+     * @param {string} dnn - Data Network Name
+     * @param {number} pduSessionId - PDU session the address belongs to
+     * @param {Array<string>} avoid - Further addresses not to hand out
+     * @returns {string|null} Allocated IP, or null if the DNN has no pool or the pool is exhausted
+     */
+    allocateUEIP(upf, ue, dnn, pduSessionId, avoid = []) {
+        const pool = this.getIPPool(upf, dnn);
+        if (!pool) return null;
+
+        // UPFs may share a range, so skip the addresses any UPF handed out
+        pool.assignedIPs = pool.assignedIPs || [];
+        const inUse = new Set([
+            ...this.getAllocatedAddresses(),
+            ...this.getPDUSessions(ue).map(pduSession => pduSession.assignedIP),
+            ...avoid
+        ]);
+
+        // Walk the range up to the first free address rather than listing every host
+        const range = this.getPoolHostRange(pool);
+        let ip = null;
+        for (let host = range.first; range.size > 0 && host <= range.last; host++) {
+            const candidate = this.intToIP(host);
+            if (host !== range.gateway && !inUse.has(candidate)) {
+                ip = candidate;
+                break;
             }
-            nextIP++;
         }
+        if (!ip) return null;
+
+        pool.assignedIPs.push({
+            ueId: ue.id,
+            ueName: ue.name,
+            pduSessionId: pduSessionId,
+            ip: ip,
+            assignedAt: Date.now()
+        });
+        window.dataStore?.updateNF(upf.id, upf);
+        return ip;
+    }
+
+    /**
+     * Return a UE's addresses to the UPF pools
+     * @param {Object} upf - UPF NF
+     * @param {string} ueId - UE ID
+     * @param {number|null} pduSessionId - Only this session's address, null for all of the UE
+     */
+    releaseUEIP(upf, ueId, pduSessionId = null) {
+        let changed = false;
+
+        this.getIPPools(upf).forEach(pool => {
+            ['assignedIPs', 'assignedPrefixes'].forEach(key => {
+                const kept = (pool[key] || []).filter(a =>
+                    a.ueId !== ueId || (pduSessionId !== null && a.pduSessionId !== pduSessionId));
+                if (kept.length !== (pool[key] || []).length) {
+                    pool[key] = kept;
+                    changed = true;
+                }
+            });
+        });
+
+        if (changed) {
+            window.dataStore?.updateNF(upf.id, upf);
+        }
+    }
+
+    // ==========================================
+    // IPv6 prefix delegation
+    // ==========================================
+
+    /**
+     * Parse a textual IPv6 address (RFC 4291 2.2, no embedded IPv4 or zone)
+     * @param {string} ip - e.g. '2001:db8::1'
+     * @returns {BigInt|null} 128-bit value, or null if malformed
+     */
+    parseIPv6(ip) {
+        const text = String(ip || '').trim().toLowerCase();
+        if (!text.includes(':') || !/^[0-9a-f:]+$/.test(text)) return null;
+
+        const halves = text.split('::');
+        if (halves.length > 2) return null;
+
+        const head = halves[0] ? halves[0].split(':') : [];
+        const tail = halves.length === 2 && halves[1] ? halves[1].split(':') : [];
+        const missing = 8 - head.length - tail.length;
+        if (halves.length === 1 ? missing !== 0 : missing < 1) return null;
+
+        const groups = [...head, ...Array(halves.length === 2 ? missing : 0).fill('0'), ...tail];
+        if (groups.some(group => !/^[0-9a-f]{1,4}$/.test(group))) return null;
+        return groups.reduce((value, group) => (value << 16n) + BigInt(parseInt(group, 16)), 0n);
+    }
+
+    /**
+     * Check for a textual IPv6 address
+     * @param {string} ip - Address
+     * @returns {boolean} True if IPv6
+     */
+    isIPv6Address(ip) {
+        return this.parseIPv6(ip) !== null;
+    }
+
+    /**
+     * Format a 128-bit value as a compressed IPv6 address (RFC 5952)
+     * @param {BigInt} value - Address
+     * @returns {string} e.g. '2001:db8:0:1::1:1'
+     */
+    formatIPv6(value) {
+        const groups = [];
+        for (let shift = 112n; shift >= 0n; shift -= 16n) {
+            groups.push(Number((value >> shift) & 0xffffn));
+        }
+
+        // The longest run of two or more zero groups becomes '::'
+        let run = { start: -1, length: 1 };
+        for (let i = 0; i < 8; i++) {
+            let end = i;
+            while (end < 8 && groups[end] === 0) end++;
+            if (end - i > run.length) run = { start: i, length: end - i };
+            i = Math.max(i, end);
+        }
+
+        const hex = groups.map(group => group.toString(16));
+        if (run.start < 0) return hex.join(':');
+        return `${hex.slice(0, run.start).join(':')}::${hex.slice(run.start + run.length).join(':')}`;
+    }
+
+    /**
+     * Parse an IPv6 prefix
+     * @param {string} cidr - e.g. '2001:db8::/48'
+     * @returns {Object|null} {base, prefix} with base as a BigInt
+     */
+    parseIPv6Prefix(cidr) {
+        const [address, length, extra] = String(cidr || '').trim().split('/');
+        const value = this.parseIPv6(address);
+        const prefix = Number(length);
+        if (value === null || extra !== undefined || !/^\d{1,3}$/.test(length || '') || prefix < 16 || prefix > 64) return null;
+
+        const hostBits = BigInt(128 - prefix);
+        return { base: (value >> hostBits) << hostBits, prefix };
+    }
+
+    /**
+     * Check whether an IPv6 address lies in a prefix
+     * @param {string} ip - IPv6 address
+     * @param {string} cidr - IPv6 prefix
+     * @returns {boolean} True if inside
+     */
+    isInIPv6Prefix(ip, cidr) {
+        const value = this.parseIPv6(ip);
+        const block = this.parseIPv6Prefix(cidr);
+        if (value === null || !block) return false;
+
+        const hostBits = BigInt(128 - block.prefix);
+        return (value >> hostBits) << hostBits === block.base;
+    }
+
+    /**
+     * The /64 an IPv6 address belongs to
+     * @param {string} ip - IPv6 address
+     * @returns {string} e.g. '2001:db8:0:1::/64'
+     */
+    getIPv6Network(ip) {
+        const value = this.parseIPv6(ip);
+        return value === null ? '' : `${this.formatIPv6((value >> 64n) << 64n)}/64`;
+    }
+
+    /**
+     * Address of the UPF on the IPv6 side of a pool (first address of the
+     * pool prefix; subnet 0 is never delegated)
+     * @param {Object} pool - IP pool
+     * @returns {string|null} IPv6 gateway address
+     */
+    getPoolIPv6Gateway(pool) {
+        const block = this.parseIPv6Prefix(pool.ipv6Prefix);
+        return block ? this.formatIPv6(block.base + 1n) : null;
+    }
+
+    /**
+     * Interface identifier the SMF gives the UE for its link-local address;
+     * the UE reuses it to build its global address from the advertised prefix
+     * @param {Object} ue - UE NF
+     * @param {number} pduSessionId - PDU session ID
+     * @returns {string} 64-bit identifier, e.g. '::1:1'
+     */
+    getInterfaceIdentifier(ue, pduSessionId) {
+        const ueNum = parseInt(ue.name.match(/\d+/)?.[0] || '1');
+        return `::${ueNum.toString(16)}:${pduSessionId.toString(16)}`;
+    }
+
+    /**
+     * Stateless address autoconfiguration: prefix plus interface identifier
+     * @param {string} prefix - /64 prefix
+     * @param {string} interfaceIdentifier - Identifier from getInterfaceIdentifier
+     * @returns {string|null} IPv6 address
+     */
+    buildSLAACAddress(prefix, interfaceIdentifier) {
+        const block = this.parseIPv6Prefix(prefix);
+        const iid = this.parseIPv6(interfaceIdentifier);
+        if (!block || iid === null) return null;
+        return this.formatIPv6(block.base | (iid & 0xffffffffffffffffn));
+    }
+
+    /**
+     * SMF choice of the PDU session type (TS 23.501 5.8.2.2.1): IPv6 needs a
+     * pool prefix for the DNN; IPv4v6 falls back to IPv4 with cause #50;
+     * Ethernet and Unstructured need no address and are taken as requested
+     * @param {Object} upf - Anchor UPF
+     * @param {string} dnn - DNN
+     * @param {string} requested - Requested PDU session type
+     * @returns {Object} {type, cause}; type is null when the request is rejected
+     */
+    selectPDUSessionType(upf, dnn, requested) {
+        const ipv6 = !!this.getIPPool(upf, dnn)?.ipv6Prefix;
+        if (requested === this.PDU_SESSION_TYPES.IPV4 || ipv6 || !this.isIPSessionType(requested)) {
+            return { type: requested, cause: null };
+        }
+        return requested === this.PDU_SESSION_TYPES.IPV4V6
+            ? { type: this.PDU_SESSION_TYPES.IPV4, cause: this.SM_CAUSES.IPV4_ONLY_ALLOWED }
+            : { type: null, cause: this.SM_CAUSES.IPV4_ONLY_ALLOWED };
+    }
+
+    /**
+     * Delegate a /64 from the pool prefix of a DNN to a PDU session
+     * @param {Object} upf - UPF NF
+     * @param {Object} ue - UE NF
+     * @param {string} dnn - Data Network Name
+     * @param {number} pduSessionId - PDU session the prefix belongs to
+     * @param {Array<string>} avoid - Addresses whose /64 must not be handed out
+     * @returns {string|null} Prefix (e.g. '2001:db8:0:1::/64'), or null if the DNN has no IPv6 prefix or it is exhausted
+     */
+    allocateUEPrefix(upf, ue, dnn, pduSessionId, avoid = []) {
+        const pool = this.getIPPool(upf, dnn);
+        const block = this.parseIPv6Prefix(pool?.ipv6Prefix);
+        if (!block) return null;
+
+        // Same for prefixes: skip the /64s any UPF delegated
+        pool.assignedPrefixes = pool.assignedPrefixes || [];
+        const inUse = new Set([
+            ...this.getAllocatedAddresses('assignedPrefixes'),
+            ...this.getPDUSessions(ue).map(pduSession => pduSession.ipv6Prefix),
+            ...avoid.filter(ip => this.isIPv6Address(ip)).map(ip => this.getIPv6Network(ip))
+        ]);
+
+        // Subnet 0 holds the UPF gateway address
+        const subnets = 2 ** Math.min(16, this.IPV6_DELEGATED_PREFIX_LENGTH - block.prefix);
+        for (let subnet = 1; subnet < subnets; subnet++) {
+            const prefix = `${this.formatIPv6(block.base + (BigInt(subnet) << 64n))}/${this.IPV6_DELEGATED_PREFIX_LENGTH}`;
+            if (inUse.has(prefix)) continue;
+
+            pool.assignedPrefixes.push({
+                ueId: ue.id,
+                ueName: ue.name,
+                pduSessionId: pduSessionId,
+                prefix: prefix,
+                assignedAt: Date.now()
+            });
+            window.dataStore?.updateNF(upf.id, upf);
+            return prefix;
+        }
+        return null;
+    }
+
+    /**
+     * PDU address IE of the N1 Accept: IPv4 address and/or the interface
+     * identifier for the IPv6 link-local address
+     * @param {Object} ue - UE NF
+     * @param {Object} session - Session context
+     * @returns {Object} PDU address
+     */
+    buildPDUAddress(ue, session) {
+        const type = session.pduSessionType || this.PDU_SESSION_TYPES.IPV4;
+        return {
+            pduSessionType: type,
+            ...(type !== this.PDU_SESSION_TYPES.IPV6 && { ipv4Address: session.assignedIP }),
+            ...(session.ipv6Prefix && { ipv6InterfaceIdentifier: this.getInterfaceIdentifier(ue, session.pduSessionId) })
+        };
+    }
+
+    /**
+     * UPF advertises the delegated /64 on the new session (ICMPv6 Router
+     * Advertisement over N3) and the UE builds its global address from it
+     * @param {Object} ue - UE NF
+     * @param {Object} pduSession - UE PDU session entry
+     */
+    async sendRouterAdvertisement(ue, pduSession) {
+        const accessUpf = window.userPlaneManager?.getAccessUPF(pduSession) || window.dataStore?.getNFById(pduSession.upfId);
+        const gnb = this.getServingGNB(ue.id);
+        if (!accessUpf || !gnb) return;
+
+        const payload = {
+            icmpv6Type: 'ROUTER_ADVERTISEMENT',
+            pduSessionId: pduSession.sessionId,
+            source: 'fe80::1',
+            prefixInformation: { prefix: pduSession.ipv6Prefix, onLink: false, autonomous: true, validLifetime: 'infinity' },
+            routerLifetime: 65535,
+            mtu: pduSession.tunInterface.mtu
+        };
+
+        await this.sendSignal(accessUpf, gnb, 'N3', 'request', 'N3: Router Advertisement (GTP-U)', payload, 'ICMPv6');
+        await this.sendSignal(gnb, ue, 'Radio', 'request', 'Radio: Router Advertisement', payload, 'ICMPv6');
 
-        return '10.0.0.2'; // Fallback
+        if (window.logEngine) {
+            window.logEngine.addLog(ue.id, 'SUCCESS', `SLAAC: ${pduSession.tunInterface.name} configured ${pduSession.ipv6Address}/64`, {
+                prefix: pduSession.ipv6Prefix,
+                linkLocal: pduSession.tunInterface.ipv6LinkLocal,
+                gateway: pduSession.tunInterface.ipv6Gateway
+            });
+        }
     }
 
+    // ==========================================
+    // Helper Methods
+    // ==========================================
+
     /**
      * Animate packet between NFs
      * @param {string} sourceId - Source NF ID
@@ -784,18 +4348,119 @@ class SessionManager {
      * @param {string} direction - 'request' or 'response'
      * @param {Object} payload - JSON payload
      * @param {string} messageId - Message ID for inspector linking
+     * @param {Object} options - Extra PacketAnimator options (e.g. error)
      */
-    async animatePacket(sourceId, targetId, interfaceName, direction, payload, messageId) {
+    async animatePacket(sourceId, targetId, interfaceName, direction, payload, messageId, options = {}) {
+        // SBI requests carry an OAuth2 access token when the producer's NRF requires one
+        const consumer = window.dataStore?.getNFById(sourceId);
+        const producer = window.dataStore?.getNFById(targetId);
+        const tokenRequired = !!window.nrfManager?.requiresAccessToken(consumer, producer, interfaceName, direction);
+        const token = tokenRequired ? await window.nrfManager.getAccessToken(consumer, producer, interfaceName) : null;
+
         if (window.packetAnimator) {
             await window.packetAnimator.sendPacket({
+                ...options,
                 sourceId,
                 targetId,
                 interface: interfaceName,
                 direction,
                 payload,
-                messageId
+                messageId,
+                security: window.akaManager?.getMessageSecurity(sourceId, targetId, interfaceName) || null,
+                accessToken: token ? token.claims : null
+            });
+        }
+
+        if (!tokenRequired) return;
+        const problem = window.nrfManager.verifyAccessToken(token, consumer, producer, interfaceName);
+        if (!problem) return;
+
+        await this.sendAuthorizationProblem(producer, consumer, interfaceName, problem);
+
+        // An expired or foreign token is replaced once, then the request is sent again
+        if (problem.refresh && !options.tokenRefreshed) {
+            window.nrfManager.dropAccessToken(consumer, producer, interfaceName);
+            await window.nrfManager.getAccessToken(consumer, producer, interfaceName);
+            window.logEngine?.addLog(consumer.id, 'INFO', `${interfaceName} request resent with a new access token → ${producer.name}`, {
+                messageId,
+                interface: interfaceName,
+                direction
+            });
+            return this.animatePacket(sourceId, targetId, interfaceName, direction, payload, messageId, { ...options, tokenRefreshed: true });
+        }
+        throw new Error(`${interfaceName} request rejected by ${producer.name}: ${problem.status} ${problem.title} (${problem.detail})`);
+    }
+
+    /**
+     * Producer → consumer: 401/403 ProblemDetails for a request whose access
+     * token failed verification
+     * @param {Object} producer - Producer NF
+     * @param {Object} consumer - Consumer NF
+     * @param {string} interfaceName - Service
+     * @param {Object} problem - {status, title, error, detail}
+     */
+    async sendAuthorizationProblem(producer, consumer, interfaceName, problem) {
+        const messageId = this.generateMessageId();
+        const status = `${problem.status} ${problem.title}`;
+        const payload = {
+            status: problem.status,
+            'www-authenticate': `Bearer error="${problem.error}", error_description="${problem.detail}"`,
+            problemDetails: {
+                title: problem.title,
+                status: problem.status,
+                detail: problem.detail,
+                cause: problem.error.toUpperCase()
+            }
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(producer.id, 'ERROR', `${interfaceName} Response (${status}) → ${consumer.name}`, {
+                messageId,
+                interface: interfaceName,
+                protocol: 'HTTP/2',
+                direction: 'response',
+                json: payload
+            });
+        }
+
+        await this.animatePacket(producer.id, consumer.id, interfaceName, 'response', payload, messageId, { error: true, method: status });
+        await this.delay(300);
+    }
+
+    /**
+     * Log and animate a single signalling message
+     * @param {Object} source - Sending NF
+     * @param {Object} target - Receiving NF
+     * @param {string} interfaceName - Interface (N2, Xn, RRC, ...)
+     * @param {string} direction - 'request' or 'response'
+     * @param {string} label - Log message (target name is appended)
+     * @param {Object} payload - Message payload
+     * @param {string|null} protocol - Protocol shown in log/inspector
+     * @param {string|null} method - HTTP method for SBI requests
+     * @param {Object} options - Extra PacketAnimator options (e.g. error)
+     */
+    async sendSignal(source, target, interfaceName, direction, label, payload, protocol = null, method = null, options = {}) {
+        const messageId = this.generateMessageId();
+
+        // Fetch the access token first so the token exchange is logged before the request
+        if (window.nrfManager?.requiresAccessToken(source, target, interfaceName, direction)) {
+            await window.nrfManager.getAccessToken(source, target, interfaceName);
+        }
+
+        if (window.logEngine) {
+            window.logEngine.addLog(source.id, 'INFO', `${label} → ${target.name}`, {
+                messageId,
+                interface: interfaceName,
+                ...(protocol && { protocol }),
+                ...(method && { method }),
+                direction,
+                json: payload
             });
         }
+
+        await this.animatePacket(source.id, target.id, interfaceName, direction, payload, messageId,
+            protocol ? { ...options, protocol } : options);
+        await this.delay(300);
     }
 
     /**
@@ -0,0 +1,451 @@
+/**
+ * ============================================
+ * SLICE MANAGER
+ * ============================================
+ * Network slicing (TS 23.501 5.15) and the NSSF (TS 29.531)
+ *
+ * Responsibilities:
+ * - Hold the slices (SST) each AMF, SMF and UPF serves and put them
+ *   in the NF profile registered with the NRF
+ * - Read the subscribed S-NSSAIs of a UE from its UDR subscriber record
+ * - Run Nnssf_NSSelection at registration: the NSSF turns the requested and
+ *   subscribed NSSAI into the allowed, rejected and configured NSSAI
+ * - Reject a registration that ends up with no allowed slice (5GMM #62)
+ * - Check the S-NSSAI of a new PDU session against the allowed NSSAI and
+ *   select the SMF serving it
+ * - Give the canvas a colour per slice
+ */
+
+class SliceManager {
+    constructor() {
+        // Standardised Slice/Service Types (TS 23.501 5.15.2.2)
+        this.STANDARD_SSTS = {
+            1: 'eMBB',
+            2: 'URLLC',
+            3: 'MIoT',
+            4: 'V2X',
+            5: 'HMTC'
+        };
+
+        // Canvas colour of each SST; operator-specific SSTs share the last one
+        this.SLICE_COLORS = {
+            1: '#3498db',
+            2: '#e74c3c',
+            3: '#2ecc71',
+            4: '#f39c12',
+            5: '#9b59b6'
+        };
+        this.OTHER_SLICE_COLOR = '#1abc9c';
+
+        // NFs without a slice list serve every slice
+        this.SHARED_SLICE_COLOR = '#95a5a6';
+
+        // Cause of each S-NSSAI in the rejected NSSAI IE (TS 24.501 9.11.3.46)
+        this.REJECTION_CAUSES = {
+            NOT_AVAILABLE_IN_PLMN: { code: 0, name: 'S-NSSAI not available in the current PLMN' },
+            NOT_AVAILABLE_IN_REGISTRATION_AREA: { code: 1, name: 'S-NSSAI not available in the current registration area' }
+        };
+
+        // 5GMM cause of a Registration Reject without any allowed slice (TS 24.501 9.11.3.2)
+        this.NO_NETWORK_SLICES_AVAILABLE = { code: 62, name: 'No network slices available' };
+
+        // NF types whose NRF profile carries the slices they serve
+        this.SLICE_AWARE_TYPES = ['AMF', 'SMF', 'UPF'];
+
+        console.log('✅ SliceManager initialized');
+    }
+
+    // ==========================================
+    // Slice helpers
+    // ==========================================
+
+    /**
+     * Slices (SST values) an NF serves; empty means every slice
+     * @param {Object} nf - Network Function
+     * @returns {Array<number>} SSTs
+     */
+    getServedSlices(nf) {
+        return nf?.config?.supportedSsts || [];
+    }
+
+    /**
+     * Whether an NF serves a slice
+     * @param {Object} nf - Network Function
+     * @param {number} sst - SST
+     * @returns {boolean} True if the NF has no slice list or lists the SST
+     */
+    servesSlice(nf, sst) {
+        const slices = this.getServedSlices(nf);
+        return slices.length === 0 || slices.includes(sst);
+    }
+
+    /**
+     * Readable name of a slice
+     * @param {number} sst - SST
+     * @returns {string} e.g. 'SST 1 (eMBB)'
+     */
+    describeSlice(sst) {
+        return this.STANDARD_SSTS[sst] ? `SST ${sst} (${this.STANDARD_SSTS[sst]})` : `SST ${sst}`;
+    }
+
+    /**
+     * S-NSSAI list as carried in NAS and SBI messages
+     * @param {Array<number>} ssts - SSTs
+     * @returns {Array<Object>} [{sst}]
+     */
+    toSnssais(ssts) {
+        return ssts.map(sst => ({ sst }));
+    }
+
+    /**
+     * Parse a comma-separated SST list typed in a config panel
+     * @param {string} text - e.g. '1, 2'
+     * @returns {Array<number>|null} Unique SSTs, or null if one is not 1-255
+     */
+    parseSlices(text) {
+        const ssts = (text || '').split(',').map(value => value.trim()).filter(Boolean).map(Number);
+        if (ssts.some(sst => !Number.isInteger(sst) || sst < 1 || sst > 255)) return null;
+        return [...new Set(ssts)];
+    }
+
+    /**
+     * Canvas colour of a slice
+     * @param {number} sst - SST
+     * @returns {string} Colour
+     */
+    getSliceColor(sst) {
+        return this.SLICE_COLORS[sst] || this.OTHER_SLICE_COLOR;
+    }
+
+    /**
+     * Colours the canvas draws under an NF in slice view: one per slice it
+     * serves (UEs: their allowed NSSAI), grey for NFs shared by all slices,
+     * nothing for NFs outside slicing
+     * @param {Object} nf - Network Function
+     * @returns {Array<string>} Colours
+     */
+    getNFSliceColors(nf) {
+        if (nf.type === 'UE') {
+            return (nf.config.allowedNssai || [nf.config.subscriberSst || 1]).map(sst => this.getSliceColor(sst));
+        }
+        if (!this.SLICE_AWARE_TYPES.includes(nf.type)) return [];
+
+        const slices = this.getServedSlices(nf);
+        return slices.length > 0 ? slices.map(sst => this.getSliceColor(sst)) : [this.SHARED_SLICE_COLOR];
+    }
+
+    /**
+     * Slices that appear on the canvas (for the slice view legend)
+     * @param {Array<Object>} nfs - Network Functions
+     * @returns {Array<number>} Sorted SSTs
+     */
+    getSlicesInUse(nfs) {
+        const ssts = nfs.flatMap(nf => {
+            if (nf.type === 'UE') return nf.config.allowedNssai || [nf.config.subscriberSst || 1];
+            return this.SLICE_AWARE_TYPES.includes(nf.type) ? this.getServedSlices(nf) : [];
+        });
+        return [...new Set(ssts)].sort((a, b) => a - b);
+    }
+
+    // ==========================================
+    // Subscription and network availability
+    // ==========================================
+
+    /**
+     * UDR subscriber record of a UE
+     * @param {Object} ue - UE NF
+     * @returns {Object|null} Subscriber
+     */
+    getSubscriber(ue) {
+        return (window.dataStore?.getSubscribers() || []).find(s => s.imsi === ue.config.subscriberImsi) || null;
+    }
+
+    /**
+     * Subscribed S-NSSAIs of a UE: the subscriber's slice list, else its
+     * default slice
+     * @param {Object} ue - UE NF
+     * @returns {Array<number>} SSTs
+     */
+    getSubscribedSlices(ue) {
+        const subscriber = this.getSubscriber(ue);
+        if (subscriber?.nssai_ssts?.length) return subscriber.nssai_ssts;
+        return [subscriber?.nssai_sst || ue.config.subscriberSst || 1];
+    }
+
+    /**
+     * Requested NSSAI of a UE's Registration Request; a UE without one asks
+     * for its default slice
+     * @param {Object} ue - UE NF
+     * @returns {Array<number>} SSTs
+     */
+    getRequestedSlices(ue) {
+        return ue.config.requestedNssai?.length ? ue.config.requestedNssai : [ue.config.subscriberSst || 1];
+    }
+
+    /**
+     * Stable NFs of a type in the UE's subnet
+     * @param {Object} ue - UE NF
+     * @param {string} type - NF type
+     * @returns {Array<Object>} NFs
+     */
+    findNFs(ue, type) {
+        const ueNetwork = window.sessionManager?.getNetworkFromIP(ue.config.ipAddress);
+        return (window.dataStore?.getAllNFs() || []).filter(nf =>
+            nf.type === type &&
+            nf.status === 'stable' &&
+            window.sessionManager.getNetworkFromIP(nf.config.ipAddress) === ueNetwork
+        );
+    }
+
+    /**
+     * NSSF check of one S-NSSAI: the network offers a slice when an SMF and
+     * a UPF serve it; it is available in the TA when the AMF serves it and
+     * one of those UPFs covers the TAC
+     * @param {Object} ue - UE NF
+     * @param {Object} amf - Serving AMF
+     * @param {number} sst - SST
+     * @param {number|null} tac - TAC of the serving gNB
+     * @returns {Object|null} Rejection cause, null when the slice is available
+     */
+    checkAvailability(ue, amf, sst, tac) {
+        const upfs = this.findNFs(ue, 'UPF').filter(upf => this.servesSlice(upf, sst));
+        if (!this.findNFs(ue, 'SMF').some(smf => this.servesSlice(smf, sst)) || upfs.length === 0) {
+            return this.REJECTION_CAUSES.NOT_AVAILABLE_IN_PLMN;
+        }
+
+        const inArea = tac === null || upfs.some(upf => {
+            const area = window.userPlaneManager?.getServiceArea(upf) || [];
+            return area.length === 0 || area.includes(tac);
+        });
+        return this.servesSlice(amf, sst) && inArea ? null : this.REJECTION_CAUSES.NOT_AVAILABLE_IN_REGISTRATION_AREA;
+    }
+
+    // ==========================================
+    // Registration: Nnssf_NSSelection
+    // ==========================================
+
+    /**
+     * Network slice selection for a registering UE (TS 23.502 4.2.2.2.3):
+     * the AMF gets the subscribed S-NSSAIs from the UDM, then asks the NSSF
+     * which of the requested ones are allowed in the UE's TA. Requested
+     * slices outside the subscription are rejected for the PLMN. Without an
+     * NSSF the AMF applies the same rules from its local configuration.
+     * @param {Object} ue - UE NF
+     * @param {Object} amf - Serving AMF
+     * @returns {Promise<Object>} {success, allowed, rejected: [{sst, cause}], configured, cause}
+     */
+    async selectNetworkSlices(ue, amf) {
+        const sessionManager = window.sessionManager;
+        const supi = `imsi-${ue.config.subscriberImsi}`;
+        const gnb = sessionManager.getServingGNB(ue.id);
+        const tai = gnb && window.mobilityManager ? window.mobilityManager.getGNBTAI(gnb) : null;
+        const requested = this.getRequestedSlices(ue);
+        const subscribed = this.getSubscribedSlices(ue);
+
+        // Step 1: AMF → UDM: Nudm_SDM_Get (slice selection subscription data)
+        const udm = window.nrfManager.discover(amf, { targetNfType: 'UDM' }, { optional: true }).nfs[0] || null;
+        if (udm) {
+            try {
+                await sessionManager.sendSignal(amf, udm, 'Nudm_SDM', 'request', 'Nudm_SDM_Get (HTTP/2 GET)', {
+                    endpoint: `/nudm-sdm/v1/${supi}/nssai`
+                }, 'HTTP/2', 'GET');
+                await sessionManager.sendSignal(udm, amf, 'Nudm_SDM', 'response', 'Nudm_SDM_Get Response (200 OK)', {
+                    status: 200,
+                    defaultSingleNssais: this.toSnssais([this.getSubscriber(ue)?.nssai_sst || subscribed[0]]),
+                    singleNssais: this.toSnssais(subscribed)
+                }, 'HTTP/2');
+            } catch (error) {
+                window.logEngine?.addLog(amf.id, 'WARNING', `Nudm_SDM_Get failed: ${error.message}`);
+            }
+        }
+
+        // Step 2: NSSF decides per requested S-NSSAI
+        const rejected = [];
+        const allowed = [];
+        requested.forEach(sst => {
+            const cause = subscribed.includes(sst)
+                ? this.checkAvailability(ue, amf, sst, tai?.tac ?? null)
+                : this.REJECTION_CAUSES.NOT_AVAILABLE_IN_PLMN;
+            if (cause) {
+                rejected.push({ sst, cause });
+            } else {
+                allowed.push(sst);
+            }
+        });
+        const configured = subscribed.filter(sst => this.checkAvailability(ue, amf, sst, null) !== this.REJECTION_CAUSES.NOT_AVAILABLE_IN_PLMN);
+
+        // AMF → NSSF: Nnssf_NSSelection_Get, NSSF → AMF: authorized network slice info
+        let nssf = window.nrfManager.discover(amf, { targetNfType: 'NSSF', ...(tai && { tai }) }, { optional: true }).nfs[0] || null;
+        if (nssf) {
+            try {
+                await sessionManager.sendSignal(amf, nssf, 'Nnssf_NSSelection', 'request', 'Nnssf_NSSelection_Get (HTTP/2 GET)', {
+                    endpoint: '/nnssf-nsselection/v1/network-slice-information',
+                    nfType: 'AMF',
+                    nfId: amf.id,
+                    sliceInfoRequestForRegistration: {
+                        subscribedNssai: this.toSnssais(subscribed).map(subscribedSnssai => ({ subscribedSnssai })),
+                        requestedNssai: this.toSnssais(requested)
+                    },
+                    ...(tai && { tai: { plmnId: { mcc: tai.mcc, mnc: tai.mnc }, tac: tai.tac } })
+                }, 'HTTP/2', 'GET');
+                await sessionManager.sendSignal(nssf, amf, 'Nnssf_NSSelection', 'response', 'Nnssf_NSSelection_Get Response (200 OK)', {
+                    status: 200,
+                    authorizedNetworkSliceInfo: {
+                        allowedNssaiList: [{
+                            accessType: '3GPP_ACCESS',
+                            allowedSnssaiList: this.toSnssais(allowed).map(allowedSnssai => ({ allowedSnssai }))
+                        }],
+                        configuredNssai: this.toSnssais(configured).map(configuredSnssai => ({ configuredSnssai })),
+                        rejectedNssaiInPlmn: this.toSnssais(rejected.filter(r => r.cause === this.REJECTION_CAUSES.NOT_AVAILABLE_IN_PLMN).map(r => r.sst)),
+                        rejectedNssaiInTa: this.toSnssais(rejected.filter(r => r.cause === this.REJECTION_CAUSES.NOT_AVAILABLE_IN_REGISTRATION_AREA).map(r => r.sst))
+                    }
+                }, 'HTTP/2');
+            } catch (error) {
+                window.logEngine?.addLog(amf.id, 'WARNING', `Nnssf_NSSelection_Get failed: ${error.message} - slice selection for ${ue.name} from the AMF's local configuration`);
+                nssf = null;
+            }
+        } else if (window.logEngine) {
+            window.logEngine.addLog(amf.id, 'WARNING', `No NSSF reachable - slice selection for ${ue.name} from the AMF's local configuration`);
+        }
+
+        ue.config.allowedNssai = allowed;
+        ue.config.rejectedNssai = rejected.map(({ sst, cause }) => ({ sst, cause: cause.code }));
+        ue.config.configuredNssai = configured;
+        window.dataStore?.updateNF(ue.id, ue);
+
+        const result = {
+            success: allowed.length > 0,
+            allowed,
+            rejected,
+            configured,
+            cause: allowed.length > 0 ? null : this.NO_NETWORK_SLICES_AVAILABLE
+        };
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf.id, result.success ? 'INFO' : 'ERROR',
+                `Slice selection for ${ue.name}: ${result.success ? `allowed ${allowed.map(sst => this.describeSlice(sst)).join(', ')}` : 'no allowed S-NSSAI'}`, {
+                requestedNssai: requested,
+                subscribedNssai: subscribed,
+                ...this.buildRegistrationNSSAI(ue),
+                nssf: nssf ? nssf.name : 'none (AMF local configuration)'
+            });
+        }
+
+        return result;
+    }
+
+    /**
+     * NSSAI IEs of a Registration Accept
+     * @param {Object} ue - UE NF
+     * @returns {Object} {allowedNssai, configuredNssai, rejectedNssai}
+     */
+    buildRegistrationNSSAI(ue) {
+        const causes = Object.values(this.REJECTION_CAUSES);
+        return {
+            allowedNssai: this.toSnssais(ue.config.allowedNssai || []),
+            configuredNssai: this.toSnssais(ue.config.configuredNssai || []),
+            ...((ue.config.rejectedNssai || []).length > 0 && {
+                rejectedNssai: ue.config.rejectedNssai.map(({ sst, cause }) => ({
+                    sst,
+                    cause: `#${cause} ${causes.find(c => c.code === cause)?.name || ''}`.trim()
+                }))
+            })
+        };
+    }
+
+    /**
+     * AMF → UE: Registration Reject when no requested slice can be allowed
+     * @param {Object} ue - UE NF
+     * @param {Object} amf - Serving AMF
+     * @param {Object} selection - Result of selectNetworkSlices
+     */
+    async sendRegistrationReject(ue, amf, selection) {
+        const cause = selection.cause;
+        await window.sessionManager.sendSignal(amf, ue, 'N1', 'response', 'N1: Registration Reject', {
+            messageType: 'REGISTRATION_REJECT',
+            '5gmmCause': `#${cause.code} ${cause.name}`,
+            rejectedNssai: this.buildRegistrationNSSAI(ue).rejectedNssai || []
+        });
+
+        console.error(`❌ Registration rejected for ${ue.name}: #${cause.code} ${cause.name}`);
+        if (window.logEngine) {
+            window.logEngine.addLog(ue.id, 'ERROR', `Registration rejected: #${cause.code} ${cause.name}`, {
+                requestedNssai: this.getRequestedSlices(ue),
+                subscribedNssai: this.getSubscribedSlices(ue),
+                rejectedNssai: selection.rejected.map(({ sst, cause: rejection }) => `${this.describeSlice(sst)}: ${rejection.name}`),
+                status: 'DEREGISTERED'
+            });
+        }
+    }
+
+    // ==========================================
+    // PDU sessions
+    // ==========================================
+
+    /**
+     * AMF check of the S-NSSAI of a PDU Session Establishment Request: it
+     * must be subscribed and, once the UE has an allowed NSSAI, allowed
+     * @param {Object} ue - UE NF
+     * @param {number} sst - Requested SST
+     * @returns {Object|null} 5GSM cause, null when the slice may be used
+     */
+    checkPDUSessionSlice(ue, sst) {
+        const causes = window.sessionManager.SM_CAUSES;
+        if (!this.getSubscribedSlices(ue).includes(sst)) {
+            return causes.SERVICE_OPTION_NOT_SUBSCRIBED;
+        }
+        if (ue.config.allowedNssai && !ue.config.allowedNssai.includes(sst)) {
+            return causes.INSUFFICIENT_RESOURCES_FOR_SLICE;
+        }
+        return null;
+    }
+
+    /**
+     * AMF selection of the SMF for a PDU session: the NRF discovers the SMFs
+     * serving the S-NSSAI and DNN, a dedicated one wins over one shared by
+     * every slice
+     * @param {Object} ue - UE NF
+     * @param {number} sst - S-NSSAI of the session
+     * @param {Object} amf - AMF making the decision (logs the outcome)
+     * @param {string} dnn - DNN of the session
+     * @returns {Object|null} SMF
+     */
+    selectSMF(ue, sst, amf, dnn) {
+        const discovery = window.nrfManager.discover(amf, { targetNfType: 'SMF', snssai: sst, dnn });
+        const candidates = discovery.nfs;
+        const smf = candidates.find(candidate => this.getServedSlices(candidate).includes(sst)) || candidates[0] || null;
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf.id, smf ? 'INFO' : 'ERROR',
+                smf ? `SMF selection (${this.describeSlice(sst)}): ${smf.name} selected` : `SMF selection (${this.describeSlice(sst)}) failed: ${discovery.reason}`, {
+                ue: ue.name,
+                candidates: Object.fromEntries([
+                    ...candidates.map(candidate => [
+                        candidate.name,
+                        this.getServedSlices(candidate).length > 0 ? `serves SST ${this.getServedSlices(candidate).join(', ')}` : 'serves all slices'
+                    ]),
+                    ...discovery.excluded.map(entry => [entry.nf.name, `not discovered: ${entry.reason}`])
+                ])
+            });
+        }
+        return smf;
+    }
+
+    // ==========================================
+    // NRF profile
+    // ==========================================
+
+    /**
+     * sNssais attribute of an NF profile (TS 29.510 6.1.6.2.2); absent for
+     * NFs serving every slice
+     * @param {Object} nf - Network Function
+     * @returns {Object} {sNssais} or {}
+     */
+    getProfileSlices(nf) {
+        const slices = this.SLICE_AWARE_TYPES.includes(nf.type) ? this.getServedSlices(nf) : [];
+        return slices.length > 0 ? { sNssais: this.toSnssais(slices) } : {};
+    }
+}
+
+// Export for global access
+window.SliceManager = SliceManager;
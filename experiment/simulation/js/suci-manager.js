@@ -0,0 +1,674 @@
+/**
+ * ============================================
+ * SUCI MANAGER
+ * ============================================
+ * Subscriber identity privacy (TS 33.501 6.12 / Annex C) and
+ * 5G-GUTI allocation (TS 23.003 2.10)
+ *
+ * Responsibilities:
+ * - Hold the home network key pairs (ECIES Profile A / B) of each UDM
+ * - Conceal the SUPI into a SUCI in the UE (null scheme, Profile A, Profile B)
+ * - De-conceal SUCIs in the SIDF of the UDM
+ * - Allocate 5G-GUTIs in the AMF and resolve them back to the SUPI
+ * - Run the N1 Identity Request / Response when the AMF cannot resolve a 5G-GUTI
+ */
+
+class SUCIManager {
+    constructor() {
+        this.milenage = new Milenage();
+
+        // Protection schemes (TS 33.501 C.1) keyed by UDM config value
+        this.PROTECTION_SCHEMES = {
+            'null': { id: 0, name: 'Null scheme' },
+            'profile-a': { id: 1, name: 'ECIES Profile A (Curve25519)' },
+            'profile-b': { id: 2, name: 'ECIES Profile B (secp256r1)' }
+        };
+
+        // Routing indicator used by all simulated USIMs (no UDM routing)
+        this.ROUTING_INDICATOR = '0';
+
+        // Length of the truncated HMAC-SHA-256 MAC tag of the scheme output
+        this.MAC_TAG_LENGTH = 8;
+
+        // Curve25519 (RFC 7748)
+        this.X25519_P = (1n << 255n) - 19n;
+        this.X25519_BASE = 9n;
+
+        // secp256r1 (SEC 2)
+        this.P256 = {
+            p: 0xffffffff00000001000000000000000000000000ffffffffffffffffffffffffn,
+            a: 0xffffffff00000001000000000000000000000000fffffffffffffffffffffffcn,
+            b: 0x5ac635d8aa3a93e7b3ebbd55769886bc651d06b0cc53b0f63bce3c3e27d2604bn,
+            n: 0xffffffff00000000ffffffffffffffffbce6faada7179e84f3b9cac2fc632551n,
+            G: {
+                x: 0x6b17d1f2e12c4247f8bce6e563a440f277037d812deb33a0f4a13945d898c296n,
+                y: 0x4fe342e2fe1a7f9b8ee7eb4a7c0f9e162bce33576b315ececbb6406837bf51f5n
+            }
+        };
+
+        // 5G-GUTIs allocated by AMFs: guti -> { supi, amfId, ueId }
+        this.gutis = new Map();
+
+        console.log('✅ SUCIManager initialized');
+    }
+
+    // ==========================================
+    // Big integer helpers
+    // ==========================================
+
+    /**
+     * Non-negative remainder
+     * @param {bigint} a - Dividend
+     * @param {bigint} m - Modulus
+     * @returns {bigint} a mod m
+     */
+    mod(a, m) {
+        const r = a % m;
+        return r < 0n ? r + m : r;
+    }
+
+    /**
+     * Modular exponentiation
+     * @param {bigint} base - Base
+     * @param {bigint} exp - Exponent
+     * @param {bigint} m - Modulus
+     * @returns {bigint} base^exp mod m
+     */
+    modPow(base, exp, m) {
+        let result = 1n;
+        base = this.mod(base, m);
+        while (exp > 0n) {
+            if (exp & 1n) result = (result * base) % m;
+            base = (base * base) % m;
+            exp >>= 1n;
+        }
+        return result;
+    }
+
+    /**
+     * Modular inverse (extended Euclid)
+     * @param {bigint} a - Value
+     * @param {bigint} m - Prime modulus
+     * @returns {bigint} a^-1 mod m
+     */
+    modInverse(a, m) {
+        let [oldR, r] = [this.mod(a, m), m];
+        let [oldS, s] = [1n, 0n];
+        while (r !== 0n) {
+            const q = oldR / r;
+            [oldR, r] = [r, oldR - q * r];
+            [oldS, s] = [s, oldS - q * s];
+        }
+        return this.mod(oldS, m);
+    }
+
+    /**
+     * Big-endian bytes to integer
+     * @param {Uint8Array} bytes - Bytes
+     * @returns {bigint} Integer
+     */
+    bytesToBigInt(bytes) {
+        return bytes.reduce((n, b) => (n << 8n) | BigInt(b), 0n);
+    }
+
+    /**
+     * Integer to fixed-length big-endian bytes
+     * @param {bigint} n - Integer
+     * @param {number} length - Output length in bytes
+     * @returns {Uint8Array} Bytes
+     */
+    bigIntToBytes(n, length) {
+        const bytes = new Uint8Array(length);
+        for (let i = length - 1; i >= 0; i--) {
+            bytes[i] = Number(n & 0xffn);
+            n >>= 8n;
+        }
+        return bytes;
+    }
+
+    /**
+     * Cryptographically random bytes
+     * @param {number} length - Number of bytes
+     * @returns {Uint8Array} Random bytes
+     */
+    randomBytes(length) {
+        return crypto.getRandomValues(new Uint8Array(length));
+    }
+
+    // ==========================================
+    // Elliptic curves
+    // ==========================================
+
+    /**
+     * X25519 scalar multiplication (RFC 7748 5)
+     * @param {Uint8Array} scalar - 32-byte private key
+     * @param {Uint8Array|null} u - 32-byte u-coordinate (null = base point)
+     * @returns {Uint8Array} 32-byte u-coordinate
+     */
+    x25519(scalar, u = null) {
+        const p = this.X25519_P;
+        const k = scalar.slice();
+        k[0] &= 248;
+        k[31] &= 127;
+        k[31] |= 64;
+
+        // Both inputs are little-endian
+        const kn = this.bytesToBigInt(k.reverse());
+        const x1 = u ? this.bytesToBigInt(u.slice().reverse()) & ((1n << 255n) - 1n) : this.X25519_BASE;
+
+        let [x2, z2, x3, z3] = [1n, 0n, x1, 1n];
+        let swap = 0n;
+
+        // Montgomery ladder
+        for (let t = 254n; t >= 0n; t--) {
+            const bit = (kn >> t) & 1n;
+            if (swap ^ bit) {
+                [x2, x3] = [x3, x2];
+                [z2, z3] = [z3, z2];
+            }
+            swap = bit;
+
+            const A = this.mod(x2 + z2, p);
+            const AA = (A * A) % p;
+            const B = this.mod(x2 - z2, p);
+            const BB = (B * B) % p;
+            const E = this.mod(AA - BB, p);
+            const DA = (this.mod(x3 - z3, p) * A) % p;
+            const CB = (this.mod(x3 + z3, p) * B) % p;
+
+            x3 = (DA + CB) ** 2n % p;
+            z3 = (x1 * (this.mod(DA - CB, p) ** 2n % p)) % p;
+            x2 = (AA * BB) % p;
+            z2 = (E * (AA + 121665n * E)) % p;
+        }
+        if (swap) {
+            [x2, z2] = [x3, z3];
+        }
+
+        return this.bigIntToBytes((x2 * this.modPow(z2, p - 2n, p)) % p, 32).reverse();
+    }
+
+    /**
+     * Add two secp256r1 points in affine coordinates (null = point at infinity)
+     * @param {Object|null} P - {x, y}
+     * @param {Object|null} Q - {x, y}
+     * @returns {Object|null} P + Q
+     */
+    p256Add(P, Q) {
+        if (!P) return Q;
+        if (!Q) return P;
+
+        const { p, a } = this.P256;
+        let lambda;
+        if (P.x === Q.x) {
+            if (this.mod(P.y + Q.y, p) === 0n) return null;
+            lambda = this.mod((3n * P.x * P.x + a) * this.modInverse(2n * P.y, p), p);
+        } else {
+            lambda = this.mod((Q.y - P.y) * this.modInverse(Q.x - P.x, p), p);
+        }
+
+        const x = this.mod(lambda * lambda - P.x - Q.x, p);
+        return { x, y: this.mod(lambda * (P.x - x) - P.y, p) };
+    }
+
+    /**
+     * secp256r1 scalar multiplication (double-and-add)
+     * @param {bigint} k - Scalar
+     * @param {Object} P - {x, y}
+     * @returns {Object|null} k * P
+     */
+    p256Multiply(k, P) {
+        let result = null;
+        let addend = P;
+        while (k > 0n) {
+            if (k & 1n) result = this.p256Add(result, addend);
+            addend = this.p256Add(addend, addend);
+            k >>= 1n;
+        }
+        return result;
+    }
+
+    /**
+     * Compressed SEC1 encoding of a secp256r1 point
+     * @param {Object} P - {x, y}
+     * @returns {Uint8Array} 33 bytes (0x02/0x03 || X)
+     */
+    p256Compress(P) {
+        const bytes = new Uint8Array(33);
+        bytes[0] = P.y & 1n ? 0x03 : 0x02;
+        bytes.set(this.bigIntToBytes(P.x, 32), 1);
+        return bytes;
+    }
+
+    /**
+     * Decode a compressed secp256r1 point
+     * @param {Uint8Array} bytes - 33-byte compressed point
+     * @returns {Object} {x, y}
+     */
+    p256Decompress(bytes) {
+        const { p, a, b } = this.P256;
+        if (bytes.length !== 33 || (bytes[0] !== 0x02 && bytes[0] !== 0x03)) {
+            throw new Error('Invalid compressed secp256r1 public key');
+        }
+
+        const x = this.bytesToBigInt(bytes.subarray(1));
+        const ySquared = this.mod(x * x * x + a * x + b, p);
+        // p ≡ 3 (mod 4): square root is a single exponentiation
+        let y = this.modPow(ySquared, (p + 1n) / 4n, p);
+        if ((y * y) % p !== ySquared) {
+            throw new Error('Public key is not on secp256r1');
+        }
+        if (Number(y & 1n) !== (bytes[0] & 1)) {
+            y = p - y;
+        }
+        return { x, y };
+    }
+
+    /**
+     * Generate a key pair for a protection scheme
+     * @param {string} scheme - 'profile-a' or 'profile-b'
+     * @returns {Object} {privateKey, publicKey} as byte arrays
+     */
+    generateKeyPair(scheme) {
+        if (scheme === 'profile-a') {
+            const privateKey = this.randomBytes(32);
+            return { privateKey, publicKey: this.x25519(privateKey) };
+        }
+
+        // Profile B private key in [1, n-1]
+        const d = this.mod(this.bytesToBigInt(this.randomBytes(32)), this.P256.n - 1n) + 1n;
+        return {
+            privateKey: this.bigIntToBytes(d, 32),
+            publicKey: this.p256Compress(this.p256Multiply(d, this.P256.G))
+        };
+    }
+
+    /**
+     * ECDH shared secret Z
+     * @param {string} scheme - 'profile-a' or 'profile-b'
+     * @param {Uint8Array} privateKey - Own private key
+     * @param {Uint8Array} publicKey - Peer public key
+     * @returns {Uint8Array} 32-byte shared secret
+     */
+    sharedSecret(scheme, privateKey, publicKey) {
+        if (scheme === 'profile-a') {
+            return this.x25519(privateKey, publicKey);
+        }
+
+        const point = this.p256Multiply(this.bytesToBigInt(privateKey), this.p256Decompress(publicKey));
+        return this.bigIntToBytes(point.x, 32);
+    }
+
+    // ==========================================
+    // ECIES (TS 33.501 C.3)
+    // ==========================================
+
+    /**
+     * ANSI X9.63 KDF with SHA-256: encryption key, ICB and MAC key
+     * @param {Uint8Array} z - Shared secret
+     * @param {Uint8Array} sharedInfo - Ephemeral public key of the UE
+     * @returns {Object} {encKey, icb, macKey}
+     */
+    deriveECIESKeys(z, sharedInfo) {
+        const keyData = new Uint8Array(64);
+        for (let counter = 1; counter <= 2; counter++) {
+            const input = new Uint8Array(z.length + 4 + sharedInfo.length);
+            input.set(z);
+            new DataView(input.buffer).setUint32(z.length, counter);
+            input.set(sharedInfo, z.length + 4);
+            keyData.set(window.akaManager.sha256(input), (counter - 1) * 32);
+        }
+
+        return {
+            encKey: keyData.slice(0, 16),
+            icb: keyData.slice(16, 32),
+            macKey: keyData.slice(32, 64)
+        };
+    }
+
+    /**
+     * AES-128 in counter mode (encryption and decryption are the same)
+     * @param {Uint8Array} key - 16-byte key
+     * @param {Uint8Array} icb - 16-byte initial counter block
+     * @param {Uint8Array} data - Input bytes
+     * @returns {Uint8Array} Output bytes
+     */
+    aesCtr(key, icb, data) {
+        const counter = icb.slice();
+        const output = new Uint8Array(data.length);
+
+        for (let offset = 0; offset < data.length; offset += 16) {
+            const keystream = this.milenage.encrypt(key, counter);
+            for (let i = 0; i < 16 && offset + i < data.length; i++) {
+                output[offset + i] = data[offset + i] ^ keystream[i];
+            }
+            // Increment the 128-bit counter block
+            for (let i = 15; i >= 0 && ++counter[i] === 256; i--) {
+                counter[i] = 0;
+            }
+        }
+        return output;
+    }
+
+    /**
+     * Truncated HMAC-SHA-256 tag over the ciphertext
+     * @param {Uint8Array} macKey - 32-byte MAC key
+     * @param {Uint8Array} ciphertext - Encrypted MSIN
+     * @returns {Uint8Array} MAC tag
+     */
+    macTag(macKey, ciphertext) {
+        return window.akaManager.hmacSha256(macKey, ciphertext).slice(0, this.MAC_TAG_LENGTH);
+    }
+
+    /**
+     * BCD-encode MSIN digits (swapped nibbles, 'f' filler)
+     * @param {string} msin - MSIN digits
+     * @returns {Uint8Array} Encoded bytes
+     */
+    encodeMSIN(msin) {
+        const digits = msin.length % 2 ? `${msin}f` : msin;
+        const swapped = digits.match(/../g).map(pair => pair[1] + pair[0]).join('');
+        return this.milenage.hexToBytes(swapped);
+    }
+
+    /**
+     * Decode BCD MSIN digits
+     * @param {Uint8Array} bytes - Encoded bytes
+     * @returns {string} MSIN digits
+     */
+    decodeMSIN(bytes) {
+        const hex = this.milenage.bytesToHex(bytes);
+        const digits = hex.match(/../g).map(pair => pair[1] + pair[0]).join('').replace(/f$/, '');
+        if (!/^\d+$/.test(digits)) {
+            throw new Error('Decrypted MSIN is not a digit string');
+        }
+        return digits;
+    }
+
+    // ==========================================
+    // Home network keys (UDM / SIDF)
+    // ==========================================
+
+    /**
+     * Home network key pair of a UDM for a protection scheme (created on first use)
+     * @param {Object} udm - UDM NF
+     * @param {string} scheme - 'profile-a' or 'profile-b'
+     * @returns {Object} {privateKey, publicKey} hex strings
+     */
+    getHomeNetworkKey(udm, scheme) {
+        udm.config.homeNetworkKeys = udm.config.homeNetworkKeys || {};
+        if (!udm.config.homeNetworkKeys[scheme]) {
+            const { privateKey, publicKey } = this.generateKeyPair(scheme);
+            udm.config.homeNetworkKeys[scheme] = {
+                privateKey: this.milenage.bytesToHex(privateKey),
+                publicKey: this.milenage.bytesToHex(publicKey)
+            };
+            window.dataStore?.updateNF(udm.id, udm);
+            console.log(`🔑 ${udm.name} generated ${this.PROTECTION_SCHEMES[scheme].name} home network key pair`);
+        }
+        return udm.config.homeNetworkKeys[scheme];
+    }
+
+    /**
+     * Split an IMSI into home PLMN and MSIN (2-digit MNC as in the default PLMN)
+     * @param {string} imsi - IMSI digits
+     * @returns {Object} {mcc, mnc, msin}
+     */
+    splitIMSI(imsi) {
+        return { mcc: imsi.slice(0, 3), mnc: imsi.slice(3, 5), msin: imsi.slice(5) };
+    }
+
+    // ==========================================
+    // SUCI concealment (UE) and de-concealment (SIDF)
+    // ==========================================
+
+    /**
+     * Conceal the UE's SUPI with the scheme and public key provisioned by its home UDM
+     * @param {Object} ue - UE NF
+     * @returns {string} SUCI (TS 23.003 2.2B string form)
+     */
+    conceal(ue) {
+        const udm = window.akaManager?.findNF(ue, 'UDM');
+        const scheme = udm ? (udm.config.suciProtectionScheme || 'profile-a') : 'null';
+        const { mcc, mnc, msin } = this.splitIMSI(ue.config.subscriberImsi);
+
+        let keyId = 0;
+        let schemeOutput = msin;
+
+        if (scheme !== 'null') {
+            const hnKey = this.getHomeNetworkKey(udm, scheme);
+            const ephemeral = this.generateKeyPair(scheme);
+            const z = this.sharedSecret(scheme, ephemeral.privateKey, this.milenage.hexToBytes(hnKey.publicKey));
+            const { encKey, icb, macKey } = this.deriveECIESKeys(z, ephemeral.publicKey);
+            const ciphertext = this.aesCtr(encKey, icb, this.encodeMSIN(msin));
+
+            keyId = udm.config.hnPublicKeyId ?? 1;
+            schemeOutput = this.milenage.bytesToHex(ephemeral.publicKey) +
+                this.milenage.bytesToHex(ciphertext) +
+                this.milenage.bytesToHex(this.macTag(macKey, ciphertext));
+        }
+
+        const suci = `suci-0-${mcc}-${mnc}-${this.ROUTING_INDICATOR}-${this.PROTECTION_SCHEMES[scheme].id}-${keyId}-${schemeOutput}`;
+        ue.config.suci = suci;
+        window.dataStore?.updateNF(ue.id, ue);
+        return suci;
+    }
+
+    /**
+     * SIDF: recover the SUPI from a SUCI with the UDM's home network private key
+     * @param {string} suci - SUCI string
+     * @param {Object} udm - UDM NF
+     * @returns {Object} {supi, scheme}
+     * @throws {Error} If the SUCI cannot be de-concealed
+     */
+    deconceal(suci, udm) {
+        const match = /^suci-0-(\d{3})-(\d{2,3})-(\d{1,4})-(\d+)-(\d+)-([0-9a-fA-F]+)$/.exec(suci);
+        if (!match) {
+            throw new Error(`Malformed SUCI ${suci}`);
+        }
+
+        const [, mcc, mnc, , schemeId, keyId, schemeOutput] = match;
+        const scheme = Object.keys(this.PROTECTION_SCHEMES).find(s => this.PROTECTION_SCHEMES[s].id === Number(schemeId));
+        if (!scheme) {
+            throw new Error(`Unsupported protection scheme ${schemeId}`);
+        }
+
+        if (scheme === 'null') {
+            return { supi: `imsi-${mcc}${mnc}${schemeOutput}`, scheme };
+        }
+
+        if (Number(keyId) !== (udm.config.hnPublicKeyId ?? 1)) {
+            throw new Error(`Unknown home network public key ID ${keyId}`);
+        }
+
+        const output = this.milenage.hexToBytes(schemeOutput);
+        const publicKeyLength = scheme === 'profile-a' ? 32 : 33;
+        if (output.length <= publicKeyLength + this.MAC_TAG_LENGTH) {
+            throw new Error('Scheme output too short');
+        }
+
+        const ephemeralKey = output.subarray(0, publicKeyLength);
+        const ciphertext = output.subarray(publicKeyLength, output.length - this.MAC_TAG_LENGTH);
+        const tag = output.subarray(output.length - this.MAC_TAG_LENGTH);
+
+        const hnKey = this.getHomeNetworkKey(udm, scheme);
+        const z = this.sharedSecret(scheme, this.milenage.hexToBytes(hnKey.privateKey), ephemeralKey);
+        const { encKey, icb, macKey } = this.deriveECIESKeys(z, ephemeralKey);
+
+        if (this.milenage.bytesToHex(this.macTag(macKey, ciphertext)) !== this.milenage.bytesToHex(tag)) {
+            throw new Error('MAC tag verification failed');
+        }
+
+        const msin = this.decodeMSIN(this.aesCtr(encKey, icb, ciphertext));
+        return { supi: `imsi-${mcc}${mnc}${msin}`, scheme };
+    }
+
+    // ==========================================
+    // 5G-GUTI (AMF)
+    // ==========================================
+
+    /**
+     * GUAMI of an AMF
+     * @param {Object} amf - AMF NF
+     * @returns {Object} {mcc, mnc, amfRegionId, amfSetId, amfPointer}
+     */
+    getGUAMI(amf) {
+        const plmn = window.mobilityManager?.getPLMN(amf) || { mcc: '001', mnc: '01' };
+        const guami = amf.config.guami || { amfRegionId: 1, amfSetId: 1, amfPointer: 0 };
+        return { ...plmn, ...guami };
+    }
+
+    /**
+     * Allocate a new 5G-GUTI to a UE, releasing the one it had
+     * @param {Object} ue - UE NF
+     * @param {Object} amf - Allocating AMF
+     * @returns {string} 5G-GUTI (TS 29.571 string form)
+     */
+    allocateGUTI(ue, amf) {
+        const { mcc, mnc, amfRegionId, amfSetId, amfPointer } = this.getGUAMI(amf);
+
+        // AMF Identifier = Region ID (8 bits) | Set ID (10 bits) | Pointer (6 bits)
+        const amfIdentifier = ((amfRegionId & 0xff) << 16) | ((amfSetId & 0x3ff) << 6) | (amfPointer & 0x3f);
+        const tmsi = this.milenage.bytesToHex(this.randomBytes(4));
+        const guti = `5g-guti-${mcc}${mnc}${amfIdentifier.toString(16).padStart(6, '0')}${tmsi}`;
+
+        this.releaseGUTI(ue.id);
+        this.gutis.set(guti, { supi: `imsi-${ue.config.subscriberImsi}`, amfId: amf.id, ueId: ue.id });
+
+        const previous = ue.config.guti || null;
+        ue.config.guti = guti;
+        window.dataStore?.updateNF(ue.id, ue);
+
+        if (window.logEngine) {
+            window.logEngine.addLog(amf.id, 'INFO', `5G-GUTI ${previous ? 're-allocated' : 'allocated'} to ${ue.name}`, {
+                guti,
+                previousGuti: previous,
+                '5gSTmsi': this.toSTMSI(guti)
+            });
+        }
+        return guti;
+    }
+
+    /**
+     * Forget the 5G-GUTI allocated to a UE
+     * @param {string} ueId - UE ID
+     */
+    releaseGUTI(ueId) {
+        for (const [guti, entry] of this.gutis) {
+            if (entry.ueId === ueId) this.gutis.delete(guti);
+        }
+    }
+
+    /**
+     * SUPI for a 5G-GUTI, if the given AMF allocated it
+     * @param {string} guti - 5G-GUTI
+     * @param {Object} amf - AMF receiving the GUTI
+     * @returns {string|null} SUPI
+     */
+    resolveGUTI(guti, amf) {
+        const entry = this.gutis.get(guti);
+        return entry && entry.amfId === amf.id ? entry.supi : null;
+    }
+
+    /**
+     * 5G-S-TMSI (AMF Set ID, AMF Pointer, 5G-TMSI) part of a 5G-GUTI
+     * @param {string} guti - 5G-GUTI
+     * @returns {string} 5G-S-TMSI as 12 hex digits
+     */
+    toSTMSI(guti) {
+        return guti.slice(-12);
+    }
+
+    /**
+     * 5G-S-TMSI of a UE for paging and Service Request
+     * @param {Object} ue - UE NF
+     * @returns {string|null} 5G-S-TMSI, null without a 5G-GUTI
+     */
+    getSTMSI(ue) {
+        return ue.config.guti ? this.toSTMSI(ue.config.guti) : null;
+    }
+
+    // ==========================================
+    // Registration identity
+    // ==========================================
+
+    /**
+     * 5GS mobile identity for a NAS message: 5G-GUTI when the UE has one, else a SUCI
+     * @param {Object} ue - UE NF
+     * @returns {string} 5G-GUTI or SUCI
+     */
+    getMobileIdentity(ue) {
+        return ue.config.guti || this.conceal(ue);
+    }
+
+    /**
+     * Identity a UE puts in its Registration Request
+     * @param {Object} ue - UE NF
+     * @returns {Object} {type: '5G-GUTI' | 'SUCI', value}
+     */
+    getRegistrationIdentity(ue) {
+        return ue.config.guti
+            ? { type: '5G-GUTI', value: ue.config.guti }
+            : { type: 'SUCI', value: this.conceal(ue) };
+    }
+
+    /**
+     * AMF side identification: resolve the 5G-GUTI or fall back to an
+     * Identity Request for a SUCI, which the UDM de-conceals during 5G-AKA
+     * @param {Object} ue - UE NF
+     * @param {Object} amf - AMF NF
+     * @param {Object} identity - Registration identity from the UE
+     * @returns {Promise<boolean>} True if the AMF already knows the SUPI
+     */
+    async identifyUE(ue, amf, identity) {
+        const context = window.sessionManager.getUEContext(ue.id);
+
+        if (identity.type === '5G-GUTI') {
+            const supi = this.resolveGUTI(identity.value, amf);
+            if (supi) {
+                context.supi = supi;
+                context.suci = null;
+                if (window.logEngine) {
+                    window.logEngine.addLog(amf.id, 'INFO', `5G-GUTI of ${ue.name} resolved to its SUPI`, {
+                        guti: identity.value,
+                        supi
+                    });
+                }
+                return true;
+            }
+
+            if (window.logEngine) {
+                window.logEngine.addLog(amf.id, 'WARNING', `5G-GUTI of ${ue.name} was not allocated by ${amf.name} - requesting SUCI`, {
+                    guti: identity.value
+                });
+            }
+
+            await window.sessionManager.sendSignal(amf, ue, 'N1', 'request', 'N1: Identity Request', {
+                messageType: 'IDENTITY_REQUEST',
+                identityType: 'SUCI'
+            });
+
+            const suci = this.conceal(ue);
+            await window.sessionManager.sendSignal(ue, amf, 'N1', 'response', 'N1: Identity Response', {
+                messageType: 'IDENTITY_RESPONSE',
+                mobileIdentity: { type: 'SUCI', value: suci }
+            });
+            identity = { type: 'SUCI', value: suci };
+        }
+
+        context.supi = null;
+        context.suci = identity.value;
+        return false;
+    }
+
+    /**
+     * Forget identity state of a removed UE
+     * @param {string} ueId - UE ID
+     */
+    removeUE(ueId) {
+        this.releaseGUTI(ueId);
+    }
+}
+
+// Export for global access
+window.SUCIManager = SUCIManager;
@@ -38,6 +38,7 @@ class UIController {
         this.setupAddNFButton();
         this.setupClearButton();
         this.setupValidateButton();
+        this.setupSliceViewButton();
         this.setupTerminalButton();
         this.setupHelpButton();
         this.setupConnectionButtons();
@@ -70,7 +71,7 @@ class UIController {
         const palette = document.querySelector('.nf-palette');
         if (!palette) return;
 
-        const nfTypes = ['NRF', 'AMF', 'SMF', 'UPF', 'AUSF', 'UDM', 'PCF', 'NSSF', 'UDR', 'gNB', 'UE'];
+        const nfTypes = ['NRF', 'AMF', 'SMF', 'UPF', 'AUSF', 'UDM', 'PCF', 'NSSF', 'UDR', 'NEF', 'AF', 'gNB', 'UE'];
 
         nfTypes.forEach(type => {
             const nfDef = window.nfDefinitions?.[type] || {
@@ -146,7 +147,7 @@ class UIController {
         if (!modal || !nfGrid) return;
 
         // Create NF selection buttons
-        const nfTypes = ['NRF', 'AMF', 'SMF', 'UPF', 'AUSF', 'UDM', 'PCF', 'NSSF', 'UDR', 'gNB', 'ext-dn', 'UE'];
+        const nfTypes = ['NRF', 'AMF', 'SMF', 'UPF', 'AUSF', 'UDM', 'PCF', 'NSSF', 'UDR', 'NEF', 'AF', 'gNB', 'ext-dn', 'UE'];
 
         nfGrid.innerHTML = '';
 
@@ -582,6 +583,23 @@ class UIController {
         });
     }
 
+    /**
+     * Setup Slice View button (colours NFs by the slices they serve)
+     */
+    setupSliceViewButton() {
+        const sliceViewBtn = document.getElementById('btn-slice-view');
+        if (!sliceViewBtn) return;
+
+        sliceViewBtn.addEventListener('click', () => {
+            if (!window.canvasRenderer) return;
+
+            window.canvasRenderer.sliceView = !window.canvasRenderer.sliceView;
+            sliceViewBtn.classList.toggle('active', window.canvasRenderer.sliceView);
+            console.log(`🍰 Slice view ${window.canvasRenderer.sliceView ? 'on' : 'off'}`);
+            window.canvasRenderer.render();
+        });
+    }
+
     /**
      * Validate topology
      */
@@ -907,6 +925,23 @@ class UIController {
             const opc = nf.config.subscriberOpc || 'C42449363BBAD02B66D16BC975D77CC1';
             const dnn = nf.config.subscriberDnn || '5G-Lab';
             const sst = nf.config.subscriberSst || 1;
+            const inactivityTimer = nf.config.inactivityTimer || (window.sessionManager?.inactivityTimeout || 30000) / 1000;
+            const registrationArea = (nf.config.registrationArea || []).map(tai => window.mobilityManager?.formatTAI(tai)).join(', ') || 'Not assigned (UE not registered)';
+            const registered = window.sessionManager?.getRMState(nf.id) === window.sessionManager?.RM_STATES.REGISTERED;
+            const pduSessions = window.sessionManager?.getPDUSessions(nf) || [];
+            const dnnOptions = this.getAvailableDNNs(dnn);
+            const qos = window.qosManager;
+            const pduSessionRows = pduSessions.map(session => `
+                    <div class="form-group" style="display: flex; align-items: center; gap: 8px;">
+                        <input type="text" value="PSI ${session.sessionId} · ${session.dnn} · SST ${session.sst} · SSC ${session.sscMode || 1} · ${window.sessionManager.describePDUAddress(session).replace(' / ', ' + ')} (${session.tunInterface?.name || 'tun'})" disabled style="flex: 1;">
+                        <button class="btn btn-cancel btn-release-pdu" data-psi="${session.sessionId}" title="Release PDU session ${session.sessionId}">🔌</button>
+                    </div>
+                    ${qos ? `
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin: -6px 0 8px;">
+                        ${window.userPlaneManager ? `User plane ${window.userPlaneManager.describePath(session)}<br>` : ''}
+                        Session-AMBR ${qos.getSessionAmbr(session).uplink}/${qos.getSessionAmbr(session).downlink} Mbps (UL/DL)<br>
+                        ${qos.getQoSFlows(session).map(flow => qos.describeFlow(flow)).join('<br>')}
+                    </small>` : ''}`).join('');
             
             configForm.innerHTML = `
                 <h4>📱 ${nf.name} - Subscriber Configuration</h4>
@@ -956,9 +991,139 @@ class UIController {
                     </small>
                 </div>
                 
+                <div class="form-group">
+                    <label>Requested NSSAI (SSTs)</label>
+                    <input type="text" id="config-requested-nssai" value="${(nf.config.requestedNssai || []).join(', ')}" placeholder="${sst} (default slice)">
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Slices asked for at registration; the NSSF allows the subscribed ones available in the TA
+                    </small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Allowed / Rejected NSSAI</label>
+                    <input type="text" value="${nf.config.allowedNssai ? `Allowed ${nf.config.allowedNssai.join(', ') || '-'}${(nf.config.rejectedNssai || []).length > 0 ? ` · Rejected ${nf.config.rejectedNssai.map(r => `${r.sst} (#${r.cause})`).join(', ')}` : ''}` : 'Not registered yet'}" disabled>
+                </div>
+                
+                <div class="form-group">
+                    <label>Inactivity Timer (seconds)</label>
+                    <input type="number" id="config-inactivity-timer" value="${inactivityTimer}" min="5" max="3600">
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Idle time without ping/iperf3 traffic before AN Release (UE → CM-IDLE)
+                    </small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Registration Area (TAI list)</label>
+                    <input type="text" value="${registrationArea}" disabled>
+                </div>
+                
+                <div class="form-group">
+                    <label>SUPI</label>
+                    <input type="text" value="imsi-${imsi}" disabled>
+                </div>
+                
+                <div class="form-group">
+                    <label>SUCI (last concealed identity)</label>
+                    <input type="text" value="${nf.config.suci || 'Not sent yet'}" title="${nf.config.suci || ''}" disabled>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Sent when the UE has no 5G-GUTI; only the UDM (SIDF) can de-conceal it
+                    </small>
+                </div>
+                
+                <div class="form-group">
+                    <label>5G-GUTI</label>
+                    <input type="text" value="${nf.config.guti || 'Not allocated'}" disabled>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Allocated by the AMF at registration, re-allocated on mobility registration
+                    </small>
+                </div>
+                
                 <button class="btn btn-primary btn-block" id="btn-save-config">Save Subscriber Info</button>
                 
-
+                <div class="form-group" style="margin-top: 15px;">
+                    <h4>📶 PDU Sessions</h4>
+                    <p class="config-hint">${pduSessions.length} of ${window.sessionManager?.MAX_PDU_SESSIONS || 15} sessions; each DNN is served from its own UPF IP pool</p>
+                    ${pduSessionRows || '<p class="config-hint">No PDU session established</p>'}
+                    <div class="form-group" style="display: flex; gap: 8px;">
+                        <select id="config-pdu-dnn" style="flex: 2;">
+                            ${dnnOptions.map(option => `<option value="${option}" ${option === dnn ? 'selected' : ''}>${option}</option>`).join('')}
+                        </select>
+                        <input type="number" id="config-pdu-sst" value="${sst}" min="1" max="255" style="flex: 1;" title="S-NSSAI SST">
+                        <select id="config-pdu-ssc" style="flex: 1;" title="SSC mode: 1 keeps the anchor UPF, 2 re-establishes and 3 makes before break when a closer UPF exists after a gNB change">
+                            <option value="1" selected>SSC 1</option>
+                            <option value="2">SSC 2</option>
+                            <option value="3">SSC 3</option>
+                        </select>
+                        <select id="config-pdu-type" style="flex: 1;" title="PDU session type: IPv6 sessions get a /64 prefix from the pool of the DNN (SLAAC), Ethernet sessions are bridged to the DN LAN by the UPF, Unstructured sessions get a point-to-point N6 tunnel">
+                            <option value="IPV4" ${(nf.config.subscriberPduSessionType || 'IPV4') === 'IPV4' ? 'selected' : ''}>IPv4</option>
+                            <option value="IPV6" ${nf.config.subscriberPduSessionType === 'IPV6' ? 'selected' : ''}>IPv6</option>
+                            <option value="IPV4V6" ${nf.config.subscriberPduSessionType === 'IPV4V6' ? 'selected' : ''}>IPv4v6</option>
+                            <option value="ETHERNET" ${nf.config.subscriberPduSessionType === 'ETHERNET' ? 'selected' : ''}>Ethernet</option>
+                            <option value="UNSTRUCTURED" ${nf.config.subscriberPduSessionType === 'UNSTRUCTURED' ? 'selected' : ''}>Unstructured</option>
+                        </select>
+                    </div>
+                    <button class="btn btn-primary btn-block" id="btn-establish-pdu" ${registered ? '' : 'disabled'}>
+                        📶 Establish PDU Session
+                    </button>
+                </div>
+                
+                ${qos && pduSessions.length > 0 ? `
+                <div class="form-group" style="margin-top: 15px;">
+                    <h4>🎚️ QoS (PDU Session Modification)</h4>
+                    <p class="config-hint">Leave a field empty to keep its value when modifying a flow</p>
+                    <div class="form-group" style="display: flex; gap: 8px;">
+                        <select id="config-qos-psi" style="flex: 1;" title="PDU session">
+                            ${pduSessions.map(session => `<option value="${session.sessionId}">PSI ${session.sessionId} (${session.dnn})</option>`).join('')}
+                        </select>
+                        <select id="config-qos-operation" style="flex: 1;" title="QoS operation">
+                            <option value="CREATE">Add QoS flow</option>
+                            <option value="MODIFY">Modify QoS flow</option>
+                            <option value="DELETE">Remove QoS flow</option>
+                            <option value="AMBR">Change Session-AMBR</option>
+                        </select>
+                        <input type="number" id="config-qos-qfi" min="1" max="63" placeholder="QFI" style="width: 60px;" title="QFI (modify / remove)">
+                    </div>
+                    <div class="form-group" style="display: flex; gap: 8px;">
+                        <select id="config-qos-5qi" style="flex: 2;" title="5QI">
+                            <option value="">5QI (keep)</option>
+                            ${Object.entries(qos.FIVE_QI).map(([fiveQi, characteristics]) => `<option value="${fiveQi}">${fiveQi} · ${characteristics.resourceType} · ${characteristics.services}</option>`).join('')}
+                        </select>
+                        <input type="number" id="config-qos-arp" min="1" max="15" placeholder="ARP" style="flex: 1;" title="ARP priority level (1 = highest)">
+                    </div>
+                    <div class="form-group" style="display: flex; gap: 8px;">
+                        <input type="number" id="config-qos-gfbr-ul" min="0" placeholder="GFBR UL" style="flex: 1;" title="Guaranteed flow bitrate uplink (Mbps)">
+                        <input type="number" id="config-qos-gfbr-dl" min="0" placeholder="GFBR DL" style="flex: 1;" title="Guaranteed flow bitrate downlink (Mbps)">
+                        <input type="number" id="config-qos-mfbr-ul" min="0" placeholder="MFBR UL" style="flex: 1;" title="Maximum flow bitrate uplink (Mbps)">
+                        <input type="number" id="config-qos-mfbr-dl" min="0" placeholder="MFBR DL" style="flex: 1;" title="Maximum flow bitrate downlink (Mbps)">
+                    </div>
+                    <div class="form-group" style="display: flex; gap: 8px;">
+                        <select id="config-qos-protocol" style="flex: 1;" title="Packet filter protocol">
+                            <option value="TCP">TCP</option>
+                            <option value="UDP">UDP</option>
+                            <option value="ANY">Any</option>
+                        </select>
+                        <input type="text" id="config-qos-remote" placeholder="Remote (any / IP / CIDR)" style="flex: 2;" title="Packet filter remote address">
+                        <input type="number" id="config-qos-port" min="1" max="65535" placeholder="Port" style="flex: 1;" title="Packet filter remote port (iperf3 uses 5201)">
+                    </div>
+                    <div class="form-group" style="display: flex; gap: 8px;">
+                        <input type="number" id="config-qos-ambr-ul" min="1" placeholder="AMBR UL" style="flex: 1;" title="Session-AMBR uplink (Mbps)">
+                        <input type="number" id="config-qos-ambr-dl" min="1" placeholder="AMBR DL" style="flex: 1;" title="Session-AMBR downlink (Mbps)">
+                    </div>
+                    <button class="btn btn-primary btn-block" id="btn-modify-pdu-ue">📤 UE-requested Modification</button>
+                    <button class="btn btn-info btn-block" id="btn-modify-pdu-network" style="margin-top: 10px;">📥 Network-initiated (${qos.findNF(nf, 'PCF') ? 'PCF' : 'SMF'})</button>
+                </div>
+                ` : ''}
+                
+                <div class="form-group" style="margin-top: 15px;">
+                    <h4>📴 Deregistration</h4>
+                    <p class="config-hint">Deleting the UE sends a switch-off Deregistration Request</p>
+                    <button class="btn btn-cancel btn-block" id="btn-deregister-ue" ${registered ? '' : 'disabled'}>
+                        UE-initiated Deregistration
+                    </button>
+                    <button class="btn btn-cancel btn-block" id="btn-network-deregister" style="margin-top: 10px;" ${registered ? '' : 'disabled'}>
+                        AMF-initiated (Re-registration Required)
+                    </button>
+                </div>
                 
                 <div class="form-group" style="margin-top: 15px;">
                     <h4>📋 Validation & Testing</h4>
@@ -996,6 +1161,16 @@ class UIController {
                     <input type="text" id="config-ip" value="${nf.config.ipAddress}">
                 </div>
                 
+                ${nf.config.ipv6Address ? `
+                <div class="form-group">
+                    <label>IPv6 Address</label>
+                    <input type="text" value="${nf.config.ipv6Address}" disabled>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Reachable from UEs with an IPv6 or IPv4v6 PDU session
+                    </small>
+                </div>
+                ` : ''}
+                
                 <div class="form-group">
                     <label>Port</label>
                     <input type="number" id="config-port" value="${nf.config.port}">
@@ -1013,6 +1188,216 @@ class UIController {
                     </small>
                 </div>
                 
+                ${nf.type === 'gNB' || nf.type === 'AMF' ? `
+                <div class="form-group">
+                    <label>PLMN (MCC / MNC)</label>
+                    <div style="display: flex; gap: 8px;">
+                        <input type="text" id="config-mcc" value="${nf.config.plmn?.mcc || '001'}" placeholder="001" style="flex: 1;">
+                        <input type="text" id="config-mnc" value="${nf.config.plmn?.mnc || '01'}" placeholder="01" style="flex: 1;">
+                    </div>
+                </div>
+                ` : ''}
+                
+                ${nf.type === 'gNB' ? `
+                <div class="form-group">
+                    <label>TAC (Tracking Area Code)</label>
+                    <input type="number" id="config-tac" value="${nf.config.tac ?? 1}" min="1" max="16777215">
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        gNBs sharing a TAC form one tracking area (paged together)
+                    </small>
+                </div>
+                ` : ''}
+                
+                ${nf.type === 'AMF' ? `
+                <div class="form-group">
+                    <label>Served TAIs</label>
+                    <input type="text" value="${(nf.config.servedTAIs || []).map(tai => window.mobilityManager?.formatTAI(tai)).join(', ') || 'None (no gNB connected)'}" disabled>
+                </div>
+                
+                <div class="form-group">
+                    <label>UE Registration Area</label>
+                    <select id="config-registration-area-policy">
+                        <option value="tracking-area" ${nf.config.registrationAreaPolicy !== 'all-served' ? 'selected' : ''}>Current tracking area only</option>
+                        <option value="all-served" ${nf.config.registrationAreaPolicy === 'all-served' ? 'selected' : ''}>All served TAIs</option>
+                    </select>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        TAI list given to UEs in Registration Accept
+                    </small>
+                </div>
+                
+                <div class="form-group">
+                    <label>T3512 Periodic Registration Timer (minutes)</label>
+                    <input type="number" id="config-t3512" value="${nf.config.t3512 || 54}" min="1" max="1860">
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Mobile reachable timer = T3512 + 4 min; speed up the clock from the log panel
+                    </small>
+                </div>
+                ` : ''}
+                
+                ${nf.type === 'UDM' ? `
+                <div class="form-group">
+                    <label>SUCI Protection Scheme</label>
+                    <select id="config-suci-scheme">
+                        ${Object.entries(window.suciManager?.PROTECTION_SCHEMES || {}).map(([value, scheme]) => `
+                        <option value="${value}" ${(nf.config.suciProtectionScheme || 'profile-a') === value ? 'selected' : ''}>${scheme.name}</option>
+                        `).join('')}
+                    </select>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Scheme provisioned to UEs for concealing their SUPI
+                    </small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Home Network Public Key ID</label>
+                    <input type="number" id="config-hn-key-id" value="${nf.config.hnPublicKeyId ?? 1}" min="1" max="255">
+                </div>
+                
+                ${nf.config.suciProtectionScheme !== 'null' && window.suciManager ? `
+                <div class="form-group">
+                    <label>Home Network Public Key</label>
+                    <input type="text" value="${window.suciManager.getHomeNetworkKey(nf, nf.config.suciProtectionScheme || 'profile-a').publicKey}" disabled>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        The private key stays in the SIDF
+                    </small>
+                </div>
+                ` : ''}
+                ` : ''}
+                
+                ${nf.type === 'NRF' && window.nrfManager ? `
+                <div class="form-group">
+                    <label>Registered NF Profiles (${window.nrfManager.getProfiles(nf).length})</label>
+                    <textarea rows="4" disabled>${window.nrfManager.getProfiles(nf).map(profile => `${profile.nfInstanceName} (${profile.nfType}) ${profile.nfStatus}${profile.sNssais ? ` SST ${profile.sNssais.map(snssai => snssai.sst).join(',')}` : ''}${profile.dnnList ? ` DNN ${profile.dnnList.join(',')}` : ''}`).join('\n') || 'No NF registered yet'}</textarea>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        ${Array.from(window.nrfManager.subscriptions.values()).filter(subscription => subscription.nrfId === nf.id).length} NFStatusSubscribe subscription(s)
+                    </small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Heartbeat Timer (seconds)</label>
+                    <input type="number" id="config-heartbeat-timer" value="${window.nrfManager.getHeartbeatTimer(nf)}" min="5" max="3600">
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Profiles are SUSPENDED after ${window.nrfManager.MISSED_HEARTBEATS} periods without a heartbeat
+                    </small>
+                </div>
+                
+                <div class="form-group">
+                    <label>OAuth2 Access Tokens</label>
+                    <div style="display: flex; gap: 6px;">
+                        <select id="config-oauth2" style="flex: 2;">
+                            <option value="off" ${!window.nrfManager.isOAuth2Required(nf) ? 'selected' : ''}>Not required</option>
+                            <option value="required" ${window.nrfManager.isOAuth2Required(nf) ? 'selected' : ''}>Required on SBI requests</option>
+                        </select>
+                        <input type="number" id="config-token-lifetime" style="flex: 1;" value="${window.nrfManager.getAccessTokenLifetime(nf)}" min="10" max="86400" title="Access token lifetime (seconds)">
+                    </div>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Consumers get a token per producer service (Nnrf_AccessToken); producers answer 401/403 to missing, expired or out-of-scope tokens
+                    </small>
+                </div>
+                ` : ''}
+                
+                ${window.nrfManager?.getProfile(nf.id) ? `
+                <div class="form-group">
+                    <label>NRF Profile Status</label>
+                    <select id="config-nrf-status">
+                        ${window.nrfManager.getProfile(nf.id).nfStatus === 'SUSPENDED' ? '<option value="SUSPENDED" selected disabled>SUSPENDED (set by the NRF)</option>' : ''}
+                        <option value="REGISTERED" ${window.nrfManager.getProfile(nf.id).nfStatus === 'REGISTERED' ? 'selected' : ''}>REGISTERED</option>
+                        <option value="UNDISCOVERABLE" ${window.nrfManager.getProfile(nf.id).nfStatus === 'UNDISCOVERABLE' ? 'selected' : ''}>UNDISCOVERABLE (out of discovery)</option>
+                    </select>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        ${window.nrfManager.getHeartbeatAge(nf.id) !== null ? `Last heartbeat ${window.nrfManager.getHeartbeatAge(nf.id)} s ago, every ${window.nrfManager.getProfile(nf.id).heartBeatTimer} s` : 'No heartbeat running'}
+                    </small>
+                </div>
+                ` : ''}
+                
+                ${window.nrfManager?.REGISTERED_TYPES.includes(nf.type) ? `
+                <div class="form-group">
+                    <label>Allowed Consumer NF Types (comma-separated)</label>
+                    <input type="text" id="config-allowed-nf-types" value="${window.nrfManager.buildProfile(nf).allowedNfTypes.join(', ')}" placeholder="Any NF type">
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        allowedNfTypes of the NRF profile: other consumers do not discover this NF and get 403 with an access token
+                    </small>
+                </div>
+                ` : ''}
+                
+                ${(nf.type === 'AMF' || nf.type === 'SMF') && window.sliceManager ? `
+                <div class="form-group">
+                    <label>Served Slices (SST, comma-separated)</label>
+                    <input type="text" id="config-nf-ssts" value="${window.sliceManager.getServedSlices(nf).join(', ')}" placeholder="All slices">
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Advertised as sNssais in the NRF profile; ${nf.type === 'SMF' ? 'the AMF prefers a dedicated SMF for a slice' : 'slices outside this list are rejected in the registration area'}
+                    </small>
+                </div>
+                ` : ''}
+                
+                ${nf.type === 'UPF' ? `
+                <div class="form-group">
+                    <label>UE IP Pools (one per line: DNN network gateway [IPv6 prefix])</label>
+                    <textarea id="config-ip-pools" rows="3" placeholder="5G-Lab 10.0.0.0/28 10.0.0.1 2001:db8::/48">${(window.sessionManager?.getIPPools(nf) || []).map(pool => [pool.dnn, pool.network, pool.gatewayIP, pool.ipv6Prefix].filter(Boolean).join(' ')).join('\n')}</textarea>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        ${(window.sessionManager?.getIPPools(nf) || []).map(pool => `${pool.interfaceName} (${pool.dnn}): ${(pool.assignedIPs || []).length}/${window.sessionManager.getPoolHostRange(pool).size} in use${pool.ipv6Prefix ? `, ${(pool.assignedPrefixes || []).length} /64 delegated` : ''}`).join(' · ') || 'No pool: PDU sessions will be rejected'}
+                    </small>
+                </div>
+                ` : ''}
+                
+                ${nf.type === 'UPF' && window.pfcpManager ? `
+                <div class="form-group">
+                    <label>URR Volume Threshold (MB)</label>
+                    <input type="number" id="config-urr-threshold" min="1" value="${Math.round(window.pfcpManager.getVolumeThreshold(nf) / (1024 * 1024))}">
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        The UPF sends a usage report to the SMF each time a session carries this volume
+                    </small>
+                </div>
+                ` : ''}
+                
+                ${nf.type === 'UPF' && window.userPlaneManager ? `
+                <div class="form-group">
+                    <label>Supported Slices (SST, comma-separated)</label>
+                    <input type="text" id="config-upf-ssts" value="${window.userPlaneManager.getSupportedSlices(nf).join(', ')}" placeholder="All slices">
+                </div>
+                
+                <div class="form-group">
+                    <label>Service Area (TAC, comma-separated)</label>
+                    <input type="text" id="config-upf-tacs" value="${window.userPlaneManager.getServiceArea(nf).join(', ')}" placeholder="All tracking areas">
+                </div>
+                
+                <div class="form-group">
+                    <label>Session Capacity</label>
+                    <input type="number" id="config-upf-capacity" min="1" value="${window.userPlaneManager.getCapacity(nf)}">
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        Anchoring ${window.userPlaneManager.getLoad(nf)} PDU session(s). The SMF picks the least loaded UPF that serves the DNN, slice and TAC
+                    </small>
+                </div>
+                
+                <div class="form-group">
+                    <label>Local Breakout (one per line: DNN destination)</label>
+                    <textarea id="config-local-breakout" rows="2" placeholder="5G-Lab 192.168.2.0/24">${(nf.config.localBreakout || []).map(rule => `${rule.dnn} ${rule.network}`).join('\n')}</textarea>
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        * matches any DNN. With an N9 link to the anchor and a DN on N6, this UPF becomes the UL-CL of new sessions of the gNBs it serves
+                    </small>
+                </div>
+                ` : ''}
+                
+                ${nf.type === 'UPF' && window.pfcpManager ? `
+                <div class="form-group">
+                    <label>🧾 PFCP Sessions</label>
+                    ${window.pfcpManager.getPFCPSessions(nf).map(session => {
+                        const [header, ...rules] = window.pfcpManager.describeSession(session);
+                        return `
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-bottom: 4px;">
+                        <strong>${header}</strong><br>
+                        ${rules.filter(rule => !rule.trim().startsWith('FAR')).map(rule => rule.trim()).join('<br>')}
+                    </small>
+                    ${session.fars.map(far => `
+                    <div class="form-group" style="display: flex; align-items: center; gap: 8px;">
+                        <input type="text" value="${rules.find(rule => rule.trim().startsWith(`FAR ${far.farId} `)).trim()}" disabled style="flex: 1;">
+                        <button class="btn btn-cancel btn-remove-far" data-seid="${session.seid}" data-far="${far.farId}" title="Remove FAR ${far.farId}: traffic of its PDRs is dropped">🗑️</button>
+                    </div>`).join('')}`;
+                    }).join('') || `
+                    <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                        No PFCP sessions: no PDU session uses this UPF
+                    </small>`}
+                </div>
+                ` : ''}
                 
                 <button class="btn btn-primary btn-block" id="btn-save-config">Save Changes</button>
                 <button class="btn btn-danger btn-block" id="btn-delete-nf">Delete NF</button>
@@ -1032,6 +1417,64 @@ class UIController {
             </div>
             ` : ''}
             
+            ${nf.type === 'AF' && window.exposureManager ? `
+            <div class="form-group">
+                <h4>📡 NEF Exposure (N33)</h4>
+                <label>UE</label>
+                <select id="af-ue">
+                    ${(window.dataStore?.getAllNFs() || []).filter(other => other.type === 'UE').map(ue => `<option value="${ue.id}">${ue.name} (${window.exposureManager.getExternalId(ue)})</option>`).join('') || '<option value="" disabled selected>No UE in the topology</option>'}
+                </select>
+                <button class="btn btn-info btn-block" id="btn-af-reachability" style="margin-top: 10px;">🔔 Subscribe to UE Reachability</button>
+                <button class="btn btn-info btn-block" id="btn-af-location">📍 Subscribe to UE Location</button>
+            </div>
+            
+            <div class="form-group">
+                <label>QoS for an AF Flow (protocol, AF port, QoS reference)</label>
+                <div style="display: flex; gap: 6px;">
+                    <select id="af-flow-protocol" style="flex: 1;">
+                        <option value="TCP">TCP</option>
+                        <option value="UDP">UDP</option>
+                    </select>
+                    <input type="number" id="af-flow-port" style="flex: 1;" value="5201" min="1" max="65535">
+                    <select id="af-qos-reference" style="flex: 2;">
+                        ${Object.entries(window.exposureManager.QOS_REFERENCES).map(([key, reference]) => `<option value="${key}">${reference.label} (5QI ${reference.fiveQi})</option>`).join('')}
+                    </select>
+                </div>
+                <button class="btn btn-info btn-block" id="btn-af-qos" style="margin-top: 10px;">🚀 Request QoS via NEF → PCF</button>
+                <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                    The flow runs between ${nf.config.ipAddress} and the UE address of its first IPv4 PDU session
+                </small>
+            </div>
+            
+            <div class="form-group">
+                <label>Monitoring Subscriptions and AF Sessions with QoS</label>
+                ${window.exposureManager.getSubscriptions(nf.id).map(subscription => `
+                <div class="form-group" style="display: flex; align-items: center; gap: 8px;">
+                    <input type="text" value="${window.exposureManager.describeSubscription(subscription)}" disabled style="flex: 1;">
+                    <button class="btn btn-cancel btn-af-unsubscribe" data-id="${subscription.subscriptionId}" title="Cancel subscription ${subscription.subscriptionId}">🗑️</button>
+                </div>`).join('')}
+                ${window.exposureManager.getQoSSessions(nf.id).map(session => `
+                <div class="form-group" style="display: flex; align-items: center; gap: 8px;">
+                    <input type="text" value="${window.exposureManager.describeQoSSession(session)}" disabled style="flex: 1;">
+                    <button class="btn btn-cancel btn-af-release-qos" data-id="${session.transactionId}" title="Release AF session with QoS ${session.transactionId}">🗑️</button>
+                </div>`).join('')}
+                ${window.exposureManager.getSubscriptions(nf.id).length + window.exposureManager.getQoSSessions(nf.id).length === 0 ? `
+                <small style="color: #95a5a6; font-size: 11px; display: block; margin-top: 4px;">
+                    Nothing subscribed or requested yet
+                </small>` : ''}
+            </div>
+            ` : ''}
+            
+            ${nf.type === 'NEF' && window.exposureManager ? `
+            <div class="form-group">
+                <h4>📡 Exposed to AFs</h4>
+                <textarea rows="4" disabled>${[
+                    ...window.exposureManager.getSubscriptions(nf.id).map(subscription => `${window.dataStore.getNFById(subscription.afId)?.name}: ${window.exposureManager.describeSubscription(subscription)}`),
+                    ...window.exposureManager.getQoSSessions(nf.id).map(session => `${window.dataStore.getNFById(session.afId)?.name}: ${window.exposureManager.describeQoSSession(session)}`)
+                ].join('\n') || 'No monitoring subscription or AF session with QoS'}</textarea>
+            </div>
+            ` : ''}
+            
             <div class="troubleshoot-section">
                 <h4>🔧 Troubleshoot</h4>
                 <p class="config-hint">Open Windows-style terminal for network diagnostics</p>
@@ -1103,56 +1546,169 @@ class UIController {
                 });
             }
 
+            // Deregistration buttons
+            const deregistrations = [
+                ['btn-deregister-ue', () => window.sessionManager.performDeregistration(nf.id, false)],
+                ['btn-network-deregister', () => window.sessionManager.performNetworkDeregistration(nf.id, true)]
+            ];
+            deregistrations.forEach(([buttonId, deregister]) => {
+                const btn = document.getElementById(buttonId);
+                if (!btn || !window.sessionManager) return;
+
+                btn.addEventListener('click', async () => {
+                    btn.disabled = true;
+                    btn.textContent = '⏳ Deregistering...';
+
+                    await deregister();
+
+                    // Refresh the config panel to show updated status
+                    const updatedNF = window.dataStore?.getNFById(nf.id);
+                    if (updatedNF) {
+                        this.showNFConfigPanel(updatedNF);
+                    }
+                });
+            });
+
             // PDU Session control buttons
+            const refreshPanel = () => {
+                const updatedNF = window.dataStore?.getNFById(nf.id);
+                if (updatedNF) {
+                    this.showNFConfigPanel(updatedNF);
+                }
+            };
+
             const btnEstablish = document.getElementById('btn-establish-pdu');
             if (btnEstablish) {
                 btnEstablish.addEventListener('click', async () => {
+                    const dnn = document.getElementById('config-pdu-dnn')?.value;
+                    const sst = parseInt(document.getElementById('config-pdu-sst')?.value);
+                    const sscMode = parseInt(document.getElementById('config-pdu-ssc')?.value) || 1;
+                    const pduSessionType = document.getElementById('config-pdu-type')?.value || 'IPV4';
+                    if (isNaN(sst) || sst < 1 || sst > 255) {
+                        alert('❌ Invalid SST!\n\nSST must be between 1 and 255.');
+                        return;
+                    }
+
                     btnEstablish.disabled = true;
                     btnEstablish.textContent = '⏳ Establishing...';
                     
                     try {
                         if (window.sessionManager) {
-                            const success = await window.sessionManager.establishPDUSession(nf.id);
-                            if (success) {
-                                // Refresh the config panel to show updated status
-                                const updatedNF = window.dataStore?.getNFById(nf.id);
-                                if (updatedNF) {
-                                    this.showNFConfigPanel(updatedNF);
-                                }
-                            }
+                            await window.sessionManager.establishPDUSession(nf.id, { dnn, sst, sscMode, pduSessionType });
                         }
                     } catch (error) {
                         console.error('PDU session establishment error:', error);
-                        btnEstablish.disabled = false;
-                        btnEstablish.textContent = '📶 Establish PDU Session';
                     }
+                    refreshPanel();
                 });
             }
 
-            const btnRelease = document.getElementById('btn-release-pdu');
-            if (btnRelease) {
+            // PDU Session Modification buttons
+            const modifications = [
+                ['btn-modify-pdu-ue', () => 'UE'],
+                ['btn-modify-pdu-network', () => window.qosManager.findNF(nf, 'PCF') ? 'PCF' : 'SMF']
+            ];
+            modifications.forEach(([buttonId, getInitiator]) => {
+                const btn = document.getElementById(buttonId);
+                if (!btn || !window.qosManager) return;
+
+                btn.addEventListener('click', async () => {
+                    const modification = this.readQoSModification();
+                    if (!modification) return;
+
+                    btn.disabled = true;
+                    btn.textContent = '⏳ Modifying...';
+
+                    try {
+                        await window.qosManager.modifyPDUSession(nf.id, modification.pduSessionId, modification, getInitiator());
+                    } catch (error) {
+                        console.error('PDU session modification error:', error);
+                    }
+                    refreshPanel();
+                });
+            });
+
+            document.querySelectorAll('.btn-release-pdu').forEach(btnRelease => {
                 btnRelease.addEventListener('click', async () => {
+                    const pduSessionId = parseInt(btnRelease.dataset.psi);
                     btnRelease.disabled = true;
-                    btnRelease.textContent = '⏳ Releasing...';
+                    btnRelease.textContent = '⏳';
                     
                     try {
                         if (window.sessionManager) {
-                            const success = await window.sessionManager.releasePDUSession(nf.id);
-                            if (success) {
-                                // Refresh the config panel to show updated status
-                                const updatedNF = window.dataStore?.getNFById(nf.id);
-                                if (updatedNF) {
-                                    this.showNFConfigPanel(updatedNF);
-                                }
-                            }
+                            await window.sessionManager.releasePDUSession(nf.id, pduSessionId);
                         }
                     } catch (error) {
                         console.error('PDU session release error:', error);
-                        btnRelease.disabled = false;
-                        btnRelease.textContent = '🔌 Release PDU Session';
                     }
+                    refreshPanel();
+                });
+            });
+        }
+
+        // UPF: remove a FAR from a PFCP session (traffic of its PDRs is dropped)
+        if (nf.type === 'UPF' && window.pfcpManager) {
+            document.querySelectorAll('.btn-remove-far').forEach(btnRemove => {
+                btnRemove.addEventListener('click', () => {
+                    window.pfcpManager.removeFAR(nf, parseInt(btnRemove.dataset.seid), parseInt(btnRemove.dataset.far));
+                    const updatedNF = window.dataStore?.getNFById(nf.id);
+                    if (updatedNF) {
+                        this.showNFConfigPanel(updatedNF);
+                    }
+                });
+            });
+        }
+
+        // AF: monitoring subscriptions and AF sessions with QoS through the NEF
+        if (nf.type === 'AF' && window.exposureManager) {
+            const refreshPanel = () => {
+                const updatedNF = window.dataStore?.getNFById(nf.id);
+                if (updatedNF) {
+                    this.showNFConfigPanel(updatedNF);
+                }
+            };
+            const runAction = async (btn, action) => {
+                btn.disabled = true;
+                btn.textContent = '⏳';
+                try {
+                    await action();
+                } catch (error) {
+                    console.error('NEF exposure error:', error);
+                }
+                refreshPanel();
+            };
+
+            [['btn-af-reachability', 'UE_REACHABILITY'], ['btn-af-location', 'LOCATION_REPORTING']].forEach(([buttonId, monitoringType]) => {
+                const btn = document.getElementById(buttonId);
+                if (!btn) return;
+                btn.addEventListener('click', () => {
+                    const ueId = document.getElementById('af-ue').value;
+                    if (!ueId) return;
+                    runAction(btn, () => window.exposureManager.subscribeEvent(nf.id, ueId, monitoringType));
+                });
+            });
+
+            const btnQoS = document.getElementById('btn-af-qos');
+            if (btnQoS) {
+                btnQoS.addEventListener('click', () => {
+                    const ueId = document.getElementById('af-ue').value;
+                    const remotePort = parseInt(document.getElementById('af-flow-port').value, 10);
+                    if (!ueId) return;
+                    if (!Number.isInteger(remotePort) || remotePort < 1 || remotePort > 65535) {
+                        alert('❌ Invalid port!\n\nThe AF port must be between 1 and 65535.');
+                        return;
+                    }
+                    const flow = { protocol: document.getElementById('af-flow-protocol').value, remotePort };
+                    runAction(btnQoS, () => window.exposureManager.requestQoS(nf.id, ueId, flow, document.getElementById('af-qos-reference').value));
                 });
             }
+
+            document.querySelectorAll('.btn-af-unsubscribe').forEach(btn => {
+                btn.addEventListener('click', () => runAction(btn, () => window.exposureManager.unsubscribeEvent(btn.dataset.id)));
+            });
+            document.querySelectorAll('.btn-af-release-qos').forEach(btn => {
+                btn.addEventListener('click', () => runAction(btn, () => window.exposureManager.releaseQoS(btn.dataset.id)));
+            });
         }
 
         // UDR: Show Subscriber Info
@@ -1170,7 +1726,7 @@ class UIController {
                         ]);
                     }
                     const list = store.getSubscribers();
-                    const lines = list.map((s, i) => `${i+1}) IMSI=${s.imsi} DNN=${s.dnn} SST=${s.nssai_sst}`).join('\n');
+                    const lines = list.map((s, i) => `${i+1}) IMSI=${s.imsi} DNN=${s.dnn} SST=${(s.nssai_ssts || [s.nssai_sst]).join(',')}`).join('\n');
                     const choiceStr = prompt(`Subscribers:\n\n${lines}\n\nEnter 1 or 2 to edit, or IMSI to add:`, '1');
                     if (!choiceStr) return;
                     let sub = null;
@@ -1184,7 +1740,8 @@ class UIController {
                     const opc = prompt('OPC (hex32):', sub.opc) || sub.opc;
                     const dnn = prompt('DNN:', sub.dnn) || sub.dnn;
                     const sst = parseInt(prompt('NSSAI SST:', String(sub.nssai_sst)) || String(sub.nssai_sst), 10) || sub.nssai_sst;
-                    store.upsertSubscriber(imsi, { key, opc, dnn, nssai_sst: sst });
+                    const extraSsts = window.sliceManager?.parseSlices(prompt('Additional subscribed SSTs (comma-separated):', (sub.nssai_ssts || []).filter(s => s !== sst).join(', ')) || '') || [];
+                    store.upsertSubscriber(imsi, { key, opc, dnn, nssai_sst: sst, nssai_ssts: [...new Set([sst, ...extraSsts])] });
                     alert('✅ Subscriber saved. UDR/MySQL store updated.');
                 };
             }
@@ -1515,6 +2072,8 @@ class UIController {
             const opc = document.getElementById('config-opc')?.value;
             const dnn = document.getElementById('config-dnn')?.value;
             const sst = parseInt(document.getElementById('config-sst')?.value);
+            const inactivityTimer = parseInt(document.getElementById('config-inactivity-timer')?.value);
+            const requestedNssai = window.sliceManager ? window.sliceManager.parseSlices(document.getElementById('config-requested-nssai')?.value) : [];
 
             if (!imsi || !key || !opc || !dnn || !sst) {
                 alert('Please fill all subscriber fields');
@@ -1539,6 +2098,18 @@ class UIController {
                 return;
             }
 
+            // Validate inactivity timer (5 s - 1 h)
+            if (!inactivityTimer || inactivityTimer < 5 || inactivityTimer > 3600) {
+                alert('❌ Invalid Inactivity Timer!\n\nInactivity timer must be between 5 and 3600 seconds.');
+                return;
+            }
+
+            // Validate requested NSSAI (SSTs 1-255); unsubscribed slices are left for the network to reject
+            if (requestedNssai === null) {
+                alert('❌ Invalid Requested NSSAI!\n\nEnter comma-separated SST values between 1 and 255.');
+                return;
+            }
+
             // Check for duplicate IMSI - ensure no other UE has the same IMSI
             const allUEs = window.dataStore?.getAllNFs().filter(n => n.type === 'UE' && n.id !== nfId) || [];
             const duplicateUE = allUEs.find(ue => ue.config.subscriberImsi === imsi);
@@ -1566,15 +2137,27 @@ class UIController {
                 return;
             }
 
+            // A different USIM: the 5G-GUTI and SUCI belonged to the previous subscriber
+            if (nf.config.subscriberImsi !== imsi) {
+                window.suciManager?.releaseGUTI(nfId);
+                delete nf.config.guti;
+                delete nf.config.suci;
+            }
+
             // Update subscriber configuration
             nf.config.subscriberImsi = imsi;
             nf.config.subscriberKey = key;
             nf.config.subscriberOpc = opc;
             nf.config.subscriberDnn = dnn;
             nf.config.subscriberSst = sst;
+            nf.config.requestedNssai = requestedNssai;
+            nf.config.inactivityTimer = inactivityTimer;
 
             window.dataStore.updateNF(nfId, nf);
 
+            // Restart the running inactivity timer with the new period
+            window.sessionManager?.recordUserPlaneActivity(nfId);
+
             // Log configuration change
             if (window.logEngine) {
                 window.logEngine.addLog(nfId, 'SUCCESS',
@@ -1628,21 +2211,262 @@ class UIController {
             }
         }
 
+        // gNB/AMF: PLMN identity and tracking area
+        let plmn = null;
+        let tac = null;
+        if (nf.type === 'gNB' || nf.type === 'AMF') {
+            const mcc = document.getElementById('config-mcc')?.value.trim();
+            const mnc = document.getElementById('config-mnc')?.value.trim();
+            tac = nf.type === 'gNB' ? parseInt(document.getElementById('config-tac')?.value) : null;
+
+            const identityError = window.mobilityManager?.validateIdentity(mcc, mnc, tac);
+            if (identityError) {
+                alert(`❌ Invalid PLMN/TAC!\n\n${identityError}`);
+                return;
+            }
+            plmn = { mcc, mnc };
+        }
+
+        // AMF: periodic registration timer
+        let t3512 = null;
+        if (nf.type === 'AMF') {
+            t3512 = parseInt(document.getElementById('config-t3512')?.value);
+            if (isNaN(t3512) || t3512 < 1 || t3512 > 1860) {
+                alert('❌ Invalid T3512!\n\nT3512 must be between 1 and 1860 minutes.');
+                return;
+            }
+        }
+
+        // UDM: SUCI protection scheme and home network key
+        let hnPublicKeyId = null;
+        if (nf.type === 'UDM') {
+            hnPublicKeyId = parseInt(document.getElementById('config-hn-key-id')?.value);
+            if (isNaN(hnPublicKeyId) || hnPublicKeyId < 1 || hnPublicKeyId > 255) {
+                alert('❌ Invalid Home Network Public Key ID!\n\nThe key ID must be between 1 and 255.');
+                return;
+            }
+        }
+
+        // UPF: per-DNN UE address pools
+        let ipPools = null;
+        let ipPoolsChanged = false;
+        if (nf.type === 'UPF' && window.sessionManager) {
+            const lines = (document.getElementById('config-ip-pools')?.value || '')
+                .split('\n').map(line => line.trim()).filter(Boolean);
+            const malformed = lines.find(line => ![3, 4].includes(line.split(/\s+/).length));
+            if (malformed) {
+                alert(`❌ Invalid IP pool!\n\n"${malformed}"\n\nUse one pool per line: DNN network gateway [IPv6 prefix] (e.g. internet 10.0.1.0/28 10.0.1.1 2001:db8:1::/48)`);
+                return;
+            }
+
+            const proposed = lines.map(line => {
+                const [dnn, network, gatewayIP, ipv6Prefix] = line.split(/\s+/);
+                return { dnn, network, gatewayIP, ...(ipv6Prefix && { ipv6Prefix }) };
+            });
+            const poolError = window.sessionManager.validateIPPools(nf, proposed);
+            if (poolError) {
+                alert(`❌ Invalid IP pool!\n\n${poolError}`);
+                return;
+            }
+
+            // Keep interface names and allocations of pools that stay
+            const current = window.sessionManager.getIPPools(nf);
+            const usedNames = new Set(current.filter(pool => proposed.some(p => p.dnn === pool.dnn)).map(pool => pool.interfaceName));
+            let tunIndex = 0;
+            ipPools = proposed.map(pool => {
+                const existing = current.find(c => c.dnn === pool.dnn);
+                if (existing) {
+                    const { ipv6Prefix, ...kept } = existing;
+                    return { ...kept, network: pool.network, gatewayIP: pool.gatewayIP, ...(pool.ipv6Prefix && { ipv6Prefix: pool.ipv6Prefix }) };
+                }
+                while (usedNames.has(`tun${tunIndex}`)) tunIndex++;
+                usedNames.add(`tun${tunIndex}`);
+                return { ...pool, interfaceName: `tun${tunIndex}`, assignedIPs: [], assignedPrefixes: [] };
+            });
+
+            const describe = pools => pools.map(pool => `${pool.dnn} ${pool.network} ${pool.gatewayIP} ${pool.ipv6Prefix || ''}`).join('|');
+            ipPoolsChanged = describe(current) !== describe(ipPools);
+        }
+
+        // UPF: volume threshold of the usage reporting rules
+        let urrThreshold = null;
+        const urrThresholdInput = document.getElementById('config-urr-threshold');
+        if (nf.type === 'UPF' && window.pfcpManager && urrThresholdInput) {
+            const megabytes = parseInt(urrThresholdInput.value);
+            if (isNaN(megabytes) || megabytes < 1) {
+                alert('❌ Invalid URR volume threshold!\n\nThe threshold must be at least 1 MB.');
+                return;
+            }
+            urrThreshold = megabytes * 1024 * 1024;
+        }
+
+        // NRF: heartbeat timer handed out to registering NFs
+        let heartBeatTimer = null;
+        const heartBeatTimerInput = document.getElementById('config-heartbeat-timer');
+        if (nf.type === 'NRF' && window.nrfManager && heartBeatTimerInput) {
+            heartBeatTimer = parseInt(heartBeatTimerInput.value);
+            if (isNaN(heartBeatTimer) || heartBeatTimer < 5 || heartBeatTimer > 3600) {
+                alert('❌ Invalid heartbeat timer!\n\nThe heartbeat timer must be between 5 and 3600 seconds.');
+                return;
+            }
+        }
+
+        // NRF: OAuth2 access token enforcement and lifetime of granted tokens
+        let oauth2 = null;
+        const oauth2Input = document.getElementById('config-oauth2');
+        if (nf.type === 'NRF' && window.nrfManager && oauth2Input) {
+            const lifetime = parseInt(document.getElementById('config-token-lifetime').value);
+            if (isNaN(lifetime) || lifetime < 10 || lifetime > 86400) {
+                alert('❌ Invalid access token lifetime!\n\nThe lifetime must be between 10 and 86400 seconds.');
+                return;
+            }
+            oauth2 = { required: oauth2Input.value === 'required', lifetime };
+        }
+
+        // Registered NFs: consumer NF types allowed to discover and call this instance
+        let allowedNfTypes = null;
+        const allowedNfTypesInput = document.getElementById('config-allowed-nf-types');
+        if (window.nrfManager && allowedNfTypesInput) {
+            allowedNfTypes = allowedNfTypesInput.value.split(',').map(type => type.trim().toUpperCase()).filter(Boolean);
+            const unknown = allowedNfTypes.filter(type => !window.nrfManager.REGISTERED_TYPES.includes(type));
+            if (unknown.length > 0) {
+                alert(`❌ Invalid allowed NF types: ${unknown.join(', ')}\n\nUse ${window.nrfManager.REGISTERED_TYPES.join(', ')}.`);
+                return;
+            }
+        }
+
+        // AMF/SMF: slices served by this instance (empty list means all)
+        let servedSlices = null;
+        const servedSlicesInput = document.getElementById('config-nf-ssts');
+        if (window.sliceManager && servedSlicesInput) {
+            servedSlices = window.sliceManager.parseSlices(servedSlicesInput.value);
+            if (servedSlices === null) {
+                alert('❌ Invalid served slices!\n\nEnter SST values from 1 to 255, separated by commas.');
+                return;
+            }
+        }
+
+        // UPF: what the SMF checks when it selects an anchor (empty lists mean all)
+        let upfSelection = null;
+        if (nf.type === 'UPF' && window.userPlaneManager && document.getElementById('config-upf-capacity')) {
+            const parseList = id => (document.getElementById(id)?.value || '').split(',').map(item => item.trim()).filter(Boolean).map(Number);
+            const supportedSsts = parseList('config-upf-ssts');
+            const serviceAreaTacs = parseList('config-upf-tacs');
+            const capacity = parseInt(document.getElementById('config-upf-capacity').value);
+
+            if (supportedSsts.some(sst => !Number.isInteger(sst) || sst < 0 || sst > 255)) {
+                alert('❌ Invalid supported slices!\n\nEnter SST values from 0 to 255, separated by commas.');
+                return;
+            }
+            if (serviceAreaTacs.some(tac => !Number.isInteger(tac) || tac < 1 || tac > 16777215)) {
+                alert('❌ Invalid service area!\n\nEnter TACs from 1 to 16777215, separated by commas.');
+                return;
+            }
+            if (isNaN(capacity) || capacity < 1) {
+                alert('❌ Invalid session capacity!\n\nThe UPF must be able to anchor at least 1 PDU session.');
+                return;
+            }
+            upfSelection = { supportedSsts, serviceAreaTacs, capacity };
+        }
+
+        // UPF: destinations broken out locally when the UPF acts as UL-CL
+        let localBreakout = null;
+        const localBreakoutInput = document.getElementById('config-local-breakout');
+        if (nf.type === 'UPF' && window.userPlaneManager && localBreakoutInput) {
+            const parsed = window.userPlaneManager.parseBreakoutRules(localBreakoutInput.value);
+            if (parsed.error) {
+                alert(`❌ Invalid local breakout rule!\n\n${parsed.error}`);
+                return;
+            }
+            localBreakout = parsed.rules;
+        }
+
         // Update NF
         const oldIP = nf.config.ipAddress;
         const oldPort = nf.config.port;
+        const oldTAI = nf.type === 'gNB' ? window.mobilityManager?.getGNBTAI(nf) : null;
 
         nf.config.ipAddress = ipAddress;
         nf.config.port = port;
         nf.config.httpProtocol = httpProtocol;
 
+        if (plmn) {
+            nf.config.plmn = plmn;
+        }
+        if (nf.type === 'gNB') {
+            nf.config.tac = tac;
+        }
+        if (nf.type === 'AMF') {
+            nf.config.registrationAreaPolicy = document.getElementById('config-registration-area-policy')?.value || 'tracking-area';
+            nf.config.t3512 = t3512;
+        }
+        if (nf.type === 'UDM') {
+            nf.config.suciProtectionScheme = document.getElementById('config-suci-scheme')?.value || 'profile-a';
+            nf.config.hnPublicKeyId = hnPublicKeyId;
+        }
+        if (ipPools) {
+            nf.config.ipPools = ipPools;
+        }
+        if (urrThreshold && urrThreshold !== window.pfcpManager.getVolumeThreshold(nf)) {
+            window.pfcpManager.setVolumeThreshold(nf, urrThreshold);
+        }
+        if (localBreakout) {
+            nf.config.localBreakout = localBreakout;
+        }
+        if (servedSlices) {
+            nf.config.supportedSsts = servedSlices;
+        }
+        if (allowedNfTypes) {
+            nf.config.allowedNfTypes = allowedNfTypes;
+        }
+        if (upfSelection) {
+            Object.assign(nf.config, upfSelection);
+        }
+
         window.dataStore.updateNF(nfId, nf);
 
+        // NFUpdate to the NRF when the profile (address, slices, DNNs, TAIs) changed
+        window.nrfManager?.updateProfile(nf);
+        const nrfStatus = document.getElementById('config-nrf-status')?.value;
+        if (window.nrfManager && nrfStatus && nrfStatus !== 'SUSPENDED') {
+            window.nrfManager.setNFStatus(nf, nrfStatus);
+        }
+        if (heartBeatTimer && heartBeatTimer !== window.nrfManager.getHeartbeatTimer(nf)) {
+            window.nrfManager.setHeartbeatTimer(nf, heartBeatTimer);
+        }
+        if (oauth2) {
+            window.nrfManager.setOAuth2(nf, oauth2.required, oauth2.lifetime);
+        }
+
+        // Keep AMF served TAI lists in sync with the new identity
+        if (window.mobilityManager) {
+            if (nf.type === 'gNB') {
+                window.mobilityManager.syncAMFsForGNB(nf);
+
+                const newTAI = window.mobilityManager.getGNBTAI(nf);
+                if (!window.mobilityManager.isSameTAI(oldTAI, newTAI) && window.logEngine) {
+                    window.logEngine.addLog(nfId, 'INFO',
+                        `Tracking area updated: ${window.mobilityManager.formatTAI(oldTAI)} → ${window.mobilityManager.formatTAI(newTAI)}`, {
+                        plmn: `${newTAI.mcc}${newTAI.mnc}`,
+                        tac: newTAI.tac
+                    });
+                }
+            } else if (nf.type === 'AMF') {
+                window.mobilityManager.syncServedTAIs(nf);
+            }
+        }
+
         // Log configuration change
         if (window.logEngine) {
             const changes = [];
             if (oldIP !== ipAddress) changes.push(`IP: ${oldIP} → ${ipAddress}`);
             if (oldPort !== port) changes.push(`Port: ${oldPort} → ${port}`);
+            if (ipPoolsChanged) {
+                window.logEngine.addLog(nfId, 'INFO',
+                    `UE IP pools: ${ipPools.map(pool => `${pool.dnn} → ${pool.network}`).join(', ') || 'none'}`, {
+                    pools: ipPools.map(pool => ({ dnn: pool.dnn, interface: pool.interfaceName, network: pool.network, gateway: pool.gatewayIP, inUse: pool.assignedIPs.length }))
+                });
+            }
             
             if (changes.length > 0) {
                 window.logEngine.addLog(nfId, 'INFO',
@@ -1672,7 +2496,7 @@ class UIController {
      * Delete NF
      * @param {string} nfId - NF ID
      */
-    deleteNF(nfId) {
+    async deleteNF(nfId) {
         const nf = window.dataStore.getNFById(nfId);
         if (!nf) return;
 
@@ -1681,7 +2505,7 @@ class UIController {
         }
 
         if (window.nfManager) {
-            window.nfManager.deleteNetworkFunction(nfId);
+            await window.nfManager.deleteNetworkFunction(nfId);
         }
 
         this.hideNFConfigPanel();
@@ -1740,6 +2564,13 @@ class UIController {
             toggleBtn.addEventListener('click', () => this.toggleLogPanel());
         }
 
+        const clockSpeed = document.getElementById('nas-clock-speed');
+        if (clockSpeed) {
+            clockSpeed.addEventListener('change', () => {
+                window.nasTimerManager?.setClockSpeed(parseInt(clockSpeed.value));
+            });
+        }
+
         console.log('✅ Log panel initialized');
     }
 
@@ -1986,8 +2817,9 @@ class UIController {
                 try {
                     console.log('📦 Deploying NF:', nf.name);
                     
-                    // Add NF
+                    // Add NF (deployed stable, so it registers with the NRF right away)
                     if (window.dataStore) window.dataStore.addNF(nf);
+                    window.nrfManager?.registerNF(nf);
 
                     // Find and Add Simultaneous Bus Connection
                     const busConn = topology.busConnections ? topology.busConnections.find(bc => bc.nfId === nf.id) : null;
@@ -2085,7 +2917,10 @@ class UIController {
       "icon": "simulation/images/icons/amf.svg",
       "status": "stable",
       "statusTimestamp": 1766128442627,
-      "config": { "ipAddress": "192.168.1.11", "port": 8081, "capacity": 1000, "load": 0, "httpProtocol": "HTTP/2" }
+      "config": {
+        "ipAddress": "192.168.1.11", "port": 8081, "capacity": 1000, "load": 0, "httpProtocol": "HTTP/2",
+        "plmn": { "mcc": "001", "mnc": "01" }, "servedTAIs": [{ "mcc": "001", "mnc": "01", "tac": 1 }], "registrationAreaPolicy": "tracking-area", "t3512": 54
+      }
     },
     {
       "id": "smf-1766128441444-aeu8d",
@@ -2109,7 +2944,10 @@ class UIController {
       "statusTimestamp": 1766128449995,
       "config": {
         "ipAddress": "192.168.1.13", "port": 8083, "capacity": 1000, "load": 0, "httpProtocol": "HTTP/2",
-        "tun0Interface": { "interfaceName": "tun0", "network": "10.0.0.0/28", "gatewayIP": "10.0.0.1", "assignedIPs": [{"ueId": "ue-1766128703062-jvfa8", "ueName": "UE-1", "ip": "10.0.0.2", "assignedAt": 1766128715355}], "nextAvailableIP": 3, "name": "tun0", "ipAddress": "10.0.0.1", "netmask": "255.255.255.0" }
+        "ipPools": [
+          { "dnn": "5G-Lab", "interfaceName": "tun0", "network": "10.0.0.0/28", "gatewayIP": "10.0.0.1", "assignedIPs": [{"ueId": "ue-1766128703062-jvfa8", "ueName": "UE-1", "pduSessionId": 1, "ip": "10.0.0.2", "assignedAt": 1766128715355}] },
+          { "dnn": "internet", "interfaceName": "tun1", "network": "10.0.1.0/28", "gatewayIP": "10.0.1.1", "assignedIPs": [] }
+        ]
       }
     },
     {
@@ -2198,7 +3036,7 @@ class UIController {
       "icon": "simulation/images/icons/gnb.svg",
       "status": "stable",
       "statusTimestamp": 1766128700906,
-      "config": { "ipAddress": "192.168.1.21", "port": 8089, "capacity": 1000, "load": 0, "httpProtocol": "HTTP/2" }
+      "config": { "ipAddress": "192.168.1.21", "port": 8089, "capacity": 1000, "load": 0, "httpProtocol": "HTTP/2", "plmn": { "mcc": "001", "mnc": "01" }, "tac": 1 }
     },
     {
       "id": "ue-1766128703062-jvfa8",
@@ -2212,8 +3050,12 @@ class UIController {
       "config": {
         "ipAddress": "192.168.1.22", "port": 8090, "capacity": 1000, "load": 0, "httpProtocol": "HTTP/2",
         "subscriberImsi": "001010000000101", "subscriberKey": "fec86ba6eb707ed08905757b1bb44b8f", "subscriberOpc": "C42449363BBAD02B66D16BC975D77CC1", "subscriberDnn": "5G-Lab", "subscriberSst": 1,
-        "pduSession": { "sessionId": "pdu-1766128715355-g2o13", "upfId": "upf-1766128444987-c07tk", "assignedIP": "10.0.0.2", "status": "established", "establishedAt": 1766128715355 },
-        "tunInterface": { "name": "tun_ue1", "ipAddress": "10.0.0.2", "netmask": "255.255.255.0", "destination": "10.0.0.2", "gateway": "10.0.0.1", "mtu": 1500, "flags": "UP,POINTOPOINT,RUNNING,NOARP,MULTICAST", "ipv6": "fe80::c47f:2307:2819:ddb2", "createdAt": 1766128715356 }
+        "registrationStatus": "REGISTERED", "registrationArea": [{ "mcc": "001", "mnc": "01", "tac": 1 }],
+        "pduSessionState": "ACTIVE",
+        "pduSessions": [
+          { "sessionId": 1, "dnn": "5G-Lab", "sst": 1, "upfId": "upf-1766128444987-c07tk", "assignedIP": "10.0.0.2", "status": "established", "upCnxState": "ACTIVATED", "establishedAt": 1766128715355,
+            "tunInterface": { "name": "tun_ue1_1", "ipAddress": "10.0.0.2", "netmask": "255.255.255.240", "destination": "10.0.0.2", "gateway": "10.0.0.1", "mtu": 1500, "flags": "UP,POINTOPOINT,RUNNING,NOARP,MULTICAST", "ipv6": "fe80::c47f:2307:2819:ddb2", "createdAt": 1766128715356 } }
+        ]
       }
     }
   ],
@@ -2406,8 +3248,8 @@ class UIController {
         }
 
         // Validate IP format
-        if (!this.isValidIP(targetIP)) {
-            alert('Please enter a valid IP address (e.g., 192.168.1.20)');
+        if (!this.isValidIP(targetIP) && !this.isValidIPv6(targetIP)) {
+            alert('Please enter a valid IP address (e.g., 192.168.1.20 or 2001:db8:ffff::10)');
             return;
         }
 
@@ -2783,6 +3625,12 @@ class UIController {
             this.showSystemInfo(nf, output);
         } else if (cmd === 'netstat') {
             this.showNetstat(nf, output);
+        } else if (cmd === 'pfcp') {
+            this.showPFCPSessions(nf, output);
+        } else if (cmd === 'bridge') {
+            this.showBridgeTables(nf, output);
+        } else if (cmd.startsWith('tracert ') || cmd.startsWith('traceroute ')) {
+            await this.executeTraceroute(nf, args[1], output);
         } else if (cmd === 'ifconfig' || cmd === 'ip addr') {
             this.showIfConfig(nf, output);
         } else if (cmd.startsWith('iperf3 ')) {
@@ -2824,12 +3672,15 @@ class UIController {
             'HELP        - Display this help message',
             'IPCONFIG    - Display network configuration (Windows style)',
             'IFCONFIG    - Display network interfaces (Linux style)',
-            'PING        - Test network connectivity',
+            'PING        - Test network connectivity (IPv4 or IPv6 address)',
             'IPERF3      - Network throughput testing',
             '  Server:   iperf3 -s (ext-dn only)',
-            '  Client:   iperf3 -B <UE_IP> -c <EXT_DN_IP> [-R] (UE only)',
+            '  Client:   iperf3 -B <UE_IP> -c <EXT_DN_IP> [-R] (UE only, IPv4 or IPv6)',
             'SYSTEMINFO  - Display system information',
             'NETSTAT     - Display network connections',
+            'PFCP        - Display the PFCP session table (UPF only)',
+            'BRIDGE      - Display the MAC table of the Ethernet PDU sessions (UPF only)',
+            'TRACERT     - Trace the route to a host (UE: hops through the UPFs)',
             'CLS         - Clear the screen',
             'EXIT        - Close this terminal',
             ''
@@ -2852,6 +3703,7 @@ class UIController {
             'Ethernet adapter Local Area Connection:',
             '',
             `   Connection-specific DNS Suffix  . : 5g.local`,
+            ...(nf.config.ipv6Address ? [`   IPv6 Address. . . . . . . . . . . : ${nf.config.ipv6Address}`] : []),
             `   IPv4 Address. . . . . . . . . . . : ${nf.config.ipAddress}`,
             `   Subnet Mask . . . . . . . . . . . : 255.255.255.0`,
             `   Default Gateway . . . . . . . . . : 192.168.1.1`,
@@ -2884,26 +3736,56 @@ class UIController {
             });
         }
 
-        // Show tun interface for UE
-        if (nf.type === 'UE' && nf.config.tunInterface) {
-            const tun = nf.config.tunInterface;
+        // Show one tunnel adapter per DNN pool for UPF
+        const upfPools = nf.type === 'UPF' ? (window.sessionManager?.getIPPools(nf) || []) : [];
+        upfPools.forEach(pool => {
+            const tunLines = [
+                `Tunnel adapter ${pool.interfaceName} (${pool.dnn}):`,
+                '',
+                `   Connection-specific DNS Suffix  . : `,
+                `   IPv4 Address. . . . . . . . . . . : ${pool.gatewayIP}`,
+                `   Subnet Mask . . . . . . . . . . . : ${window.sessionManager.getPoolNetmask(pool)}`,
+                `   UE Pool . . . . . . . . . . . . . : ${pool.network} (${(pool.assignedIPs || []).length} in use)`,
+                ...(pool.ipv6Prefix ? [
+                    `   IPv6 Address. . . . . . . . . . . : ${window.sessionManager.getPoolIPv6Gateway(pool)}`,
+                    `   UE IPv6 Prefix. . . . . . . . . . : ${pool.ipv6Prefix} (${(pool.assignedPrefixes || []).length} /64 delegated)`
+                ] : []),
+                ''
+            ];
+            tunLines.forEach(line => {
+                this.addTerminalLine(output, line, 'info');
+            });
+        });
+
+        // Show one tun interface per PDU session for UE
+        const ueTunInterfaces = nf.type === 'UE'
+            ? (window.sessionManager?.getPDUSessions(nf) || []).map(pduSession => pduSession.tunInterface).filter(Boolean)
+            : [];
+        ueTunInterfaces.forEach(tun => {
+            // Topologies saved before IPv6 sessions kept a link-local address in tun.ipv6
+            const globalIPv6 = tun.ipv6Prefix ? tun.ipv6 : null;
+            const linkLocalIPv6 = tun.ipv6LinkLocal || (!tun.ipv6Prefix && tun.ipv6);
             const tunLines = [
-                `Tunnel adapter ${tun.name}:`,
+                `${tun.macAddress ? 'Ethernet' : 'Tunnel'} adapter ${tun.name}:`,
                 '',
                 `   Connection-specific DNS Suffix  . : `,
-                `   IPv4 Address. . . . . . . . . . . : ${tun.ipAddress}`,
-                `   Subnet Mask . . . . . . . . . . . : ${tun.netmask}`,
-                `   Default Gateway . . . . . . . . . : ${tun.gateway}`,
+                ...(tun.macAddress ? [`   Physical Address. . . . . . . . . : ${tun.macAddress.toUpperCase().replace(/:/g, '-')}`] : []),
+                ...(globalIPv6 ? [`   IPv6 Address. . . . . . . . . . . : ${globalIPv6}`] : []),
+                ...(linkLocalIPv6 ? [`   Link-local IPv6 Address . . . . . : ${linkLocalIPv6}`] : []),
+                ...(tun.ipAddress ? [
+                    `   IPv4 Address. . . . . . . . . . . : ${tun.ipAddress}`,
+                    `   Subnet Mask . . . . . . . . . . . : ${tun.netmask}`
+                ] : []),
+                ...(tun.gateway || tun.ipv6Gateway ? [`   Default Gateway . . . . . . . . . : ${[tun.ipv6Gateway, tun.gateway].filter(Boolean).join(', ')}`] : []),
                 `   MTU . . . . . . . . . . . . . . . : ${tun.mtu}`,
                 `   Flags . . . . . . . . . . . . . . : ${tun.flags}`,
-                `   IPv6 Address. . . . . . . . . . . : ${tun.ipv6}`,
-                `   Destination . . . . . . . . . . . : ${tun.destination}`,
+                ...(tun.destination ? [`   Destination . . . . . . . . . . . : ${tun.destination}`] : []),
                 ''
             ];
             tunLines.forEach(line => {
                 this.addTerminalLine(output, line, 'info');
             });
-        }
+        });
     }
 
     /**
@@ -2916,6 +3798,7 @@ class UIController {
         const eth0Lines = [
             `eth0: flags=4163<UP,BROADCAST,RUNNING,MULTICAST>  mtu 1500`,
             `        inet ${nf.config.ipAddress}  netmask 255.255.255.0  broadcast ${this.getBroadcastIP(nf.config.ipAddress)}`,
+            ...(nf.config.ipv6Address ? [`        inet6 ${nf.config.ipv6Address}  prefixlen 64  scopeid 0x0<global>`] : []),
             `        inet6 fe80::${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}  prefixlen 64  scopeid 0x20<link>`,
             `        ether ${this.generateMACAddress()}  txqueuelen 1000  (Ethernet)`,
             `        RX packets ${Math.floor(Math.random() * 10000) + 1000}  bytes ${Math.floor(Math.random() * 1000000) + 100000} (${(Math.random() * 100).toFixed(1)} KB)`,
@@ -2928,13 +3811,15 @@ class UIController {
             this.addTerminalLine(output, line, 'info');
         });
 
-        // Show tun0 interface for UPF (when connected to ext-dn)
-        if (nf.type === 'UPF' && nf.config.tun0Interface) {
-            const tun0 = nf.config.tun0Interface;
+        // Show one tun interface per DNN pool for UPF (gateway address of the pool)
+        const upfPools = nf.type === 'UPF' ? (window.sessionManager?.getIPPools(nf) || []) : [];
+        upfPools.forEach(pool => {
             const flagsValue = 4305; // UP,POINTOPOINT,RUNNING,NOARP,MULTICAST
+            const netmask = window.sessionManager.getPoolNetmask(pool);
             const tun0Lines = [
-                `tun0: flags=${flagsValue}<UP,POINTOPOINT,RUNNING,NOARP,MULTICAST>  mtu 1500`,
-                `        inet ${tun0.ipAddress}  netmask ${tun0.netmask}  destination ${tun0.ipAddress}`,
+                `${pool.interfaceName}: flags=${flagsValue}<UP,POINTOPOINT,RUNNING,NOARP,MULTICAST>  mtu 1500`,
+                `        inet ${pool.gatewayIP}  netmask ${netmask}  destination ${pool.gatewayIP}`,
+                ...(pool.ipv6Prefix ? [`        inet6 ${window.sessionManager.getPoolIPv6Gateway(pool)}  prefixlen ${pool.ipv6Prefix.split('/')[1]}  scopeid 0x0<global>`] : []),
                 `        inet6 fe80::${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}:${Math.floor(Math.random() * 65535).toString(16).padStart(4, '0')}  prefixlen 64  scopeid 0x20<link>`,
                 `        unspec 00-00-00-00-00-00-00-00-00-00-00-00-00-00-00-00  txqueuelen 500  (UNSPEC)`,
                 `        RX packets ${Math.floor(Math.random() * 100)}  bytes ${Math.floor(Math.random() * 10000)} (${(Math.random() * 10).toFixed(1)} KB)`,
@@ -2946,17 +3831,26 @@ class UIController {
             tun0Lines.forEach(line => {
                 this.addTerminalLine(output, line, 'info');
             });
-        }
+        });
 
-        // Show tun_ue interface for UE (when PDU session is established)
-        if (nf.type === 'UE' && nf.config.tunInterface && nf.config.pduSession) {
-            const tun = nf.config.tunInterface;
-            const flagsValue = 4305; // UP,POINTOPOINT,RUNNING,NOARP,MULTICAST
+        // Show one tun_ue (tap_ue for Ethernet sessions) interface per established PDU session for UE
+        const pduSessions = nf.type === 'UE' ? (window.sessionManager?.getPDUSessions(nf) || []) : [];
+        pduSessions.filter(pduSession => pduSession.tunInterface).forEach(pduSession => {
+            const tun = pduSession.tunInterface;
+            const globalIPv6 = tun.ipv6Prefix ? tun.ipv6 : null;
+            const linkLocalIPv6 = tun.ipv6LinkLocal || (!tun.ipv6Prefix && tun.ipv6);
+            // After AN Release the session is kept but the user plane is down (no RUNNING)
+            const upActive = pduSession.upCnxState !== 'DEACTIVATED';
+            const flagsValue = tun.macAddress ? (upActive ? 4163 : 4099) : (upActive ? 4305 : 4241);
+            const flagsText = window.sessionManager.getInterfaceFlags(pduSession.pduSessionType, upActive);
             const tunLines = [
-                `${tun.name}: flags=${flagsValue}<UP,POINTOPOINT,RUNNING,NOARP,MULTICAST>  mtu ${tun.mtu}`,
-                `        inet ${tun.ipAddress}  netmask ${tun.netmask}  destination ${tun.destination}`,
-                `        inet6 ${tun.ipv6}  prefixlen 64  scopeid 0x20<link>`,
-                `        unspec 00-00-00-00-00-00-00-00-00-00-00-00-00-00-00-00  txqueuelen 500  (UNSPEC)`,
+                `${tun.name}: flags=${flagsValue}<${flagsText}>  mtu ${tun.mtu}`,
+                ...(tun.ipAddress ? [`        inet ${tun.ipAddress}  netmask ${tun.netmask}  destination ${tun.destination}`] : []),
+                ...(globalIPv6 ? [`        inet6 ${globalIPv6}  prefixlen 64  scopeid 0x0<global>`] : []),
+                ...(linkLocalIPv6 ? [`        inet6 ${linkLocalIPv6}  prefixlen 64  scopeid 0x20<link>`] : []),
+                tun.macAddress
+                    ? `        ether ${tun.macAddress}  txqueuelen 1000  (Ethernet)`
+                    : `        unspec 00-00-00-00-00-00-00-00-00-00-00-00-00-00-00-00  txqueuelen 500  (UNSPEC)`,
                 `        RX packets ${Math.floor(Math.random() * 100)}  bytes ${Math.floor(Math.random() * 10000)} (${(Math.random() * 10).toFixed(1)} KB)`,
                 `        RX errors 0  dropped 0  overruns 0  frame 0`,
                 `        TX packets ${Math.floor(Math.random() * 100) + 5}  bytes ${Math.floor(Math.random() * 1000) + 300} (${(Math.random() * 1).toFixed(1)} KB)`,
@@ -2966,7 +3860,7 @@ class UIController {
             tunLines.forEach(line => {
                 this.addTerminalLine(output, line, 'info');
             });
-        }
+        });
     }
 
     /**
@@ -2999,49 +3893,97 @@ class UIController {
      */
     async executeWindowsPing(nf, target, output) {
         // Validate IP
-        if (!this.isValidIP(target)) {
+        const ipv6 = this.isValidIPv6(target);
+        if (!this.isValidIP(target) && !ipv6) {
             this.addTerminalLine(output, `Ping request could not find host ${target}. Please check the name and try again.`, 'error');
             return;
         }
 
-        // SPECIAL CASE: UE can ping its gateway (10.0.0.1) via tun interface
-        if (nf.type === 'UE' && nf.config.tunInterface && target === nf.config.tunInterface.gateway) {
+        // User-plane ping leaves through the PDU session whose tun network holds the
+        // target; IPv6 targets follow the IPv6 routes of the UE (see PingManager)
+        const ueSessions = nf.type === 'UE' ? (window.sessionManager?.getPDUSessions(nf) || []) : [];
+        const tun = ipv6
+            ? (ueSessions.find(pduSession => pduSession.ipv6Address === target) || window.pingManager?.getUserPlaneSession(nf, target))?.tunInterface || null
+            : ueSessions
+                .map(pduSession => pduSession.tunInterface)
+                .find(t => t && t.ipAddress && this.getNetworkFromIP(target) === this.getNetworkFromIP(t.ipAddress)) || null;
+
+        // User-plane ping from an idle UE: Service Request runs before the first echo leaves
+        let serviceRequestDelay = 0;
+        if (tun) {
+            serviceRequestDelay = await this.runServiceRequestIfIdle(nf, output);
+            if (serviceRequestDelay === null) {
+                this.addTerminalLine(output, `Pinging ${target} with 32 bytes of data:`, 'info');
+                this.addTerminalLine(output, `PING: transmit failed. General failure.`, 'error');
+                return;
+            }
+        }
+
+        // SPECIAL CASE: UE can ping its gateway (e.g. 10.0.0.1 or 2001:db8::1) via tun interface
+        if (tun && (target === tun.gateway || target === tun.ipv6Gateway)) {
             this.addTerminalLine(output, `Pinging ${target} (UPF Gateway) with 32 bytes of data:`, 'info');
             this.addTerminalLine(output, '', 'blank');
             
-            // Simulate successful ping to gateway
+            // Echoes reach the gateway unless the PFCP rules of the path drop them
+            const pduSession = window.sessionManager.getPDUSessions(nf).find(session => session.tunInterface === tun);
+            const results = [];
             for (let i = 0; i < 4; i++) {
                 await this.delay(500);
-                const time = Math.floor(Math.random() * 10) + 1;
+                window.sessionManager?.recordUserPlaneActivity(nf.id);
+                const upfResult = window.userPlaneManager ? await window.userPlaneManager.forwardEcho(nf, pduSession, target, 'UE', { animate: true }) : null;
+                if (upfResult && !upfResult.delivered) {
+                    await this.delay(500);
+                    results.push({ sequence: i + 1, success: false, timeout: true });
+                    this.addTerminalLine(output, 'Request timed out.', 'error');
+                    continue;
+                }
+                const time = Math.floor(Math.random() * 10) + 1 + (i === 0 ? serviceRequestDelay : 0);
+                results.push({ sequence: i + 1, time, ttl: 64, success: true });
                 this.addTerminalLine(output, `Reply from ${target}: bytes=32 time=${time}ms TTL=64`, 'success');
             }
             
-            this.addTerminalLine(output, '', 'blank');
-            this.addTerminalLine(output, `Ping statistics for ${target}:`, 'info');
-            this.addTerminalLine(output, `    Packets: Sent = 4, Received = 4, Lost = 0 (0% loss),`, 'info');
-            this.addTerminalLine(output, `Approximate round trip times in milli-seconds:`, 'info');
-            this.addTerminalLine(output, `    Minimum = 1ms, Maximum = 10ms, Average = 5ms`, 'info');
+            this.showPingStatistics(target, results, output);
             return;
         }
 
-        // SPECIAL CASE: UE can ping other IPs in 10.0.0.0/24 network via tun interface
-        if (nf.type === 'UE' && nf.config.tunInterface) {
-            const tunNetwork = this.getNetworkFromIP(nf.config.tunInterface.ipAddress);
-            const targetNetwork = this.getNetworkFromIP(target);
+        // SPECIAL CASE: UE can ping other IPs of a PDU session's network via its tun interface
+        if (tun) {
+            this.addTerminalLine(output, `Pinging ${target} via ${tun.name} with 32 bytes of data:`, 'info');
+            this.addTerminalLine(output, '', 'blank');
             
-            if (tunNetwork === targetNetwork) {
-                // UE can ping within ogstun network
-                this.addTerminalLine(output, `Pinging ${target} via ${nf.config.tunInterface.name} with 32 bytes of data:`, 'info');
-                this.addTerminalLine(output, '', 'blank');
-                
-                // Use ping manager for realistic ping
-                if (window.pingManager) {
-                    await window.pingManager.executePing(nf.id, target, 4);
-                }
+            // Use ping manager for realistic ping
+            if (window.pingManager) {
+                window.sessionManager?.recordUserPlaneActivity(nf.id);
+                await window.pingManager.executePing(nf.id, target, 4, serviceRequestDelay);
+                window.sessionManager?.recordUserPlaneActivity(nf.id);
+            }
+            return;
+        }
+
+        // SPECIAL CASE: ext-dn can ping a UE's PDU session address through the UPF (downlink)
+        if (nf.type === 'ext-dn' && (!ipv6 || nf.config.ipv6Address)) {
+            // Only sessions anchored at a UPF behind this DN's N6 are reachable from it
+            const dnUpfIds = (window.userPlaneManager?.getConnectedNFs(nf, 'UPF') || []).map(upf => upf.id);
+            const targetUE = (window.dataStore?.getAllNFs() || []).find(n =>
+                n.type === 'UE' && dnUpfIds.includes(window.sessionManager?.findPDUSessionByIP(n, target)?.upfId)
+            );
+            if (targetUE) {
+                await this.executeDownlinkPing(nf, targetUE, target, output);
                 return;
             }
         }
 
+        // IPv6 only travels over the IPv6 PDU sessions of a UE
+        if (ipv6) {
+            this.addTerminalLine(output, `Pinging ${target} with 32 bytes of data:`, 'info');
+            this.addTerminalLine(output, '', 'blank');
+            this.addTerminalLine(output, `PING: transmit failed. General failure.`, 'error');
+            this.addTerminalLine(output, '', 'blank');
+            this.addTerminalLine(output, `Network Error: No IPv6 route to ${target}`, 'error');
+            this.addTerminalLine(output, `Reason: ${nf.name} has no IPv6 PDU session`, 'error');
+            return;
+        }
+
         // Check subnet restriction FIRST
         const sourceNetwork = this.getNetworkFromIP(nf.config.ipAddress);
         const targetNetwork = this.getNetworkFromIP(target);
@@ -3106,6 +4048,47 @@ class UIController {
         this.showPingStatistics(target, results, output);
     }
 
+    /**
+     * Ping a UE's PDU session address from ext-dn (downlink via UPF, paging if idle)
+     * @param {Object} nf - ext-dn Network Function
+     * @param {Object} ue - Target UE
+     * @param {string} target - UE PDU session IP
+     * @param {HTMLElement} output - Output element
+     */
+    async executeDownlinkPing(nf, ue, target, output) {
+        this.addTerminalLine(output, `Pinging ${target} (${ue.name}) with 32 bytes of data:`, 'info');
+        this.addTerminalLine(output, '', 'blank');
+
+        // Idle UE: first echo request is buffered in the UPF while the network pages the UE
+        const pagingDelay = await this.runPagingIfIdle(ue, output, nf.id, target);
+        const results = [];
+
+        const pduSession = window.sessionManager?.findPDUSessionByIP(ue, target);
+
+        for (let i = 1; i <= 4; i++) {
+            await this.delay(500);
+
+            // Echo request enters the user plane on N6 and is matched against the downlink PDRs
+            const upfResult = pagingDelay !== null && pduSession && window.userPlaneManager
+                ? await window.userPlaneManager.forwardEcho(ue, pduSession, this.isValidIPv6(target) ? nf.config.ipv6Address : nf.config.ipAddress, 'DN', { animate: true })
+                : null;
+
+            if (pagingDelay !== null && (!upfResult || upfResult.delivered)) {
+                const responseTime = this.generateResponseTime() + (i === 1 ? pagingDelay : 0);
+                results.push({ sequence: i, time: responseTime, ttl: 63, success: true });
+                window.sessionManager?.recordUserPlaneActivity(ue.id);
+                this.addTerminalLine(output, `Reply from ${target}: bytes=32 time=${responseTime}ms TTL=63`, 'success');
+            } else {
+                await this.delay(500);
+                results.push({ sequence: i, success: false, timeout: true });
+                this.addTerminalLine(output, 'Request timed out.', 'error');
+            }
+        }
+
+        await this.delay(500);
+        this.showPingStatistics(target, results, output);
+    }
+
     /**
      * Execute ping subnet with detailed subnet information
      * @param {Object} nf - Network Function
@@ -3225,6 +4208,147 @@ class UIController {
         });
     }
 
+    /**
+     * Show the PFCP sessions of a UPF with their PDR/FAR/QER/URR rules
+     * @param {Object} nf - Network Function
+     * @param {HTMLElement} output - Output element
+     */
+    showPFCPSessions(nf, output) {
+        if (nf.type !== 'UPF' || !window.pfcpManager) {
+            this.addTerminalLine(output, 'pfcp: only available on a UPF', 'error');
+            return;
+        }
+
+        const sessions = window.pfcpManager.getPFCPSessions(nf);
+        this.addTerminalLine(output, `PFCP sessions on ${nf.name} (${sessions.length})`, 'info');
+        this.addTerminalLine(output, '', 'blank');
+
+        sessions.forEach(session => {
+            window.pfcpManager.describeSession(session).forEach(line => this.addTerminalLine(output, line, 'info'));
+            this.addTerminalLine(output, '', 'blank');
+        });
+    }
+
+    /**
+     * Show the MAC tables a UPF keeps for its Ethernet PDU sessions, one
+     * bridge per DNN with the DN LAN segment on N6
+     * @param {Object} nf - Network Function
+     * @param {HTMLElement} output - Output element
+     */
+    showBridgeTables(nf, output) {
+        if (nf.type !== 'UPF' || !window.userPlaneManager) {
+            this.addTerminalLine(output, 'bridge: only available on a UPF', 'error');
+            return;
+        }
+
+        const bridges = window.userPlaneManager.getBridgeTables(nf);
+        if (bridges.length === 0) {
+            this.addTerminalLine(output, `No Ethernet PDU sessions on ${nf.name}`, 'info');
+            return;
+        }
+
+        bridges.forEach(bridge => {
+            this.addTerminalLine(output, `Bridge ${bridge.dnn}  LAN segment: ${bridge.lanSegment || 'none (no DN on N6)'}`, 'info');
+            this.addTerminalLine(output, `  ${'MAC address'.padEnd(19)}${'Port'.padEnd(20)}Owner`, 'info');
+            bridge.entries.forEach(entry => {
+                this.addTerminalLine(output, `  ${entry.mac.padEnd(19)}${entry.port.padEnd(20)}${entry.owner}`, 'info');
+            });
+            this.addTerminalLine(output, '', 'blank');
+        });
+    }
+
+    /**
+     * Windows-style tracert. From a UE one ICMP packet goes up its PDU
+     * session and every UPF it crosses (N3, then N9) answers as a hop, followed
+     * by the destination behind the N6 interface it left from.
+     * @param {Object} nf - Network Function
+     * @param {string} target - Target IP address
+     * @param {HTMLElement} output - Output element
+     */
+    async executeTraceroute(nf, target, output) {
+        const ipv6 = this.isValidIPv6(target);
+        if (!target || (!this.isValidIP(target) && !ipv6)) {
+            this.addTerminalLine(output, `Unable to resolve target system name ${target || ''}.`.trim(), 'error');
+            return;
+        }
+
+        const allNFs = window.dataStore?.getAllNFs() || [];
+        const targetNf = allNFs.find(other => other.config.ipAddress === target || (ipv6 && other.config.ipv6Address === target));
+        const rtt = hop => [0, 1, 2].map(() => {
+            const time = Math.round(hop * 2 + Math.random() * 3 - 1);
+            return (time < 1 ? '<1 ms' : `${time} ms`).padStart(8);
+        }).join(' ');
+        const hopLine = (hop, address, label) => `${String(hop).padStart(3)} ${rtt(hop)}  ${address}${label ? ` [${label}]` : ''}`;
+
+        const pduSessions = (nf.type === 'UE' ? (window.sessionManager?.getPDUSessions(nf) || []) : [])
+            .filter(session => ipv6 ? session.ipv6Address : window.sessionManager.getUEAddress(session));
+        if (pduSessions.length === 0 || !window.userPlaneManager) {
+            this.addTerminalLine(output, `Tracing route to ${target} over a maximum of 30 hops`, 'info');
+            this.addTerminalLine(output, '', 'blank');
+            await this.delay(500);
+            if (targetNf && !ipv6 && this.getNetworkFromIP(nf.config.ipAddress) === this.getNetworkFromIP(target)) {
+                this.addTerminalLine(output, hopLine(1, target, targetNf.name), 'success');
+            } else {
+                this.addTerminalLine(output, `  1  ${nf.config.ipAddress}  reports: Destination host unreachable.`, 'error');
+            }
+            this.addTerminalLine(output, '', 'blank');
+            this.addTerminalLine(output, 'Trace complete.', 'info');
+            return;
+        }
+
+        // Route through the session whose tun network holds the target (IPv6: the
+        // IPv6 route of the UE), then a locally broken-out one
+        const upm = window.userPlaneManager;
+        const routed = ipv6
+            ? window.pingManager?.getUserPlaneSession(nf, target)
+            : pduSessions.find(session => session.tunInterface?.ipAddress && this.getNetworkFromIP(session.tunInterface.ipAddress) === this.getNetworkFromIP(target));
+        const pduSession = routed ||
+            pduSessions.find(session => upm.isLocalTraffic(session, target)) ||
+            pduSessions[0];
+
+        const serviceRequestDelay = await this.runServiceRequestIfIdle(nf, output);
+        if (serviceRequestDelay === null) {
+            this.addTerminalLine(output, 'Unable to contact IP driver. General failure.', 'error');
+            return;
+        }
+
+        this.addTerminalLine(output, `Tracing route to ${target} over a maximum of 30 hops`, 'info');
+        this.addTerminalLine(output, `via PDU session ${pduSession.sessionId} (${pduSession.dnn}) - ${upm.describePath(pduSession)}`, 'info');
+        this.addTerminalLine(output, '', 'blank');
+
+        window.sessionManager?.recordUserPlaneActivity(nf.id);
+        const result = await upm.forwardUserPlane(nf, pduSession, {
+            direction: 'uplink',
+            protocol: 'ICMP',
+            remoteAddress: target,
+            remotePort: null,
+            bytes: upm.ECHO_PACKET_SIZE
+        }, { animate: true });
+
+        let hopNumber = 0;
+        for (const hop of result.hops) {
+            await this.delay(500);
+            hopNumber++;
+            if (hop.action !== 'FORW') {
+                this.addTerminalLine(output, `${String(hopNumber).padStart(3)}     *        *        *     Request timed out.`, 'error');
+                this.addTerminalLine(output, `      ${hop.upf.name} ${hop.action === 'BUFF' ? 'buffered' : 'dropped'} the packet: ${hop.reason}`, 'error');
+                break;
+            }
+            this.addTerminalLine(output, hopLine(hopNumber, hop.upf.config.ipAddress, `${hop.upf.name} ${hop.role} via ${hop.interfaceIn}`), 'success');
+        }
+
+        // The UPF's own tun gateway answers as the last UPF hop
+        if (result.delivered && pduSession.tunInterface?.gateway !== target && pduSession.tunInterface?.ipv6Gateway !== target) {
+            await this.delay(500);
+            const dn = upm.getLocalDN(result.exitUpf);
+            const label = [targetNf?.name, dn ? `via N6 ${dn.name}` : 'via N6'].filter(Boolean).join(' ');
+            this.addTerminalLine(output, hopLine(hopNumber + 1, target, label), 'success');
+        }
+
+        this.addTerminalLine(output, '', 'blank');
+        this.addTerminalLine(output, 'Trace complete.', 'info');
+    }
+
     /**
      * Show network statistics
      * @param {Object} nf - Network Function
@@ -3377,6 +4501,82 @@ class UIController {
         return ipRegex.test(ip);
     }
 
+    /**
+     * Validate IPv6 address format (user-plane targets only; NF addresses stay IPv4)
+     * @param {string} ip - IP address to validate
+     * @returns {boolean} True if valid IPv6
+     */
+    isValidIPv6(ip) {
+        return !!window.sessionManager?.isIPv6Address(ip);
+    }
+
+    /**
+     * Read the QoS operation entered in the UE config panel
+     * @returns {Object|null} Modification for QoSManager.modifyPDUSession, or null if incomplete
+     */
+    readQoSModification() {
+        const value = (id) => document.getElementById(id)?.value.trim() ?? '';
+        const number = (id) => value(id) === '' ? undefined : Number(value(id));
+        const rates = (ul, dl) => number(ul) === undefined && number(dl) === undefined
+            ? undefined
+            : { uplink: number(ul), downlink: number(dl) };
+
+        const operation = value('config-qos-operation');
+        const modification = {
+            pduSessionId: parseInt(value('config-qos-psi')),
+            operation,
+            qfi: number('config-qos-qfi')
+        };
+
+        if (operation === 'AMBR') {
+            modification.sessionAmbr = rates('config-qos-ambr-ul', 'config-qos-ambr-dl');
+            return modification;
+        }
+        if ((operation === 'MODIFY' || operation === 'DELETE') && modification.qfi === undefined) {
+            alert('❌ QFI required!\n\nEnter the QFI of the QoS flow to modify or remove.');
+            return null;
+        }
+        if (operation === 'DELETE') {
+            return modification;
+        }
+        if (operation === 'CREATE' && value('config-qos-5qi') === '') {
+            alert('❌ 5QI required!\n\nChoose the 5QI of the new QoS flow.');
+            return null;
+        }
+
+        const optional = {
+            fiveQi: number('config-qos-5qi'),
+            arpPriority: number('config-qos-arp'),
+            gfbr: rates('config-qos-gfbr-ul', 'config-qos-gfbr-dl'),
+            mfbr: rates('config-qos-mfbr-ul', 'config-qos-mfbr-dl')
+        };
+        Object.entries(optional).forEach(([key, field]) => {
+            if (field !== undefined) modification[key] = field;
+        });
+
+        // A new flow always gets a packet filter; a modified one only when one is entered
+        if (operation === 'CREATE' || value('config-qos-remote') !== '' || value('config-qos-port') !== '') {
+            modification.packetFilter = {
+                direction: 'BIDIRECTIONAL',
+                protocol: value('config-qos-protocol'),
+                remoteAddress: value('config-qos-remote') || 'any',
+                remotePort: number('config-qos-port') ?? null
+            };
+        }
+        return modification;
+    }
+
+    /**
+     * DNNs a UE can request: every DNN served by a UPF IP pool, plus its subscribed DNN
+     * @param {string} subscriberDnn - DNN from the subscriber profile
+     * @returns {Array<string>} Distinct DNNs
+     */
+    getAvailableDNNs(subscriberDnn) {
+        const upfs = window.dataStore?.getAllNFs().filter(nf => nf.type === 'UPF') || [];
+        const dnns = upfs.flatMap(upf => (window.sessionManager?.getIPPools(upf) || []).map(pool => pool.dnn));
+        return [...new Set([subscriberDnn, ...dnns].filter(Boolean))];
+    }
+
     /**
      * Process iperf3 command
      * @param {Object} nf - Network Function
@@ -3472,14 +4672,15 @@ class UIController {
             return;
         }
         
-        if (!this.isValidIP(ueIP) || !this.isValidIP(extDNIP)) {
-            this.addTerminalLine(output, 'Error: Invalid IP address format', 'error');
+        const ipv6 = this.isValidIPv6(extDNIP);
+        if (ipv6 ? !this.isValidIPv6(ueIP) : !this.isValidIP(ueIP) || !this.isValidIP(extDNIP)) {
+            this.addTerminalLine(output, 'Error: Invalid IP address format (-B and -c must both be IPv4 or both IPv6)', 'error');
             return;
         }
         
         // Find ext-dn NF
         const allNFs = window.dataStore?.getAllNFs() || [];
-        const extDN = allNFs.find(n => n.type === 'ext-dn' && n.config.ipAddress === extDNIP);
+        const extDN = allNFs.find(n => n.type === 'ext-dn' && (ipv6 ? n.config.ipv6Address : n.config.ipAddress) === extDNIP);
         
         if (!extDN) {
             this.addTerminalLine(output, `Error: ext-dn with IP ${extDNIP} not found`, 'error');
@@ -3493,18 +4694,35 @@ class UIController {
             return;
         }
         
-        // Get UE's tun interface IP if PDU session is established
-        const ueTunIP = nf.config.tunInterface?.ipAddress;
-        if (!ueTunIP) {
+        // Bind to the PDU session that owns the -B address
+        const pduSessions = window.sessionManager?.getPDUSessions(nf) || [];
+        if (pduSessions.length === 0) {
             this.addTerminalLine(output, 'Error: UE does not have PDU session established', 'error');
             this.addTerminalLine(output, 'Please register UE and establish PDU session first', 'error');
             return;
         }
         
-        // Validate that provided UE IP matches tun interface IP
+        // Validate that provided UE IP matches a tun interface IP of the same family
+        const boundSession = window.sessionManager.findPDUSessionByIP(nf, ueIP) ||
+            pduSessions.find(session => window.sessionManager.getUEAddress(session, extDNIP)) || pduSessions[0];
+        const ueTunIP = window.sessionManager.getUEAddress(boundSession, extDNIP);
+        if (!ueTunIP) {
+            this.addTerminalLine(output, `Error: no ${ipv6 ? 'IPv6' : 'IPv4'} PDU session to reach ${extDNIP}`, 'error');
+            return;
+        }
         if (ueIP !== ueTunIP) {
-            this.addTerminalLine(output, `Warning: Provided UE IP (${ueIP}) does not match tun interface IP (${ueTunIP})`, 'error');
-            this.addTerminalLine(output, `Using tun interface IP: ${ueTunIP}`, 'info');
+            this.addTerminalLine(output, `Warning: Provided UE IP (${ueIP}) does not match any tun interface IP`, 'error');
+            this.addTerminalLine(output, `Using ${boundSession.tunInterface?.name || 'tun'} IP: ${ueTunIP} (PDU session ${boundSession.sessionId}, DNN ${boundSession.dnn})`, 'info');
+        }
+        
+        // Idle UE: re-activate the user plane before the test starts. In reverse mode
+        // the first data is downlink from ext-dn, so the network pages the UE instead.
+        const activationDelay = reverseFlag
+            ? await this.runPagingIfIdle(nf, output, extDN.id, ueTunIP)
+            : await this.runServiceRequestIfIdle(nf, output);
+        if (activationDelay === null) {
+            this.addTerminalLine(output, `iperf3: error - unable to connect to server: Network is unreachable`, 'error');
+            return;
         }
         
         // Start the test
@@ -3542,7 +4760,7 @@ class UIController {
         this.addTerminalLine(output, `Connecting to host ${extDNIP}, port ${serverPort}`, 'info');
         
         // Server output
-        this.addTerminalLine(extDNOutput, `Accepted connection from ${ue.config.ipAddress}, port ${clientPort}`, 'info');
+        this.addTerminalLine(extDNOutput, `Accepted connection from ${ueIP}, port ${clientPort}`, 'info');
         
         // Simulate connection delay
         await this.delay(300);
@@ -3554,8 +4772,23 @@ class UIController {
             this.addTerminalLine(output, 'Reverse mode, remote host ' + extDNIP + ' is sending', 'info');
         }
         
+        // The stream is carried by the QoS flow whose packet filter matches it
+        const pduSession = window.sessionManager?.findPDUSessionByIP(ue, ueIP);
+        const direction = reverse ? 'downlink' : 'uplink';
+        let qosLimits = null;
+        if (pduSession && window.qosManager) {
+            const flow = window.qosManager.matchQoSFlow(pduSession, {
+                protocol: 'TCP',
+                remoteAddress: extDNIP,
+                remotePort: serverPort,
+                direction: direction.toUpperCase()
+            });
+            qosLimits = window.qosManager.getBitrateLimits(pduSession, flow, direction);
+            this.addTerminalLine(output, `QoS: ${qosLimits.reason}`, 'info');
+        }
+        
         // Server connection established
-        this.addTerminalLine(extDNOutput, `[  5] local ${extDNIP} port ${serverPort} connected to ${ue.config.ipAddress} port ${clientPort}`, 'info');
+        this.addTerminalLine(extDNOutput, `[  5] local ${extDNIP} port ${serverPort} connected to ${ueIP} port ${clientPort}`, 'info');
         
         this.addTerminalLine(output, '', 'blank');
         this.addTerminalLine(extDNOutput, '', 'blank');
@@ -3575,14 +4808,45 @@ class UIController {
         const testDuration = 10;
         let totalTransfer = 0;
         let totalBitrate = 0;
+        let upfDropShown = false;
         
         for (let i = 0; i < testDuration; i++) {
+            const intervalStart = Date.now();
             await this.delay(1000); // 1 second delay per interval
+
+            // User-plane traffic keeps the UE out of inactivity release
+            window.sessionManager?.recordUserPlaneActivity(ue.id);
+
+            // No data flows while the UE is detached during a handover
+            const outage = Math.min(1000, window.sessionManager?.getUserPlaneInterruption(ue.id, intervalStart, Date.now()) || 0);
             
             // Generate realistic throughput values
             const baseBitrate = reverse ? 45 : 20; // Downlink typically higher
             const variance = Math.random() * 10 - 5; // ±5 Mbits/sec variance
-            const bitrate = Math.max(5, baseBitrate + variance); // Minimum 5 Mbits/sec
+            const offered = Math.max(5, baseBitrate + variance); // Minimum 5 Mbits/sec
+            const shaped = qosLimits ? window.qosManager.shapeBitrate(offered, qosLimits) : offered;
+            let bitrate = shaped * (1 - outage / 1000); // Less any handover outage
+
+            // The interval's data crosses the UPFs: PDR/FAR decide its fate, the URR counts it
+            const upfResult = pduSession && window.userPlaneManager
+                ? await window.userPlaneManager.forwardUserPlane(ue, pduSession, {
+                    direction,
+                    protocol: 'TCP',
+                    remoteAddress: extDNIP,
+                    remotePort: serverPort,
+                    bytes: Math.round(bitrate / 8 * 1024 * 1024)
+                }, { animate: true })
+                : null;
+            const dropped = !!upfResult && !upfResult.delivered;
+            if (dropped) {
+                if (!upfDropShown) {
+                    this.addTerminalLine(output, `UPF ${upfResult.action === 'BUFF' ? 'buffered' : 'dropped'} the stream: ${upfResult.reason}`, 'error');
+                    upfDropShown = true;
+                }
+                bitrate = 0;
+            }
+            const impaired = outage > 0 || dropped;
+            const retransmits = dropped ? 10 : outage > 0 ? Math.ceil(outage / 100) : 0;
             
             const transfer = (bitrate * 1.0) / 8; // MBytes for 1 second
             totalTransfer += transfer;
@@ -3596,15 +4860,15 @@ class UIController {
             if (reverse) {
                 // Server sends
                 const cwnd = `${(100 + i * 20 + Math.random() * 50).toFixed(0)} KBytes`;
-                this.addTerminalLine(extDNOutput, `${interval}  ${transferStr.padStart(10)}  ${bitrateStr.padStart(12)}    0    ${cwnd}`, 'info');
+                this.addTerminalLine(extDNOutput, `${interval}  ${transferStr.padStart(10)}  ${bitrateStr.padStart(12)}  ${String(retransmits).padStart(3)}    ${cwnd}`, impaired ? 'error' : 'info');
                 // Client receives
-                this.addTerminalLine(output, `${interval}  ${transferStr.padStart(10)}  ${bitrateStr.padStart(12)}`, 'info');
+                this.addTerminalLine(output, `${interval}  ${transferStr.padStart(10)}  ${bitrateStr.padStart(12)}`, impaired ? 'error' : 'info');
             } else {
                 // Client sends
                 const cwnd = `${(100 + i * 20 + Math.random() * 50).toFixed(0)} KBytes`;
-                this.addTerminalLine(output, `${interval}  ${transferStr.padStart(10)}  ${bitrateStr.padStart(12)}    0    ${cwnd}`, 'info');
+                this.addTerminalLine(output, `${interval}  ${transferStr.padStart(10)}  ${bitrateStr.padStart(12)}  ${String(retransmits).padStart(3)}    ${cwnd}`, impaired ? 'error' : 'info');
                 // Server receives
-                this.addTerminalLine(extDNOutput, `${interval}  ${transferStr.padStart(10)}  ${bitrateStr.padStart(12)}`, 'info');
+                this.addTerminalLine(extDNOutput, `${interval}  ${transferStr.padStart(10)}  ${bitrateStr.padStart(12)}`, impaired ? 'error' : 'info');
             }
         }
         
@@ -3649,6 +4913,57 @@ class UIController {
         serverState.currentTest = null;
     }
 
+    /**
+     * Run a UE-triggered Service Request when an idle UE sends user-plane traffic
+     * @param {Object} nf - UE Network Function
+     * @param {HTMLElement} output - Terminal output element
+     * @returns {Promise<number|null>} Procedure latency in ms (0 if no procedure was needed), null on failure
+     */
+    async runServiceRequestIfIdle(nf, output) {
+        if (!window.sessionManager || !window.sessionManager.getPDUSessions(nf).length || window.sessionManager.isUserPlaneActive(nf.id)) {
+            return 0;
+        }
+
+        this.addTerminalLine(output, `User plane inactive (${window.sessionManager.getCMState(nf.id)}) - sending Service Request...`, 'info');
+
+        const result = await window.sessionManager.performServiceRequest(nf.id);
+        if (!result.success) {
+            this.addTerminalLine(output, `Service Request failed: ${result.error}`, 'error');
+            return null;
+        }
+
+        const tunNames = window.sessionManager.getPDUSessions(nf).map(pduSession => pduSession.tunInterface?.name || 'tun').join(', ');
+        this.addTerminalLine(output, `Service Accept received - ${tunNames} user plane re-activated (+${result.latency}ms)`, 'success');
+        this.addTerminalLine(output, '', 'blank');
+        return result.latency;
+    }
+
+    /**
+     * Page an idle UE when downlink data is sent towards it
+     * @param {Object} ue - UE Network Function
+     * @param {HTMLElement} output - Terminal output element
+     * @param {string} sourceId - NF originating the downlink data
+     * @param {string} ueIp - Destination address (selects the PDU session the data arrives on)
+     * @returns {Promise<number|null>} Procedure latency in ms (0 if no paging was needed), null on failure
+     */
+    async runPagingIfIdle(ue, output, sourceId, ueIp = null) {
+        if (!window.sessionManager || !window.sessionManager.getPDUSessions(ue).length || window.sessionManager.isUserPlaneActive(ue.id)) {
+            return 0;
+        }
+
+        this.addTerminalLine(output, `${ue.name} is ${window.sessionManager.getCMState(ue.id)} - downlink data buffered, paging UE...`, 'info');
+
+        const result = await window.sessionManager.performPaging(ue.id, sourceId, ueIp);
+        if (!result.success) {
+            this.addTerminalLine(output, `Paging failed: ${result.error}`, 'error');
+            return null;
+        }
+
+        this.addTerminalLine(output, `Paging response received - buffered data delivered (+${result.latency}ms)`, 'success');
+        this.addTerminalLine(output, '', 'blank');
+        return result.latency;
+    }
+
     /**
      * Stop iperf3 server
      * @param {Object} nf - Network Function (ext-dn)
@@ -3797,7 +5112,8 @@ class UIController {
         }
 
         // Check if UE is registered and has PDU session
-        if (!ue.config.pduSession) {
+        const pduSessions = window.sessionManager?.getPDUSessions(ue) || [];
+        if (pduSessions.length === 0) {
             alert('⚠️ Log Collection Unavailable!\n\n' +
                   'UE must be registered and have an active PDU session to collect logs.\n\n' +
                   'Please:\n' +
@@ -3814,7 +5130,7 @@ class UIController {
         // Find related NFs
         const gNB = allNFs.find(n => n.type === 'gNB');
         const amf = allNFs.find(n => n.type === 'AMF');
-        const upf = allNFs.find(n => n.type === 'UPF' && n.id === ue.config.pduSession?.upfId);
+        const upf = allNFs.find(n => n.type === 'UPF' && n.id === pduSessions[0].upfId);
         const smf = allNFs.find(n => n.type === 'SMF');
 
         // Collect NGAP logs (gNB <-> AMF)
@@ -4009,6 +5325,7 @@ class UIController {
             'IDLE': '⚪',
             'ESTABLISHING': '🔄',
             'ACTIVE': '🟢',
+            'MODIFYING': '🔄',
             'RELEASING': '🔄',
             'RELEASED': '🔴'
         };
@@ -4016,6 +5333,7 @@ class UIController {
             'IDLE': 'No Session',
             'ESTABLISHING': 'Establishing...',
             'ACTIVE': 'Session Active',
+            'MODIFYING': 'Modifying...',
             'RELEASING': 'Releasing...',
             'RELEASED': 'Session Released'
         };
@@ -4129,6 +5447,12 @@ class UIController {
                 return;
             }
 
+            const pduSessionId = window.sessionManager.allocatePDUSessionId(validation.nfs.ue);
+            if (pduSessionId === null) {
+                this.showPDUError(`${ue.name} already uses all ${window.sessionManager.MAX_PDU_SESSIONS} PDU session IDs`);
+                return;
+            }
+
             // Store NF references for step execution
             this.pduSessionData = {
                 ueId: ue.id,
@@ -4137,7 +5461,9 @@ class UIController {
                 smf: validation.nfs.smf,
                 upf: validation.nfs.upf,
                 gnb: gnb,
-                pduSessionId: Math.floor(Math.random() * 255) + 1,
+                pduSessionId: pduSessionId,
+                dnn: validation.nfs.ue.config.subscriberDnn || '5G-Lab',
+                sst: validation.nfs.ue.config.subscriberSst || 1,
                 assignedIP: null,
                 tunnelId: null
             };
@@ -4299,7 +5625,7 @@ class UIController {
                 const payload6 = {
                     nsmfMessage: "UpdateSMContextRequest",
                     ueId: "guti-0xA1B2",
-                    pduSessionId: 1,
+                    pduSessionId: pduSessionId,
                     cause: "serviceRequest",
                     upActivation: true,
                     ratType: "NR"
@@ -4333,7 +5659,11 @@ class UIController {
             case 8: // SMF → UPF: PFCP Session Establishment Request
                 // Allocate IP if not already done
                 if (!this.pduSessionData.assignedIP) {
-                    this.pduSessionData.assignedIP = window.sessionManager?.allocateUEIP(upf, ue) || '10.0.0.2';
+                    const { dnn } = this.pduSessionData;
+                    this.pduSessionData.assignedIP = window.sessionManager?.allocateUEIP(upf, ue, dnn, pduSessionId);
+                    if (!this.pduSessionData.assignedIP) {
+                        throw new Error(`Insufficient resources: ${upf.name} has no free address for DNN ${dnn}`);
+                    }
                 }
                 if (!this.pduSessionData.tunnelId) {
                     this.pduSessionData.tunnelId = `gtp-${1000 + Math.floor(Math.random() * 9000)}`;
@@ -4348,7 +5678,7 @@ class UIController {
                 
                 const payload8 = {
                     pfcpMessage: "SessionEstablishmentRequest",
-                    pduSessionId: 1,
+                    pduSessionId: pduSessionId,
                     fteid: {
                         upfTeid: this.pduSessionData.upfTeid,
                         gnbTeid: this.pduSessionData.gnbTeid
@@ -4383,7 +5713,7 @@ class UIController {
             case 10: // SMF → AMF: Update SM Context Response
                 const payload10 = {
                     nsmfMessage: "UpdateSMContextResponse",
-                    pduSessionId: 1,
+                    pduSessionId: pduSessionId,
                     status: "activated",
                     n3Tunnel: {
                         upfTeid: this.pduSessionData.upfTeid,
@@ -4401,7 +5731,7 @@ class UIController {
                 const payload11 = {
                     n2Message: "PduSessionResourceSetupRequest",
                     ueId: "guti-0xA1B2",
-                    pduSessionId: 1,
+                    pduSessionId: pduSessionId,
                     qosFlows: [
                         {
                             qfi: 9,
@@ -4423,7 +5753,7 @@ class UIController {
             case 12: // gNB → AMF: PDU Session Resource Setup Response
                 const payload12 = {
                     n2Message: "PduSessionResourceSetupResponse",
-                    pduSessionId: 1,
+                    pduSessionId: pduSessionId,
                     status: "success"
                 };
                 this.addPDUMessage(12, gnb.name, amf.name, payload12, true);
@@ -4458,29 +5788,13 @@ class UIController {
      * Finalize Connection Management after all steps complete
      */
     finalizePDUSession() {
-        const { ue, upf } = this.pduSessionData;
+        const { ue, upf, pduSessionId, dnn, sst, assignedIP } = this.pduSessionData;
 
-        // Update UE config
-        ue.config.pduSession = {
-            sessionId: this.pduSessionData.pduSessionId,
-            upfId: upf.id,
-            assignedIP: this.pduSessionData.assignedIP,
-            status: 'established',
-            establishedAt: Date.now()
-        };
-        ue.config.pduSessionState = 'ACTIVE';
-        ue.config.cmState = 'CONNECTED';
-
-        // Create tun interface
-        const ueNum = ue.name.match(/\d+/)?.[0] || '1';
-        ue.config.tunInterface = {
-            name: `tun_ue${ueNum}`,
-            ipAddress: this.pduSessionData.assignedIP,
-            netmask: '255.255.255.0',
-            gateway: upf.config.tun0Interface?.gatewayIP || '10.0.0.1'
-        };
+        // Store the session on the UE and create its tun interface
+        window.sessionManager?.addUEPDUSession(ue, upf, { sessionId: pduSessionId, dnn, sst, assignedIP });
 
-        window.dataStore?.updateNF(ue.id, ue);
+        // Service Accept moves the UE to CM-CONNECTED
+        window.sessionManager?.onServiceAccept(ue.id);
 
         // Add final success message
         this.addPDUMessage('✅', 'Connection Management', 'CONNECTED', {
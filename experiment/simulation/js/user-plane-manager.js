@@ -0,0 +1,851 @@
+/**
+ * ============================================
+ * USER PLANE MANAGER
+ * ============================================
+ * User-plane path of PDU sessions across several UPFs: anchor (PSA),
+ * intermediate UPF (I-UPF) and Uplink Classifier (UL-CL) linked over N9
+ * (TS 23.501 5.6.4, TS 23.502 4.3.5)
+ *
+ * Responsibilities:
+ * - Select the anchor UPF of a new PDU session by DNN, S-NSSAI, the TAC of
+ *   the serving gNB and load, logging why each candidate won or lost
+ * - Spot a closer anchor for a PDU session after the UE changes gNB
+ * - Plan the UPF chain of a PDU session from the gNB's N3 UPFs, the N9 links
+ *   and the local breakout rules of the edge UPFs
+ * - Insert the intermediate UPFs over N4 and point the anchor's downlink
+ *   FAR at them, release them with the session
+ * - Carry user-plane packets hop by hop through the PFCP rules of every UPF
+ *   in the path and animate the GTP-U path on the canvas
+ * - Bridge Ethernet PDU sessions of a DNN with the LAN segment of the DN
+ *   behind N6 (MAC table built from the MACs the UPF learned)
+ */
+
+class UserPlaneManager {
+    constructor() {
+        // How the user plane of a PDU session is laid out
+        this.MODES = {
+            DIRECT: 'DIRECT',     // gNB ⇄ N3 ⇄ PSA
+            I_UPF: 'I-UPF',       // gNB ⇄ N3 ⇄ I-UPF ⇄ N9 ⇄ PSA
+            UL_CL: 'UL-CL'        // gNB ⇄ N3 ⇄ UL-CL ⇄ N9 ⇄ PSA, with local breakout to the edge DN
+        };
+
+        // PDU sessions a UPF anchors when its config has no capacity (NF default)
+        this.DEFAULT_UPF_CAPACITY = 1000;
+
+        // Packet speed of user-plane animations (signalling uses the default)
+        this.ANIMATION_SPEED = 0.04;
+
+        // Packet size of one echo request/reply (32 bytes data + ICMP and IPv4 headers)
+        this.ECHO_PACKET_SIZE = 60;
+
+        // Minimum Ethernet frame, sent by the UE port when an Ethernet session comes up
+        this.ETHERNET_FRAME_SIZE = 64;
+        this.BROADCAST_MAC = 'ff:ff:ff:ff:ff:ff';
+
+        console.log('✅ UserPlaneManager initialized');
+    }
+
+    // ==========================================
+    // Topology
+    // ==========================================
+
+    /**
+     * Stable NFs of a type directly connected to an NF
+     * @param {Object} nf - Network Function
+     * @param {string} type - NF type
+     * @returns {Array} Connected NFs
+     */
+    getConnectedNFs(nf, type) {
+        return (window.dataStore?.getConnectionsForNF(nf.id) || [])
+            .map(conn => window.dataStore.getNFById(conn.sourceId === nf.id ? conn.targetId : conn.sourceId))
+            .filter(other => other && other.type === type && other.status === 'stable');
+    }
+
+    /**
+     * Shortest chain of N9 links between two UPFs (breadth-first)
+     * @param {Object} from - First UPF
+     * @param {Object} to - Last UPF
+     * @returns {Array|null} UPFs from first to last, null when not linked
+     */
+    findN9Path(from, to) {
+        const previous = new Map([[from.id, null]]);
+        const queue = [from];
+
+        while (queue.length > 0) {
+            const upf = queue.shift();
+            if (upf.id === to.id) {
+                const path = [];
+                for (let id = upf.id; id; id = previous.get(id)) {
+                    path.unshift(window.dataStore.getNFById(id));
+                }
+                return path;
+            }
+            this.getConnectedNFs(upf, 'UPF')
+                .filter(neighbor => !previous.has(neighbor.id))
+                .forEach(neighbor => {
+                    previous.set(neighbor.id, upf.id);
+                    queue.push(neighbor);
+                });
+        }
+        return null;
+    }
+
+    /**
+     * Data network reached over the N6 interface of a UPF
+     * @param {Object} upf - UPF NF
+     * @returns {Object|null} ext-dn NF
+     */
+    getLocalDN(upf) {
+        return this.getConnectedNFs(upf, 'ext-dn')[0] || null;
+    }
+
+    // ==========================================
+    // Local breakout rules
+    // ==========================================
+
+    /**
+     * Local breakout rules of an edge UPF that apply to a DNN
+     * @param {Object} upf - UPF NF
+     * @param {string} dnn - DNN of the PDU session
+     * @returns {Array} Rules ({dnn, network})
+     */
+    getBreakoutRules(upf, dnn) {
+        return (upf?.config.localBreakout || []).filter(rule => rule.dnn === '*' || rule.dnn === dnn);
+    }
+
+    /**
+     * Parse the local breakout rules typed in the UPF panel, one
+     * "<DNN|*> <any|IP|CIDR>" per line
+     * @param {string} text - Rules text
+     * @returns {{rules: Array, error: string|null}}
+     */
+    parseBreakoutRules(text) {
+        const rules = [];
+        const lines = text.split('\n').map(line => line.trim()).filter(Boolean);
+        const isAddress = address => /^(\d{1,3}\.){3}\d{1,3}$/.test(address) && address.split('.').every(octet => Number(octet) <= 255);
+
+        for (const line of lines) {
+            const [dnn, network, ...rest] = line.split(/\s+/);
+            if (!network || rest.length > 0) {
+                return { rules, error: `"${line}": expected "<DNN|*> <any|IP|CIDR>"` };
+            }
+            const valid = network === 'any' ||
+                (network.includes(':') ? !!window.qosManager?.parseIPv6Filter(network) :
+                network.includes('/') ? !!window.sessionManager?.parseCIDR(network) : isAddress(network));
+            if (!valid) {
+                return { rules, error: `"${line}": invalid destination ${network}` };
+            }
+            rules.push({ dnn, network });
+        }
+
+        return { rules, error: null };
+    }
+
+    /**
+     * Whether traffic to a destination leaves a session's path at the UL-CL
+     * @param {Object} pduSession - UE PDU session entry
+     * @param {string} remoteAddress - Destination of the traffic
+     * @returns {boolean} True for locally broken-out traffic
+     */
+    isLocalTraffic(pduSession, remoteAddress) {
+        const path = this.getPath(pduSession);
+        if (path.mode !== this.MODES.UL_CL) return false;
+
+        const ulcl = window.dataStore?.getNFById(path.upfIds[0]);
+        return this.getBreakoutRules(ulcl, pduSession.dnn)
+            .some(rule => window.qosManager.matchesAddress(rule.network, remoteAddress));
+    }
+
+    // ==========================================
+    // UPF selection
+    // ==========================================
+
+    /**
+     * Slices (SST values) a UPF serves; empty means every slice
+     * @param {Object} upf - UPF NF
+     * @returns {Array<number>} SSTs
+     */
+    getSupportedSlices(upf) {
+        return upf.config.supportedSsts || [];
+    }
+
+    /**
+     * Tracking areas (TACs) a UPF serves; empty means every TA
+     * @param {Object} upf - UPF NF
+     * @returns {Array<number>} TACs
+     */
+    getServiceArea(upf) {
+        return upf.config.serviceAreaTacs || [];
+    }
+
+    /**
+     * PDU sessions a UPF can anchor
+     * @param {Object} upf - UPF NF
+     * @returns {number} Capacity
+     */
+    getCapacity(upf) {
+        return upf.config.capacity || this.DEFAULT_UPF_CAPACITY;
+    }
+
+    /**
+     * PDU sessions a UPF anchors (UE addresses handed out from its pools)
+     * @param {Object} upf - UPF NF
+     * @returns {number} Session count
+     */
+    getLoad(upf) {
+        return window.pfcpManager.getPFCPSessions(upf).filter(session => (session.role || 'PSA') === 'PSA').length;
+    }
+
+    /**
+     * Check one candidate anchor against a PDU session request
+     * @param {Object} upf - UPF NF
+     * @param {string} dnn - Requested DNN
+     * @param {number} sst - Requested slice
+     * @param {number|null} tac - TAC of the serving gNB
+     * @param {string} pduSessionType - Requested PDU session type
+     * @returns {Object} {eligible, servesDnn, inArea, reason}
+     */
+    evaluateUPF(upf, dnn, sst, tac, pduSessionType = 'IPV4') {
+        const sessionManager = window.sessionManager;
+        const reject = (reason, servesDnn = true) => ({ eligible: false, servesDnn, inArea: false, reason });
+
+        const pool = sessionManager.getIPPool(upf, dnn);
+        if (!pool) {
+            return reject(`no IP pool for DNN ${dnn}`, false);
+        }
+        if (pduSessionType === sessionManager.PDU_SESSION_TYPES.UNSTRUCTURED) {
+            if (!this.getLocalDN(upf)) {
+                return reject('no DN on N6 to terminate the unstructured tunnel');
+            }
+        } else if (pduSessionType === sessionManager.PDU_SESSION_TYPES.IPV6) {
+            const block = sessionManager.parseIPv6Prefix(pool.ipv6Prefix);
+            if (!block) {
+                return reject(`no IPv6 prefix for DNN ${dnn}`);
+            }
+            const subnets = 2 ** Math.min(16, sessionManager.IPV6_DELEGATED_PREFIX_LENGTH - block.prefix) - 1;
+            if (sessionManager.countPoolPrefixesInUse(pool) >= subnets) {
+                return reject(`${dnn} prefix ${pool.ipv6Prefix} exhausted`);
+            }
+        } else if (sessionManager.isIPSessionType(pduSessionType)
+            && sessionManager.countPoolAddressesInUse(pool) >= sessionManager.getPoolHostRange(pool).size) {
+            return reject(`${dnn} pool ${pool.network} exhausted`);
+        }
+
+        const slices = this.getSupportedSlices(upf);
+        if (slices.length > 0 && !slices.includes(sst)) {
+            return reject(`SST ${sst} not supported (serves SST ${slices.join(', ')})`);
+        }
+
+        const area = this.getServiceArea(upf);
+        if (area.length > 0 && tac !== null && !area.includes(tac)) {
+            return reject(`TAC ${tac} outside service area (TAC ${area.join(', ')})`);
+        }
+
+        const load = this.getLoad(upf);
+        const capacity = this.getCapacity(upf);
+        if (load >= capacity) {
+            return reject(`at capacity (${load}/${capacity} sessions)`);
+        }
+
+        const inArea = area.length > 0 && tac !== null;
+        return {
+            eligible: true,
+            servesDnn: true,
+            inArea,
+            edge: (upf.config.localBreakout || []).length > 0,
+            loadRatio: load / capacity,
+            reason: `${inArea ? `serves TAC ${tac}` : 'any TA'}, load ${load}/${capacity}`
+        };
+    }
+
+    /**
+     * SMF selection of the anchor UPF (TS 23.501 6.3.3): the SMF discovers
+     * the UPFs registered for the DNN, slice and TA of the serving gNB, then
+     * candidates must have a free address and be below capacity. Among them
+     * UPFs set up for local breakout (edge UPFs) come last, UPFs whose
+     * service area names the TA come first, then the least loaded one wins.
+     * Without an SMF the stable UPFs of the UE's subnet are considered.
+     * @param {Object} ue - UE NF
+     * @param {string} dnn - Requested DNN
+     * @param {number} sst - Requested slice
+     * @param {Object|null} smf - SMF making the decision (logs the outcome)
+     * @param {string} pduSessionType - Requested PDU session type (IPv6 needs a pool prefix)
+     * @returns {Object} {upf, reason, servesDnn, servesIPv6}
+     */
+    selectUPF(ue, dnn, sst, smf = null, pduSessionType = 'IPV4') {
+        const sessionManager = window.sessionManager;
+        const gnb = sessionManager.getServingGNB(ue.id);
+        const tac = gnb && window.mobilityManager ? window.mobilityManager.getGNBTAI(gnb).tac : null;
+        const ueNetwork = sessionManager.getNetworkFromIP(ue.config.ipAddress);
+
+        // UPFs the NRF leaves out still count for the 5GSM cause: one left out
+        // for the slice or the TA serves the DNN (the NRF matches the DNN first)
+        const discovery = smf
+            ? window.nrfManager.discover(smf, { targetNfType: 'UPF', snssai: sst, dnn, ...(tac !== null && { tai: { tac } }) })
+            : null;
+        const excluded = (discovery?.excluded || []).map(({ nf, field, reason }) => ({
+            upf: nf, eligible: false, servesDnn: ['snssai', 'tai'].includes(field), inArea: false, reason: `not discovered: ${reason}`
+        }));
+
+        const candidates = (discovery ? discovery.nfs : (window.dataStore?.getAllNFs() || [])
+            .filter(nf => nf.type === 'UPF' && nf.status === 'stable' && sessionManager.getNetworkFromIP(nf.config.ipAddress) === ueNetwork))
+            .map(upf => ({ upf, ...this.evaluateUPF(upf, dnn, sst, tac, pduSessionType) }))
+            .concat(excluded);
+
+        const ranked = candidates
+            .filter(candidate => candidate.eligible)
+            .sort((a, b) => (a.edge - b.edge) || (b.inArea - a.inArea) || (a.loadRatio - b.loadRatio));
+        const selected = ranked[0] || null;
+
+        const request = `DNN ${dnn}, SST ${sst}${tac !== null ? `, TAC ${tac}` : ''}`;
+        const reason = selected
+            ? `${selected.upf.name}: ${selected.reason}${ranked.length > 1 ? ` (best of ${ranked.length} eligible)` : ''}`
+            : discovery?.reason || (candidates.length === 0 ? 'no stable UPF in the subnet' : 'no UPF can anchor the session');
+
+        console.log(`🎯 UPF selection for ${ue.name} (${request}): ${reason}`);
+        if (window.logEngine) {
+            window.logEngine.addLog((smf || ue).id, selected ? 'INFO' : 'ERROR',
+                selected ? `UPF selection (${request}): ${selected.upf.name} selected` : `UPF selection (${request}) failed: ${reason}`, {
+                ue: ue.name,
+                candidates: Object.fromEntries(candidates.map(candidate => [
+                    candidate.upf.name,
+                    candidate === selected ? `selected - ${candidate.reason}`
+                        : candidate.eligible ? `eligible, not preferred - ${candidate.edge ? 'edge UPF (local breakout), ' : ''}${candidate.reason}`
+                        : `rejected - ${candidate.reason}`
+                ]))
+            });
+        }
+
+        return {
+            upf: selected?.upf || null,
+            reason,
+            servesDnn: candidates.some(candidate => candidate.servesDnn),
+            servesIPv6: candidates.some(candidate => !!sessionManager.getIPPool(candidate.upf, dnn)?.ipv6Prefix)
+        };
+    }
+
+    /**
+     * After a gNB change, look for a UPF closer to the UE than the current
+     * anchor of a PDU session: one whose service area names the TA of the
+     * new gNB while the anchor's does not, or any other UPF once the UE left
+     * the anchor's service area. Selection runs again so the slice, pool and
+     * load checks still apply.
+     * @param {Object} ue - UE NF
+     * @param {Object} pduSession - UE PDU session entry
+     * @param {Object} smf - SMF serving the session
+     * @returns {Object|null} {upf, anchor, reason} or null when the anchor stays the best choice
+     */
+    findCloserAnchor(ue, pduSession, smf) {
+        const gnb = window.sessionManager.getServingGNB(ue.id);
+        const anchor = window.dataStore?.getNFById(pduSession.upfId);
+        if (!gnb || !anchor || !window.mobilityManager) return null;
+
+        const tac = window.mobilityManager.getGNBTAI(gnb).tac;
+        const anchorArea = this.getServiceArea(anchor);
+        if (anchorArea.includes(tac)) return null;
+
+        const outOfArea = anchorArea.length > 0;
+        const local = (window.dataStore?.getAllNFs() || [])
+            .some(nf => nf.type === 'UPF' && nf.id !== anchor.id && this.getServiceArea(nf).includes(tac));
+        if (!outOfArea && !local) return null;
+
+        const { upf } = this.selectUPF(ue, pduSession.dnn, pduSession.sst, smf, pduSession.pduSessionType);
+        if (!upf || upf.id === anchor.id) return null;
+
+        const inArea = this.getServiceArea(upf).includes(tac);
+        if (!inArea && !outOfArea) return null;
+
+        return {
+            upf,
+            anchor,
+            reason: inArea ? `${upf.name} serves TAC ${tac}` : `TAC ${tac} is outside the service area of ${anchor.name}`
+        };
+    }
+
+    // ==========================================
+    // Path planning
+    // ==========================================
+
+    /**
+     * Decide which UPFs carry a PDU session. An N3 UPF of the serving gNB
+     * with breakout rules for the DNN, a local DN and N9 reach to the anchor
+     * becomes a UL-CL; otherwise the gNB uses N3 to the anchor when it can,
+     * or goes through an N3 UPF that reaches the anchor over N9 (I-UPF).
+     * @param {Object} ue - UE NF
+     * @param {Object} psa - Anchor UPF
+     * @param {string} dnn - DNN of the PDU session
+     * @param {string} pduSessionType - Breakout rules match IP destinations, so only IP sessions get a UL-CL
+     * @returns {Object} {mode, upfIds (gNB side first, anchor last), reason}
+     */
+    planPath(ue, psa, dnn, pduSessionType = 'IPV4') {
+        const direct = reason => ({ mode: this.MODES.DIRECT, upfIds: [psa.id], reason });
+
+        const gnb = window.sessionManager?.getServingGNB(ue.id);
+        if (!gnb) {
+            return direct('no serving gNB');
+        }
+
+        const n3Upfs = this.getConnectedNFs(gnb, 'UPF');
+        const edge = n3Upfs.filter(upf => upf.id !== psa.id);
+        const ipSession = window.sessionManager.isIPSessionType(pduSessionType);
+
+        for (const upf of ipSession ? edge : []) {
+            const rules = this.getBreakoutRules(upf, dnn);
+            const localDN = this.getLocalDN(upf);
+            const n9Path = rules.length > 0 && localDN ? this.findN9Path(upf, psa) : null;
+            if (n9Path) {
+                return {
+                    mode: this.MODES.UL_CL,
+                    upfIds: n9Path.map(nf => nf.id),
+                    reason: `${upf.name} breaks out ${rules.map(rule => rule.network).join(', ')} to ${localDN.name}`
+                };
+            }
+        }
+
+        if (n3Upfs.some(upf => upf.id === psa.id)) {
+            return direct(`${gnb.name} has N3 to ${psa.name}`);
+        }
+
+        for (const upf of edge) {
+            const n9Path = this.findN9Path(upf, psa);
+            if (n9Path) {
+                return {
+                    mode: this.MODES.I_UPF,
+                    upfIds: n9Path.map(nf => nf.id),
+                    reason: `${gnb.name} has no N3 to ${psa.name}, reached over N9 from ${upf.name}`
+                };
+            }
+        }
+
+        return direct(`no N9 path from the N3 UPFs of ${gnb.name} to ${psa.name}`);
+    }
+
+    /**
+     * User-plane path of a PDU session (sessions without one use N3 to the anchor)
+     * @param {Object} pduSession - UE PDU session entry
+     * @returns {Object} {mode, upfIds, reason}
+     */
+    getPath(pduSession) {
+        return pduSession?.userPlanePath || { mode: this.MODES.DIRECT, upfIds: [pduSession?.upfId].filter(Boolean), reason: null };
+    }
+
+    /**
+     * UPF terminating the N3 tunnel of a PDU session
+     * @param {Object} pduSession - UE PDU session entry
+     * @returns {Object|null} UPF NF
+     */
+    getAccessUPF(pduSession) {
+        const upfId = this.getPath(pduSession).upfIds[0];
+        return upfId ? window.dataStore?.getNFById(upfId) || null : null;
+    }
+
+    /**
+     * Describe a path for logs and panels
+     * @param {Object} pduSession - UE PDU session entry
+     * @returns {string} e.g. "UL-CL: gNB → UPF-2 (UL-CL) → UPF-1 (PSA)"
+     */
+    describePath(pduSession) {
+        const path = this.getPath(pduSession);
+        const upfs = path.upfIds.map((id, index) => {
+            const name = window.dataStore?.getNFById(id)?.name || id;
+            const role = index === path.upfIds.length - 1 ? 'PSA' : path.mode === this.MODES.UL_CL && index === 0 ? 'UL-CL' : 'I-UPF';
+            return `${name} (${role})`;
+        });
+        return `${path.mode}: gNB → ${upfs.join(' → ')}`;
+    }
+
+    /**
+     * Build the PFCP sessions of the inserted UPFs and wire them together:
+     * uplink FAR to the next UPF's F-TEID, downlink FAR to the previous
+     * UPF's N9 F-TEID (the first one keeps the gNB)
+     * @param {Object} smf - SMF NF
+     * @param {Object} ue - UE NF
+     * @param {Object} pduSession - {sessionId, dnn, assignedIP}
+     * @param {Object} path - Planned path
+     * @param {Object} psaSession - PFCP session of the anchor
+     * @returns {Array} [{upf, session}] gNB side first
+     */
+    buildIntermediateSessions(smf, ue, pduSession, path, psaSession) {
+        const pfcpManager = window.pfcpManager;
+        const inserted = path.upfIds.slice(0, -1).map((id, index) => {
+            const upf = window.dataStore.getNFById(id);
+            const rules = path.mode === this.MODES.UL_CL && index === 0 ? this.getBreakoutRules(upf, pduSession.dnn) : [];
+            return { upf, session: pfcpManager.buildIntermediateSession(upf, smf, ue, pduSession, rules) };
+        });
+
+        inserted.forEach(({ session }, index) => {
+            const next = inserted[index + 1]?.session || psaSession;
+            session.fars.push(pfcpManager.buildN9FAR(pfcpManager.UPLINK_FAR_ID, 'CORE', next.localFTeid));
+            if (index > 0) {
+                session.fars[0] = pfcpManager.buildN9FAR(pfcpManager.DOWNLINK_FAR_ID, 'ACCESS', inserted[index - 1].session.n9FTeid);
+            }
+        });
+
+        return inserted;
+    }
+
+    /**
+     * Insert the planned intermediate UPFs of a new PDU session (the anchor's
+     * N4 session is already in place): N4 Session Establishment to each of
+     * them, anchor side first, then N4 Session Modification of the anchor's
+     * downlink FAR towards N9
+     * @param {Object} smf - SMF NF
+     * @param {Object} psa - Anchor UPF
+     * @param {Object} ue - UE NF
+     * @param {Object} session - Session context ({pduSessionId, dnn, assignedIP})
+     * @returns {Promise<Object>} Path of the session
+     */
+    async establishPath(smf, psa, ue, session) {
+        const pfcpManager = window.pfcpManager;
+        const pduSession = {
+            sessionId: session.pduSessionId,
+            dnn: session.dnn,
+            pduSessionType: session.pduSessionType,
+            assignedIP: session.assignedIP,
+            ipv6Prefix: session.ipv6Prefix || null,
+            upfId: psa.id
+        };
+        const path = this.planPath(ue, psa, session.dnn, session.pduSessionType);
+        pduSession.userPlanePath = path;
+
+        console.log(`🛤️ User plane of ${ue.name} PSI ${session.pduSessionId}: ${this.describePath(pduSession)} (${path.reason})`);
+        if (window.logEngine) {
+            window.logEngine.addLog(smf.id, 'INFO', `User plane path for PDU session ${session.pduSessionId}: ${this.describePath(pduSession)}`, {
+                mode: path.mode,
+                reason: path.reason,
+                dnn: session.dnn
+            });
+        }
+
+        if (path.upfIds.length === 1) return path;
+
+        const psaSession = pfcpManager.findSession(psa, ue.id, session.pduSessionId);
+        const inserted = this.buildIntermediateSessions(smf, ue, pduSession, path, psaSession);
+
+        for (const { upf, session: pfcpSession } of [...inserted].reverse()) {
+            await window.sessionManager.sendSignal(smf, upf, 'N4', 'request', `N4 Session Establishment Request (${pfcpSession.role})`,
+                pfcpManager.buildEstablishmentIEs(pfcpSession, smf), 'PFCP');
+
+            pfcpManager.installSession(upf, pfcpSession);
+
+            await window.sessionManager.sendSignal(upf, smf, 'N4', 'response', 'N4 Session Establishment Response', {
+                cause: 'REQUEST_ACCEPTED',
+                nodeId: upf.config.ipAddress,
+                upFSeid: { seid: pfcpManager.formatId(pfcpSession.seid), ipv4Address: upf.config.ipAddress },
+                createdPdr: pfcpSession.pdrs
+                    .filter(pdr => pdr.pdi.localFTeid)
+                    .map(pdr => ({ pdrId: pdr.pdrId, localFTeid: { teid: pfcpManager.formatId(pdr.pdi.localFTeid.teid), ipv4Address: upf.config.ipAddress } }))
+            }, 'PFCP');
+        }
+
+        // Downlink now leaves the anchor over N9 towards the UPF next to it
+        const modification = {
+            seid: pfcpManager.formatId(psaSession.seid),
+            pduSessionId: session.pduSessionId,
+            updateFar: pfcpManager.buildN9FAR(pfcpManager.DOWNLINK_FAR_ID, 'ACCESS', inserted[inserted.length - 1].session.n9FTeid)
+        };
+        await window.sessionManager.sendSignal(smf, psa, 'N4', 'request', 'N4 Session Modification Request (N9 downlink)', modification, 'PFCP');
+        pfcpManager.applyModification(ue, pduSession, modification, psa);
+        await window.sessionManager.sendSignal(psa, smf, 'N4', 'response', 'N4 Session Modification Response', {
+            seid: pfcpManager.formatId(psaSession.cpSeid),
+            cause: 'REQUEST_ACCEPTED'
+        }, 'PFCP');
+
+        return path;
+    }
+
+    /**
+     * Set up the path of a PDU session created without signalling
+     * (registration shortcut, demos, saved topologies)
+     * @param {Object} ue - UE NF
+     * @param {Object} pduSession - UE PDU session entry
+     * @returns {Object} Path of the session
+     */
+    ensurePath(ue, pduSession) {
+        const pfcpManager = window.pfcpManager;
+        const psa = window.dataStore?.getNFById(pduSession.upfId);
+        if (!psa || !pfcpManager) return this.getPath(pduSession);
+
+        if (!pduSession.userPlanePath) {
+            pduSession.userPlanePath = this.planPath(ue, psa, pduSession.dnn, pduSession.pduSessionType);
+        }
+        const path = pduSession.userPlanePath;
+        if (path.upfIds.length === 1) return path;
+
+        const upfs = path.upfIds.map(id => window.dataStore.getNFById(id));
+        if (upfs.some(upf => !upf)) {
+            pduSession.userPlanePath = { mode: this.MODES.DIRECT, upfIds: [psa.id], reason: 'UPF of the path removed' };
+            return pduSession.userPlanePath;
+        }
+        if (upfs.slice(0, -1).every(upf => pfcpManager.findSession(upf, ue.id, pduSession.sessionId))) return path;
+
+        const psaSession = pfcpManager.ensureSession(psa, ue, pduSession);
+        const inserted = this.buildIntermediateSessions(null, ue, pduSession, path, psaSession);
+        inserted.forEach(({ upf, session }) => pfcpManager.installSession(upf, session));
+        pfcpManager.applyModification(ue, pduSession, {
+            updateFar: pfcpManager.buildN9FAR(pfcpManager.DOWNLINK_FAR_ID, 'ACCESS', inserted[inserted.length - 1].session.n9FTeid)
+        }, psa);
+
+        return path;
+    }
+
+    /**
+     * Remove the intermediate UPFs of a PDU session: N4 Session Release to
+     * each of them (the anchor is released by the caller)
+     * @param {Object} smf - SMF NF
+     * @param {Object} ue - UE NF
+     * @param {Object} pduSession - UE PDU session entry
+     */
+    async releasePath(smf, ue, pduSession) {
+        const pfcpManager = window.pfcpManager;
+        const inserted = this.getPath(pduSession).upfIds.slice(0, -1)
+            .map(id => window.dataStore?.getNFById(id))
+            .filter(Boolean);
+
+        for (const upf of inserted) {
+            const pfcpSession = pfcpManager.findSession(upf, ue.id, pduSession.sessionId);
+            if (!pfcpSession) continue;
+
+            await window.sessionManager.sendSignal(smf, upf, 'N4', 'request', `N4 Session Release Request (${pfcpSession.role})`, {
+                seid: pfcpManager.formatId(pfcpSession.seid),
+                pduSessionId: pduSession.sessionId
+            }, 'PFCP');
+
+            const usageReport = pfcpManager.deleteSession(upf, ue.id, pduSession.sessionId);
+
+            await window.sessionManager.sendSignal(upf, smf, 'N4', 'response', 'N4 Session Release Response', {
+                seid: pfcpManager.formatId(pfcpSession.cpSeid),
+                cause: 'REQUEST_ACCEPTED',
+                ...(usageReport.length > 0 && { usageReport })
+            }, 'PFCP');
+        }
+    }
+
+    // ==========================================
+    // Traffic
+    // ==========================================
+
+    /**
+     * Carry user-plane traffic of a PDU session through the UPFs of its path.
+     * Uplink enters the N3 UPF on its F-TEID; downlink enters on N6 at the UPF
+     * whose DN holds the remote end. Each UPF's FAR picks the next hop: a
+     * neighbouring UPF over N9, the gNB, or the DN.
+     * @param {Object} ue - UE NF
+     * @param {Object} pduSession - UE PDU session entry
+     * @param {Object} traffic - {direction: 'uplink'|'downlink', protocol, remoteAddress, remotePort, bytes}
+     * @param {Object} options - {animate: show the path on the canvas}
+     * @returns {Promise<Object>} {delivered, action, reason, hops: [{upf, role, action, reason, interfaceIn}], exitUpf}
+     */
+    async forwardUserPlane(ue, pduSession, traffic, options = {}) {
+        const pfcpManager = window.pfcpManager;
+        const path = this.getPath(pduSession);
+        const upfs = path.upfIds.map(id => window.dataStore?.getNFById(id)).filter(Boolean);
+        if (upfs.length === 0) {
+            return { delivered: false, action: 'DROP', reason: 'UPF not found', hops: [], exitUpf: null };
+        }
+
+        const flow = window.qosManager?.matchQoSFlow(pduSession, {
+            protocol: traffic.protocol,
+            remoteAddress: traffic.remoteAddress,
+            remotePort: traffic.remotePort,
+            direction: traffic.direction.toUpperCase()
+        });
+
+        const uplink = traffic.direction === 'uplink';
+        let upf = uplink || this.isLocalTraffic(pduSession, traffic.remoteAddress) ? upfs[0] : upfs[upfs.length - 1];
+        let teid = uplink ? pfcpManager.findSession(upf, ue.id, pduSession.sessionId)?.localFTeid.teid : undefined;
+        let interfaceIn = uplink ? 'N3' : 'N6';
+        const hops = [];
+        let outcome = null;
+
+        while (upf && hops.length <= upfs.length) {
+            const result = pfcpManager.processPacket(upf, {
+                ...traffic,
+                teid,
+                qfi: flow?.qfi,
+                ueIp: window.sessionManager.getUEAddress(pduSession, traffic.remoteAddress) || pduSession.assignedIP
+            });
+            hops.push({ upf, role: result.session?.role || 'PSA', action: result.action, reason: result.reason, interfaceIn });
+
+            if (result.reports.length > 0) {
+                await pfcpManager.sendUsageReport(upf, result.session, result.reports);
+            }
+
+            if (result.action !== 'FORW') {
+                this.logDiscard(upf, pduSession, traffic, result);
+                outcome = { delivered: false, action: result.action, reason: `${upf.name}: ${result.reason}` };
+                break;
+            }
+
+            // A GTP-U header with a TEID means another UPF over N9
+            const outerHeader = result.far.forwardingParameters?.outerHeaderCreation;
+            const next = outerHeader?.teid !== undefined
+                ? upfs.find(candidate => candidate.config.ipAddress === outerHeader.ipv4Address)
+                : null;
+            if (!next) {
+                outcome = { delivered: true, action: 'FORW', reason: result.reason, exitUpf: upf };
+                break;
+            }
+
+            upf = next;
+            teid = outerHeader.teid;
+            interfaceIn = 'N9';
+        }
+
+        outcome = outcome || { delivered: false, action: 'DROP', reason: 'forwarding loop between UPFs' };
+        outcome.hops = hops;
+        outcome.exitUpf = outcome.exitUpf || null;
+
+        if (options.animate) {
+            this.animateTraffic(ue, traffic.direction, outcome);
+        }
+
+        return outcome;
+    }
+
+    /**
+     * One ICMP echo exchange through the user plane: request and reply
+     * @param {Object} ue - UE NF
+     * @param {Object} pduSession - UE PDU session entry
+     * @param {string} remoteAddress - Peer of the UE
+     * @param {string} originator - 'UE' (uplink request) or 'DN' (downlink request)
+     * @param {Object} options - {animate: show the path on the canvas}
+     * @returns {Promise<Object>} Result of the first leg that failed, or of the reply
+     */
+    async forwardEcho(ue, pduSession, remoteAddress, originator = 'UE', options = {}) {
+        const legs = originator === 'UE' ? ['uplink', 'downlink'] : ['downlink', 'uplink'];
+        let result = null;
+        for (const direction of legs) {
+            result = await this.forwardUserPlane(ue, pduSession, { direction, protocol: 'ICMP', remoteAddress, remotePort: null, bytes: this.ECHO_PACKET_SIZE }, options);
+            if (!result.delivered) break;
+        }
+        return result;
+    }
+
+    /**
+     * First frame of an Ethernet PDU session: the UE port broadcasts, the UPFs
+     * of the path learn its MAC and the anchor reports it to the SMF
+     * @param {Object} ue - UE NF
+     * @param {Object} pduSession - UE PDU session entry
+     * @param {Object} options - {animate: show the path on the canvas}
+     * @returns {Promise<Object>} forwardUserPlane result
+     */
+    async announceMACAddress(ue, pduSession, options = {}) {
+        return this.forwardUserPlane(ue, pduSession, {
+            direction: 'uplink',
+            protocol: 'ETHERNET',
+            sourceMac: pduSession.macAddress,
+            destinationMac: this.BROADCAST_MAC,
+            remoteAddress: null,
+            remotePort: null,
+            bytes: this.ETHERNET_FRAME_SIZE
+        }, options);
+    }
+
+    /**
+     * Log a packet a UPF did not forward
+     * @param {Object} upf - UPF NF
+     * @param {Object} pduSession - UE PDU session entry
+     * @param {Object} traffic - Traffic description
+     * @param {Object} result - processPacket verdict
+     */
+    logDiscard(upf, pduSession, traffic, result) {
+        console.warn(`⚠️ ${upf.name} ${result.action} ${traffic.direction} ${traffic.protocol} packet of ${pduSession.assignedIP}: ${result.reason}`);
+        if (window.logEngine) {
+            window.logEngine.addLog(upf.id, result.action === 'BUFF' ? 'INFO' : 'ERROR',
+                `PFCP: ${traffic.direction} packet ${result.action === 'BUFF' ? 'buffered' : 'dropped'} - ${result.reason}`, {
+                seid: result.session ? window.pfcpManager.formatId(result.session.seid) : null,
+                ueIp: pduSession.assignedIP,
+                remoteAddress: traffic.remoteAddress,
+                protocol: traffic.protocol,
+                bytes: traffic.bytes
+            });
+        }
+    }
+
+    // ==========================================
+    // Ethernet bridging
+    // ==========================================
+
+    /**
+     * MAC address of the DN's LAN port behind N6 (locally administered,
+     * derived from its IPv4 address)
+     * @param {Object} dn - ext-dn NF
+     * @returns {string} MAC address
+     */
+    getDNMacAddress(dn) {
+        const octets = dn.config.ipAddress.split('.').map(octet => Number(octet).toString(16).padStart(2, '0'));
+        return ['02', '00', ...octets].join(':');
+    }
+
+    /**
+     * MAC table of the bridge a UPF runs for the Ethernet sessions it
+     * anchors, one per DNN: the DN's LAN port on N6, then every MAC learned
+     * on a session's N3 tunnel
+     * @param {Object} upf - UPF NF
+     * @returns {Array} [{dnn, lanSegment, entries: [{mac, port, owner}]}]
+     */
+    getBridgeTables(upf) {
+        const dn = this.getLocalDN(upf);
+        const sessions = window.pfcpManager.getPFCPSessions(upf)
+            .filter(session => session.pduSessionType === 'ETHERNET' && (session.role || 'PSA') === 'PSA');
+
+        return [...new Set(sessions.map(session => session.dnn))].map(dnn => ({
+            dnn,
+            lanSegment: dn ? `${dn.name} (${dn.config.ipAddress})` : null,
+            entries: [
+                ...(dn ? [{ mac: this.getDNMacAddress(dn), port: 'N6', owner: dn.name }] : []),
+                ...sessions.filter(session => session.dnn === dnn).flatMap(session => session.macAddresses.map(mac => ({
+                    mac,
+                    port: `N3 TEID ${window.pfcpManager.formatId(session.localFTeid.teid)}`,
+                    owner: `${window.dataStore?.getNFById(session.ueId)?.name || session.ueId} PSI ${session.pduSessionId}`
+                })))
+            ]
+        }));
+    }
+
+    // ==========================================
+    // Animation
+    // ==========================================
+
+    /**
+     * Animate the hops a packet took: UE → gNB → UPFs → DN for uplink and the
+     * reverse for downlink, up to the UPF that discarded it. Runs in the
+     * background so that traffic timing is not tied to the animation.
+     * @param {Object} ue - UE NF
+     * @param {string} direction - 'uplink' or 'downlink'
+     * @param {Object} outcome - forwardUserPlane result
+     */
+    animateTraffic(ue, direction, outcome) {
+        if (!window.packetAnimator || outcome.hops.length === 0) return;
+
+        const gnb = window.sessionManager?.getServingGNB(ue.id);
+        const upfs = outcome.hops.map(hop => hop.upf);
+        const dn = outcome.exitUpf ? this.getLocalDN(outcome.exitUpf) : null;
+        const legs = [];
+
+        if (direction === 'uplink') {
+            if (gnb) legs.push([ue, gnb, 'Radio'], [gnb, upfs[0], 'N3']);
+            upfs.slice(1).forEach((upf, index) => legs.push([upfs[index], upf, 'N9']));
+            if (dn) legs.push([outcome.exitUpf, dn, 'N6']);
+        } else {
+            const entryDn = this.getLocalDN(upfs[0]);
+            if (entryDn) legs.push([entryDn, upfs[0], 'N6']);
+            upfs.slice(1).forEach((upf, index) => legs.push([upfs[index], upf, 'N9']));
+            if (outcome.delivered && gnb) legs.push([upfs[upfs.length - 1], gnb, 'N3'], [gnb, ue, 'Radio']);
+        }
+
+        legs.reduce((chain, [source, target, interfaceName]) => chain.then(() => window.packetAnimator.sendPacket({
+            sourceId: source.id,
+            targetId: target.id,
+            interface: interfaceName,
+            direction: 'request',
+            payload: { protocol: 'GTP-U', direction, hop: `${source.name} → ${target.name}` },
+            protocol: 'GTP-U',
+            speed: this.ANIMATION_SPEED
+        })), Promise.resolve()).catch(error => console.warn('⚠️ User-plane animation failed:', error));
+    }
+}
+
+// Export for global access
+window.UserPlaneManager = UserPlaneManager;